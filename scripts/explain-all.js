@@ -1,32 +1,12 @@
 #!/usr/bin/env node
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import url from 'node:url';
+import { loadSandboxedParserFile } from '../src/lib/parserSandbox.js';
+import { listRegisteredFormats, resolveParser } from '../src/lib/parserRegistry.js';
 
 const root = process.cwd();
 const artifactsDir = path.resolve(root, 'artifacts');
 
-async function* walk(dir) {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  for (const e of entries) {
-    const p = path.join(dir, e.name);
-    if (e.isDirectory()) yield* walk(p);
-    else yield p;
-  }
-}
-
-async function findParsers() {
-  const found = [];
-  try {
-    for await (const p of walk(artifactsDir)) {
-      if (p.endsWith('/parser.js') || p.endsWith('/parser.mjs') || p.endsWith('/parser.js.txt')) {
-        found.push(p);
-      }
-    }
-  } catch {}
-  return found.sort();
-}
-
 async function loadSampleText(formatDir) {
   // Try to load an exampleSample from spec.json if available, else skip sample
   try {
@@ -40,59 +20,57 @@ async function loadSampleText(formatDir) {
   }
 }
 
-async function explainWithParser(parserPath) {
-  const formatDir = path.dirname(parserPath);
-  let importPath = parserPath;
-  let tmpPath = null;
-  // Handle legacy .js.txt by copying to a temp .mjs file for import
-  if (parserPath.endsWith('.js.txt')) {
-    try {
-      const code = await fs.readFile(parserPath, 'utf8');
-      tmpPath = path.join(formatDir, '.parser_tmp.mjs');
-      await fs.writeFile(tmpPath, code, 'utf8');
-      importPath = tmpPath;
-    } catch (e) {
-      return { parserPath, ok: false, error: `failed to prep legacy parser: ${e.message}` };
-    }
-  }
-  const mod = await import(url.pathToFileURL(importPath).href);
-  if (typeof mod.parseEdifactToJson !== 'function' || typeof mod.explain !== 'function') {
-    return { parserPath, ok: false, error: 'Parser missing required exports' };
-  }
-  let sample = await loadSampleText(formatDir);
-  let parsed;
+async function explainWithParser(format) {
+  const formatDir = path.join(artifactsDir, format);
+  // Active (tested) parser from the parser registry, run in a sandbox (PARSER_TIMEOUT_MS, PARSER_MEMORY_MB)
+  let mod;
+  let parserPath = null;
   try {
-    // If no sample, parse an empty exchange to exercise code paths
-    parsed = await mod.parseEdifactToJson(sample || "UNB+UNOC:3+S:R+R:S+250101:0101+REF'UNH+1+APERAK:D:07B:UN:2.1i'BGM+312+X'DTM+137:202501010101:303'NAD+MS+1::293'NAD+MR+2::293'RFF+ACE:1'UNT+8+1'UNZ+1+REF'");
+    const resolved = await resolveParser(format);
+    if (!resolved) return { format, parserPath, ok: false, error: 'no active parser (no version passed its tests)' };
+    parserPath = resolved.path;
+    mod = await loadSandboxedParserFile(parserPath);
   } catch (e) {
-    return { parserPath, ok: false, error: `parse failed: ${e.message}` };
+    return { format, parserPath, ok: false, error: `load failed: ${e.message}` };
   }
   try {
-    const explained = await mod.explain(parsed.json ?? parsed);
-    const outPath = path.join(formatDir, 'explained.json');
-    await fs.writeFile(outPath, JSON.stringify(explained, null, 2));
-    // Cleanup temp file if created
-    if (tmpPath) {
-      try { await fs.unlink(tmpPath); } catch {}
+    if (!mod.exports.includes('parseEdifactToJson') || !mod.exports.includes('explain')) {
+      return { format, parserPath, ok: false, error: 'Parser missing required exports' };
     }
-    return { parserPath, ok: true, explainedPath: outPath };
-  } catch (e) {
-    return { parserPath, ok: false, error: `explain failed: ${e.message}` };
+    let sample = await loadSampleText(formatDir);
+    let parsed;
+    try {
+      // If no sample, parse an empty exchange to exercise code paths
+      parsed = await mod.parseEdifactToJson(sample || "UNB+UNOC:3+S:R+R:S+250101:0101+REF'UNH+1+APERAK:D:07B:UN:2.1i'BGM+312+X'DTM+137:202501010101:303'NAD+MS+1::293'NAD+MR+2::293'RFF+ACE:1'UNT+8+1'UNZ+1+REF'");
+    } catch (e) {
+      return { format, parserPath, ok: false, error: `parse failed: ${e.message}` };
+    }
+    try {
+      const explained = await mod.explain(parsed.json ?? parsed);
+      const outPath = path.join(formatDir, 'explained.json');
+      await fs.mkdir(formatDir, { recursive: true });
+      await fs.writeFile(outPath, JSON.stringify(explained, null, 2));
+      return { format, parserPath, ok: true, explainedPath: outPath };
+    } catch (e) {
+      return { format, parserPath, ok: false, error: `explain failed: ${e.message}` };
+    }
+  } finally {
+    await mod.close();
   }
 }
 
 async function main() {
-  const parsers = await findParsers();
-  if (!parsers.length) {
-    console.log('No generated parsers found under artifacts/.');
+  const formats = await listRegisteredFormats();
+  if (!formats.length) {
+    console.log('No registered parsers found (see npm run parsers -- list).');
     process.exit(0);
   }
   const results = [];
-  for (const p of parsers) {
-    const res = await explainWithParser(p);
+  for (const format of formats) {
+    const res = await explainWithParser(format);
     results.push(res);
-    if (res.ok) console.log(`Explained via ${p} -> ${res.explainedPath}`);
-    else console.warn(`Failed for ${p}: ${res.error}`);
+    if (res.ok) console.log(`Explained via ${res.parserPath} -> ${res.explainedPath}`);
+    else console.warn(`Failed for ${format}: ${res.error}`);
   }
   const summaryPath = path.join(artifactsDir, 'explain-summary.json');
   await fs.writeFile(summaryPath, JSON.stringify(results, null, 2));
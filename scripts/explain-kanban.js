@@ -2,28 +2,31 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { Agent, Task, Team } from 'kaibanjs';
-import { getGemini } from '../src/lib/llm.js';
+import { getLlm } from '../src/lib/llm.js';
 import { createParseAndExplainMessageTool } from '../src/tools/parseAndExplainMessage.js';
 import { createExplainedToMarkdownTool } from '../src/tools/explainedToMarkdown.js';
 import { createQdrantSemanticSearch } from '../src/tools/qdrantSemanticSearch.js';
 import { createBdewCodeResolverTool } from '../src/tools/bdewCodeResolver.js';
+import { createResponseMessageTool } from '../src/tools/responseMessageGenerator.js';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
 
 async function main() {
   const file = process.argv[2];
   if (!file) { console.error('Usage: npm run explain-kanban -- <path-to-edifact-or-md>'); process.exit(1); }
-  const text = await fs.readFile(path.resolve(process.cwd(), file), 'utf8');
-  const llm = getGemini();
+  const { text } = preprocessSample(await fs.readFile(path.resolve(process.cwd(), file)));
+  const llm = getLlm();
   const parseExplain = createParseAndExplainMessageTool();
   const toMarkdown = createExplainedToMarkdownTool();
   const search = createQdrantSemanticSearch();
   const resolveBdew = createBdewCodeResolverTool();
+  const respond = createResponseMessageTool();
 
   const parserAgent = new Agent({
     name: 'Message Parser',
     role: 'EDIFACT message parser',
-    goal: 'Parse and explain the EDIFACT message.',
-    tools: [parseExplain],
-    llmConfig: { provider: 'google', model: 'gemini-2.5-flash' },
+    goal: 'Parse and explain the EDIFACT message; draft CONTRL/APERAK responses when asked.',
+    tools: [parseExplain, respond],
+    llmInstance: llm,
   });
 
   const writerAgent = new Agent({
@@ -31,12 +34,12 @@ async function main() {
     role: 'Narrative generator',
     goal: 'Generate a human-readable Markdown summary from explained JSON, enriching with Qdrant context when helpful.',
   tools: [toMarkdown, search, resolveBdew],
-    llmConfig: { provider: 'google', model: 'gemini-2.5-flash' },
+    llmInstance: llm,
   });
 
   const t1 = new Task({
     title: 'Parse and explain message',
-    description: 'Use parse_and_explain_message with { text: "{messageText}" }. Return { explained, format }.',
+    description: 'Use parse_and_explain_message with { text: "{messageText}" }. Return { explained, format, formats, messages }.',
     agent: parserAgent,
     expectedOutput: 'Explained JSON',
   });
@@ -116,16 +119,41 @@ async function main() {
   // Backward-compatible alias paths (legacy names without format prefix)
   const legacyJsonPath = path.join(outDir, `${inputBase}.explained.json`);
   const legacyMdPath = path.join(outDir, `${inputBase}.explained.de.md`);
-  const explainedPayload = JSON.stringify(explainedForMd || parsed, null, 2);
+  // Interchanges with several UNH…UNT messages: one explained entry per message
+  let messages = Array.isArray(parsed?.messages) ? parsed.messages : null;
+  if (!messages) {
+    try {
+      const local = await parseExplain.invoke({ text });
+      if (Array.isArray(local?.messages)) messages = local.messages;
+    } catch {}
+  }
+  const multi = Array.isArray(messages) && messages.length > 1;
+  const withNames = (ex) => ({ ...ex, _context: { ...(ex?._context || {}), bdewNamesByCode } });
+  const explainedPayload = multi
+    ? JSON.stringify({ format: fmt, formats: [...new Set(messages.map(m => m.format))], messages: messages.map(m => ({ ...m, explained: withNames(m.explained) })) }, null, 2)
+    : JSON.stringify(explainedForMd || parsed, null, 2);
   await fs.writeFile(jsonPath, explainedPayload, 'utf8');
   // Also write legacy alias for tools expecting the old name
   await fs.writeFile(legacyJsonPath, explainedPayload, 'utf8');
   // Ensure Markdown includes BDEW names by regenerating if needed
-  try {
-    const effFmt = fmt || (parsed?.format || parsed?.explained?.format || 'UNKNOWN');
-    md = await toMarkdown.invoke({ explained: explainedForMd || parsed, title: `Erläuterung für ${effFmt}`, language: 'de' });
-  } catch {}
-  const mdPayload = md?.markdown || String(md || '');
+  let mdPayload = '';
+  if (multi) {
+    const parts = [];
+    for (let i = 0; i < messages.length; i++) {
+      const m = messages[i];
+      try {
+        const out = await toMarkdown.invoke({ explained: { ...withNames(m.explained), format: m.format }, title: `Erläuterung für ${m.format} (Nachricht ${i + 1}/${messages.length}, Referenz ${m.reference ?? '-'})`, language: 'de' });
+        parts.push(out?.markdown || '');
+      } catch {}
+    }
+    mdPayload = parts.join('\n\n');
+  } else {
+    try {
+      const effFmt = fmt || (parsed?.format || parsed?.explained?.format || 'UNKNOWN');
+      md = await toMarkdown.invoke({ explained: explainedForMd || parsed, title: `Erläuterung für ${effFmt}`, language: 'de' });
+    } catch {}
+    mdPayload = md?.markdown || String(md || '');
+  }
   await fs.writeFile(mdPath, mdPayload, 'utf8');
   await fs.writeFile(legacyMdPath, mdPayload, 'utf8');
   console.log(`Wrote Explain Team outputs to ${outDir} (${path.basename(jsonPath)}, ${path.basename(mdPath)})`);
@@ -1,42 +1,80 @@
 #!/usr/bin/env node
 import fs from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { once } from 'node:events';
 import path from 'node:path';
-import url from 'node:url';
+import { readMessages } from '../src/lib/edifactStream.js';
+import { serializeSingleMessage } from '../src/lib/edifactSerializer.js';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+import { loadActiveParser } from '../src/lib/parserRegistry.js';
 
-async function findParserForSample(samplePath) {
-  const base = path.basename(samplePath);
-  const [format] = base.split('_');
-  const fmt = (format || '').toUpperCase();
-  const candidate = path.resolve(process.cwd(), 'artifacts', fmt, 'parser.js');
-  return { fmt, parserPath: candidate };
+// Inputs above this size are explained message by message instead of being read whole
+const STREAM_THRESHOLD_BYTES = Number(process.env.STREAM_THRESHOLD_BYTES || 5 * 1024 * 1024);
+
+function formatForSample(samplePath) {
+  const [format] = path.basename(samplePath).split('_');
+  return (format || '').toUpperCase();
+}
+
+// Write a JSON array of per-message explanations without holding the interchange in memory
+async function explainStreaming(mod, absSample, outFile) {
+  const out = createWriteStream(outFile, 'utf8');
+  const write = async (chunk) => { if (!out.write(chunk)) await once(out, 'drain'); };
+  let count = 0;
+  await write('[\n');
+  // Markdown samples are preprocessed (payload from code fences, UTF-8) and held in memory;
+  // raw EDIFACT files are streamed and decoded per their UNB syntax identifier
+  const source = /\.md$/i.test(absSample) ? preprocessSample(await fs.readFile(absSample)).text : createReadStream(absSample);
+  for await (const part of readMessages(source)) {
+    const parsed = await mod.parseEdifactToJson(serializeSingleMessage(part));
+    const explained = await mod.explain(parsed);
+    await write((count++ ? ',\n' : '') + JSON.stringify(explained, null, 2));
+  }
+  await write('\n]\n');
+  out.end();
+  await once(out, 'finish');
+  return count;
 }
 
 async function main() {
-  const sampleArg = process.argv[2];
+  const args = process.argv.slice(2);
+  const sampleArg = args.find(a => !a.startsWith('--'));
+  const forceStream = args.includes('--stream');
   if (!sampleArg) {
-    console.error('Usage: npm run explain-one -- <path-to-sample-md>');
+    console.error('Usage: npm run explain-one -- <path-to-sample-md> [--stream]');
     process.exit(1);
   }
   const absSample = path.resolve(process.cwd(), sampleArg);
-  const { fmt, parserPath } = await findParserForSample(absSample);
-  try {
-    await fs.access(parserPath);
-  } catch {
-    console.error(`No parser found for ${fmt} at ${parserPath}. Generate parsers first.`);
+  const fmt = formatForSample(absSample);
+  // Active (tested) parser from the parser registry, run in a sandbox (PARSER_TIMEOUT_MS, PARSER_MEMORY_MB)
+  const mod = await loadActiveParser(fmt);
+  if (!mod) {
+    console.error(`No active parser for ${fmt} in the parser registry. Generate parsers first (npm start) or see npm run parsers -- list.`);
     process.exit(2);
   }
-  const text = await fs.readFile(absSample, 'utf8');
-  const mod = await import(url.pathToFileURL(parserPath).href);
-  if (typeof mod.parseEdifactToJson !== 'function' || typeof mod.explain !== 'function') {
-    console.error('Parser does not export parseEdifactToJson and explain');
-    process.exit(3);
+  try {
+    if (!mod.exports.includes('parseEdifactToJson') || !mod.exports.includes('explain')) {
+      console.error('Parser does not export parseEdifactToJson and explain');
+      process.exitCode = 3;
+      return;
+    }
+    const { size } = await fs.stat(absSample);
+    if (forceStream || size > STREAM_THRESHOLD_BYTES) {
+      const outFile = path.join(path.resolve(process.cwd(), 'artifacts', fmt), 'explained.json');
+      const count = await explainStreaming(mod, absSample, outFile);
+      console.log(`Explained ${count} messages (streaming) to ${outFile}`);
+      return;
+    }
+    const { text } = preprocessSample(await fs.readFile(absSample));
+    const parsed = await mod.parseEdifactToJson(text);
+    const explained = await mod.explain(parsed);
+    const outDir = path.resolve(process.cwd(), 'artifacts', fmt);
+    const outFile = path.join(outDir, 'explained.json');
+    await fs.writeFile(outFile, JSON.stringify(explained, null, 2), 'utf8');
+    console.log(`Explained output written to ${outFile}`);
+  } finally {
+    await mod.close();
   }
-  const parsed = await mod.parseEdifactToJson(text);
-  const explained = await mod.explain(parsed);
-  const outDir = path.resolve(process.cwd(), 'artifacts', fmt);
-  const outFile = path.join(outDir, 'explained.json');
-  await fs.writeFile(outFile, JSON.stringify(explained, null, 2), 'utf8');
-  console.log(`Explained output written to ${outFile}`);
 }
 
 main().catch((e) => {
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+import { resolveParser } from '../src/lib/parserRegistry.js';
+import { loadSandboxedParser } from '../src/lib/parserSandbox.js';
+import {
+  getGoldenDir, loadGoldenSnapshot, saveGoldenSnapshot, createGoldenSnapshot, compareGolden,
+} from '../src/lib/goldenSnapshots.js';
+import { createEdifactTester } from '../src/tools/edifactTester.js';
+
+const USAGE = `Usage: npm run golden -- <command> [--parser FILE] [--samples DIR]
+  record <FORMAT|SAMPLE.md>   (re)record snapshots from the active parser (or --parser FILE);
+                              review the written files before committing them
+  check [FORMAT]              run the tester with snapshots and print the score per format
+  --samples DIR               sample directory (default MAKO_SAMPLES, e.g. tests/fixtures)`;
+
+let samplesDir = path.resolve(process.cwd(), 'MAKO_SAMPLES');
+const formatOf = (name) => (path.basename(name).split('_')[0] || '').toUpperCase();
+
+async function loadSamples(filter) {
+  const files = (await fs.readdir(samplesDir)).filter(f => f.toLowerCase().endsWith('.md')).sort();
+  const selected = !filter ? files
+    : filter.toLowerCase().endsWith('.md') ? files.filter(f => f === path.basename(filter))
+      : files.filter(f => formatOf(f) === filter.toUpperCase());
+  const samples = [];
+  for (const f of selected) {
+    const { text } = preprocessSample(await fs.readFile(path.join(samplesDir, f)));
+    samples.push({ name: f, text });
+  }
+  return samples;
+}
+
+async function parserCode(format, file) {
+  if (file) return fs.readFile(path.resolve(process.cwd(), file), 'utf8');
+  const resolved = await resolveParser(format);
+  if (!resolved) throw new Error(`No active parser for ${format} (use --parser FILE)`);
+  return fs.readFile(resolved.path, 'utf8');
+}
+
+const byFormat = (samples) => samples.reduce((m, s) => m.set(formatOf(s.name), [...(m.get(formatOf(s.name)) || []), s]), new Map());
+
+async function record(filter, parserFile) {
+  const samples = await loadSamples(filter);
+  if (!samples.length) throw new Error(`No samples for ${filter} in ${samplesDir}`);
+  for (const [format, group] of byFormat(samples)) {
+    const mod = await loadSandboxedParser(await parserCode(format, parserFile), { filename: `${format}.mjs` });
+    try {
+      for (const s of group) {
+        const parsed = await mod.parseEdifactToJson(s.text);
+        const explained = await mod.explain(parsed);
+        const previous = await loadGoldenSnapshot(s.name);
+        const snapshot = createGoldenSnapshot({ sample: s.name, text: s.text, format, parsed, explained });
+        const file = await saveGoldenSnapshot(snapshot);
+        // Changes against the previous snapshot, measured on its (possibly reviewed) entries
+        const changed = previous ? compareGolden(previous, { parsed, explained }) : null;
+        const note = !previous ? 'new' : changed.ok ? 'unchanged' : `${changed.checks - changed.matched} change(s)`;
+        console.log(`${path.relative(process.cwd(), file)}: ${snapshot.segments.length} segments, ${Object.keys(snapshot.fields).length} fields (${note})`);
+        for (const d of changed?.diffs || []) console.log(`  ${d.path}: ${JSON.stringify(d.expected)} -> ${JSON.stringify(d.actual)}`);
+      }
+    } finally {
+      await mod.close();
+    }
+  }
+}
+
+async function check(filter, parserFile) {
+  const samples = await loadSamples(filter);
+  if (!samples.length) throw new Error(`No samples in ${samplesDir}`);
+  const tester = createEdifactTester();
+  let failed = false;
+  for (const [format, group] of byFormat(samples)) {
+    let res;
+    try {
+      res = await tester.invoke({ moduleCode: await parserCode(format, parserFile), samples: group, format });
+    } catch (e) {
+      res = { success: false, error: e.message };
+    }
+    failed ||= !res.success;
+    console.log(`${format}: ${res.success ? 'passed' : 'failed'}, score ${(res.score ?? 0).toFixed(2)}${res.error ? ` (${res.error})` : ''}`);
+    for (const r of res.results || []) {
+      if (r.ok) continue;
+      console.log(`  ${r.name}: ${r.error}`);
+      for (const d of r.golden?.diffs || []) console.log(`    ${d.path}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`);
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  // Options taking a value: --parser FILE, --samples DIR
+  const valueIdx = ['--parser', '--samples'].map(o => args.indexOf(o)).filter(i => i >= 0).map(i => i + 1);
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+  const parserFile = option('--parser');
+  if (option('--samples')) samplesDir = path.resolve(process.cwd(), option('--samples'));
+  const [command, filter] = args.filter((a, i) => !a.startsWith('--') && !valueIdx.includes(i));
+  switch (command) {
+    case 'record':
+      if (!filter) break;
+      return record(filter, parserFile);
+    case 'check':
+      return check(filter, parserFile);
+  }
+  console.error(USAGE);
+  console.error(`Snapshots: ${getGoldenDir()}`);
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
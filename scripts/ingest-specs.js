@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getVectorStore } from '../src/lib/vectorStore.js';
+import { getEmbeddings, getEmbeddingsInfo } from '../src/lib/embeddings.js';
+import { parseSpecDocument, ingestSpecDocument } from '../src/lib/specIngestion.js';
+
+const EXTENSIONS = new Set(['.txt', '.md', '.csv', '.json']);
+
+async function collectFiles(target, out = []) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) {
+    out.push(target);
+    return out;
+  }
+  for (const entry of (await fs.readdir(target)).sort()) {
+    const full = path.join(target, entry);
+    if ((await fs.stat(full)).isDirectory() || EXTENSIONS.has(path.extname(entry).toLowerCase())) await collectFiles(full, out);
+  }
+  return out;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const inputs = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') options.dryRun = true;
+    else if (/^--(type|format|version|valid-from|valid-to)$/.test(a)) {
+      const key = a.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      options[key] = argv[++i];
+    } else inputs.push(a);
+  }
+  return { inputs, options };
+}
+
+async function main() {
+  const { inputs, options } = parseArgs(process.argv.slice(2));
+  if (!inputs.length) {
+    console.error('Usage: npm run ingest -- <file-or-dir>... [--type MIG|AHB] [--format UTILMD] [--version 5.2] [--valid-from 01.04.2025] [--valid-to 30.09.2025] [--dry-run]');
+    process.exit(1);
+  }
+  const { dryRun, ...docOptions } = options;
+  const files = [];
+  for (const input of inputs) await collectFiles(path.resolve(process.cwd(), input), files);
+  const store = getVectorStore();
+  const embeddings = getEmbeddings();
+  if (!dryRun) await store.ensureCollection(getEmbeddingsInfo());
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const parsed = parseSpecDocument({ name: file, content: await fs.readFile(file, 'utf8'), ...docOptions });
+      const stats = await ingestSpecDocument(store, embeddings, parsed, { dryRun });
+      console.log(`${path.basename(file)}: ${stats.chunks} chunks (${stats.upserted} upserted, ${stats.unchanged} unchanged, ${stats.deleted} deleted) → ${parsed.sourceId}`);
+    } catch (e) {
+      failed++;
+      console.error(`${path.basename(file)}: ${e.message}`);
+    }
+  }
+  if (dryRun) console.log('Dry run: nothing written');
+  if (failed) process.exit(2);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
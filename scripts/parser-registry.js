@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  listRegisteredFormats, getParserRegistry, registerParser, activateParser, rollbackParser,
+} from '../src/lib/parserRegistry.js';
+
+const USAGE = `Usage: npm run parsers -- <command>
+  list [FORMAT]                 versions with test status (* = active)
+  activate <FORMAT> <VERSION>   activate a validated version
+  rollback <FORMAT>             re-activate the previous validated version
+  register <FORMAT> [FILE]      register an existing module (default artifacts/<FORMAT>/parser.js)
+                                with the tests from artifacts/<FORMAT>/tests.json`;
+
+async function readJsonIfExists(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function list(format) {
+  const formats = format ? [format.toUpperCase()] : await listRegisteredFormats();
+  if (!formats.length) console.log('No registered parsers.');
+  for (const fmt of formats) {
+    const reg = await getParserRegistry(fmt);
+    console.log(`${fmt} (active: ${reg.active != null ? 'v' + reg.active : 'none'})`);
+    for (const v of reg.versions) {
+      const mark = v.version === reg.active ? '*' : ' ';
+      const score = typeof v.tests?.score === 'number' ? ` score ${v.tests.score.toFixed(2)}` : '';
+      const tests = v.tests ? `${v.tests.success ? 'passed' : 'failed'} ${v.tests.passed}/${v.tests.passed + v.tests.failed}${score}` : 'untested';
+      console.log(` ${mark} v${v.version}  ${v.generatedAt}  ${tests}  format ${v.formatVersion || '?'}  ${v.contentHash.slice(0, 19)}`);
+    }
+  }
+}
+
+async function main() {
+  const [command, format, arg] = process.argv.slice(2);
+  switch (command) {
+    case 'list':
+      return list(format);
+    case 'activate': {
+      if (!format || !arg) break;
+      const entry = await activateParser(format, arg);
+      return console.log(`${format.toUpperCase()} v${entry.version} is now active`);
+    }
+    case 'rollback': {
+      if (!format) break;
+      const entry = await rollbackParser(format);
+      return console.log(`${format.toUpperCase()} rolled back to v${entry.version}`);
+    }
+    case 'register': {
+      if (!format) break;
+      const dir = path.resolve(process.cwd(), 'artifacts', format.toUpperCase());
+      const file = path.resolve(process.cwd(), arg || path.join(dir, 'parser.js'));
+      const code = await fs.readFile(file, 'utf8');
+      const model = await readJsonIfExists(path.join(dir, 'spec-model.json'));
+      const { entry, promoted } = await registerParser({
+        format,
+        code,
+        formatVersion: model?.version ?? null,
+        spec: (await readJsonIfExists(path.join(dir, 'spec.json'))) ?? undefined,
+        tests: await readJsonIfExists(path.join(dir, 'tests.json')),
+        generatedAt: (await fs.stat(file)).mtime.toISOString(),
+      });
+      return console.log(`${format.toUpperCase()} v${entry.version} registered${promoted ? ' and active' : ' (not activated: tests did not pass)'}`);
+    }
+  }
+  console.error(USAGE);
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -2,20 +2,22 @@ import 'dotenv/config';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { Agent, Task, Team } from 'kaibanjs';
-import { getGemini } from '../lib/llm.js';
+import { getLlm } from '../lib/llm.js';
 import { createQdrantSpecRetriever } from '../tools/qdrantSpecRetriever.js';
 import { createEdifactParserGenerator } from '../tools/edifactParserGenerator.js';
 import { createEdifactTester } from '../tools/edifactTester.js';
 import { createQdrantSemanticSearch } from '../tools/qdrantSemanticSearch.js';
 import { createSearchStrategyPlanner } from '../tools/searchStrategyPlanner.js';
 import { createSpecSegmentSynthesizer } from '../tools/specSegmentSynthesizer.js';
+import { preprocessSample } from '../lib/samplePreprocessor.js';
 
-const llm = getGemini();
-const API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+// Provider selected via LLM_PROVIDER (gemini | openai | stub); tools and agents share one instance
+const llm = getLlm();
 
 const specRetriever = createQdrantSpecRetriever();
-const parserGenerator = createEdifactParserGenerator(llm);
-const testerTool = createEdifactTester();
+// Generator and tester are also driven directly by the repair loop in src/index.js
+export const parserGenerator = createEdifactParserGenerator(llm);
+export const testerTool = createEdifactTester();
 const semanticSearch = createQdrantSemanticSearch();
 const strategyPlanner = createSearchStrategyPlanner(llm);
 const segmentSynth = createSpecSegmentSynthesizer(llm);
@@ -26,8 +28,8 @@ export const knowledgeAgent = new Agent({
   role: 'EDIFACT Spec Librarian',
   goal: 'Retrieve and clarify EDIFACT format specifications from QDrant for other agents.',
   tools: [specRetriever, semanticSearch, segmentSynth],
-  // Explicitly set provider to Google to use Gemini models (prevents default OpenAI usage)
-  llmConfig: { provider: 'google', model: 'gemini-2.5-flash', apiKey: API_KEY },
+  // Pass the configured model instance (prevents KaibanJS from defaulting to OpenAI)
+  llmInstance: llm,
 });
 
 // Builder Agent: generates parser module per format
@@ -36,7 +38,7 @@ export const builderAgent = new Agent({
   role: 'EDIFACT Parser Engineer',
   goal: 'Generate robust JS parsers that transform EDIFACT messages into JSON and explain fields.',
   tools: [parserGenerator],
-  llmConfig: { provider: 'google', model: 'gemini-2.5-flash', apiKey: API_KEY },
+  llmInstance: llm,
 });
 
 // Tester Agent: validates parser modules with provided and mutated samples
@@ -45,7 +47,7 @@ export const testerAgent = new Agent({
   role: 'EDIFACT Parser QA',
   goal: 'Validate parser modules using samples and adversarial cases; report issues.',
   tools: [testerTool],
-  llmConfig: { provider: 'google', model: 'gemini-2.5-flash', apiKey: API_KEY },
+  llmInstance: llm,
 });
 
 // Strategist Agent: plans and runs multi-query Qdrant searches before retrieval
@@ -54,7 +56,7 @@ export const strategistAgent = new Agent({
   role: 'Semantic Retrieval Planner',
   goal: 'Devise and execute multi-step Qdrant search strategies to isolate precise spec parts for segments/fields.',
   tools: [strategyPlanner, semanticSearch],
-  llmConfig: { provider: 'google', model: 'gemini-2.5-flash', apiKey: API_KEY },
+  llmInstance: llm,
 });
 
 export async function loadSamples(dir = path.resolve(process.cwd(), 'MAKO_SAMPLES')) {
@@ -62,8 +64,10 @@ export async function loadSamples(dir = path.resolve(process.cwd(), 'MAKO_SAMPLE
   const mdFiles = files.filter(f => f.toLowerCase().endsWith('.md'));
   const samples = [];
   for (const f of mdFiles) {
-    const text = await fs.readFile(path.join(dir, f), 'utf8');
-    samples.push({ name: f, text });
+    // Markdown samples: hand only the EDIFACT payload downstream, keep title/Prüfidentifikator/notes
+    const raw = await fs.readFile(path.join(dir, f));
+    const { text, attributes } = preprocessSample(raw);
+    samples.push({ name: f, text, attributes });
   }
   return samples;
 }
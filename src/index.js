@@ -2,7 +2,12 @@ import 'dotenv/config';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { Agent, Task, Team } from 'kaibanjs';
-import { loadSamples, extractFormatFromFilename, knowledgeAgent, builderAgent, testerAgent, strategistAgent } from './agents/index.js';
+import {
+  loadSamples, extractFormatFromFilename, knowledgeAgent, builderAgent, testerAgent, strategistAgent, parserGenerator, testerTool,
+} from './agents/index.js';
+import { normalizeSpec } from './lib/specModel.js';
+import { registerParser } from './lib/parserRegistry.js';
+import { getRepairAttempts, repairParser, testScore } from './lib/parserRepair.js';
 
 async function main() {
   const samples = await loadSamples();
@@ -33,7 +38,7 @@ async function main() {
     // Define tasks for KaibanJS engine
     const t0 = new Task({
       title: `Plan retrieval for ${format}`,
-      description: `Plan a multi-query Qdrant search strategy for {format} using plan_qdrant_search_strategy, then execute qdrant_semantic_search with the planned queries and filters. Return a concise JSON summary with {queries, mustFilters, shouldFilters, results}.`,
+      description: `Plan a multi-query Qdrant search strategy for {format} using plan_qdrant_search_strategy, then execute qdrant_semantic_search with the planned queries and filters and mode: "hybrid" (keyword + vector, so segment tags, data element IDs and qualifiers match exactly). Return a concise JSON summary with {queries, mustFilters, shouldFilters, results}.`,
       agent: strategistAgent,
       expectedOutput: 'Search plan and top results',
       isDeliverable: false,
@@ -57,9 +62,9 @@ async function main() {
 
     const t3 = new Task({
       title: `Test parser for ${format}`,
-      description: `Use test_edifact_parser_module with { moduleCode: {taskResult:task3}.moduleCode || {taskResult:task3}, samples: {samplesForFormat} }. Return { success, results }.`,
+      description: `Use test_edifact_parser_module with { moduleCode: {taskResult:task3}.moduleCode || {taskResult:task3}, samples: {samplesForFormat}, format: {format} }. Return { format, success, score, results }.`,
       agent: testerAgent,
-      expectedOutput: 'Test results with pass/fail',
+      expectedOutput: 'Test results with pass/fail and score',
       isDeliverable: true,
     });
 
@@ -68,7 +73,7 @@ async function main() {
       agents: [strategistAgent, knowledgeAgent, builderAgent, testerAgent],
       tasks: [t0, t1, t2, t3],
       inputs: { format, exampleSample: group[0]?.text || '', samplesForFormat: group },
-      // Provide both env names to satisfy different integrations; agents explicitly use provider: 'google'
+      // Agents use the llmInstance from src/lib/llm.js; keys are kept for KaibanJS integrations
       env: {
         GOOGLE_API_KEY: process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY,
         GOOGLE_AI_API_KEY: process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY,
@@ -119,29 +124,74 @@ async function main() {
       const tPlan = taskByTitle(`Plan retrieval for ${format}`);
       const tSpec = taskByTitle(`Fetch spec for ${format}`);
       const tGen  = taskByTitle(`Generate parser for ${format}`);
-      const tTest = taskByTitle(`Test parser for ${format}`);
 
       if (tPlan?.result) {
         await writeJson('search-plan.json', tPlan.result);
       }
+      let specModel = null;
       if (tSpec?.result) {
         await writeJson('spec.json', tSpec.result);
+        // Normalized spec model read by the baseline explain of parse_and_explain_message
+        try {
+          let spec = tSpec.result;
+          if (typeof spec === 'string') { try { spec = JSON.parse(spec); } catch {} }
+          specModel = normalizeSpec(typeof spec === 'object' ? spec : null, format);
+          await writeJson('spec-model.json', specModel);
+        } catch (e) {
+          console.warn('Failed normalizing spec model:', e.message);
+        }
       }
+      let tests = null;
       if (tGen?.result) {
         // Result might be a string (moduleCode) or an object { moduleCode }
         let code = tGen.result;
+        if (typeof code === 'string' && code.trim().startsWith('{')) {
+          // Agents may hand back the tool result as serialized JSON
+          try { code = JSON.parse(code); } catch {}
+        }
         if (code && typeof code === 'object' && 'moduleCode' in code) code = code.moduleCode;
         if (typeof code === 'string' && code.trim().length > 0) {
-          // Prefer .js extension for generated parsers
-          const jsPath = path.join(outDir, 'parser.js');
-          await fs.writeFile(jsPath, code, 'utf8');
-          // Clean up legacy .txt if present
-          const legacy = path.join(outDir, 'parser.js.txt');
-          try { await fs.rm(legacy); } catch {}
+          // The registry gate needs results for exactly this code, not the tester agent's answer
+          try {
+            tests = await testerTool.invoke({ moduleCode: code, samples: group, format });
+          } catch (e) {
+            tests = { format, success: false, score: 0, error: e.message };
+          }
+          // Failing tests go back to the generator; the best-scoring attempt is kept
+          const maxAttempts = getRepairAttempts();
+          if (maxAttempts > 0 && testScore(tests) < 1) {
+            try {
+              const { best } = await repairParser(
+                { format, spec: tSpec?.result ?? '', sample: group[0]?.text || '', samples: group, code },
+                { generator: parserGenerator, tester: testerTool, maxAttempts, dir: path.join(outDir, 'attempts'), log: (line) => console.log(`Repair ${line}`) }
+              );
+              if (best.attempt > 1) console.log(`Repair ${format}: keeping attempt ${best.attempt} (score ${best.score.toFixed(2)})`);
+              code = best.code;
+              tests = best.tests;
+            } catch (e) {
+              console.warn(`Repair loop for ${format} failed:`, e.message);
+            }
+          }
+          // Versioned in the parser registry; only a version whose tests passed becomes active
+          try {
+            const { entry, promoted } = await registerParser({
+              format,
+              code,
+              formatVersion: specModel?.version ?? null,
+              spec: tSpec?.result,
+              tests,
+            });
+            console.log(promoted
+              ? `Parser ${format} v${entry.version} passed its tests and is now active`
+              : `Parser ${format} v${entry.version} registered but not activated (tests did not pass)`);
+          } catch (e) {
+            console.warn(`Failed registering parser for ${format}:`, e.message);
+          }
         }
       }
-      if (tTest?.result) {
-        await writeJson('tests.json', tTest.result);
+      if (tests) {
+        console.log(`Tests ${format}: score ${testScore(tests).toFixed(2)}`);
+        await writeJson('tests.json', tests);
       }
       console.log(`Finished ${format}. Artifacts persisted to ${outDir}`);
       if (stopAfterFormat && stopAfterFormat === format) {
@@ -0,0 +1,202 @@
+// AHB condition expressions ("[12] ∧ ([2] ∨ [3])", "[931][494]") and their three-valued
+// evaluation. Numbered conditions are predicates registered per format; a condition without a
+// predicate (or whose predicate cannot decide) evaluates to 'unknown' instead of passing.
+
+/** Evaluation result of a condition or expression. */
+export const UNKNOWN = 'unknown';
+
+// Operators: ∧/U (and), ∨/O (or), ⊻/X (exclusive or), ¬ (not); adjacent operands are joined by "and"
+const OPERATORS = { '∧': 'and', U: 'and', '∨': 'or', O: 'or', '⊻': 'xor', X: 'xor' };
+
+function tokenize(text) {
+  const tokens = [];
+  const src = String(text ?? '');
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '[') {
+      const end = src.indexOf(']', i);
+      const id = end < 0 ? '' : src.slice(i + 1, end).trim();
+      if (!/^[A-Za-z]*\d+$/.test(id)) throw new Error(`AHB_EXPRESSION_INVALID: bad condition reference at ${i} in "${src}"`);
+      tokens.push({ type: 'ref', id });
+      i = end + 1;
+      continue;
+    }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i++; continue; }
+    if (ch === '¬') { tokens.push({ type: 'not' }); i++; continue; }
+    if (OPERATORS[ch] && !/[A-Za-z0-9]/.test(src[i + 1] || '')) { tokens.push({ type: 'op', op: OPERATORS[ch] }); i++; continue; }
+    throw new Error(`AHB_EXPRESSION_INVALID: unexpected "${ch}" at ${i} in "${src}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition expression into an AST: { type: 'ref', id } | { type: 'not', operand } |
+ * { type: 'and'|'or'|'xor', left, right }. Precedence (high → low): ¬, and, xor, or.
+ * @throws {Error} AHB_EXPRESSION_INVALID
+ */
+export function parseAhbExpression(text) {
+  const tokens = tokenize(text);
+  if (!tokens.length) throw new Error(`AHB_EXPRESSION_INVALID: empty expression`);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const binary = (op, next) => () => {
+    let left = next();
+    while (peek()?.type === 'op' && peek().op === op) {
+      pos++;
+      left = { type: op, left, right: next() };
+    }
+    return left;
+  };
+  const primary = () => {
+    const t = tokens[pos++];
+    if (!t) throw new Error(`AHB_EXPRESSION_INVALID: unexpected end of "${text}"`);
+    if (t.type === 'ref') return { type: 'ref', id: t.id };
+    if (t.type === 'not') return { type: 'not', operand: primary() };
+    if (t.type === '(') {
+      const inner = or();
+      if (tokens[pos++]?.type !== ')') throw new Error(`AHB_EXPRESSION_INVALID: missing ")" in "${text}"`);
+      return inner;
+    }
+    throw new Error(`AHB_EXPRESSION_INVALID: unexpected ${t.op || t.type} in "${text}"`);
+  };
+  // "[931][494]": operands without an operator in between are joined by "and"
+  const and = () => {
+    let left = primary();
+    for (;;) {
+      const t = peek();
+      if (t?.type === 'op' && t.op === 'and') { pos++; left = { type: 'and', left, right: primary() }; continue; }
+      if (t && (t.type === 'ref' || t.type === '(' || t.type === 'not')) { left = { type: 'and', left, right: primary() }; continue; }
+      return left;
+    }
+  };
+  const xor = binary('xor', and);
+  const or = binary('or', xor);
+  const ast = or();
+  if (pos < tokens.length) throw new Error(`AHB_EXPRESSION_INVALID: unexpected ${tokens[pos].op || tokens[pos].type} in "${text}"`);
+  return ast;
+}
+
+/** Condition ids referenced by an expression AST, in order of appearance. */
+export function conditionIds(ast) {
+  if (!ast) return [];
+  if (ast.type === 'ref') return [ast.id];
+  if (ast.type === 'not') return conditionIds(ast.operand);
+  return [...new Set([...conditionIds(ast.left), ...conditionIds(ast.right)])];
+}
+
+/**
+ * Numbered AHB conditions as predicates over the parsed message. A predicate receives the
+ * evaluation context (see createConditionContext) and returns true, false, or null/undefined when
+ * it cannot decide. Predicates are registered for one format or for all ('*').
+ */
+export class AhbConditionRegistry {
+  constructor() {
+    this.conditions = new Map();
+  }
+
+  /**
+   * @param {string|number} id condition number as written in the AHB, e.g. 12 or 931
+   * @param {(ctx: object) => boolean|null|undefined} predicate
+   * @param {{ format?: string, description?: string }} [options]
+   */
+  register(id, predicate, { format = '*', description = null } = {}) {
+    if (typeof predicate !== 'function') throw new Error(`AHB_CONDITION_INVALID: predicate for [${id}] must be a function`);
+    this.conditions.set(`${String(format).toUpperCase()}|${id}`, { id: String(id), format: String(format).toUpperCase(), predicate, description });
+    return this;
+  }
+
+  /** Entry for a condition, preferring the format-specific one. */
+  get(id, format) {
+    return this.conditions.get(`${String(format || '*').toUpperCase()}|${id}`) || this.conditions.get(`*|${id}`) || null;
+  }
+
+  /** Copy with the same entries, for callers adding their own predicates. */
+  clone() {
+    const copy = new AhbConditionRegistry();
+    for (const [key, entry] of this.conditions) copy.conditions.set(key, entry);
+    return copy;
+  }
+}
+
+/**
+ * Evaluation context for predicates: the message (buildInterchangeTree message), the segment
+ * instance and value a requirement is checked on (null for message-level rules) plus lookups.
+ * @param {{ message: object, segment?: object, value?: string, format?: string, pruefidentifikator?: string }} input
+ */
+export function createConditionContext({ message, segment = null, value = null, format = null, pruefidentifikator = null }) {
+  const all = [message?.header, ...(message?.segments || []), message?.trailer].filter(Boolean);
+  const matches = (s, tag, qualifier) => s.tag === tag && (qualifier == null || s.elements?.[0]?.[0] === qualifier);
+  return {
+    message,
+    segment,
+    value,
+    format: format || message?.type || null,
+    pruefidentifikator,
+    /** Segments of the message with `tag` (and qualifier in the first component, e.g. RFF ACE). */
+    segments: (tag, qualifier) => all.filter(s => matches(s, tag, qualifier)),
+    has: (tag, qualifier) => all.some(s => matches(s, tag, qualifier)),
+    /** Segments in the same segment group instance as the current segment. */
+    sameGroup: (tag, qualifier) => all.filter(s => matches(s, tag, qualifier) && (s.groupPath || '') === (segment?.groupPath || '')),
+    /** Component value of a segment ("" when absent); element/component indexes are 0-based. */
+    valueOf: (seg, i, j = 0) => String(seg?.elements?.[i]?.[j] ?? ''),
+  };
+}
+
+const and3 = (a, b) => (a === false || b === false ? false : a === true && b === true ? true : UNKNOWN);
+const or3 = (a, b) => (a === true || b === true ? true : a === false && b === false ? false : UNKNOWN);
+
+/**
+ * Evaluate an expression (text or AST) in three-valued logic: true, false or 'unknown' (Kleene).
+ * `unknown` lists the conditions that had no predicate or no decision; `evaluated` the results
+ * per condition.
+ * @param {string|object} expression
+ * @param {object} ctx from createConditionContext
+ * @param {AhbConditionRegistry} [registry]
+ * @returns {{ value: true|false|'unknown', unknown: string[], evaluated: Record<string, true|false|'unknown'> }}
+ */
+export function evaluateAhbCondition(expression, ctx, registry = defaultConditionRegistry) {
+  const ast = typeof expression === 'string' ? parseAhbExpression(expression) : expression;
+  const evaluated = {};
+  const condition = (id) => {
+    if (id in evaluated) return evaluated[id];
+    const entry = registry.get(id, ctx?.format);
+    let result = UNKNOWN;
+    if (entry) {
+      try {
+        const r = entry.predicate(ctx);
+        if (r === true || r === false) result = r;
+      } catch {
+        // A failing predicate cannot decide
+      }
+    }
+    evaluated[id] = result;
+    return result;
+  };
+  const visit = (node) => {
+    switch (node.type) {
+      case 'ref': return condition(node.id);
+      case 'not': { const v = visit(node.operand); return v === UNKNOWN ? UNKNOWN : !v; }
+      case 'and': return and3(visit(node.left), visit(node.right));
+      case 'or': return or3(visit(node.left), visit(node.right));
+      case 'xor': {
+        const a = visit(node.left);
+        const b = visit(node.right);
+        return a === UNKNOWN || b === UNKNOWN ? UNKNOWN : a !== b;
+      }
+      default: throw new Error(`AHB_EXPRESSION_INVALID: unknown node ${node.type}`);
+    }
+  };
+  const value = visit(ast);
+  return { value, unknown: Object.keys(evaluated).filter(id => evaluated[id] === UNKNOWN), evaluated };
+}
+
+// Format conditions shared by all AHBs (EDI@Energy "Allgemeine Festlegungen")
+export const defaultConditionRegistry = new AhbConditionRegistry()
+  .register('931', (ctx) => {
+    // DTM 2380 with format 303 (CCYYMMDDHHMMZZZ): time zone must be +00
+    if (ctx.segment?.tag !== 'DTM' || !ctx.value) return null;
+    const m = /^\d{12}([+-]\d{2})$/.exec(ctx.value);
+    return m ? m[1] === '+00' : null;
+  }, { description: 'Format: ZZZ = +00' });
@@ -0,0 +1,268 @@
+// Prüfidentifikator-aware AHB validation. The legal content of a message in German market
+// communication depends on its Prüfidentifikator (RFF+Z13), so AHB rules are loaded per format and
+// Prüfidentifikator from the spec store (documents ingested with `npm run ingest`, doc_type AHB)
+// and checked on top of the format-level MIG validation. Conditional requirements are evaluated
+// with the condition registry of ahbConditions.js.
+import { getVectorStore } from './vectorStore.js';
+import { withSpecCache } from './specCache.js';
+import { getSpecModel } from './specModel.js';
+import { defaultConditionRegistry, createConditionContext, evaluateAhbCondition } from './ahbConditions.js';
+
+/**
+ * AHB status → requirement: Muss (M, R, X), Soll, Kann (D, O, C) or N (not used), plus the
+ * condition expression following it ("Muss [12] ∧ [3]" → condition "[12] ∧ [3]").
+ * @returns {{ requirement: 'Muss'|'Soll'|'Kann'|'N', condition: string|null }|null}
+ */
+export function parseAhbStatus(status) {
+  const m = /^\s*(Muss|Soll|Kann|[MRXDOCN])\b\s*(.*)$/i.exec(String(status ?? ''));
+  if (!m) return null;
+  const word = m[1].length === 1 ? m[1].toUpperCase() : m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
+  const requirement = { M: 'Muss', R: 'Muss', X: 'Muss', D: 'Kann', O: 'Kann', C: 'Kann' }[word] || word;
+  return { requirement, condition: m[2].trim() || null };
+}
+
+/** Prüfidentifikator of a message (first RFF+Z13 below UNH), or null. */
+export function detectPruefidentifikator(message) {
+  const rff = (message?.segments || []).find(s => s.tag === 'RFF' && s.elements?.[0]?.[0] === 'Z13');
+  const value = rff?.elements?.[0]?.[1];
+  return value ? String(value) : null;
+}
+
+/**
+ * Rule set from ingested AHB segment payloads of one Prüfidentifikator:
+ * { format, version, pruefidentifikator, segments: [{ segment, group, name, status, source, line,
+ * elements: [{ id, name, status, format, codes, line }] }] }, or null without segment rules.
+ */
+export function buildAhbRuleSet(payloads, { format, pruefidentifikator }) {
+  const segments = (payloads || [])
+    .filter(p => p?.chunk_type === 'segment' && p.segment && String(p.pruefidentifikator) === String(pruefidentifikator))
+    .map(p => ({
+      segment: p.segment,
+      group: p.segment_group || null,
+      name: p.name || null,
+      status: p.status || null,
+      source: p.source || null,
+      line: p.line ?? null,
+      elements: (p.fields || []).filter(f => f?.data_element).map(f => ({
+        id: String(f.data_element),
+        name: f.name || null,
+        status: f.status || null,
+        format: f.format || null,
+        codes: Array.isArray(f.codes) ? f.codes : [],
+        line: f.line ?? null,
+      })),
+    }));
+  if (!segments.length) return null;
+  const first = payloads.find(p => p?.chunk_type === 'segment');
+  return {
+    format: String(format).toUpperCase(),
+    version: first?.format_version || null,
+    pruefidentifikator: String(pruefidentifikator),
+    segments,
+  };
+}
+
+/**
+ * Load the AHB rule set of a Prüfidentifikator from the spec store (through the spec cache, so
+ * offline runs use the cached rules). Returns null when the store has no AHB rules for it.
+ * @param {{ format: string, pruefidentifikator: string, version?: string }} key
+ * @param {{ store?: object }} [options]
+ */
+export async function loadAhbRuleSet({ format, pruefidentifikator, version = null }, { store } = {}) {
+  const fmt = String(format).toUpperCase();
+  const load = async () => {
+    const s = store || getVectorStore();
+    const filter = {
+      must: [
+        { key: 'doc_type', match: { value: 'AHB' } },
+        { key: 'format', match: { value: fmt } },
+        { key: 'pruefidentifikator', match: { value: String(pruefidentifikator) } },
+        { key: 'chunk_type', match: { value: 'segment' } },
+        ...(version ? [{ key: 'format_version', match: { value: version } }] : []),
+      ],
+    };
+    const payloads = [];
+    let offset = null;
+    do {
+      const page = await s.scroll({ filter, limit: 256, offset });
+      payloads.push(...(page.points || []).map(p => p.payload));
+      offset = page.next_page_offset ?? null;
+    } while (offset != null);
+    return buildAhbRuleSet(payloads, { format: fmt, pruefidentifikator });
+  };
+  try {
+    return await withSpecCache({ format: fmt, version, name: `ahb-${pruefidentifikator}` }, load, { cacheable: r => r != null });
+  } catch (e) {
+    if (!String(e.message).startsWith('SPEC_CACHE_MISS')) throw e;
+    return null;
+  }
+}
+
+/** [elementIndex, componentIndex|null] of a data element id in a segment definition of the spec model. */
+function locate(definition, id) {
+  const elements = definition?.elements || [];
+  for (let i = 0; i < elements.length; i++) {
+    if (elements[i].id === id) return [i, Array.isArray(elements[i].components) ? null : 0];
+    const j = (elements[i].components || []).findIndex(c => c.id === id);
+    if (j >= 0) return [i, j];
+  }
+  return null;
+}
+
+/**
+ * Check one message (buildInterchangeTree message) against an AHB rule set. Muss violations are
+ * errors, Soll violations warnings; Kann imposes nothing. A requirement with a condition applies
+ * when the condition holds and turns into "not used" when it does not (a failed format condition,
+ * 900 and above, is reported as AHB_FORMAT_CONDITION_FAILED instead); conditions that cannot be
+ * decided (no predicate in the registry) are reported as AHB_CONDITION_UNKNOWN instead of being
+ * enforced or passed. Data elements are located through the spec model's segment definitions; ids
+ * the model does not know are skipped. Every finding carries `ahbReference` ({ pruefidentifikator,
+ * version, source, line, status }) pointing at the AHB line.
+ * @param {object} message
+ * @param {object} ruleSet from loadAhbRuleSet/buildAhbRuleSet
+ * @param {object} [model] spec model of the message type (built-in model by default)
+ * @param {{ conditions?: import('./ahbConditions.js').AhbConditionRegistry }} [options]
+ */
+export function validateAhbMessage(message, ruleSet, model = getSpecModel(ruleSet.format), { conditions = defaultConditionRegistry } = {}) {
+  const errors = [];
+  const instances = [message.header, ...(message.segments || []), message.trailer].filter(Boolean);
+  const presentGroups = new Set(instances.flatMap(s => (s.groupPath || '').split('/').filter(Boolean).map(p => p.replace(/\[\d+\]$/, ''))));
+  const innermostGroup = (s) => {
+    const parts = (s.groupPath || '').split('/').filter(Boolean);
+    return parts.length ? parts[parts.length - 1].replace(/\[\d+\]$/, '') : null;
+  };
+  const push = (code, severity, text, seg, rule, extra) => {
+    errors.push({
+      code,
+      severity,
+      message: text,
+      segmentTag: seg ? seg.tag : rule.segment,
+      position: seg ? seg.position : message.header?.position ?? null,
+      messageReference: message.reference ?? null,
+      ...(extra || {}),
+      ahbReference: {
+        pruefidentifikator: ruleSet.pruefidentifikator,
+        version: ruleSet.version,
+        source: rule.source,
+        line: rule.line ?? null,
+        status: rule.status,
+      },
+    });
+  };
+  const pi = ruleSet.pruefidentifikator;
+  const reported = new Set();
+  // Requirement in force for one segment instance/value: Muss|Soll|Kann|N, or null when undecided
+  const effective = (rule, label, seg, value, extra = {}) => {
+    const status = parseAhbStatus(rule.status);
+    if (!status) return null;
+    if (!status.condition) return status.requirement;
+    const once = (key, fn) => { if (!reported.has(key)) { reported.add(key); fn(); } };
+    let result;
+    try {
+      const ctx = createConditionContext({ message, segment: seg, value, format: ruleSet.format, pruefidentifikator: pi });
+      result = evaluateAhbCondition(status.condition, ctx, conditions);
+    } catch (e) {
+      once(rule.line + '|' + rule.status, () => push('AHB_CONDITION_INVALID', 'warning', `${label}: ${e.message}`, seg, rule, extra));
+      return null;
+    }
+    if (result.value === true) return status.requirement;
+    if (result.value === false) {
+      // Format conditions (900 and above) constrain the value instead of the use of the field
+      const failed = Object.keys(result.evaluated).filter(id => result.evaluated[id] === false);
+      if (value && failed.length && failed.every(id => Number(id.replace(/\D/g, '')) >= 900)) {
+        const described = failed.map(id => '[' + id + ']' + (conditions.get(id, ruleSet.format)?.description ? ' ' + conditions.get(id, ruleSet.format).description : ''));
+        push('AHB_FORMAT_CONDITION_FAILED', 'error', `${label}: value ${value} violates ${described.join(', ')}`, seg, rule, { ...extra, value, failedConditions: failed });
+        return status.requirement;
+      }
+      return 'N';
+    }
+    once(rule.line + '|' + rule.status + '|' + result.unknown.join(), () => push('AHB_CONDITION_UNKNOWN', 'info',
+      `${label}: requirement "${rule.status}" not checked, no decision for condition ${result.unknown.map(id => '[' + id + ']').join(', ')}`,
+      seg, rule, { ...extra, unknownConditions: result.unknown }));
+    return null;
+  };
+  const notUsed = (rule) => (parseAhbStatus(rule.status)?.condition ? ` (condition ${parseAhbStatus(rule.status).condition} not met)` : '');
+  const where = (rule) => rule.segment + (rule.group ? ' in ' + rule.group : '');
+  for (const rule of ruleSet.segments) {
+    const matches = instances.filter(s => s.tag === rule.segment && (rule.group ? innermostGroup(s) === rule.group : !s.groupPath));
+    // Segments of a group that does not occur are covered by the group's own requirement
+    const applies = !rule.group || presentGroups.has(rule.group);
+    if (applies || matches.length) {
+      const requirement = effective(rule, 'Segment ' + where(rule), matches[0] || null, null);
+      if (!matches.length && (requirement === 'Muss' || requirement === 'Soll')) {
+        const muss = requirement === 'Muss';
+        push(muss ? 'AHB_SEGMENT_MISSING' : 'AHB_SEGMENT_RECOMMENDED', muss ? 'error' : 'warning',
+          `${requirement}: segment ${where(rule)} missing for Prüfidentifikator ${pi}`, null, rule);
+      }
+      if (matches.length && requirement === 'N') {
+        push('AHB_SEGMENT_NOT_ALLOWED', 'error', `Segment ${where(rule)} must not be used for Prüfidentifikator ${pi}${notUsed(rule)}`, matches[0], rule);
+      }
+    }
+    const definition = model?.segments?.[rule.segment];
+    for (const el of rule.elements) {
+      const at = locate(definition, el.id);
+      if (!at) continue;
+      const [i, j] = at;
+      const elementRule = { ...rule, line: el.line ?? rule.line, status: el.status };
+      const field = rule.segment + '/' + String(i + 1).padStart(2, '0') + (j == null ? '' : '/' + String(j + 1).padStart(2, '0'));
+      for (const seg of matches) {
+        const comps = seg.elements?.[i] || [];
+        const value = j == null ? comps.filter(c => c != null && c !== '').join(':') : String(comps[j] ?? '');
+        const extra = { field, dataElement: el.id, ...(seg.groupPath ? { groupPath: seg.groupPath } : {}) };
+        const requirement = effective(elementRule, rule.segment + ' data element ' + el.id, seg, value, extra);
+        if (!value) {
+          if (requirement === 'Muss' || requirement === 'Soll') {
+            const muss = requirement === 'Muss';
+            push(muss ? 'AHB_ELEMENT_MISSING' : 'AHB_ELEMENT_RECOMMENDED', muss ? 'error' : 'warning',
+              `${requirement}: ${rule.segment} data element ${el.id}${el.name ? ' (' + el.name + ')' : ''} missing for Prüfidentifikator ${pi}`, seg, elementRule, extra);
+          }
+          continue;
+        }
+        if (requirement === 'N') {
+          push('AHB_ELEMENT_NOT_ALLOWED', 'error', `${rule.segment} data element ${el.id} must not be used for Prüfidentifikator ${pi}${notUsed(elementRule)}`, seg, elementRule, { ...extra, value });
+          continue;
+        }
+        if (j != null && el.codes.length && !el.codes.some(c => c.code === value)) {
+          push('AHB_CODE_NOT_ALLOWED', 'error', `Code ${value} is not allowed in ${rule.segment} data element ${el.id} for Prüfidentifikator ${pi} (allowed: ${el.codes.map(c => c.code).join(', ')})`,
+            seg, elementRule, { ...extra, value });
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate every message of an interchange tree against the AHB rules of its Prüfidentifikator.
+ * Messages without RFF+Z13 are skipped; a Prüfidentifikator without rules in the store yields an
+ * AHB_RULESET_NOT_FOUND warning.
+ * @param {Array<{ messages: object[] }>} interchanges
+ * @param {{ models?: Record<string, object>, version?: string, conditions?: object, loadRuleSet?: (key: { format: string, pruefidentifikator: string, version?: string }) => Promise<object|null> }} [options]
+ * @returns {Promise<Array<object>>}
+ */
+export async function validateAhb(interchanges, { models = {}, version, conditions, loadRuleSet = loadAhbRuleSet } = {}) {
+  const errors = [];
+  const ruleSets = new Map();
+  for (const ic of interchanges || []) {
+    for (const message of ic.messages || []) {
+      const pruefidentifikator = detectPruefidentifikator(message);
+      if (!pruefidentifikator || !message.type) continue;
+      const key = message.type + '|' + pruefidentifikator;
+      if (!ruleSets.has(key)) ruleSets.set(key, await loadRuleSet({ format: message.type, pruefidentifikator, version }));
+      const ruleSet = ruleSets.get(key);
+      if (!ruleSet) {
+        errors.push({
+          code: 'AHB_RULESET_NOT_FOUND',
+          severity: 'warning',
+          message: `No AHB rules for ${message.type} Prüfidentifikator ${pruefidentifikator} in the spec store`,
+          segmentTag: 'UNH',
+          position: message.header?.position ?? null,
+          messageReference: message.reference ?? null,
+        });
+        continue;
+      }
+      errors.push(...validateAhbMessage(message, ruleSet, models[message.type] || getSpecModel(message.type), { conditions }));
+    }
+  }
+  return errors;
+}
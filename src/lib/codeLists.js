@@ -0,0 +1,172 @@
+// Code lists for explanations: meanings (German and English) of code values per data element,
+// e.g. DTM 2005 "137", NAD 3035 "MS" or BDEW Z-codes. Layers, later ones win:
+//   1. built-in generic lists (BUILTIN_CODE_LISTS)
+//   2. codes of the spec model (MIG/AHB payloads normalized by specModel.js)
+//   3. codes from the spec store (ingested MIG/AHB data elements; the format release's own codes last)
+//   4. curated local files in CODE_LIST_DIR (default ./codelists): common.json, <FORMAT>.json,
+//      <FORMAT>_<version>.json, each { [dataElement]: { [code]: "meaning" | { de, en } } }
+// Resolved lists have the shape { [dataElement]: { [code]: { de, en } } }.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getVectorStore } from './vectorStore.js';
+import { withSpecCache } from './specCache.js';
+
+const code = (de, en) => ({ de, en });
+
+// Generic UN/EDIFACT and BDEW codes used across formats
+export const BUILTIN_CODE_LISTS = {
+  '0001': { UNOA: code('Zeichensatz Level A', 'Syntax level A'), UNOB: code('Zeichensatz Level B', 'Syntax level B'), UNOC: code('Zeichensatz Level C (ISO 8859-1)', 'Syntax level C (ISO 8859-1)') },
+  '0007': { 14: code('GS1', 'GS1'), 500: code('DE, BDEW', 'DE, BDEW'), 502: code('DE, DVGW', 'DE, DVGW') },
+  '0051': { UN: code('UN/CEFACT', 'UN/CEFACT') },
+  1153: {
+    ON: code('Bestellnummer', 'Order number'),
+    TN: code('Transaktions-Referenznummer', 'Transaction/reference number'),
+    ACE: code('Nummer eines zugehörigen Dokuments', 'Related document number'),
+    ACW: code('Referenznummer einer vorangegangenen Nachricht', 'Reference number to previous message'),
+    AGO: code('Auftrags-/Vereinbarungsreferenz', 'Agreement/order reference'),
+    Z13: code('Prüfidentifikator', 'Check identifier (Prüfidentifikator)'),
+  },
+  1225: { 1: code('Storno', 'Cancellation'), 5: code('Ersetzen', 'Replace'), 9: code('Original', 'Original') },
+  1001: {
+    220: code('Bestellung', 'Order'),
+    380: code('Handelsrechnung', 'Commercial invoice'),
+    381: code('Gutschrift', 'Credit note'),
+    481: code('Zahlungsavis', 'Remittance advice'),
+  },
+  2005: {
+    137: code('Dokumenten-/Nachrichtendatum/-zeit', 'Document/message date/time'),
+    163: code('Beginn Verarbeitungszeitraum', 'Processing start date/time'),
+    164: code('Ende Verarbeitungszeitraum', 'Processing end date/time'),
+    171: code('Referenzdatum/-zeit', 'Reference date/time'),
+  },
+  2379: {
+    102: code('JJJJMMTT', 'CCYYMMDD'),
+    203: code('JJJJMMTTHHMM', 'CCYYMMDDHHMM'),
+    303: code('JJJJMMTTHHMMZZZ (mit Zeitzone)', 'CCYYMMDDHHMMZZZ (with time zone)'),
+    602: code('JJJJ', 'CCYY'),
+    610: code('JJJJMM', 'CCYYMM'),
+  },
+  3035: {
+    MS: code('Nachrichtenabsender', 'Message sender'),
+    MR: code('Nachrichtenempfänger', 'Message recipient'),
+    DP: code('Lieferanschrift', 'Delivery party'),
+  },
+  3055: { 9: code('GS1', 'GS1'), 293: code('DE, BDEW', 'DE, BDEW'), 332: code('DE, DVGW', 'DE, DVGW') },
+};
+
+/** Add codes ([{ code, meaning }] or { code: meaning|{ de, en } }) for a data element to a resolved list. */
+function merge(target, dataElement, codes, lang = 'de') {
+  if (!dataElement || !codes) return;
+  const entries = Array.isArray(codes)
+    ? codes.filter(c => c?.code).map(c => [c.code, c.meaning ?? c[lang] ?? null, c])
+    : Object.entries(codes).map(([k, v]) => [k, typeof v === 'string' ? v : null, v]);
+  for (const [key, meaning, raw] of entries) {
+    const list = target[dataElement] || (target[dataElement] = {});
+    const prev = list[key] || { de: null, en: null };
+    const next = raw && typeof raw === 'object' && ('de' in raw || 'en' in raw)
+      ? { de: raw.de ?? null, en: raw.en ?? null }
+      : { [lang]: meaning };
+    list[key] = {
+      de: next.de ?? prev.de,
+      en: next.en ?? prev.en,
+    };
+  }
+}
+
+function resolveBuiltin() {
+  const out = {};
+  for (const [dataElement, codes] of Object.entries(BUILTIN_CODE_LISTS)) merge(out, dataElement, codes);
+  return out;
+}
+
+function mergeModel(out, model) {
+  for (const def of Object.values(model?.segments || {})) {
+    for (const el of def.elements || []) {
+      merge(out, el.id, el.codes);
+      for (const c of el.components || []) merge(out, c.id, c.codes);
+    }
+  }
+}
+
+/**
+ * Code lists available without I/O: built-in lists plus the codes of a spec model.
+ * @param {object} [model] spec model (see specModel.js)
+ */
+export function getCodeLists(model) {
+  const out = resolveBuiltin();
+  mergeModel(out, model);
+  return out;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`CODE_LIST_INVALID: ${file}: ${e.message}`);
+  }
+}
+
+/** Codes of ingested data elements for a format; payloads of the requested release come last. */
+async function storeCodes(format, version, store) {
+  const load = async () => {
+    const s = store || getVectorStore();
+    const filter = { must: [{ key: 'format', match: { value: format } }, { key: 'chunk_type', match: { value: 'data_element' } }] };
+    const rows = [];
+    let offset = null;
+    do {
+      const page = await s.scroll({ filter, limit: 256, offset });
+      for (const p of page.points || []) {
+        if (Array.isArray(p.payload?.codes) && p.payload.codes.length) {
+          rows.push({ dataElement: p.payload.data_element, version: p.payload.format_version || null, codes: p.payload.codes });
+        }
+      }
+      offset = page.next_page_offset ?? null;
+    } while (offset != null);
+    return rows.sort((a, b) => Number(a.version === version) - Number(b.version === version));
+  };
+  try {
+    return await withSpecCache({ format, version, name: 'codelists' }, load, { cacheable: r => r.length > 0 });
+  } catch (e) {
+    if (!String(e.message).startsWith('SPEC_CACHE_MISS')) throw e;
+    return [];
+  }
+}
+
+/**
+ * Resolve the code lists for a format release from all layers (see the module comment).
+ * @param {{ format?: string, version?: string, model?: object, dir?: string, store?: object, useStore?: boolean }} [options]
+ * @returns {Promise<Record<string, Record<string, { de: string|null, en: string|null }>>>}
+ */
+export async function loadCodeLists({ format, version = null, model, dir = process.env.CODE_LIST_DIR || 'codelists', store, useStore = true } = {}) {
+  const fmt = format ? String(format).toUpperCase() : null;
+  const out = getCodeLists(model);
+  if (fmt && useStore) {
+    let rows = [];
+    try {
+      rows = await storeCodes(fmt, version, store);
+    } catch (e) {
+      // Explanations still work with the other layers when the store is unreachable
+      console.warn(`Code lists for ${fmt}: spec store unavailable (${e.message})`);
+    }
+    for (const row of rows) merge(out, row.dataElement, row.codes);
+  }
+  const base = path.resolve(process.cwd(), dir);
+  const files = ['common.json', ...(fmt ? [`${fmt}.json`] : []), ...(fmt && version ? [`${fmt}_${version}.json`] : [])];
+  for (const file of files) {
+    const doc = await readJson(path.join(base, file));
+    for (const [dataElement, codes] of Object.entries(doc?.codeLists || doc || {})) merge(out, dataElement, codes);
+  }
+  return out;
+}
+
+/**
+ * Meaning of a code value for a data element in the preferred language (falling back to the other).
+ * @returns {{ code: string, de: string|null, en: string|null, text: string }|null}
+ */
+export function describeCode(codeLists, dataElement, value, lang = 'en') {
+  const entry = codeLists?.[dataElement]?.[value];
+  if (!entry) return null;
+  const text = (lang === 'de' ? entry.de || entry.en : entry.en || entry.de) || null;
+  return text ? { code: String(value), de: entry.de, en: entry.en, text } : null;
+}
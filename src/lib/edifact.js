@@ -0,0 +1,215 @@
+// Shared EDIFACT tokenizer and interchange tree builder.
+// The parser generator inlines these functions with `.toString()` into standalone parser modules,
+// so they may only reference each other and decodeEdifact (edifactCharset.js, inlined alongside
+// with its own helpers) – no other module-scope values or imports.
+import { decodeEdifact } from './edifactCharset.js';
+
+/**
+ * Detect delimiters from an optional UNA service string advice.
+ * @param {string} text
+ * @returns {{ componentSep: string, dataSep: string, decimalMark: string, releaseChar: string, segTerm: string }}
+ */
+export function detectDelimiters(text) {
+  // Defaults per EDIFACT
+  let componentSep = ':';
+  let dataSep = '+';
+  let decimalMark = '.';
+  let releaseChar = '?';
+  let segTerm = "'";
+  if (text.startsWith('UNA')) {
+    // UNA + 6 chars: component, data, decimal, release, reserved, terminator
+    const six = text.slice(3, 9);
+    if (six.length === 6) {
+      componentSep = six[0];
+      dataSep = six[1];
+      decimalMark = six[2];
+      releaseChar = six[3];
+      segTerm = six[5];
+    }
+  }
+  return { componentSep, dataSep, decimalMark, releaseChar, segTerm };
+}
+
+/**
+ * Split text into raw segment strings. Release sequences are kept verbatim so that
+ * escaped separators survive until the element split.
+ */
+export function splitSegments(text, segTerm, releaseChar) {
+  const segments = [];
+  let cur = '';
+  let released = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (released) { cur += releaseChar + ch; released = false; continue; }
+    if (ch === releaseChar) { released = true; continue; }
+    if (ch === segTerm) { const t = cur.trim(); if (t) segments.push(t); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) segments.push(cur.trim());
+  return segments;
+}
+
+/**
+ * Split a raw segment body (without tag) into elements and components, resolving release sequences.
+ * @returns {string[][]}
+ */
+export function splitSegmentBody(str, dataSep, componentSep, releaseChar) {
+  const elements = [];
+  let comps = [];
+  let cur = '';
+  let released = false;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (released) { cur += ch; released = false; continue; }
+    if (ch === releaseChar) { released = true; continue; }
+    if (ch === componentSep) { comps.push(cur); cur = ''; continue; }
+    if (ch === dataSep) { comps.push(cur); elements.push(comps); comps = []; cur = ''; continue; }
+    cur += ch;
+  }
+  comps.push(cur);
+  elements.push(comps);
+  return elements;
+}
+
+/**
+ * Tokenize EDIFACT text into the flat segment list. The UNA service string advice is not a
+ * segment; it is reported as `una` so writers can reproduce it. Raw bytes are decoded according
+ * to the syntax identifier declared in UNB (see decodeEdifact).
+ * @param {string|Uint8Array} text
+ * @returns {{ delimiters: object, una: string|null, segments: Array<{ tag: string, position: number, elements: string[][] }> }}
+ */
+export function tokenizeEdifact(text) {
+  if (typeof text !== 'string') text = decodeEdifact(text).text;
+  const { componentSep, dataSep, decimalMark, releaseChar, segTerm } = detectDelimiters(text);
+  const una = text.startsWith('UNA') ? text.slice(0, 9) : null;
+  const body = una ? text.slice(9) : text;
+  const segsRaw = splitSegments(body, segTerm, releaseChar).map(s => s.replace(/\r?\n/g, '').trim()).filter(Boolean);
+  const segments = [];
+  let pos = 0;
+  for (const raw of segsRaw) {
+    const tag = raw.slice(0, 3).toUpperCase();
+    const rest = raw.slice(3);
+    const elems = rest.startsWith(dataSep) ? rest.slice(1) : rest;
+    segments.push({ tag, position: ++pos, elements: splitSegmentBody(elems, dataSep, componentSep, releaseChar) });
+  }
+  return { delimiters: { componentSep, dataSep, decimalMark, releaseChar, segTerm }, una, segments };
+}
+
+/**
+ * Arrange flat segments into interchanges (UNB…UNZ) → messages (UNH…UNT) → segment groups.
+ *
+ * `groups` describes the message branching diagram below UNH, either for all messages or keyed by
+ * message type (UNH/02/01):
+ *   { segments?: string[], groups: [{ id: 'SG4', trigger: 'IDE', segments?: string[], groups?: [...] }] }
+ * A group instance opens on its trigger segment; non-trigger tags listed in `segments` stay in the
+ * innermost open group that declares them. Unknown tags stay in the innermost open group.
+ * Groups are taken in diagram order: a trigger never reopens a sibling declared before the group
+ * opened last, and an own segment of a level after its groups (e.g. UNS) moves on to the next sibling.
+ *
+ * Message shape: { type, version, release, agency, association, reference, header, trailer, segments, children }
+ * where `segments` is the flat body (without UNH/UNT) and `children` mixes segments and group nodes
+ * `{ group, repetition, children }` in document order (repetition is 1-based per parent).
+ * Segments placed inside a group are annotated with `groupPath`, e.g. "SG4[2]/SG8[1]".
+ */
+export function buildInterchangeTree(segments, groups) {
+  const diagramFor = (type) => {
+    if (!groups || typeof groups !== 'object') return { groups: [] };
+    if (Array.isArray(groups.groups)) return groups;
+    return groups[type] || { groups: [] };
+  };
+  const interchanges = [];
+  let ic = null;
+  let msg = null;
+  let stack = [];
+  const openInterchange = (header) => {
+    ic = {
+      syntaxIdentifier: header?.elements?.[0]?.[0] ?? null,
+      syntaxVersion: header?.elements?.[0]?.[1] ?? null,
+      senderId: header?.elements?.[1]?.[0] ?? null,
+      recipientId: header?.elements?.[2]?.[0] ?? null,
+      controlReference: header?.elements?.[4]?.[0] ?? null,
+      header: header || null,
+      trailer: null,
+      messages: [],
+      segments: [],
+    };
+    interchanges.push(ic);
+  };
+  const frameFor = (def, node, path) => ({ def, node, counts: {}, path, opened: -1, min: 0 });
+  const openGroup = (frame, def, index) => {
+    const repetition = (frame.counts[def.id] || 0) + 1;
+    frame.counts[def.id] = repetition;
+    frame.opened = index;
+    frame.min = index;
+    const node = { group: def.id, repetition, children: [] };
+    frame.node.children.push(node);
+    const label = def.id + '[' + repetition + ']';
+    stack.push(frameFor(def, node, frame.path ? frame.path + '/' + label : label));
+  };
+  const place = (seg) => {
+    for (let d = stack.length - 1; d >= 0; d--) {
+      const frame = stack[d];
+      const own = Array.isArray(frame.def.segments) ? frame.def.segments : [];
+      if (own.includes(seg.tag) && !(d > 0 && frame.def.trigger === seg.tag)) {
+        stack.length = d + 1;
+        // An own segment after child groups (e.g. UNS) closes them: later siblings only from here on
+        if (frame.opened >= 0) frame.min = frame.opened + 1;
+        break;
+      }
+      // Siblings may share a trigger (MSCONS SG2/SG5 on NAD, INVOIC SG6/SG52 on TAX): take the first
+      // one at or after the group opened last, never one before it
+      const children = frame.def.groups || [];
+      const index = children.findIndex((g, i) => i >= frame.min && g.trigger === seg.tag);
+      if (index >= 0) {
+        stack.length = d + 1;
+        openGroup(frame, children[index], index);
+        break;
+      }
+    }
+    const top = stack[stack.length - 1];
+    if (top.path) seg.groupPath = top.path;
+    top.node.children.push(seg);
+  };
+  for (const seg of segments) {
+    if (seg.tag === 'UNB') { openInterchange(seg); msg = null; continue; }
+    if (seg.tag === 'UNZ') {
+      if (!ic) openInterchange(null);
+      ic.trailer = seg;
+      ic = null;
+      msg = null;
+      continue;
+    }
+    if (seg.tag === 'UNH') {
+      if (!ic) openInterchange(null);
+      const id = seg.elements?.[1] || [];
+      msg = {
+        type: id[0] ? String(id[0]).toUpperCase() : null,
+        version: id[1] ?? null,
+        release: id[2] ?? null,
+        agency: id[3] ?? null,
+        association: id[4] ?? null,
+        reference: seg.elements?.[0]?.[0] ?? null,
+        header: seg,
+        trailer: null,
+        segments: [],
+        children: [],
+      };
+      ic.messages.push(msg);
+      stack = [frameFor(diagramFor(msg.type), msg, '')];
+      continue;
+    }
+    if (seg.tag === 'UNT' && msg) {
+      msg.trailer = seg;
+      msg = null;
+      continue;
+    }
+    if (!msg) {
+      if (!ic) openInterchange(null);
+      ic.segments.push(seg);
+      continue;
+    }
+    msg.segments.push(seg);
+    place(seg);
+  }
+  return interchanges;
+}
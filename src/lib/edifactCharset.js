@@ -0,0 +1,108 @@
+// Character sets of the EDIFACT syntax levels (UNB 0001): decoding of raw input, repertoire checks
+// and encoding of outgoing interchanges. Functions are self-contained apart from calling each other,
+// so the parser generator can inline them next to the tokenizer.
+
+/**
+ * Encoding label (WHATWG/TextDecoder) for a syntax identifier, or null when it cannot be decoded
+ * generically (UNOX uses ISO 2022 code extension).
+ * @param {string|null} syntaxIdentifier e.g. 'UNOC'
+ * @returns {string|null}
+ */
+export function syntaxEncoding(syntaxIdentifier) {
+  const encodings = {
+    UNOA: 'us-ascii', UNOB: 'us-ascii',
+    UNOC: 'iso-8859-1', UNOD: 'iso-8859-2', UNOE: 'iso-8859-5', UNOF: 'iso-8859-7',
+    UNOG: 'iso-8859-3', UNOH: 'iso-8859-4', UNOI: 'iso-8859-6', UNOJ: 'iso-8859-8', UNOK: 'iso-8859-9',
+    UNOW: 'utf-8', UNOY: 'utf-8',
+  };
+  return encodings[syntaxIdentifier] || null;
+}
+
+/**
+ * Read the syntax identifier from the UNB of raw input. UNA and UNB are ASCII at every syntax
+ * level, so the first bytes can be inspected before decoding.
+ * @param {string|Uint8Array} input
+ * @returns {string|null}
+ */
+export function detectSyntaxIdentifier(input) {
+  const head = typeof input === 'string'
+    ? input.slice(0, 512)
+    : String.fromCharCode(...input.subarray(0, 512));
+  const m = /UNB[^A-Za-z0-9\s](UNO[A-Z])/.exec(head);
+  return m ? m[1] : null;
+}
+
+/**
+ * Decode raw EDIFACT bytes according to the declared syntax level. Strings are returned unchanged.
+ * A UTF-8 byte order mark wins over the declaration; undeclared input is read as UTF-8. UNOA/UNOB
+ * and UNOC are read as bytes = code points, so bytes outside their repertoire reach the validator as-is.
+ * @param {string|Uint8Array} input
+ * @param {{ encoding?: string }} [options] explicit encoding label, bypasses detection
+ * @returns {{ text: string, syntaxIdentifier: string|null, encoding: string|null }}
+ */
+export function decodeEdifact(input, options) {
+  if (typeof input === 'string') return { text: input, syntaxIdentifier: detectSyntaxIdentifier(input), encoding: null };
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const syntaxIdentifier = detectSyntaxIdentifier(bytes);
+  const bom = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF;
+  const encoding = options?.encoding || (bom ? 'utf-8' : syntaxEncoding(syntaxIdentifier) || 'utf-8');
+  // TextDecoder reads these labels as windows-1252; decode byte for byte so 0x80–0x9F stay C1 controls
+  if (['iso-8859-1', 'latin1', 'us-ascii', 'ascii'].includes(String(encoding).toLowerCase())) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    return { text, syntaxIdentifier, encoding };
+  }
+  return { text: new TextDecoder(encoding).decode(bytes), syntaxIdentifier, encoding };
+}
+
+/**
+ * Predicate telling whether a character belongs to the repertoire of a syntax level, or null when
+ * the level is unrestricted (UTF-8 levels) or unknown.
+ * @param {string|null} syntaxIdentifier
+ * @returns {((ch: string) => boolean)|null}
+ */
+export function createCharsetCheck(syntaxIdentifier) {
+  // Level A: upper case letters, digits, space and a fixed set of punctuation
+  if (syntaxIdentifier === 'UNOA') return (ch) => /^[A-Z0-9 .,\-()/='+:?!"%&*;<>]$/.test(ch);
+  if (syntaxIdentifier === 'UNOB') return (ch) => ch >= ' ' && ch <= '~';
+  const encoding = syntaxEncoding(syntaxIdentifier);
+  if (!encoding || encoding === 'utf-8') return null;
+  // Graphic characters of the ISO 8859 part (G0 and G1 ranges; C1 controls are excluded)
+  const bytes = [];
+  for (let b = 0x20; b <= 0xFF; b++) if (b < 0x7F || b >= 0xA0) bytes.push(b);
+  const allowed = new Set(new TextDecoder(encoding).decode(new Uint8Array(bytes)));
+  allowed.delete('\uFFFD');
+  return (ch) => allowed.has(ch);
+}
+
+/**
+ * Encode EDIFACT text for the given syntax level. Throws CHARSET_ENCODE_FAILED for characters the
+ * target character set cannot represent instead of writing substitutes.
+ * @param {string} text
+ * @param {string|null} syntaxIdentifier defaults to the identifier declared in the text's UNB
+ * @returns {Buffer}
+ */
+export function encodeEdifact(text, syntaxIdentifier) {
+  const sid = syntaxIdentifier || detectSyntaxIdentifier(text);
+  const encoding = syntaxEncoding(sid) || 'utf-8';
+  if (encoding === 'utf-8') return Buffer.from(text, 'utf8');
+  const table = new Map();
+  const limit = encoding === 'us-ascii' ? 0x7F : 0xFF;
+  const decoder = new TextDecoder(encoding);
+  for (let b = 0; b <= limit; b++) {
+    if (b >= 0x80 && b < 0xA0) continue;
+    const ch = decoder.decode(new Uint8Array([b]));
+    if (ch !== '\uFFFD' && !table.has(ch)) table.set(ch, b);
+  }
+  const out = Buffer.alloc(text.length);
+  let n = 0;
+  for (const ch of text) {
+    const b = table.get(ch);
+    if (b === undefined) {
+      const cp = ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+      throw new Error('CHARSET_ENCODE_FAILED: character "' + ch + '" (U+' + cp + ') cannot be encoded in ' + (sid || encoding));
+    }
+    out[n++] = b;
+  }
+  return out.subarray(0, n);
+}
@@ -0,0 +1,194 @@
+// Build outgoing CONTRL (syntax acknowledgement/rejection) and APERAK (application error) messages
+// for a received interchange. Results use the parsed structure ({ delimiters, segments }) so they
+// can be written with serializeEdifact.
+import { buildInterchangeTree } from './edifact.js';
+import { validateInterchange } from './edifactValidator.js';
+
+// Validator codes → syntax error codes (0085)
+const SYNTAX_ERROR_CODES = {
+  UNB_SYNTAX_ID_INVALID: '2',
+  UNB_SYNTAX_VERSION_INVALID: '2',
+  CODE_NOT_ALLOWED: '12',
+  MANDATORY_ELEMENT_MISSING: '13',
+  SEGMENT_MISSING: '13',
+  GROUP_MISSING: '13',
+  UNB_MISSING: '13',
+  UNT_MISSING: '13',
+  UNZ_MISSING: '13',
+  INVALID_SEGMENT_TAG: '14',
+  SEGMENT_OUT_OF_MESSAGE_SCOPE: '15',
+  SEGMENT_UNEXPECTED: '15',
+  ELEMENT_NOT_USED: '15',
+  UNH_OUT_OF_SEQUENCE: '15',
+  ILLEGAL_CHARACTER: '21',
+  CHARACTER_NOT_IN_SYNTAX_LEVEL: '21',
+  UNT_REFERENCE_MISMATCH: '28',
+  UNZ_REFERENCE_MISMATCH: '28',
+  UNT_SEGMENT_COUNT_MISMATCH: '29',
+  UNZ_MESSAGE_COUNT_MISMATCH: '29',
+  ELEMENT_FORMAT_INVALID: '37',
+  DATE_FORMAT_INVALID: '37',
+  DECIMAL_FORMAT_INVALID: '37',
+  ELEMENT_TOO_LONG: '39',
+  ELEMENT_TOO_SHORT: '40',
+  SEGMENT_REPEAT_EXCEEDED: '35',
+  GROUP_REPEAT_EXCEEDED: '36',
+};
+const UNSPECIFIED_ERROR = '18';
+const ENVELOPE_TAGS = ['UNA', 'UNB', 'UNZ'];
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+function stamp(now) {
+  const y = now.getUTCFullYear();
+  return {
+    yymmdd: pad(y % 100) + pad(now.getUTCMonth() + 1) + pad(now.getUTCDate()),
+    ccyymmdd: y + pad(now.getUTCMonth() + 1) + pad(now.getUTCDate()),
+    hhmm: pad(now.getUTCHours()) + pad(now.getUTCMinutes()),
+  };
+}
+
+/** Element/component position (S011) from a validator field path like "UNB/05/01" → ['5', '1']. */
+function dataElementPosition(field) {
+  const m = /^[A-Z0-9]{3}\/(\d+)(?:\/(\d+))?$/.exec(field || '');
+  if (!m) return null;
+  return m[2] ? [String(Number(m[1])), String(Number(m[2]))] : [String(Number(m[1]))];
+}
+
+function prepare(json) {
+  const segments = Array.isArray(json?.segments) ? json.segments : [];
+  const interchanges = Array.isArray(json?.interchanges) && json.interchanges.length
+    ? json.interchanges
+    : buildInterchangeTree(segments);
+  const ic = interchanges.find(i => i.header) || interchanges[0] || { messages: [] };
+  return { segments, ic };
+}
+
+/** Message containing a (global) segment position, or null for envelope-level positions. */
+function messageAt(ic, position) {
+  if (position == null) return null;
+  return ic.messages.find(m => m.header && position >= m.header.position && position <= (m.trailer?.position ?? Infinity)) || null;
+}
+
+function responseUnb(ic, { now, controlReference, syntax }) {
+  const orig = ic.header?.elements || [];
+  const { yymmdd, ccyymmdd, hhmm } = stamp(now);
+  const syntaxId = syntax?.[0] || orig[0]?.[0] || 'UNOC';
+  const syntaxVersion = syntax?.[1] || orig[0]?.[1] || '3';
+  return {
+    tag: 'UNB',
+    // Sender and recipient swapped relative to the received interchange
+    elements: [
+      [syntaxId, syntaxVersion],
+      [...(orig[2] || [''])].slice(0, 2),
+      [...(orig[1] || [''])].slice(0, 2),
+      [syntaxVersion === '4' ? ccyymmdd : yymmdd, hhmm],
+      [controlReference],
+    ],
+  };
+}
+
+function envelope(ic, body, options) {
+  const unb = responseUnb(ic, options);
+  return { delimiters: options.delimiters, segments: [unb, ...body, { tag: 'UNZ', elements: [['1'], [options.controlReference]] }] };
+}
+
+/**
+ * Build a CONTRL for the received interchange. Envelope errors reject the interchange (UCI action 4),
+ * otherwise it is acknowledged (UCI action 7); message errors are reported per message via
+ * UCM/UCS/UCD (UCM action 4).
+ * @param {{ segments: any[], interchanges?: any[], delimiters?: object }} json
+ * @param {Array<{ code: string, segmentTag?: string, position?: number, field?: string }>} [errors]
+ * @param {{ now?: Date, controlReference?: string, messageReference?: string }} [options]
+ */
+export function buildContrl(json, errors, options = {}) {
+  const { segments, ic } = prepare(json);
+  const errs = Array.isArray(errors) ? errors : validateInterchange({ segments });
+  const now = options.now || new Date();
+  const controlReference = options.controlReference || 'C' + stamp(now).yymmdd + stamp(now).hhmm;
+  const messageReference = options.messageReference || '1';
+  const orig = ic.header?.elements || [];
+  const codeOf = (e) => SYNTAX_ERROR_CODES[e.code] || UNSPECIFIED_ERROR;
+
+  const envelopeErrors = errs.filter(e => !messageAt(ic, e.position) || ENVELOPE_TAGS.includes(e.segmentTag));
+  const uci = {
+    tag: 'UCI',
+    elements: [
+      [ic.controlReference ?? ''],
+      [...(orig[1] || [''])].slice(0, 2),
+      [...(orig[2] || [''])].slice(0, 2),
+      [envelopeErrors.length ? '4' : '7'],
+    ],
+  };
+  if (envelopeErrors.length) {
+    const first = envelopeErrors[0];
+    uci.elements.push([codeOf(first)], [first.segmentTag || ''], dataElementPosition(first.field) || ['']);
+  }
+  const body = [{ tag: 'UNH', elements: [[messageReference], ['CONTRL', 'D', '3', 'UN', '2.0b']] }, uci];
+  if (errs.length) {
+    for (const msg of ic.messages) {
+      const msgErrors = errs.filter(e => messageAt(ic, e.position) === msg && !ENVELOPE_TAGS.includes(e.segmentTag));
+      const id = msg.header?.elements?.[1] || [];
+      const ucm = { tag: 'UCM', elements: [[msg.reference ?? ''], [...id].slice(0, 5), [msgErrors.length ? '4' : '7']] };
+      if (msgErrors.length && ['UNH', 'UNT'].includes(msgErrors[0].segmentTag)) {
+        ucm.elements.push([codeOf(msgErrors[0])], [msgErrors[0].segmentTag]);
+      }
+      body.push(ucm);
+      // Segment-level detail, segment position counted from UNH = 1
+      for (const e of msgErrors.filter(x => !['UNH', 'UNT'].includes(x.segmentTag))) {
+        body.push({ tag: 'UCS', elements: [[String(e.position - msg.header.position + 1)], [e.field ? '' : codeOf(e)]] });
+        const pos = dataElementPosition(e.field);
+        if (pos) body.push({ tag: 'UCD', elements: [[codeOf(e)], pos] });
+      }
+    }
+  }
+  body.push({ tag: 'UNT', elements: [[''], [messageReference]] });
+  return envelope(ic, body, { ...options, now, controlReference });
+}
+
+/**
+ * Build an APERAK per erroneous message. Each error may carry `errorCode` (7061, e.g. a BDEW Z-code)
+ * and `messageReference` (UNH 0062 of the affected message); otherwise the message is derived from
+ * `position` and `options.errorCode` is used.
+ * @param {{ segments: any[], interchanges?: any[], delimiters?: object }} json
+ * @param {Array<{ code?: string, message?: string, errorCode?: string, messageReference?: string, position?: number }>} errors
+ * @param {{ now?: Date, controlReference?: string, errorCode?: string }} [options]
+ */
+export function buildAperak(json, errors, options = {}) {
+  const { ic } = prepare(json);
+  const errs = Array.isArray(errors) ? errors : [];
+  if (!errs.length) throw new Error('APERAK_NO_ERRORS: APERAK is only sent for application errors');
+  const now = options.now || new Date();
+  const { ccyymmdd, hhmm } = stamp(now);
+  const controlReference = options.controlReference || 'A' + ccyymmdd.slice(2) + hhmm;
+  const orig = ic.header?.elements || [];
+  const body = [];
+  let n = 0;
+  for (const msg of ic.messages) {
+    const msgErrors = errs.filter(e => (e.messageReference != null ? e.messageReference === msg.reference : messageAt(ic, e.position) === msg))
+      .concat(msg === ic.messages[0] ? errs.filter(e => e.messageReference == null && !messageAt(ic, e.position)) : []);
+    if (!msgErrors.length) continue;
+    const ref = String(++n);
+    const bgm = msg.segments.find(s => s.tag === 'BGM');
+    const docDate = msg.segments.find(s => s.tag === 'DTM' && s.elements?.[0]?.[0] === '137');
+    body.push({ tag: 'UNH', elements: [[ref], ['APERAK', 'D', '07B', 'UN', '2.1i']] });
+    body.push({ tag: 'BGM', elements: [['313'], [controlReference + ref]] });
+    body.push({ tag: 'DTM', elements: [['137', ccyymmdd + hhmm + '+00', '303']] });
+    body.push({ tag: 'RFF', elements: [['ACE', bgm?.elements?.[1]?.[0] ?? msg.reference ?? '']] });
+    if (docDate) body.push({ tag: 'DTM', elements: [['171', ...docDate.elements[0].slice(1)]] });
+    body.push({ tag: 'NAD', elements: [['MR'], [orig[1]?.[0] ?? '', '', '293']] });
+    body.push({ tag: 'NAD', elements: [['MS'], [orig[2]?.[0] ?? '', '', '293']] });
+    for (const e of msgErrors) {
+      body.push({ tag: 'ERC', elements: [[e.errorCode || options.errorCode || 'Z10']] });
+      // FTX 4440 is an..512 per component, up to five components
+      const text = String(e.message || e.code || '');
+      const parts = [];
+      for (let i = 0; i < text.length && parts.length < 5; i += 512) parts.push(text.slice(i, i + 512));
+      body.push({ tag: 'FTX', elements: [['AAO'], [''], [''], parts.length ? parts : ['']] });
+      body.push({ tag: 'RFF', elements: [['ACW', msg.reference ?? '']] });
+    }
+    body.push({ tag: 'UNT', elements: [[''], [ref]] });
+  }
+  if (!body.length) throw new Error('APERAK_NO_MESSAGE: errors could not be assigned to any message');
+  return envelope(ic, body, { ...options, now, controlReference });
+}
@@ -0,0 +1,132 @@
+// JSON → EDIFACT writer for the structure produced by tokenizeEdifact / the baseline parsers:
+// { delimiters, una?, segments: [{ tag, elements: string[][] }] }
+import { encodeEdifact } from './edifactCharset.js';
+
+const DEFAULT_DELIMITERS = { componentSep: ':', dataSep: '+', decimalMark: '.', releaseChar: '?', segTerm: "'" };
+
+function resolveDelimiters(delimiters, una) {
+  const d = { ...DEFAULT_DELIMITERS, ...(delimiters || {}) };
+  // Keep decimal mark and reserved char from an original UNA so it is reproduced exactly
+  if (typeof una === 'string' && una.length === 9) {
+    d.decimalMark = delimiters?.decimalMark || una[5];
+    d.reserved = una[7];
+  }
+  return d;
+}
+
+/** Escape separators and the release character inside a single component value. */
+export function escapeValue(value, delimiters) {
+  const d = { ...DEFAULT_DELIMITERS, ...(delimiters || {}) };
+  const special = new Set([d.releaseChar, d.dataSep, d.componentSep, d.segTerm]);
+  let out = '';
+  for (const ch of String(value ?? '')) {
+    out += special.has(ch) ? d.releaseChar + ch : ch;
+  }
+  return out;
+}
+
+/**
+ * Write a single segment. With `trimTrailing`, empty trailing components/elements are omitted
+ * as required by the syntax rules for outgoing messages; without it the structure is reproduced as-is.
+ */
+export function serializeSegment(segment, delimiters, { trimTrailing = false } = {}) {
+  const d = { ...DEFAULT_DELIMITERS, ...(delimiters || {}) };
+  const trim = (arr, isEmpty) => {
+    const copy = [...arr];
+    while (trimTrailing && copy.length && isEmpty(copy[copy.length - 1])) copy.pop();
+    return copy;
+  };
+  const elements = trim(
+    (segment.elements || []).map(comps => trim(Array.isArray(comps) ? comps : [comps], v => v == null || v === '')),
+    comps => comps.length === 0
+  );
+  const body = elements.map(comps => comps.map(v => escapeValue(v, d)).join(d.componentSep)).join(d.dataSep);
+  return String(segment.tag).toUpperCase() + (elements.length ? d.dataSep + body : '') + d.segTerm;
+}
+
+/** Build the UNA service string advice for the given delimiters. */
+export function buildUna(delimiters) {
+  const d = { ...DEFAULT_DELIMITERS, reserved: ' ', ...(delimiters || {}) };
+  return 'UNA' + d.componentSep + d.dataSep + d.decimalMark + d.releaseChar + d.reserved + d.segTerm;
+}
+
+/**
+ * Recompute UNT (0074 segment count, 0062 reference) and UNZ (0036 message count, 0020 control
+ * reference) from the actual segment sequence. Returns new segment objects; input is not mutated.
+ */
+export function recomputeControlCounts(segments) {
+  const out = segments.map(s => ({ ...s, elements: (s.elements || []).map(c => (Array.isArray(c) ? [...c] : [c])) }));
+  let unb = null;
+  let unh = null;
+  let messageCount = 0;
+  let segmentCount = 0;
+  for (const seg of out) {
+    if (seg.tag === 'UNB') { unb = seg; messageCount = 0; continue; }
+    if (seg.tag === 'UNH') { unh = seg; segmentCount = 1; messageCount++; continue; }
+    if (unh) segmentCount++;
+    if (seg.tag === 'UNT' && unh) {
+      seg.elements[0] = [String(segmentCount)];
+      seg.elements[1] = [unh.elements?.[0]?.[0] ?? ''];
+      unh = null;
+      continue;
+    }
+    if (seg.tag === 'UNZ') {
+      seg.elements[0] = [String(messageCount)];
+      seg.elements[1] = [unb?.elements?.[4]?.[0] ?? seg.elements?.[1]?.[0] ?? ''];
+      unb = null;
+      messageCount = 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Serialize a parsed structure back to EDIFACT text.
+ * Accepts `{ json: { delimiters, segments } }` or the `json` object itself.
+ * @param {any} parsed
+ * @param {{ una?: 'auto'|boolean, recomputeCounts?: boolean, trimTrailing?: boolean, newline?: boolean }} [options]
+ *   una: 'auto' reproduces an original UNA and emits one when delimiters deviate from the defaults.
+ * @returns {string}
+ */
+export function serializeEdifact(parsed, { una = 'auto', recomputeCounts = true, trimTrailing = false, newline = false } = {}) {
+  const root = parsed?.json ?? parsed;
+  if (!root || !Array.isArray(root.segments)) throw new Error('SERIALIZE_INPUT_INVALID: expected { delimiters, segments }');
+  const d = resolveDelimiters(root.delimiters, root.una);
+  let segments = root.segments.filter(s => s && s.tag && String(s.tag).toUpperCase() !== 'UNA');
+  if (recomputeCounts) segments = recomputeControlCounts(segments);
+  let head = '';
+  if (una === true) head = buildUna(d);
+  else if (una === 'auto') {
+    const deviates = ['componentSep', 'dataSep', 'releaseChar', 'segTerm'].some(k => d[k] !== DEFAULT_DELIMITERS[k]);
+    if (typeof root.una === 'string' && root.una.startsWith('UNA')) head = root.una;
+    else if (deviates) head = buildUna(d);
+  }
+  const sep = newline ? '\n' : '';
+  const body = segments.map(s => serializeSegment(s, d, { trimTrailing })).join(sep);
+  return head ? head + sep + body : body;
+}
+
+/**
+ * Serialize to bytes encoded per the syntax identifier of the UNB (0001), e.g. ISO 8859-1 for UNOC.
+ * Throws CHARSET_ENCODE_FAILED when a value cannot be represented in that character set.
+ * @param {any} parsed
+ * @param {object} [options] as for serializeEdifact
+ * @returns {Buffer}
+ */
+export function serializeEdifactBuffer(parsed, options) {
+  const root = parsed?.json ?? parsed;
+  const unb = Array.isArray(root?.segments) ? root.segments.find(s => s?.tag === 'UNB') : null;
+  return encodeEdifact(serializeEdifact(parsed, options), unb?.elements?.[0]?.[0] || null);
+}
+
+/**
+ * Serialize one message as a standalone interchange: the enclosing UNB (if any), the message and a
+ * recomputed UNZ. Used to hand single messages of a larger interchange to per-format parsers.
+ * @param {{ delimiters?: object, una?: string|null, interchange?: any, message: any }} part
+ */
+export function serializeSingleMessage({ delimiters, una = null, interchange = null, message }, options = {}) {
+  const unb = interchange?.header || null;
+  const segments = [unb, message.header, ...(message.segments || []), message.trailer].filter(Boolean);
+  if (unb) segments.push({ tag: 'UNZ', elements: [['1'], [interchange.controlReference ?? '']] });
+  return serializeEdifact({ delimiters, una, segments }, { recomputeCounts: false, ...options });
+}
@@ -0,0 +1,204 @@
+// Streaming EDIFACT reader: segments and completed messages from chunked input with constant memory.
+// Produces the same segment and message shapes as tokenizeEdifact / buildInterchangeTree.
+import { Transform } from 'node:stream';
+import { detectDelimiters, splitSegmentBody, buildInterchangeTree } from './edifact.js';
+import { detectSyntaxIdentifier, syntaxEncoding } from './edifactCharset.js';
+
+/**
+ * Incremental tokenizer. Feed decoded text with push(); it returns the segments completed so far.
+ * UNA detection waits for the first 9 characters, and a release character at the end of one chunk
+ * escapes the first character of the next.
+ */
+export function createSegmentTokenizer() {
+  let delimiters = null;
+  let una = null;
+  let head = '';
+  let cur = '';
+  let released = false;
+  let position = 0;
+
+  const emit = (out) => {
+    const raw = cur.replace(/\r?\n/g, '').trim();
+    cur = '';
+    if (!raw) return;
+    const { componentSep, dataSep, releaseChar } = delimiters;
+    const tag = raw.slice(0, 3).toUpperCase();
+    const rest = raw.slice(3);
+    const elems = rest.startsWith(dataSep) ? rest.slice(1) : rest;
+    out.push({ tag, position: ++position, elements: splitSegmentBody(elems, dataSep, componentSep, releaseChar) });
+  };
+  const consume = (text, out) => {
+    const { releaseChar, segTerm } = delimiters;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (released) { released = false; continue; }
+      const ch = text[i];
+      if (ch === releaseChar) { released = true; continue; }
+      if (ch === segTerm) {
+        cur += text.slice(start, i);
+        start = i + 1;
+        emit(out);
+      }
+    }
+    cur += text.slice(start);
+  };
+  const init = (out) => {
+    delimiters = detectDelimiters(head);
+    if (head.startsWith('UNA') && head.length >= 9) una = head.slice(0, 9);
+    const body = una ? head.slice(9) : head;
+    head = '';
+    consume(body, out);
+  };
+
+  return {
+    get delimiters() { return delimiters; },
+    get una() { return una; },
+    push(text) {
+      const out = [];
+      if (!text) return out;
+      if (!delimiters) {
+        head += text;
+        if (head.length < 9) return out;
+        init(out);
+        return out;
+      }
+      consume(text, out);
+      return out;
+    },
+    end() {
+      const out = [];
+      if (!delimiters) init(out);
+      released = false;
+      emit(out);
+      return out;
+    },
+  };
+}
+
+// Bytes needed to see the UNB syntax identifier (UNA, UNB tag and separator are ASCII)
+const SYNTAX_PROBE_BYTES = 512;
+
+// Single-byte levels byte for byte, as decodeEdifact does (TextDecoder would apply windows-1252)
+function createDecoder(encoding) {
+  if (['iso-8859-1', 'latin1', 'us-ascii', 'ascii'].includes(String(encoding).toLowerCase())) {
+    return { decode: (bytes) => (bytes ? Buffer.from(bytes).toString('latin1') : '') };
+  }
+  return new TextDecoder(encoding);
+}
+
+/**
+ * Incremental byte decoder. With encoding 'auto' the first bytes are held back until the UNB syntax
+ * identifier is known, then decoded per syntax level (UTF-8 when undeclared or BOM-marked).
+ */
+function createChunkDecoder(encoding) {
+  let decoder = encoding && encoding !== 'auto' ? createDecoder(encoding) : null;
+  let pending = [];
+  let pendingBytes = 0;
+  const start = (head) => {
+    const bom = head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF;
+    decoder = createDecoder(bom ? 'utf-8' : syntaxEncoding(detectSyntaxIdentifier(head)) || 'utf-8');
+    pending = [];
+    pendingBytes = 0;
+    return decoder.decode(head, { stream: true });
+  };
+  return {
+    write(chunk) {
+      if (decoder) return decoder.decode(chunk, { stream: true });
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+      const head = Buffer.concat(pending);
+      if (pendingBytes < SYNTAX_PROBE_BYTES && !detectSyntaxIdentifier(head)) return '';
+      return start(head);
+    },
+    end() {
+      const text = decoder ? '' : start(Buffer.concat(pending));
+      return text + decoder.decode();
+    },
+  };
+}
+
+async function* toChunks(source) {
+  if (typeof source === 'string' || Buffer.isBuffer(source)) { yield source; return; }
+  yield* source;
+}
+
+/**
+ * Iterate segments from a string, Buffer, Node Readable or any (async) iterable of chunks.
+ * @param {any} source
+ * Byte input is decoded per the UNB syntax identifier unless `encoding` names a fixed encoding.
+ * @param {{ encoding?: string, onDelimiters?: (info: { delimiters: object, una: string|null }) => void }} [options]
+ */
+export async function* readSegments(source, { encoding = 'auto', onDelimiters } = {}) {
+  const tokenizer = createSegmentTokenizer();
+  const decoder = createChunkDecoder(encoding);
+  let announced = false;
+  const announce = () => {
+    if (announced || !tokenizer.delimiters) return;
+    announced = true;
+    onDelimiters?.({ delimiters: tokenizer.delimiters, una: tokenizer.una });
+  };
+  for await (const chunk of toChunks(source)) {
+    const segs = tokenizer.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    announce();
+    yield* segs;
+  }
+  const tail = tokenizer.push(decoder.end());
+  const rest = tokenizer.end();
+  announce();
+  yield* tail;
+  yield* rest;
+}
+
+/**
+ * Iterate completed messages (UNH…UNT). Only the current message is held in memory.
+ * Yields { delimiters, una, interchange, message } where `interchange` summarizes the enclosing UNB
+ * (same shape as buildInterchangeTree without `messages`) and `message` is a tree-built message.
+ * @param {any} source
+ * @param {{ encoding?: string, groups?: object }} [options]
+ */
+export async function* readMessages(source, { encoding = 'auto', groups } = {}) {
+  let info = { delimiters: null, una: null };
+  let interchange = null;
+  let pending = null;
+  for await (const seg of readSegments(source, { encoding, onDelimiters: (i) => { info = i; } })) {
+    if (seg.tag === 'UNB') {
+      interchange = buildInterchangeTree([seg])[0];
+      continue;
+    }
+    if (seg.tag === 'UNZ') {
+      if (interchange) interchange.trailer = seg;
+      continue;
+    }
+    if (seg.tag === 'UNH') { pending = [seg]; continue; }
+    if (!pending) continue;
+    pending.push(seg);
+    if (seg.tag === 'UNT') {
+      const message = buildInterchangeTree(pending, groups)[0].messages[0];
+      pending = null;
+      yield { ...info, interchange, message };
+    }
+  }
+  if (pending) {
+    // Unterminated message at end of input: hand it out so callers can report it
+    yield { ...info, interchange, message: buildInterchangeTree(pending, groups)[0].messages[0] };
+  }
+}
+
+/** Object-mode Transform: pipe raw chunks in, read segment objects out. */
+export function createSegmentStream({ encoding = 'auto' } = {}) {
+  const tokenizer = createSegmentTokenizer();
+  const decoder = createChunkDecoder(encoding);
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, enc, cb) {
+      const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      for (const seg of tokenizer.push(text)) this.push(seg);
+      cb();
+    },
+    flush(cb) {
+      for (const seg of tokenizer.push(decoder.end())) this.push(seg);
+      for (const seg of tokenizer.end()) this.push(seg);
+      cb();
+    },
+  });
+}
@@ -0,0 +1,273 @@
+// Syntax (CONTRL-level) validation of interchange envelopes and of message structure against spec
+// models. Both functions are self-contained so the parser generator can inline them like the
+// tokenizer (validateInterchange together with createCharsetCheck for the syntax level repertoire).
+import { createCharsetCheck } from './edifactCharset.js';
+
+/**
+ * Validate UNB/UNH/UNT/UNZ envelopes of a parsed interchange (`{ segments }` as produced by
+ * tokenizeEdifact). Checks control counts and references, syntax identifier/version, mandatory
+ * envelope elements, element formats/max lengths, segment tags, illegal characters and characters
+ * outside the repertoire of the syntax level declared in UNB (0001).
+ * @param {{ segments: Array<{ tag: string, position: number, elements: string[][] }> }} json
+ * @returns {Array<{ code: string, message: string, segmentTag: string|null, position: number|null, field?: string, value?: string }>}
+ */
+export function validateInterchange(json) {
+  const errors = [];
+  const segments = Array.isArray(json?.segments) ? json.segments : [];
+  const SYNTAX_IDS = ['UNOA', 'UNOB', 'UNOC', 'UNOD', 'UNOE', 'UNOF', 'UNOG', 'UNOH', 'UNOI', 'UNOJ', 'UNOK', 'UNOW', 'UNOX', 'UNOY'];
+  // [element index, component index, data element id, format, mandatory]
+  const RULES = {
+    UNB: [
+      [0, 0, '0001', 'a4', true], [0, 1, '0002', 'n1', true],
+      [1, 0, '0004', 'an..35', true], [1, 1, '0007', 'an..4', false], [1, 2, '0008', 'an..14', false],
+      [2, 0, '0010', 'an..35', true], [2, 1, '0007', 'an..4', false], [2, 2, '0014', 'an..14', false],
+      [3, 0, '0017', 'n6..8', true], [3, 1, '0019', 'n4', true],
+      [4, 0, '0020', 'an..14', true],
+    ],
+    UNH: [
+      [0, 0, '0062', 'an..14', true],
+      [1, 0, '0065', 'an..6', true], [1, 1, '0052', 'an..3', true], [1, 2, '0054', 'an..3', true],
+      [1, 3, '0051', 'an..3', true], [1, 4, '0057', 'an..6', false],
+    ],
+    UNT: [[0, 0, '0074', 'n..10', true], [1, 0, '0062', 'an..14', true]],
+    UNZ: [[0, 0, '0036', 'n..6', true], [1, 0, '0020', 'an..14', true]],
+  };
+  const push = (code, message, seg, extra) => {
+    errors.push({ code, message, segmentTag: seg ? seg.tag : null, position: seg ? seg.position : null, ...(extra || {}) });
+  };
+  const val = (seg, i, j) => {
+    const v = seg?.elements?.[i]?.[j];
+    return v == null ? '' : String(v);
+  };
+  const pathOf = (tag, i, j) => tag + '/' + String(i + 1).padStart(2, '0') + '/' + String(j + 1).padStart(2, '0');
+  const checkFormat = (value, format) => {
+    const m = /^(an|a|n)(\.\.)?(\d+)(?:\.\.(\d+))?$/.exec(format);
+    if (!m) return null;
+    const [, kind, upTo, a, b] = m;
+    const min = upTo ? 0 : Number(a);
+    const max = b ? Number(b) : Number(a);
+    if (value.length > max) return 'ELEMENT_TOO_LONG';
+    if (value.length < min) return 'ELEMENT_TOO_SHORT';
+    if (kind === 'n' && !/^\d*$/.test(value)) return 'ELEMENT_FORMAT_INVALID';
+    if (kind === 'a' && /\d/.test(value)) return 'ELEMENT_FORMAT_INVALID';
+    return null;
+  };
+  const checkRules = (seg) => {
+    for (const [i, j, id, format, mandatory] of RULES[seg.tag] || []) {
+      const v = val(seg, i, j);
+      const field = pathOf(seg.tag, i, j);
+      if (!v) {
+        if (mandatory) push('MANDATORY_ELEMENT_MISSING', seg.tag + ' data element ' + id + ' is mandatory', seg, { field, dataElement: id });
+        continue;
+      }
+      const problem = checkFormat(v, format);
+      if (problem) push(problem, seg.tag + ' data element ' + id + ' must be ' + format, seg, { field, dataElement: id, value: v });
+    }
+  };
+
+  let unb = null;
+  let unh = null;
+  let messageCount = 0;
+  let segmentCount = 0;
+  let sawUnb = false;
+  let syntaxLevel = null;
+  let allowedChar = null;
+  for (const seg of segments) {
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(seg.tag || '')) {
+      push('INVALID_SEGMENT_TAG', 'Invalid segment tag "' + seg.tag + '"', seg, { value: seg.tag });
+    }
+    if (seg.tag === 'UNB') {
+      syntaxLevel = val(seg, 0, 0);
+      allowedChar = createCharsetCheck(syntaxLevel);
+    }
+    for (let i = 0; i < (seg.elements?.length || 0); i++) {
+      const comps = seg.elements[i] || [];
+      for (let j = 0; j < comps.length; j++) {
+        const v = comps[j] == null ? '' : String(comps[j]);
+        // Control characters are never allowed in data; line breaks are stripped by the tokenizer
+        const bad = /[\u0000-\u001F\u007F]/.exec(v);
+        if (bad) {
+          push('ILLEGAL_CHARACTER', 'Illegal control character U+' + bad[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'), seg, { field: pathOf(seg.tag, i, j), value: v });
+          continue;
+        }
+        const outside = allowedChar ? [...v].find(ch => !allowedChar(ch)) : undefined;
+        if (outside !== undefined) {
+          push('CHARACTER_NOT_IN_SYNTAX_LEVEL', 'Character "' + outside + '" (U+' + outside.codePointAt(0).toString(16).toUpperCase().padStart(4, '0') + ') is not permitted by syntax level ' + syntaxLevel, seg, { field: pathOf(seg.tag, i, j), value: v });
+        }
+      }
+    }
+    if (RULES[seg.tag]) checkRules(seg);
+
+    if (seg.tag === 'UNB') {
+      if (unb) push('UNZ_MISSING', 'Interchange ' + (val(unb, 4, 0) || '?') + ' not closed by UNZ', unb);
+      if (unh) push('UNT_MISSING', 'Message ' + (val(unh, 0, 0) || '?') + ' not closed by UNT', unh);
+      unb = seg;
+      unh = null;
+      sawUnb = true;
+      messageCount = 0;
+      const sid = val(seg, 0, 0);
+      if (sid && !SYNTAX_IDS.includes(sid)) push('UNB_SYNTAX_ID_INVALID', 'Unknown syntax identifier ' + sid, seg, { field: 'UNB/01/01', value: sid });
+      const ver = val(seg, 0, 1);
+      if (ver && !['1', '2', '3', '4'].includes(ver)) push('UNB_SYNTAX_VERSION_INVALID', 'Unsupported syntax version ' + ver, seg, { field: 'UNB/01/02', value: ver });
+      const date = val(seg, 3, 0);
+      const dateLen = ver === '4' ? 8 : 6;
+      if (/^\d{6,8}$/.test(date) && date.length !== dateLen) {
+        push('ELEMENT_FORMAT_INVALID', 'UNB date (0017) must have ' + dateLen + ' digits for syntax version ' + (ver || '?'), seg, { field: 'UNB/04/01', value: date });
+      }
+      continue;
+    }
+    if (seg.tag === 'UNH') {
+      if (!sawUnb) push('UNB_MISSING', 'Message found before any UNB interchange header', seg);
+      sawUnb = true;
+      if (unh) push('UNT_MISSING', 'Message ' + (val(unh, 0, 0) || '?') + ' not closed by UNT', unh);
+      unh = seg;
+      segmentCount = 1;
+      messageCount++;
+      continue;
+    }
+    if (seg.tag === 'UNT') {
+      if (!unh) { push('UNH_OUT_OF_SEQUENCE', 'UNT without preceding UNH', seg); continue; }
+      segmentCount++;
+      const declared = val(seg, 0, 0);
+      if (/^\d+$/.test(declared) && Number(declared) !== segmentCount) {
+        push('UNT_SEGMENT_COUNT_MISMATCH', 'UNT declares ' + declared + ' segments, message has ' + segmentCount, seg, { field: 'UNT/01/01', value: declared, expected: String(segmentCount) });
+      }
+      const ref = val(seg, 1, 0);
+      const expectedRef = val(unh, 0, 0);
+      if (ref && ref !== expectedRef) {
+        push('UNT_REFERENCE_MISMATCH', 'UNT reference ' + ref + ' does not match UNH reference ' + expectedRef, seg, { field: 'UNT/02/01', value: ref, expected: expectedRef });
+      }
+      unh = null;
+      continue;
+    }
+    if (seg.tag === 'UNZ') {
+      if (unh) { push('UNT_MISSING', 'Message ' + (val(unh, 0, 0) || '?') + ' not closed by UNT', unh); unh = null; }
+      if (!unb) { push('UNB_MISSING', 'UNZ without preceding UNB', seg); continue; }
+      const declared = val(seg, 0, 0);
+      if (/^\d+$/.test(declared) && Number(declared) !== messageCount) {
+        push('UNZ_MESSAGE_COUNT_MISMATCH', 'UNZ declares ' + declared + ' messages, interchange has ' + messageCount, seg, { field: 'UNZ/01/01', value: declared, expected: String(messageCount) });
+      }
+      const ref = val(seg, 1, 0);
+      const expectedRef = val(unb, 4, 0);
+      if (ref && ref !== expectedRef) {
+        push('UNZ_REFERENCE_MISMATCH', 'UNZ control reference ' + ref + ' does not match UNB reference ' + expectedRef, seg, { field: 'UNZ/02/01', value: ref, expected: expectedRef });
+      }
+      unb = null;
+      continue;
+    }
+    if (unh) { segmentCount++; continue; }
+    push('SEGMENT_OUT_OF_MESSAGE_SCOPE', 'Segment ' + seg.tag + ' outside of UNH…UNT', seg);
+  }
+  if (unh) push('UNT_MISSING', 'Message ' + (val(unh, 0, 0) || '?') + ' not closed by UNT', unh);
+  if (unb) push('UNZ_MISSING', 'Interchange ' + (val(unb, 4, 0) || '?') + ' not closed by UNZ', unb);
+  if (!sawUnb && segments.length) push('UNB_MISSING', 'Interchange header UNB missing', segments[0]);
+  return errors;
+}
+
+/**
+ * Validate messages of an interchange tree (buildInterchangeTree output) against their spec models
+ * (see specModel.js), keyed by message type. Checks segment and segment group status (M/R present,
+ * N absent) and repetition limits per parent instance, undeclared segments for strict models, and
+ * data elements of defined segments: status, format/length and code lists.
+ * @param {Array<{ messages: Array<object> }>} interchanges
+ * @param {Record<string, { strict?: boolean, structure: Array<object>, segments: Record<string, object> }>} models
+ * @returns {Array<{ code: string, message: string, segmentTag: string|null, position: number|null, field?: string, value?: string, groupPath?: string }>}
+ */
+export function validateMessageStructure(interchanges, models) {
+  const errors = [];
+  const push = (code, message, seg, extra) => {
+    errors.push({ code, message, segmentTag: seg ? seg.tag : null, position: seg ? seg.position : null, ...(extra || {}) });
+  };
+  const required = (status) => status === 'M' || status === 'R';
+  const pad = (n) => String(n + 1).padStart(2, '0');
+  const checkFormat = (value, format) => {
+    const m = /^(an|a|n)(\.\.)?(\d+)(?:\.\.(\d+))?$/.exec(format || '');
+    if (!m) return null;
+    const [, kind, upTo, a, b] = m;
+    const min = upTo ? 0 : Number(a);
+    const max = b ? Number(b) : Number(a);
+    // Decimal marks and signs do not count towards numeric lengths
+    const length = kind === 'n' ? value.replace(/[.,-]/g, '').length : value.length;
+    if (length > max) return 'ELEMENT_TOO_LONG';
+    if (length < min) return 'ELEMENT_TOO_SHORT';
+    if (kind === 'n' && !/^-?\d*([.,]\d*)?$/.test(value)) return 'ELEMENT_FORMAT_INVALID';
+    if (kind === 'a' && /\d/.test(value)) return 'ELEMENT_FORMAT_INVALID';
+    return null;
+  };
+  const checkValue = (seg, def, value, field, groupPath) => {
+    const extra = { field, dataElement: def.id, ...(groupPath ? { groupPath } : {}) };
+    if (value === '') {
+      if (required(def.status)) push('MANDATORY_ELEMENT_MISSING', seg.tag + ' data element ' + def.id + ' is mandatory', seg, extra);
+      return;
+    }
+    if (def.status === 'N') { push('ELEMENT_NOT_USED', seg.tag + ' data element ' + def.id + ' must not be used', seg, { ...extra, value }); return; }
+    const problem = def.format ? checkFormat(value, def.format) : null;
+    if (problem) push(problem, seg.tag + ' data element ' + def.id + ' must be ' + def.format, seg, { ...extra, value });
+    if (Array.isArray(def.codes) && def.codes.length && !def.codes.some(c => c.code === value)) {
+      push('CODE_NOT_ALLOWED', 'Code ' + value + ' is not allowed in ' + seg.tag + ' data element ' + def.id, seg, { ...extra, value });
+    }
+  };
+  const checkSegment = (seg, def, groupPath) => {
+    (def.elements || []).forEach((el, i) => {
+      const comps = seg.elements?.[i] || [];
+      const str = (v) => (v == null ? '' : String(v));
+      if (!Array.isArray(el.components)) { checkValue(seg, el, str(comps[0]), seg.tag + '/' + pad(i) + '/01', groupPath); return; }
+      if (!comps.some(c => str(c) !== '')) {
+        if (required(el.status)) push('MANDATORY_ELEMENT_MISSING', seg.tag + ' composite ' + el.id + ' is mandatory', seg, { field: seg.tag + '/' + pad(i), dataElement: el.id, ...(groupPath ? { groupPath } : {}) });
+        return;
+      }
+      el.components.forEach((c, j) => checkValue(seg, c, str(comps[j]), seg.tag + '/' + pad(i) + '/' + pad(j), groupPath));
+    });
+  };
+  const checkContainer = (node, structure, model, anchor, groupPath) => {
+    const children = node.children || [];
+    const segCount = {};
+    const groupCount = {};
+    for (const c of children) {
+      if (c.group) groupCount[c.group] = (groupCount[c.group] || 0) + 1;
+      else segCount[c.tag] = (segCount[c.tag] || 0) + 1;
+    }
+    // A tag may appear at several positions of the diagram: limits add up, any M/R entry requires it
+    const declared = {};
+    for (const n of structure) {
+      if (!n.segment) continue;
+      const d = declared[n.segment] || (declared[n.segment] = { required: false, notUsed: true, max: 0 });
+      d.required = d.required || required(n.status);
+      d.notUsed = d.notUsed && n.status === 'N';
+      d.max = d.max == null || n.maxRepeat == null ? null : d.max + n.maxRepeat;
+    }
+    const at = groupPath ? { groupPath } : {};
+    for (const [tag, d] of Object.entries(declared)) {
+      const n = segCount[tag] || 0;
+      if (!n && d.required) push('SEGMENT_MISSING', 'Mandatory segment ' + tag + ' missing' + (groupPath ? ' in ' + groupPath : ''), anchor, at);
+      if (n && d.notUsed) push('SEGMENT_UNEXPECTED', 'Segment ' + tag + ' must not be used' + (groupPath ? ' in ' + groupPath : ''), children.find(c => c.tag === tag), at);
+      if (d.max != null && n > d.max) push('SEGMENT_REPEAT_EXCEEDED', 'Segment ' + tag + ' occurs ' + n + ' times, at most ' + d.max + ' allowed', children.filter(c => c.tag === tag)[d.max], at);
+    }
+    for (const n of structure) {
+      if (!n.group) continue;
+      const count = groupCount[n.group] || 0;
+      if (!count && required(n.status)) push('GROUP_MISSING', 'Mandatory segment group ' + n.group + ' missing' + (groupPath ? ' in ' + groupPath : ''), anchor, at);
+      if (n.maxRepeat != null && count > n.maxRepeat) {
+        const extraGroup = children.filter(c => c.group === n.group)[n.maxRepeat];
+        push('GROUP_REPEAT_EXCEEDED', 'Segment group ' + n.group + ' occurs ' + count + ' times, at most ' + n.maxRepeat + ' allowed', extraGroup.children[0], at);
+      }
+    }
+    for (const c of children) {
+      if (c.group) {
+        const def = structure.find(n => n.group === c.group);
+        if (def) checkContainer(c, def.structure, model, c.children[0], (groupPath ? groupPath + '/' : '') + c.group + '[' + c.repetition + ']');
+        continue;
+      }
+      if (model.strict && !declared[c.tag]) push('SEGMENT_UNEXPECTED', 'Segment ' + c.tag + ' is not part of ' + (groupPath || 'the message level'), c, at);
+      const def = model.segments?.[c.tag];
+      if (def) checkSegment(c, def, groupPath);
+    }
+  };
+  for (const ic of interchanges || []) {
+    for (const msg of ic.messages || []) {
+      const model = models?.[msg.type];
+      if (model) checkContainer(msg, model.structure || [], model, msg.header, '');
+    }
+  }
+  return errors;
+}
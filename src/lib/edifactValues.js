@@ -0,0 +1,128 @@
+// Typed normalization of data element values: DTM date/time values to ISO-8601 per their format
+// qualifier (2379) and QTY/MOA/PRI amounts to exact decimal strings using the declared decimal mark.
+// Every exported function is self-contained so the parser generator can inline them
+// (normalizeSegmentValues calls normalizeDateTime and parseDecimal, inlined alongside).
+
+/**
+ * Convert a DTM 2380 value to ISO-8601 according to its format qualifier (2379).
+ * Returns `{ type, value }` (type: 'date' | 'datetime' | 'period' | 'duration'), `null` for
+ * unsupported format qualifiers, or `{ error }` when the value does not match the format.
+ * @param {string} value e.g. "202501010101+00" (the "?+" release sequence already resolved)
+ * @param {string} format e.g. "303"
+ */
+export function normalizeDateTime(value, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  // Calendar check: month/day/hour/minute ranges and the day actually existing in that month
+  const date = (y, mo, d) => {
+    const t = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+    if (t.getUTCFullYear() !== Number(y) || t.getUTCMonth() !== Number(mo) - 1 || t.getUTCDate() !== Number(d)) return null;
+    return y + '-' + mo + '-' + d;
+  };
+  const time = (h, mi) => (Number(h) > 23 || Number(mi) > 59 ? null : h + ':' + mi);
+  const stamp = (s) => {
+    const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(s);
+    const d = m && date(m[1], m[2], m[3]);
+    const t = m && time(m[4], m[5]);
+    return d && t ? d + 'T' + t : null;
+  };
+  // Durations: number of units → ISO-8601 duration
+  const DURATIONS = { 801: 'P#Y', 802: 'P#M', 803: 'P#W', 804: 'P#D', 805: 'PT#H', 806: 'PT#M', 807: 'PT#S' };
+  const v = String(value ?? '');
+  let m;
+  let out = null;
+  switch (String(format ?? '')) {
+    case '102': // CCYYMMDD
+      m = /^(\d{4})(\d{2})(\d{2})$/.exec(v);
+      out = m && date(m[1], m[2], m[3]);
+      return out ? { type: 'date', value: out } : { error: 'CCYYMMDD' };
+    case '203': // CCYYMMDDHHMM
+      out = stamp(v);
+      return out ? { type: 'datetime', value: out } : { error: 'CCYYMMDDHHMM' };
+    case '303': { // CCYYMMDDHHMMZZZ, ZZZ = UTC offset in hours (e.g. "+00")
+      m = /^(\d{12})([+-])(\d{2})$/.exec(v);
+      out = m && Number(m[3]) <= 14 && stamp(m[1]);
+      return out ? { type: 'datetime', value: out + m[2] + pad(m[3]) + ':00' } : { error: 'CCYYMMDDHHMMZZZ' };
+    }
+    case '602': // CCYY
+      return /^\d{4}$/.test(v) ? { type: 'date', value: v } : { error: 'CCYY' };
+    case '610': // CCYYMM
+      m = /^(\d{4})(\d{2})$/.exec(v);
+      return m && date(m[1], m[2], '01') ? { type: 'date', value: m[1] + '-' + m[2] } : { error: 'CCYYMM' };
+    case '718': { // CCYYMMDD-CCYYMMDD
+      m = /^(\d{4})(\d{2})(\d{2})-(\d{4})(\d{2})(\d{2})$/.exec(v);
+      const from = m && date(m[1], m[2], m[3]);
+      const to = m && date(m[4], m[5], m[6]);
+      return from && to ? { type: 'period', value: from + '/' + to, start: from, end: to } : { error: 'CCYYMMDD-CCYYMMDD' };
+    }
+    case '719': { // CCYYMMDDHHMM-CCYYMMDDHHMM
+      m = /^(\d{12})-(\d{12})$/.exec(v);
+      const from = m && stamp(m[1]);
+      const to = m && stamp(m[2]);
+      return from && to ? { type: 'period', value: from + '/' + to, start: from, end: to } : { error: 'CCYYMMDDHHMM-CCYYMMDDHHMM' };
+    }
+    default:
+      if (!DURATIONS[format]) return null;
+      return /^\d+$/.test(v) ? { type: 'duration', value: DURATIONS[format].replace('#', String(Number(v))) } : { error: 'n..3' };
+  }
+}
+
+/**
+ * Parse a numeric value written with the declared decimal mark (UNA, default ".") into an exact
+ * decimal string with "." as decimal point, e.g. "-1234,50" → "-1234.50". Digits are kept as
+ * written (no floating point). Returns null when the value is not a valid number.
+ */
+export function parseDecimal(value, decimalMark = '.') {
+  const v = String(value ?? '');
+  const mark = decimalMark || '.';
+  const esc = mark.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Optional minus sign; a decimal mark needs digits on both sides
+  const m = new RegExp('^(-?)(\\d+)(?:' + esc + '(\\d+))?$').exec(v);
+  if (!m) return null;
+  return m[1] + m[2] + (m[3] != null ? '.' + m[3] : '');
+}
+
+/**
+ * Attach typed values to DTM, QTY, MOA and PRI segments as `segment.normalized` and return errors
+ * for values that do not match their declared format:
+ *   DTM { type, qualifier, format, value[, start, end] }   value in ISO-8601
+ *   QTY { type: 'quantity', qualifier, value, unit }       MOA { type: 'amount', qualifier, value, currency }
+ *   PRI { type: 'price', qualifier, value, unit }          value as exact decimal string
+ * @param {Array<{ tag: string, position: number, elements: string[][] }>} segments
+ * @param {{ decimalMark?: string }} [delimiters]
+ * @returns {Array<{ code: string, message: string, segmentTag: string, position: number, field: string, value: string }>}
+ */
+export function normalizeSegmentValues(segments, delimiters) {
+  const errors = [];
+  const decimalMark = delimiters?.decimalMark || '.';
+  const str = (v) => (v == null ? '' : String(v));
+  // Tag → [position of the number in the first composite, key of the extra component and its position]
+  const NUMERIC = { QTY: ['quantity', 1, 'unit', 2], MOA: ['amount', 1, 'currency', 2], PRI: ['price', 1, 'unit', 5] };
+  for (const seg of segments || []) {
+    const c = seg.elements?.[0] || [];
+    if (seg.tag === 'DTM') {
+      const value = str(c[1]);
+      const format = str(c[2]);
+      if (!value || !format) continue;
+      const res = normalizeDateTime(value, format);
+      if (!res) continue;
+      if (res.error) {
+        errors.push({ code: 'DATE_FORMAT_INVALID', message: 'DTM value ' + value + ' does not match format ' + format + ' (' + res.error + ')', segmentTag: 'DTM', position: seg.position, field: 'DTM/01/02', value });
+        continue;
+      }
+      seg.normalized = { ...res, qualifier: str(c[0]) || null, format };
+      continue;
+    }
+    const spec = NUMERIC[seg.tag];
+    if (!spec) continue;
+    const [type, i, extraKey, extraIndex] = spec;
+    const value = str(c[i]);
+    if (!value) continue;
+    const parsed = parseDecimal(value, decimalMark);
+    if (parsed == null) {
+      errors.push({ code: 'DECIMAL_FORMAT_INVALID', message: seg.tag + ' value ' + value + ' is not a number with decimal mark "' + decimalMark + '"', segmentTag: seg.tag, position: seg.position, field: seg.tag + '/01/0' + (i + 1), value });
+      continue;
+    }
+    seg.normalized = { type, qualifier: str(c[0]) || null, value: parsed, [extraKey]: str(c[extraIndex]) || null };
+  }
+  return errors;
+}
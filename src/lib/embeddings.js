@@ -1,13 +1,117 @@
 import 'dotenv/config';
 import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { Embeddings } from '@langchain/core/embeddings';
 
-export function getEmbeddings() {
+// Output dimensions of known Gemini embedding models
+const GEMINI_DIMENSIONS = { 'text-embedding-004': 768, 'embedding-001': 768, 'gemini-embedding-001': 3072 };
+
+function fnv1a(str, seed = 0x811c9dc5) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Fully local embeddings: signed feature hashing of word unigrams/bigrams and character n-grams,
+ * sublinear term frequency, L2-normalized. Deterministic and offline; similarity is lexical, which
+ * suits spec lookups by segment tags, data element ids and German field names.
+ */
+export class HashedNgramEmbeddings extends Embeddings {
+  constructor({ dimensions = 512, ngram = 3 } = {}) {
+    super({});
+    this.provider = 'local';
+    this.model = `hashed-ngram-${ngram}`;
+    this.dimensions = dimensions;
+    this.ngram = ngram;
+  }
+
+  features(text) {
+    const words = String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [];
+    const out = [];
+    for (let i = 0; i < words.length; i++) {
+      out.push('w:' + words[i]);
+      if (i > 0) out.push('b:' + words[i - 1] + ' ' + words[i]);
+      const padded = '<' + words[i] + '>';
+      for (let j = 0; j + this.ngram <= padded.length; j++) out.push('c:' + padded.slice(j, j + this.ngram));
+    }
+    return out;
+  }
+
+  embedText(text) {
+    const counts = new Map();
+    for (const f of this.features(text)) counts.set(f, (counts.get(f) || 0) + 1);
+    const vec = new Array(this.dimensions).fill(0);
+    for (const [f, n] of counts) {
+      const h = fnv1a(f);
+      // Second hash picks the sign so collisions cancel out instead of piling up
+      const sign = fnv1a(f, 0x9747b28c) & 1 ? 1 : -1;
+      vec[h % this.dimensions] += sign * (1 + Math.log(n));
+    }
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+    return vec.map(v => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(t => this.embedText(t));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
+
+/**
+ * Provider, model and vector dimension of the configured embeddings (EMBEDDING_PROVIDER=gemini|local).
+ * Collections must be queried with the same signature they were built with.
+ * @returns {{ provider: string, model: string, dimensions: number|null }}
+ */
+export function getEmbeddingsInfo() {
   const provider = (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase();
-  if (provider !== 'gemini') {
-    throw new Error(`Only GEMINI embeddings are implemented. Set EMBEDDING_PROVIDER=gemini, got ${provider}`);
+  if (provider === 'gemini') {
+    const model = process.env.GEMINI_EMBED_MODEL || 'text-embedding-004';
+    const dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || GEMINI_DIMENSIONS[model] || null;
+    return { provider, model, dimensions };
+  }
+  if (provider === 'local') {
+    const ngram = Number(process.env.LOCAL_EMBED_NGRAM) || 3;
+    return { provider, model: `hashed-ngram-${ngram}`, dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || 512 };
+  }
+  throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}" (expected gemini or local)`);
+}
+
+export function getEmbeddings() {
+  const info = getEmbeddingsInfo();
+  if (info.provider === 'local') {
+    return new HashedNgramEmbeddings({ dimensions: info.dimensions, ngram: Number(process.env.LOCAL_EMBED_NGRAM) || 3 });
   }
   const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-  const model = process.env.GEMINI_EMBED_MODEL || 'text-embedding-004';
   if (!apiKey) throw new Error('GEMINI_API_KEY/GOOGLE_AI_API_KEY missing in env');
-  return new GoogleGenerativeAIEmbeddings({ apiKey, model });
+  const embeddings = new GoogleGenerativeAIEmbeddings({ apiKey, model: info.model });
+  return Object.assign(embeddings, { provider: info.provider, dimensions: info.dimensions });
+}
+
+/**
+ * Throw EMBEDDING_PROVIDER_MISMATCH when a collection was built with other embeddings, even at equal
+ * dimension (vectors of different models are not comparable).
+ * @param {{ provider: string, model: string }|null} recorded signature stored with the collection
+ * @param {{ provider: string, model: string }} info configured embeddings
+ * @param {string} collection
+ */
+export function assertEmbeddingProvider(recorded, info, collection) {
+  if (!recorded || (recorded.provider === info.provider && recorded.model === info.model)) return;
+  throw new Error(`EMBEDDING_PROVIDER_MISMATCH: collection ${collection} was built with ${recorded.provider}/${recorded.model}, configured embeddings are ${info.provider}/${info.model}`);
+}
+
+/**
+ * Throw EMBEDDING_DIMENSION_MISMATCH when an embedding dimension differs from the collection's.
+ * @param {number|null} actual dimension produced (or configured) by the embeddings provider
+ * @param {number|null} expected dimension stored with the collection
+ * @param {{ provider: string, model: string }} info
+ */
+export function assertEmbeddingDimensions(actual, expected, info) {
+  if (!expected || !actual || actual === expected) return;
+  throw new Error(`EMBEDDING_DIMENSION_MISMATCH: collection expects ${expected}-dimensional vectors, ${info.provider}/${info.model} produces ${actual}`);
 }
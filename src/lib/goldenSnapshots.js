@@ -0,0 +1,124 @@
+// Golden snapshots: reviewed expected output per sample (segment sequence, field values and
+// explanation names) that the parser tester compares field by field against a parser's output.
+// Snapshots are checked in below GOLDEN_DIR (default tests/golden) as <sample name without .md>.json.
+// A snapshot holds the hash of the sample it was recorded from, so a different sample with the same
+// name (tests/fixtures/APERAK_1.md vs. MAKO_SAMPLES/APERAK_1.md) is not compared against it.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { contentHash } from './parserRegistry.js';
+
+// Diffs reported per sample; enough to point at the problem without flooding tests.json
+const MAX_DIFFS = 50;
+
+export function getGoldenDir(env = process.env) {
+  return path.resolve(process.cwd(), env.GOLDEN_DIR || path.join('tests', 'golden'));
+}
+
+export function goldenFileFor(sampleName, dir = getGoldenDir()) {
+  return path.join(dir, path.basename(String(sampleName)).replace(/\.md$/i, '') + '.json');
+}
+
+/**
+ * Snapshot of a sample or null when none was recorded. With `text`, a snapshot recorded from other
+ * sample content (different `sampleHash`) counts as none.
+ */
+export async function loadGoldenSnapshot(sampleName, { dir, text } = {}) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(goldenFileFor(sampleName, dir), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`GOLDEN_INVALID: ${goldenFileFor(sampleName, dir)}: ${e.message}`);
+  }
+  if (text != null && snapshot?.sampleHash && snapshot.sampleHash !== contentHash(String(text))) return null;
+  return snapshot;
+}
+
+export async function saveGoldenSnapshot(snapshot, { dir = getGoldenDir() } = {}) {
+  const file = goldenFileFor(snapshot.sample, dir);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(snapshot, null, 2) + '\n', 'utf8');
+  return file;
+}
+
+const pad2 = (n) => String(n + 1).padStart(2, '0');
+
+// Parsers return { json: { segments } } (baseline) or { segments }; anything else yields nothing
+const segmentsOf = (parsed) => {
+  const segs = parsed?.json?.segments ?? parsed?.segments;
+  return Array.isArray(segs) ? segs.filter(s => s && typeof s.tag === 'string') : [];
+};
+
+// Keys are TAG[n]/EE/CC with n counting occurrences of the tag, e.g. DTM[1]/01/02
+function fieldValues(parsed) {
+  const out = {};
+  const seen = {};
+  for (const s of segmentsOf(parsed)) {
+    const occ = seen[s.tag] = (seen[s.tag] ?? -1) + 1;
+    (Array.isArray(s.elements) ? s.elements : []).forEach((comps, i) => {
+      (Array.isArray(comps) ? comps : [comps]).forEach((v, j) => {
+        if (v != null && v !== '') out[`${s.tag}[${occ}]/${pad2(i)}/${pad2(j)}`] = String(v);
+      });
+    });
+  }
+  return out;
+}
+
+function explanationNames(explained) {
+  const out = {};
+  const seen = {};
+  const segs = explained?.explanations?.segments;
+  for (const s of Array.isArray(segs) ? segs : []) {
+    const tag = s?.segment;
+    if (typeof tag !== 'string') continue;
+    const occ = seen[tag] = (seen[tag] ?? -1) + 1;
+    for (const f of Array.isArray(s.fields) ? s.fields : []) {
+      if (typeof f?.path !== 'string' || f.name == null) continue;
+      out[`${tag}[${occ}]${f.path.slice(tag.length)}`] = String(f.name);
+    }
+  }
+  return out;
+}
+
+/**
+ * Snapshot of a parser's output for review. Every non-empty component is recorded; reviewers may
+ * delete entries from `fields`/`explanations` to assert only the key values of a sample.
+ */
+export function createGoldenSnapshot({ sample, text, format, parsed, explained }) {
+  const fields = fieldValues(parsed);
+  const names = explanationNames(explained);
+  return {
+    sample: path.basename(String(sample)),
+    sampleHash: text != null ? contentHash(String(text)) : null,
+    format: format ? String(format).toUpperCase() : null,
+    recordedAt: new Date().toISOString(),
+    segments: segmentsOf(parsed).map(s => s.tag),
+    fields,
+    // Names only for recorded fields keep the snapshot reviewable
+    explanations: Object.fromEntries(Object.entries(names).filter(([k]) => k in fields)),
+  };
+}
+
+/**
+ * Compare parser output with a snapshot. Every snapshot entry is one check (segment positions plus
+ * a segment count check, listed fields, listed explanation names).
+ * @returns {{ ok: boolean, checks: number, matched: number, score: number, diffs: Array<{ path: string, expected: any, actual: any }> }}
+ */
+export function compareGolden(expected, { parsed, explained }) {
+  const diffs = [];
+  let checks = 0;
+  const check = (p, want, got) => {
+    checks++;
+    if (want !== got) diffs.push({ path: p, expected: want, actual: got ?? null });
+  };
+  const tags = segmentsOf(parsed).map(s => s.tag);
+  const wantTags = Array.isArray(expected?.segments) ? expected.segments : [];
+  wantTags.forEach((t, i) => check(`segments[${i}]`, t, tags[i]));
+  check('segments.length', wantTags.length, tags.length);
+  const fields = fieldValues(parsed);
+  for (const [k, v] of Object.entries(expected?.fields || {})) check(`fields.${k}`, v, fields[k]);
+  const names = explanationNames(explained);
+  for (const [k, v] of Object.entries(expected?.explanations || {})) check(`explanations.${k}`, v, names[k]);
+  const matched = checks - diffs.length;
+  return { ok: diffs.length === 0, checks, matched, score: checks ? matched / checks : 1, diffs: diffs.slice(0, MAX_DIFFS) };
+}
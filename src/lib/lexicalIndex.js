@@ -0,0 +1,89 @@
+import { matchFilter } from './vectorStore.js';
+
+// In-memory BM25 index over payload text. Dense embeddings blur exact tokens that dominate the
+// spec corpus (segment tags, data element ids, qualifiers, Prüfidentifikatoren); BM25 matches them
+// literally. The index is built from a full scroll of the collection and reused per process until
+// the collection fingerprint changes.
+
+const PAGE_SIZE = 256;
+const indexes = new Map();
+
+/** Lowercased word tokens; digits and qualifier codes (2005, z13, 11042) stay whole. */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/** Searchable text of a payload: all string and number leaves, keys excluded. */
+export function payloadText(payload) {
+  const out = [];
+  const walk = (v) => {
+    if (v == null) return;
+    if (typeof v === 'string' || typeof v === 'number') out.push(String(v));
+    else if (Array.isArray(v)) v.forEach(walk);
+    else if (typeof v === 'object') Object.values(v).forEach(walk);
+  };
+  walk(payload);
+  return out.join(' ');
+}
+
+export class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = [];
+    this.df = new Map();
+    this.totalLength = 0;
+  }
+
+  add(id, payload, text = payloadText(payload)) {
+    const tf = new Map();
+    const tokens = tokenize(text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) this.df.set(t, (this.df.get(t) || 0) + 1);
+    this.docs.push({ id, payload, tf, length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Rank documents matching the payload filter by BM25 against the query.
+   * @returns {Array<{ id: string|number, score: number, payload: object }>}
+   */
+  search(query, { limit = 10, filter } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const n = this.docs.length;
+    if (!terms.length || !n) return [];
+    const avgLength = this.totalLength / n || 1;
+    const idf = new Map(terms.map(t => {
+      const df = this.df.get(t) || 0;
+      return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+    }));
+    const hits = [];
+    for (const doc of this.docs) {
+      let score = 0;
+      for (const t of terms) {
+        const f = doc.tf.get(t);
+        if (!f) continue;
+        score += idf.get(t) * (f * (this.k1 + 1)) / (f + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+      }
+      if (score > 0 && matchFilter(doc, filter)) hits.push({ id: doc.id, score, payload: doc.payload });
+    }
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+/** BM25 index over the store's collection, rebuilt when the collection fingerprint changes. */
+export async function getLexicalIndex(store) {
+  const key = `${store.kind}:${store.collection}`;
+  const fingerprint = await store.fingerprint();
+  const cached = indexes.get(key);
+  if (cached?.fingerprint === fingerprint) return cached.index;
+  const index = new Bm25Index();
+  let offset = null;
+  do {
+    const page = await store.scroll({ limit: PAGE_SIZE, offset });
+    for (const p of page.points || []) index.add(p.id, p.payload || {});
+    offset = page.next_page_offset ?? null;
+  } while (offset != null);
+  indexes.set(key, { fingerprint, index });
+  return index;
+}
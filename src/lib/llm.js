@@ -1,8 +1,99 @@
 import 'dotenv/config';
 import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { StubChatModel, loadStubFixtures } from './llmStub.js';
 
-export function getGemini(model = process.env.GEMINI_MODEL || 'gemini-2.5-flash') {
-  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-  if (!apiKey) throw new Error('GEMINI_API_KEY/GOOGLE_AI_API_KEY missing in env');
-  return new ChatGoogleGenerativeAI({ model, apiKey, temperature: 0.2 });
+const DEFAULT_MODELS = { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini', stub: 'stub' };
+
+/**
+ * Resolve the LLM provider from env:
+ * - LLM_PROVIDER=gemini (GEMINI_API_KEY/GOOGLE_AI_API_KEY, GEMINI_MODEL)
+ * - LLM_PROVIDER=openai for any OpenAI-compatible endpoint (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL)
+ * - LLM_PROVIDER=stub for deterministic offline fixtures (LLM_STUB_FIXTURES)
+ * Without LLM_PROVIDER, MOCK_LLM=true selects the stub, otherwise Gemini. The stub is never chosen
+ * implicitly: a missing Gemini key is a configuration error (LLM_CONFIG_MISSING).
+ * @returns {{ provider: 'gemini'|'openai'|'stub', model: string, apiKey?: string, baseUrl?: string, fixtures?: string }}
+ */
+export function getLlmConfig(env = process.env) {
+  const geminiKey = env.GEMINI_API_KEY || env.GOOGLE_AI_API_KEY;
+  let provider = (env.LLM_PROVIDER || '').toLowerCase();
+  if (provider === 'google') provider = 'gemini';
+  if (!provider) provider = env.MOCK_LLM === 'true' ? 'stub' : 'gemini';
+  if (provider === 'gemini') {
+    if (!geminiKey) throw new Error('LLM_CONFIG_MISSING: GEMINI_API_KEY/GOOGLE_AI_API_KEY missing in env (use LLM_PROVIDER=stub or MOCK_LLM=true for offline runs)');
+    return { provider, model: env.GEMINI_MODEL || DEFAULT_MODELS.gemini, apiKey: geminiKey };
+  }
+  if (provider === 'openai') {
+    return {
+      provider,
+      model: env.OPENAI_MODEL || DEFAULT_MODELS.openai,
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    };
+  }
+  if (provider === 'stub') return { provider, model: DEFAULT_MODELS.stub, fixtures: env.LLM_STUB_FIXTURES };
+  throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected gemini, openai or stub)`);
+}
+
+const ROLES = { human: 'user', ai: 'assistant', system: 'system', tool: 'tool', generic: 'user' };
+
+/** Chat model for OpenAI-compatible /chat/completions endpoints (vLLM, Ollama, LM Studio, …). */
+export class OpenAICompatibleChatModel extends SimpleChatModel {
+  static lc_name() { return 'OpenAICompatibleChatModel'; }
+
+  constructor({ model, apiKey, baseUrl, temperature = 0.2, timeoutMs = 120000 }) {
+    super({});
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.temperature = temperature;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get lc_namespace() { return ['willi', 'llm', 'openai_compatible']; }
+
+  _llmType() { return 'openai-compatible'; }
+
+  async _call(messages, options) {
+    const body = {
+      model: this.model,
+      temperature: this.temperature,
+      messages: messages.map(m => ({
+        role: ROLES[m._getType?.()] || 'user',
+        content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
+      })),
+    };
+    if (options?.stop?.length) body.stop = options.stop;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const res = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}) },
+        body: JSON.stringify(body),
+        // The caller's signal (agent cancellation) and the request timeout both abort
+        signal: options?.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal,
+      });
+      if (!res.ok) throw new Error(`LLM request failed: HTTP ${res.status} ${(await res.text()).slice(0, 300)}`);
+      const data = await res.json();
+      return data?.choices?.[0]?.message?.content ?? '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Chat model for the configured provider. Tools call `llm.invoke(prompt)`; agents receive the same
+ * instance as KaibanJS `llmInstance`.
+ * @param {Partial<ReturnType<typeof getLlmConfig>>} [overrides]
+ */
+export function getLlm(overrides = {}) {
+  const config = { ...getLlmConfig(), ...overrides };
+  if (config.provider === 'gemini') {
+    if (!config.apiKey) throw new Error('LLM_CONFIG_MISSING: GEMINI_API_KEY/GOOGLE_AI_API_KEY missing in env');
+    return new ChatGoogleGenerativeAI({ model: config.model, apiKey: config.apiKey, temperature: 0.2 });
+  }
+  if (config.provider === 'openai') return new OpenAICompatibleChatModel(config);
+  return new StubChatModel({ model: config.model, fixtures: loadStubFixtures(config.fixtures) });
 }
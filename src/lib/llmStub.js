@@ -0,0 +1,165 @@
+// Deterministic offline chat model (LLM_PROVIDER=stub). Answers prompts from fixtures so the agent
+// pipeline runs without network: custom fixtures first, then built-in ones for the repo's tools and
+// the KaibanJS agent loop.
+import fs from 'node:fs';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { detectDelimiters, splitSegments, splitSegmentBody, tokenizeEdifact, buildInterchangeTree } from './edifact.js';
+import { syntaxEncoding, detectSyntaxIdentifier, decodeEdifact } from './edifactCharset.js';
+import { DEFAULT_SEGMENT_GROUPS } from './segmentGroups.js';
+
+function messageText(message) {
+  const c = message?.content;
+  if (typeof c === 'string') return c;
+  if (Array.isArray(c)) return c.map(p => (typeof p === 'string' ? p : p?.text || '')).join('');
+  return '';
+}
+
+/**
+ * Mock parser module returned for parser generation prompts: the baseline tokenizer and tree builder
+ * (inlined like BASELINE_PARSER does) without spec validation; segments outside UNH…UNT are reported
+ * as SEGMENT_OUT_OF_MESSAGE_SCOPE so the tester's mutated samples are detected.
+ */
+function mockParserModule(format, segments) {
+  return `// Auto-generated mock parser for ${format}
+${[syntaxEncoding, detectSyntaxIdentifier, decodeEdifact, detectDelimiters, splitSegments, splitSegmentBody, tokenizeEdifact, buildInterchangeTree]
+    .map(fn => fn.toString()).join('\n\n')}
+
+const SEGMENT_GROUPS = ${JSON.stringify(DEFAULT_SEGMENT_GROUPS)};
+
+export async function parseEdifactToJson(edifactText) {
+  if (!edifactText || (typeof edifactText !== 'string' && !(edifactText instanceof Uint8Array))) throw new Error('EMPTY_INPUT');
+  const { delimiters, una, segments } = tokenizeEdifact(edifactText);
+  if (!segments.length) throw new Error('NO_SEGMENTS_FOUND');
+  const interchanges = buildInterchangeTree(segments, SEGMENT_GROUPS);
+  const errors = interchanges.flatMap(ic => ic.segments.map(s => ({
+    code: 'SEGMENT_OUT_OF_MESSAGE_SCOPE', message: 'Segment ' + s.tag + ' outside UNH…UNT', segmentTag: s.tag, position: s.position,
+  })));
+  return { format: '${format}', json: { delimiters, una, segments, interchanges }, errors };
+}
+
+export async function explain(parsed) {
+  const out = { ...parsed };
+  const definitions = ((${JSON.stringify(segments || {})}) || {});
+  out.explanations = { segments: [] };
+  for (const s of parsed?.json?.segments || []) {
+    const def = definitions[s.tag];
+    out.explanations.segments.push({ segment: s.tag, position: s.position, description: def ? (def.description || def.name || 'Spec model definition available') : 'No definition available', fields: [] });
+  }
+  return out;
+}
+`;
+}
+
+/**
+ * KaibanJS ReAct turn: call the first tool the task description mentions (inputs taken from
+ * `key: "value"` pairs in the description; a missing `task` is the description itself and a missing
+ * `format` the message type it names), then hand the tool result back as final answer.
+ */
+function agentTurn(system, last) {
+  const toolResult = /^You got this result from the tool: ([\s\S]*)$/.exec(last);
+  if (toolResult) {
+    let value;
+    try { value = JSON.parse(toolResult[1]); } catch { value = toolResult[1]; }
+    // KaibanJS reports failed tool calls as an empty result
+    return { finalAnswer: value === '' || value == null ? { error: 'Tool returned no result' } : value };
+  }
+  if (!/^Hi .+, please complete the following task:/.test(last)) return { finalAnswer: last.slice(0, 500) };
+  const tools = [];
+  const re = /(?:^|, )([a-z][a-z0-9_]*): [\s\S]*? Tool Input Schema: (\{.*?\})(?=, [a-z][a-z0-9_]*: |\n)/g;
+  const listed = (/## Tools available for your use: \n\n([\s\S]*?)\n\n\*\*Important:\*\*/.exec(system) || [])[1] || '';
+  for (let m = re.exec(listed + '\n'); m; m = re.exec(listed + '\n')) {
+    let schema = {};
+    try { schema = JSON.parse(m[2]); } catch {}
+    tools.push({ name: m[1], schema });
+  }
+  const mentioned = tools
+    .map(t => ({ ...t, at: last.indexOf(t.name) }))
+    .filter(t => t.at >= 0)
+    .sort((a, b) => a.at - b.at)[0];
+  if (!mentioned) return { finalAnswer: 'No tool output available (stub LLM)' };
+  const input = {};
+  const required = mentioned.schema.required || [];
+  const defaults = { string: '', array: [], object: {}, number: 0, integer: 0, boolean: false };
+  const description = last.replace(/^Hi .+, please complete the following task:\s*/, '').split('\n')[0].trim();
+  // EDIFACT message types are six capital letters (APERAK, UTILMD, ...)
+  const inferred = { task: description, format: (/\b[A-Z]{6}\b/.exec(description) || [])[0] };
+  for (const [key, prop] of Object.entries(mentioned.schema.properties || {})) {
+    const m = new RegExp('\\b' + key + '\\s*:\\s*"([^"]*)"').exec(last);
+    if (m) input[key] = m[1];
+    else if (inferred[key]) input[key] = inferred[key];
+    else if (required.includes(key) && prop?.type in defaults) input[key] = defaults[prop.type];
+  }
+  return { thought: 'Use ' + mentioned.name + ' for this task (stub LLM)', action: mentioned.name, actionInput: input };
+}
+
+const BUILTIN_FIXTURES = [
+  {
+    // KaibanJS agent system prompt
+    match: (prompt, system, last) => system.includes('## Tools available for your use'),
+    respond: (prompt, system, last) => JSON.stringify(agentTurn(system, last)),
+  },
+  {
+    // generate_edifact_parser_module
+    match: (prompt) => prompt.includes('generate a robust JavaScript module that can parse EDIFACT'),
+    respond: (prompt) => {
+      const format = (/message format (\S+) and a specification/.exec(prompt) || [])[1] || 'UNKNOWN';
+      let model = {};
+      try { model = JSON.parse((/SPEC MODEL \(JSON\):\n([\s\S]*?)\n--- END SPEC MODEL/.exec(prompt) || [])[1]); } catch {}
+      return mockParserModule(format, model?.segments);
+    },
+  },
+  {
+    // plan_qdrant_search_strategy
+    match: (prompt) => prompt.startsWith('You are a research planner'),
+    respond: (prompt) => {
+      const task = (/Task: (.*)/.exec(prompt) || [])[1] || '';
+      const format = (/Format: (.*)/.exec(prompt) || [])[1] || '';
+      return JSON.stringify({ queries: [task, format + ' ' + task].map(s => s.trim()).filter(Boolean), mustFilters: [], shouldFilters: [] });
+    },
+  },
+  {
+    // synthesize_spec_segment
+    match: (prompt) => prompt.startsWith('Synthesize a concise, normalized mapping'),
+    respond: (prompt) => {
+      const segment = (/"segment": "([^"]*)"/.exec(prompt) || [])[1] || '';
+      return JSON.stringify({ segment, elements: [], validations: [] });
+    },
+  },
+];
+
+/**
+ * Load custom fixtures: a JSON array of { match: "<regex>", response: string|object }. Matches are
+ * tested against the full prompt (all messages); object responses are returned as JSON.
+ */
+export function loadStubFixtures(file) {
+  if (!file) return [];
+  const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(list)) throw new Error('LLM_STUB_FIXTURES must contain a JSON array');
+  return list.map(f => ({
+    match: (prompt) => new RegExp(f.match).test(prompt),
+    respond: () => (typeof f.response === 'string' ? f.response : JSON.stringify(f.response)),
+  }));
+}
+
+export class StubChatModel extends SimpleChatModel {
+  static lc_name() { return 'StubChatModel'; }
+
+  constructor({ model = 'stub', fixtures = [] } = {}) {
+    super({});
+    this.model = model;
+    this.fixtures = [...fixtures, ...BUILTIN_FIXTURES];
+  }
+
+  get lc_namespace() { return ['willi', 'llm', 'stub']; }
+
+  _llmType() { return 'stub'; }
+
+  async _call(messages) {
+    const texts = messages.map(messageText);
+    const system = messages.filter(m => m._getType?.() === 'system').map(messageText).join('\n');
+    const last = texts[texts.length - 1] || '';
+    const prompt = texts.join('\n');
+    const fixture = this.fixtures.find(f => f.match(prompt, system, last));
+    return fixture ? fixture.respond(prompt, system, last) : '{}';
+  }
+}
@@ -0,0 +1,173 @@
+// Versioned registry of generated parsers per format. Every generated module is stored with its
+// content hash, format version, spec hash, generation time and test results; only versions whose
+// tests passed can become the active parser, older versions stay available for rollback.
+// Layout below PARSER_REGISTRY_DIR (default ./artifacts):
+//   <FORMAT>/registry.json            { format, active, versions: [entry] }
+//   <FORMAT>/parsers/v<n>.mjs         module code of version n
+//   <FORMAT>/parsers/v<n>.tests.json  full tester result of version n
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { loadSandboxedParserFile } from './parserSandbox.js';
+
+export function getRegistryDir(env = process.env) {
+  return path.resolve(process.cwd(), env.PARSER_REGISTRY_DIR || 'artifacts');
+}
+
+/** sha256 of a string or JSON value, as "sha256:<hex>". */
+export function contentHash(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return 'sha256:' + crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+const formatDir = (format, dir) => path.join(dir || getRegistryDir(), String(format).toUpperCase());
+
+async function writeJson(file, data) {
+  // Write-then-rename so readers never see a half-written registry
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Registry of a format; an empty registry when none was written yet.
+ * @returns {Promise<{ format: string, active: number|null, versions: object[] }>}
+ */
+export async function getParserRegistry(format, { dir } = {}) {
+  const fmt = String(format).toUpperCase();
+  try {
+    const reg = JSON.parse(await fs.readFile(path.join(formatDir(fmt, dir), 'registry.json'), 'utf8'));
+    return { format: fmt, active: reg.active ?? null, versions: Array.isArray(reg.versions) ? reg.versions : [] };
+  } catch (e) {
+    if (e.code === 'ENOENT') return { format: fmt, active: null, versions: [] };
+    throw new Error(`PARSER_REGISTRY_INVALID: ${fmt}: ${e.message}`);
+  }
+}
+
+/** Formats that have a registry below the registry directory. */
+export async function listRegisteredFormats({ dir } = {}) {
+  const base = dir || getRegistryDir();
+  let entries = [];
+  try {
+    entries = await fs.readdir(base, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const formats = [];
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    try {
+      await fs.access(path.join(base, e.name, 'registry.json'));
+      formats.push(e.name);
+    } catch {}
+  }
+  return formats.sort();
+}
+
+// Tester output ({ success, score, results } or its JSON string) → { success, score, passed, failed }
+function summarizeTests(tests) {
+  let t = tests;
+  if (typeof t === 'string') { try { t = JSON.parse(t); } catch { t = null; } }
+  const results = Array.isArray(t?.results) ? t.results : [];
+  return {
+    success: t?.success === true,
+    ...(typeof t?.score === 'number' ? { score: t.score } : {}),
+    passed: results.filter(r => r?.ok).length,
+    failed: results.filter(r => !r?.ok).length,
+    ...(t?.error ? { error: String(t.error) } : {}),
+  };
+}
+
+/**
+ * Store a generated parser as a new version (or update the tests of an identical existing one) and
+ * promote it to active when its tests passed. Returns the entry and whether it became active.
+ * @param {{ format: string, code: string, formatVersion?: string|null, spec?: any, tests?: any, generatedAt?: string }} input
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<{ entry: object, promoted: boolean, registry: object }>}
+ */
+export async function registerParser({ format, code, formatVersion = null, spec, tests, generatedAt }, { dir } = {}) {
+  if (typeof code !== 'string' || !code.trim()) throw new Error('PARSER_CODE_EMPTY: no module code to register');
+  const fmt = String(format).toUpperCase();
+  const root = formatDir(fmt, dir);
+  await fs.mkdir(path.join(root, 'parsers'), { recursive: true });
+  const registry = await getParserRegistry(fmt, { dir });
+  const hash = contentHash(code);
+  const summary = summarizeTests(tests);
+  let entry = registry.versions.find(v => v.contentHash === hash);
+  if (!entry) {
+    const version = registry.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    entry = { version, file: `parsers/v${version}.mjs`, contentHash: hash };
+    await fs.writeFile(path.join(root, entry.file), code, 'utf8');
+    registry.versions.push(entry);
+  }
+  Object.assign(entry, {
+    formatVersion: formatVersion ?? entry.formatVersion ?? null,
+    specHash: spec !== undefined ? contentHash(spec) : entry.specHash ?? null,
+    generatedAt: generatedAt || new Date().toISOString(),
+    tests: { ...summary, file: `parsers/v${entry.version}.tests.json` },
+    validated: summary.success,
+  });
+  await writeJson(path.join(root, entry.tests.file), tests ?? null);
+  // Validation gate: untested or failing versions are kept but never activated
+  const promoted = entry.validated;
+  if (promoted) registry.active = entry.version;
+  else if (registry.active === entry.version) {
+    // The active version failed a re-test: fall back to the newest other validated version
+    registry.active = registry.versions.filter(v => v.validated).sort((a, b) => b.version - a.version)[0]?.version ?? null;
+  }
+  await writeJson(path.join(root, 'registry.json'), registry);
+  return { entry, promoted, registry };
+}
+
+/**
+ * Make a validated version the active parser.
+ * @throws {Error} PARSER_VERSION_NOT_FOUND, PARSER_NOT_VALIDATED
+ */
+export async function activateParser(format, version, { dir } = {}) {
+  const registry = await getParserRegistry(format, { dir });
+  const entry = registry.versions.find(v => v.version === Number(version));
+  if (!entry) throw new Error(`PARSER_VERSION_NOT_FOUND: ${registry.format} v${version}`);
+  if (!entry.validated) throw new Error(`PARSER_NOT_VALIDATED: ${registry.format} v${version} did not pass its tests`);
+  registry.active = entry.version;
+  await writeJson(path.join(formatDir(registry.format, dir), 'registry.json'), registry);
+  return entry;
+}
+
+/**
+ * Re-activate the newest validated version older than the active one.
+ * @throws {Error} PARSER_NO_ROLLBACK when there is none
+ */
+export async function rollbackParser(format, { dir } = {}) {
+  const registry = await getParserRegistry(format, { dir });
+  const previous = registry.versions
+    .filter(v => v.validated && (registry.active == null || v.version < registry.active))
+    .sort((a, b) => b.version - a.version)[0];
+  if (!previous) throw new Error(`PARSER_NO_ROLLBACK: no validated version of ${registry.format} before v${registry.active ?? '-'}`);
+  return activateParser(registry.format, previous.version, { dir });
+}
+
+/**
+ * Active parser of a format: its registry entry and module path, or null when no version passed
+ * its tests. The stored code must still match the registered content hash.
+ * @throws {Error} PARSER_HASH_MISMATCH
+ */
+export async function resolveParser(format, { dir } = {}) {
+  if (!format) return null;
+  const registry = await getParserRegistry(format, { dir });
+  const entry = registry.versions.find(v => v.version === registry.active);
+  if (!entry) return null;
+  const file = path.join(formatDir(registry.format, dir), entry.file);
+  const code = await fs.readFile(file, 'utf8');
+  if (contentHash(code) !== entry.contentHash) {
+    throw new Error(`PARSER_HASH_MISMATCH: ${registry.format} v${entry.version} (${entry.file}) was modified after registration`);
+  }
+  return { format: registry.format, entry, path: file };
+}
+
+/** Load the active parser of a format into the sandbox (see parserSandbox.js); null when there is none. */
+export async function loadActiveParser(format, { dir, ...sandboxOptions } = {}) {
+  const resolved = await resolveParser(format, { dir });
+  if (!resolved) return null;
+  const mod = await loadSandboxedParserFile(resolved.path, sandboxOptions);
+  return Object.assign(mod, { entry: resolved.entry });
+}
@@ -0,0 +1,112 @@
+// Generate–test–repair loop for parser modules: failing tests of an attempt (sample names, errors,
+// stack traces) are fed back into the generator until an attempt passes or the attempts run out.
+// Every attempt is persisted; the best-scoring one is returned when none passes.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Repair attempts after the initial generation (REPAIR_ATTEMPTS, default 3; 0 disables repair). */
+export function getRepairAttempts(env = process.env) {
+  const n = Number(env.REPAIR_ATTEMPTS ?? 3);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 3;
+}
+
+function parseTests(tests) {
+  if (typeof tests !== 'string') return tests || null;
+  try { return JSON.parse(tests); } catch { return null; }
+}
+
+/** Tester score of an attempt, else the share of passed test cases (0 when the module could not be loaded). */
+export function testScore(tests) {
+  const t = parseTests(tests);
+  if (t?.success === true) return 1;
+  if (typeof t?.score === 'number') return t.score;
+  const results = Array.isArray(t?.results) ? t.results : [];
+  return results.length ? results.filter(r => r?.ok).length / results.length : 0;
+}
+
+/** Failing tests as generator feedback: { name, error, stack? } per failure. */
+export function failureFeedback(tests) {
+  const t = parseTests(tests);
+  if (!t) return [{ name: 'tester', error: 'No test result' }];
+  const failures = (Array.isArray(t.results) ? t.results : [])
+    .filter(r => !r?.ok)
+    .map(r => ({
+      name: String(r.name ?? 'unknown'),
+      // Snapshot mismatches carry their field-level diffs
+      error: String(r.error ?? 'failed') + (r.golden?.diffs?.length ? ' ' + JSON.stringify(r.golden.diffs.slice(0, 10)) : ''),
+      ...(r.stack ? { stack: String(r.stack) } : {}),
+    }));
+  // Load/export problems come without per-sample results
+  if (t.error) failures.unshift({ name: 'module', error: String(t.error) });
+  return failures;
+}
+
+const moduleCodeOf = (res) => {
+  let code = res;
+  if (typeof code === 'string' && code.trim().startsWith('{')) {
+    try { code = JSON.parse(code); } catch {}
+  }
+  if (code && typeof code === 'object' && 'moduleCode' in code) code = code.moduleCode;
+  return typeof code === 'string' ? code : '';
+};
+
+/**
+ * Run repair attempts for a module whose tests failed. Attempt 1 is the given module, tested here so
+ * every attempt is scored on its own code; each further attempt calls `generator` with the previous
+ * code and its failures and tests the result. Attempts are written to `<dir>/attempt-<n>.mjs` and
+ * `<dir>/attempt-<n>.tests.json` plus `<dir>/attempts.json`.
+ * @param {{ format: string, spec: any, sample?: string, samples: Array<{ name: string, text: string }>, code: string }} input
+ * @param {{ generator: { invoke: Function }, tester: { invoke: Function }, maxAttempts?: number, dir: string, log?: (line: string) => void }} options
+ * @returns {Promise<{ best: { attempt: number, code: string, tests: any, score: number }, attempts: object[] }>}
+ */
+export async function repairParser({ format, spec, sample, samples, code }, { generator, tester, maxAttempts = getRepairAttempts(), dir, log = () => {} }) {
+  await fs.mkdir(dir, { recursive: true });
+  const attempts = [];
+  let best = null;
+  const record = async (attempt, attemptCode, attemptTests) => {
+    const score = testScore(attemptTests);
+    const file = `attempt-${attempt}.mjs`;
+    await fs.writeFile(path.join(dir, file), attemptCode, 'utf8');
+    await fs.writeFile(path.join(dir, `attempt-${attempt}.tests.json`), JSON.stringify(parseTests(attemptTests), null, 2), 'utf8');
+    attempts.push({ attempt, file, score, success: score === 1, failures: failureFeedback(attemptTests).length });
+    await fs.writeFile(path.join(dir, 'attempts.json'), JSON.stringify(attempts, null, 2), 'utf8');
+    // Earlier attempts win ties
+    if (!best || score > best.score) best = { attempt, code: attemptCode, tests: attemptTests, score };
+    log(`${format} attempt ${attempt}: score ${score.toFixed(2)}`);
+    return score;
+  };
+
+  const test = async (moduleCode) => {
+    try {
+      return await tester.invoke({ moduleCode, samples: samples.map(s => ({ name: s.name, text: s.text })), format });
+    } catch (e) {
+      return { format, success: false, score: 0, error: e.message };
+    }
+  };
+
+  let current = { code, tests: await test(code) };
+  let score = await record(1, code, current.tests);
+  for (let attempt = 2; score < 1 && attempt <= maxAttempts + 1; attempt++) {
+    let nextCode = '';
+    try {
+      nextCode = moduleCodeOf(await generator.invoke({
+        format,
+        spec,
+        sample,
+        previousCode: current.code,
+        feedback: failureFeedback(current.tests),
+      }));
+    } catch (e) {
+      log(`${format} attempt ${attempt}: generation failed (${e.message})`);
+      continue;
+    }
+    if (!nextCode.trim()) {
+      log(`${format} attempt ${attempt}: generator returned no code`);
+      continue;
+    }
+    const nextTests = await test(nextCode);
+    score = await record(attempt, nextCode, nextTests);
+    current = { code: nextCode, tests: nextTests };
+  }
+  return { best, attempts };
+}
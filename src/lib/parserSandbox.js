@@ -0,0 +1,180 @@
+// Isolated execution of generated parser modules. A static check rejects Node built-in imports,
+// require() and dynamic import() before the code runs; the module then runs in a worker thread
+// (memory limits, terminated on timeout) inside a vm context without Node globals. vm alone is no
+// security boundary, the worker limits and the pre-check keep a misbehaving parser from taking
+// the host process down with it.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { builtinModules } from 'node:module';
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./parserSandboxWorker.js', import.meta.url);
+const BUILTINS = new Set(builtinModules.flatMap(m => [m, m.split('/')[0]]));
+
+/** Sandbox limits from the environment (PARSER_TIMEOUT_MS, PARSER_MEMORY_MB). */
+export function getSandboxLimits(env = process.env) {
+  return {
+    timeoutMs: Number(env.PARSER_TIMEOUT_MS || 10000),
+    memoryMb: Number(env.PARSER_MEMORY_MB || 256),
+  };
+}
+
+/**
+ * Static pre-check of generated parser code. Returns the violations found (empty when the code may
+ * be run): BUILTIN_IMPORT for imports/re-exports of Node built-ins ("fs", "node:net", ...),
+ * DYNAMIC_IMPORT for import() and REQUIRE for require() calls.
+ * @param {string} code
+ * @returns {Array<{ code: string, message: string, line: number, specifier?: string }>}
+ */
+export function checkParserSource(code) {
+  const src = String(code ?? '');
+  const violations = [];
+  const lineAt = (index) => src.slice(0, index).split('\n').length;
+  const staticImport = /^\s*(?:import|export)\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/gm;
+  for (const m of src.matchAll(staticImport)) {
+    const specifier = m[1];
+    const bare = specifier.replace(/^node:/, '');
+    if (specifier.startsWith('node:') || BUILTINS.has(bare) || BUILTINS.has(bare.split('/')[0])) {
+      violations.push({ code: 'BUILTIN_IMPORT', message: `imports Node built-in "${specifier}"`, line: lineAt(m.index), specifier });
+    }
+  }
+  for (const m of src.matchAll(/\bimport\s*\(/g)) {
+    violations.push({ code: 'DYNAMIC_IMPORT', message: 'uses dynamic import()', line: lineAt(m.index) });
+  }
+  for (const m of src.matchAll(/\brequire\s*\(/g)) {
+    violations.push({ code: 'REQUIRE', message: 'calls require()', line: lineAt(m.index) });
+  }
+  return violations;
+}
+
+// Raw bytes are passed as { $bytes: [...] } and rebuilt as Uint8Array inside the sandbox. Top-level
+// arguments are converted up front: JSON.stringify applies Buffer#toJSON before the replacer sees them.
+const bytesOf = (v) => (v instanceof Uint8Array ? { $bytes: Array.from(v) } : v);
+const toPayload = (args) => JSON.stringify(args.map(bytesOf), (k, v) => bytesOf(v));
+
+function sandboxError(e) {
+  const err = new Error(e.message);
+  for (const [k, v] of Object.entries(e)) if (k !== 'message') err[k] = v;
+  return err;
+}
+
+/**
+ * Load generated parser code into a sandbox. The returned object mirrors the module interface
+ * (`parseEdifactToJson`, `explain`, async) and lists the exported functions in `exports`.
+ * Each call is limited to `timeoutMs`; a timed-out or crashed worker is replaced on the next call.
+ * Call `close()` when done.
+ * @param {string} code ESM source of the parser module
+ * @param {{ filename?: string, timeoutMs?: number, memoryMb?: number }} [options]
+ * @throws {Error} PARSER_REJECTED (static check), PARSER_LOAD_FAILED, PARSER_TIMEOUT, PARSER_MEMORY_LIMIT
+ */
+export async function loadSandboxedParser(code, options = {}) {
+  const { timeoutMs, memoryMb } = { ...getSandboxLimits(), ...options };
+  const filename = options.filename || 'parser.mjs';
+  const violations = checkParserSource(code);
+  if (violations.length) {
+    throw Object.assign(
+      new Error(`PARSER_REJECTED: ${filename}: ${violations.map(v => `${v.message} (line ${v.line})`).join('; ')}`),
+      { violations }
+    );
+  }
+
+  let worker = null;
+  let ready = null;
+  let exports = [];
+  let nextId = 0;
+  const pending = new Map();
+
+  const fail = (err) => {
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  };
+  const spawn = () => {
+    const w = new Worker(WORKER_URL, {
+      workerData: { code: String(code), filename },
+      execArgv: ['--experimental-vm-modules', '--no-warnings'],
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb, maxYoungGenerationSizeMb: Math.max(8, Math.round(memoryMb / 8)), stackSizeMb: 4 },
+    });
+    worker = w;
+    w.unref();
+    ready = new Promise((resolve, reject) => {
+      w.on('message', (msg) => {
+        if (msg.type === 'ready') { exports = msg.exports; resolve(); return; }
+        if (msg.type === 'load-error') { reject(new Error(`PARSER_LOAD_FAILED: ${filename}: ${msg.error.message}`)); return; }
+        if (msg.type === 'log') { console.warn(`[${filename}] ${msg.line}`); return; }
+        const p = pending.get(msg.id);
+        if (!p) return;
+        pending.delete(msg.id);
+        if (msg.error) p.reject(sandboxError(msg.error));
+        else p.resolve(JSON.parse(msg.result));
+      });
+      w.on('error', (e) => {
+        const err = e?.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? new Error(`PARSER_MEMORY_LIMIT: ${filename} exceeded ${memoryMb} MB`)
+          : new Error(`PARSER_CRASHED: ${filename}: ${e?.message || e}`);
+        reject(err);
+        fail(err);
+      });
+      w.on('exit', () => {
+        if (worker === w) worker = null;
+        reject(new Error(`PARSER_LOAD_FAILED: ${filename}: worker exited`));
+        fail(new Error(`PARSER_CRASHED: ${filename}: worker exited`));
+      });
+    });
+    return ready;
+  };
+  // Keeps the event loop alive only while a call is in flight
+  const withDeadline = async (promise, what) => {
+    const w = worker;
+    w?.ref();
+    let timer;
+    try {
+      return await Promise.race([
+        promise,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            const err = new Error(`PARSER_TIMEOUT: ${filename}: ${what} exceeded ${timeoutMs} ms`);
+            fail(err);
+            reject(err);
+            if (worker === w) worker = null;
+            w?.terminate();
+          }, timeoutMs);
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+      w?.unref();
+    }
+  };
+  const call = async (name, args) => {
+    if (!worker) await withDeadline(spawn(), 'loading');
+    else await ready;
+    const id = ++nextId;
+    const result = new Promise((resolve, reject) => pending.set(id, { resolve, reject }));
+    worker.postMessage({ id, name, payload: toPayload(args) });
+    return withDeadline(result, name);
+  };
+
+  try {
+    await withDeadline(spawn(), 'loading');
+  } catch (e) {
+    await worker?.terminate();
+    throw e;
+  }
+  return {
+    get exports() { return exports; },
+    parseEdifactToJson: (text) => call('parseEdifactToJson', [text]),
+    explain: (parsed) => call('explain', [parsed]),
+    close: async () => {
+      const w = worker;
+      worker = null;
+      if (w) await w.terminate();
+    },
+  };
+}
+
+/** Read a parser module from disk and load it with loadSandboxedParser. */
+export async function loadSandboxedParserFile(file, options = {}) {
+  const code = await fs.readFile(file, 'utf8');
+  return loadSandboxedParser(code, { filename: path.basename(file), ...options });
+}
@@ -0,0 +1,79 @@
+// Worker side of parserSandbox.js: evaluates a generated parser module in a vm context without
+// Node globals (no require, process, Buffer, fs/net/child_process) and answers calls to its exports.
+// Arguments and results cross the context boundary as JSON so no host objects leak into the module.
+import vm from 'node:vm';
+import { parentPort, workerData } from 'node:worker_threads';
+
+const { code, filename } = workerData;
+
+const context = vm.createContext(Object.create(null), {
+  name: filename,
+  codeGeneration: { strings: false, wasm: false },
+});
+
+// Host helpers are only reachable through closures, never as properties of the context's globals
+const install = vm.runInContext(`(function (hostDecode, hostLog) {
+  class TextDecoder {
+    constructor(label = 'utf-8') { this.encoding = String(label).toLowerCase(); }
+    decode(bytes) {
+      const text = hostDecode(this.encoding, Array.from(bytes || []));
+      if (text === null) throw new RangeError('The "' + this.encoding + '" encoding is not supported');
+      return text;
+    }
+  }
+  const log = (...args) => hostLog(args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' '));
+  globalThis.TextDecoder = TextDecoder;
+  globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+  globalThis.globalThis = globalThis;
+  // Calls an export with JSON arguments ({ $bytes: [...] } for raw input) and returns JSON
+  return async (fn, payload) => {
+    const args = JSON.parse(payload, (k, v) => (v && Array.isArray(v.$bytes) ? new Uint8Array(v.$bytes) : v));
+    const result = await fn(...args);
+    return JSON.stringify(result === undefined ? null : result);
+  };
+})`, context);
+
+const invoke = install(
+  (encoding, bytes) => {
+    try {
+      return new TextDecoder(encoding).decode(Uint8Array.from(bytes));
+    } catch {
+      return null;
+    }
+  },
+  (line) => parentPort.postMessage({ type: 'log', line: String(line) })
+);
+
+// Primitive copy of an error thrown inside the context (code, position, stack etc. are kept)
+function describeError(e) {
+  const out = { message: String(e?.message ?? e) };
+  for (const key of ['code', 'segmentTag', 'position', 'field', 'stack']) {
+    const v = e?.[key];
+    if (v != null && typeof v !== 'object' && typeof v !== 'function') out[key] = v;
+  }
+  return out;
+}
+
+let namespace;
+try {
+  const mod = new vm.SourceTextModule(code, { identifier: filename, context });
+  await mod.link((specifier) => {
+    throw new Error(`PARSER_IMPORT_DENIED: generated parsers cannot import "${specifier}"`);
+  });
+  await mod.evaluate();
+  namespace = mod.namespace;
+  const exports = Object.keys(namespace).filter(k => typeof namespace[k] === 'function');
+  parentPort.postMessage({ type: 'ready', exports });
+} catch (e) {
+  parentPort.postMessage({ type: 'load-error', error: describeError(e) });
+}
+
+parentPort.on('message', async ({ id, name, payload }) => {
+  try {
+    const fn = namespace?.[name];
+    if (typeof fn !== 'function') throw new Error(`PARSER_EXPORT_MISSING: ${name} is not exported`);
+    parentPort.postMessage({ type: 'result', id, result: await invoke(fn, payload) });
+  } catch (e) {
+    parentPort.postMessage({ type: 'result', id, error: describeError(e) });
+  }
+});
@@ -11,3 +11,20 @@ export function getMakoCollection() {
   const collection = process.env.QDRANT_COLLECTION || 'willi_mako';
   return collection;
 }
+
+const vectorSizes = new Map();
+
+/**
+ * Vector dimension stored with a collection (cached per process). Named vector configs report the
+ * first vector's size.
+ * @returns {Promise<number|null>}
+ */
+export async function getCollectionVectorSize(client, collection) {
+  if (!vectorSizes.has(collection)) {
+    const info = await client.getCollection(collection);
+    const vectors = info?.config?.params?.vectors;
+    const size = typeof vectors?.size === 'number' ? vectors.size : Object.values(vectors || {})[0]?.size ?? null;
+    vectorSizes.set(collection, size);
+  }
+  return vectorSizes.get(collection);
+}
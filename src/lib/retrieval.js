@@ -0,0 +1,92 @@
+// Result fusion, score normalization and diversification for multi-source, multi-query retrieval.
+
+export function cosineSimilarity(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Min-max normalize one ranked list to [0, 1] so scores from different queries (or sources) are
+ * comparable. A list whose scores are all equal maps to 1.
+ */
+export function normalizeScores(results) {
+  if (!results.length) return [];
+  const scores = results.map(r => r.score);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return results.map(r => ({ ...r, normalizedScore: max > min ? (r.score - min) / (max - min) : 1 }));
+}
+
+function addHit(entry, { source, query }, r, rank) {
+  entry.hits.push({ source, query, rank, score: r.score });
+  if (!(source in entry.scores) || r.score > entry.scores[source]) entry.scores[source] = r.score;
+  if (!(source in entry.ranks) || rank < entry.ranks[source]) entry.ranks[source] = rank;
+  if (!entry.vector && r.vector) entry.vector = r.vector;
+}
+
+function newEntry(r) {
+  return { id: r.id, score: 0, payload: r.payload, vector: null, scores: {}, ranks: {}, hits: [] };
+}
+
+/**
+ * Merge per-query lists by document: the fused score is the best per-query normalized score.
+ * @param {Array<{ source: string, query?: string, results: Array<{ id: string|number, score: number, payload?: object, vector?: number[] }>}>} lists
+ */
+export function fuseByNormalizedScore(lists) {
+  const fused = new Map();
+  for (const list of lists) {
+    normalizeScores(list.results).forEach((r, i) => {
+      const key = String(r.id);
+      const entry = fused.get(key) || newEntry(r);
+      entry.score = Math.max(entry.score, r.normalizedScore);
+      addHit(entry, list, r, i + 1);
+      fused.set(key, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reciprocal rank fusion: each ranked list contributes 1 / (k + rank) per document. Per-source
+ * scores and ranks (best over all lists of that source) and every contributing hit are kept.
+ * @param {Array<{ source: string, query?: string, results: Array<{ id: string|number, score: number, payload?: object, vector?: number[] }>}>} lists
+ * @param {{ k?: number }} [options]
+ * @returns {Array<{ id: string|number, score: number, payload: object, scores: Record<string, number>, ranks: Record<string, number>, hits: Array<object> }>}
+ */
+export function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+  for (const list of lists) {
+    list.results.forEach((r, i) => {
+      const key = String(r.id);
+      const entry = fused.get(key) || newEntry(r);
+      entry.score += 1 / (k + i + 1);
+      addHit(entry, list, r, i + 1);
+      fused.set(key, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Maximal marginal relevance: greedily pick results that are relevant (score, scaled to [0, 1]) but
+ * dissimilar to those already picked, so near-duplicate chunks do not crowd out the top-K.
+ * @param {Array<{ score: number }>} candidates sorted by relevance
+ * @param {{ limit: number, lambda?: number, similarity: (a: object, b: object) => number }} options
+ */
+export function maximalMarginalRelevance(candidates, { limit, lambda = 0.7, similarity }) {
+  const maxScore = Math.max(0, ...candidates.map(c => c.score)) || 1;
+  const pool = [...candidates];
+  const picked = [];
+  while (picked.length < limit && pool.length) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    pool.forEach((c, i) => {
+      const redundancy = picked.length ? Math.max(...picked.map(p => similarity(c, p))) : 0;
+      const value = lambda * (c.score / maxScore) - (1 - lambda) * redundancy;
+      if (value > bestValue) { bestValue = value; bestIndex = i; }
+    });
+    picked.push(pool.splice(bestIndex, 1)[0]);
+  }
+  return picked;
+}
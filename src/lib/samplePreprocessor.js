@@ -0,0 +1,131 @@
+// Extract the EDIFACT payload from Markdown samples (MAKO_SAMPLES/*.md) and keep the
+// surrounding documentation as sample attributes.
+import { decodeEdifact } from './edifactCharset.js';
+
+const SEGMENT_START = /^(UNA.{6}|[A-Z][A-Z0-9]{2}([+:']|$))/;
+const PAYLOAD_HINT = /\b(UNA|UNB|UNH)[^A-Za-z]/;
+
+function looksLikeEdifact(text) {
+  return /^\s*(UNA|UNB|UNH)[^A-Za-z]/.test(text);
+}
+
+/** Raw interchanges are decoded per their UNB syntax level; Markdown samples are UTF-8. */
+function toText(input) {
+  if (input == null || typeof input === 'string') return String(input ?? '');
+  const head = String.fromCharCode(...input.subarray(0, 16)).replace(/^\xEF\xBB\xBF/, '');
+  return looksLikeEdifact(head) ? decodeEdifact(input).text : new TextDecoder('utf-8').decode(input);
+}
+
+/** Collect fenced code blocks (``` or ~~~) with their info string. */
+function codeFences(lines) {
+  const blocks = [];
+  let open = null;
+  for (let i = 0; i < lines.length; i++) {
+    const m = /^\s*(```+|~~~+)\s*([\w-]*)/.exec(lines[i]);
+    if (m && !open) { open = { fence: m[1], lang: m[2].toLowerCase(), start: i, lines: [] }; continue; }
+    if (open && lines[i].trim().startsWith(open.fence)) { blocks.push({ ...open, end: i }); open = null; continue; }
+    if (open) open.lines.push(lines[i]);
+  }
+  if (open) blocks.push({ ...open, end: lines.length - 1 });
+  return blocks;
+}
+
+/**
+ * Join payload lines into EDIFACT text. Lines starting a new segment get a terminator appended to
+ * the previous segment if it lacks one (one-segment-per-line layouts); other lines are continuations.
+ */
+function joinSegmentLines(lines) {
+  const cleaned = lines.map(l => l.trim()).filter(Boolean);
+  const una = cleaned.find(l => l.startsWith('UNA'));
+  const segTerm = una && una.length >= 9 ? una[8] : "'";
+  const releaseChar = una && una.length >= 9 ? una[6] : '?';
+  // A terminator is escaped only when preceded by an odd number of release characters
+  const terminated = (s) => {
+    if (!s.endsWith(segTerm)) return false;
+    let n = 0;
+    for (let i = s.length - 2; i >= 0 && s[i] === releaseChar; i--) n++;
+    return n % 2 === 0;
+  };
+  let out = '';
+  for (const line of cleaned) {
+    if (out && SEGMENT_START.test(line) && !terminated(out)) out += segTerm;
+    out += line;
+  }
+  if (out && !terminated(out)) out += segTerm;
+  return out;
+}
+
+function extractAttributes(lines, payload, skip) {
+  const attributes = { title: null, pruefidentifikator: null, format: null, notes: [] };
+  // YAML front matter
+  if (lines[0]?.trim() === '---') {
+    for (let i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+      skip.add(i);
+      const m = /^\s*([\w-]+)\s*:\s*(.+)$/.exec(lines[i]);
+      if (m) attributes[m[1].toLowerCase() === 'title' ? 'title' : m[1]] = m[2].trim();
+    }
+    skip.add(0);
+    const close = lines.findIndex((l, i) => i > 0 && l.trim() === '---');
+    if (close > 0) skip.add(close);
+  }
+  for (let i = 0; i < lines.length; i++) {
+    if (skip.has(i)) continue;
+    const line = lines[i].trim();
+    if (!line) continue;
+    const heading = /^#{1,6}\s+(.+)$/.exec(line);
+    if (heading) {
+      if (!attributes.title) attributes.title = heading[1].trim();
+      continue;
+    }
+    attributes.notes.push(line.replace(/^[-*]\s+/, ''));
+  }
+  const prose = attributes.notes.join('\n');
+  const pruefi = /Pr(?:ü|ue)f(?:ungs)?identifikator(?:en)?\s*[:=]?\s*\**\s*(\d{5})/i.exec(prose)
+    || /RFF\+Z13:(\d{5})/.exec(payload);
+  if (pruefi) attributes.pruefidentifikator = pruefi[1];
+  const unh = /UNH\+[^+']*\+([A-Z]{6})/.exec(payload);
+  if (unh) attributes.format = unh[1];
+  attributes.notes = attributes.notes.join('\n') || null;
+  return attributes;
+}
+
+/**
+ * Split a sample into its EDIFACT payload and descriptive attributes.
+ * Recognizes code fences (preferring edi/edifact-tagged ones), quoted blocks and plain
+ * one-segment-per-line layouts. Raw EDIFACT input is returned unchanged (Buffers are decoded first).
+ * @param {string|Buffer} text
+ * @returns {{ text: string, attributes: { title: string|null, pruefidentifikator: string|null, format: string|null, notes: string|null }, extracted: boolean }}
+ */
+export function preprocessSample(text) {
+  const source = toText(text).replace(/^\uFEFF/, '');
+  if (looksLikeEdifact(source)) {
+    return { text: source.trim(), attributes: extractAttributes([], source, new Set()), extracted: false };
+  }
+  const lines = source.split(/\r?\n/);
+  const skip = new Set();
+  let payloadLines = [];
+  const fences = codeFences(lines).filter(b => PAYLOAD_HINT.test(b.lines.join('\n')) || b.lines.some(l => SEGMENT_START.test(l.trim())));
+  const tagged = fences.filter(b => ['edi', 'edifact', 'edi-fact'].includes(b.lang));
+  const chosen = tagged.length ? tagged : fences;
+  if (chosen.length) {
+    for (const b of chosen) {
+      payloadLines.push(...b.lines);
+      for (let i = b.start; i <= b.end; i++) skip.add(i);
+    }
+  } else {
+    // Quoted blocks ("> UNB+…") and bare segment lines
+    lines.forEach((l, i) => {
+      const unquoted = l.replace(/^\s*>\s?/, '').trim();
+      if (SEGMENT_START.test(unquoted) && /[+:']/.test(unquoted)) {
+        payloadLines.push(unquoted);
+        skip.add(i);
+      }
+    });
+  }
+  // Code-fence blocks and one-per-line layouts may also be quoted
+  payloadLines = payloadLines.map(l => l.replace(/^\s*>\s?/, ''));
+  const payload = joinSegmentLines(payloadLines);
+  // Drop the remaining (non-payload) fence markers from the notes
+  for (const b of codeFences(lines)) { skip.add(b.start); skip.add(b.end); }
+  return { text: payload, attributes: extractAttributes(lines, payload, skip), extracted: true };
+}
@@ -0,0 +1,108 @@
+// Default branching diagrams (segment groups below UNH) for the message types we handle.
+// Shape per format: { segments: [...top-level tags], groups: [{ id, trigger, segments, groups }] }
+// They seed the built-in spec models (see specModel.js, which also resolves diagrams for a spec);
+// a spec may override them via `segmentGroups` (same shape, keyed by format or for the format directly).
+
+const contact = (id) => ({ id, trigger: 'CTA', segments: ['CTA', 'COM'] });
+const reference = (id, extra = []) => ({ id, trigger: 'RFF', segments: ['RFF', 'DTM', ...extra] });
+
+export const DEFAULT_SEGMENT_GROUPS = {
+  UTILMD: {
+    segments: ['BGM', 'DTM'],
+    groups: [
+      { id: 'SG2', trigger: 'NAD', segments: ['NAD'], groups: [contact('SG3')] },
+      {
+        id: 'SG4', trigger: 'IDE', segments: ['IDE', 'DTM', 'STS', 'FTX', 'AGR'],
+        groups: [
+          { id: 'SG5', trigger: 'LOC', segments: ['LOC'] },
+          reference('SG6'),
+          {
+            id: 'SG8', trigger: 'SEQ', segments: ['SEQ', 'RFF', 'PIA'],
+            groups: [
+              { id: 'SG9', trigger: 'QTY', segments: ['QTY'] },
+              { id: 'SG10', trigger: 'CCI', segments: ['CCI', 'CAV'] },
+            ],
+          },
+          { id: 'SG12', trigger: 'NAD', segments: ['NAD'], groups: [{ id: 'SG13', trigger: 'RFF', segments: ['RFF'] }] },
+        ],
+      },
+    ],
+  },
+  MSCONS: {
+    segments: ['BGM', 'DTM', 'UNS'],
+    groups: [
+      reference('SG1'),
+      { id: 'SG2', trigger: 'NAD', segments: ['NAD'], groups: [reference('SG3'), contact('SG4')] },
+      {
+        id: 'SG5', trigger: 'NAD', segments: ['NAD'],
+        groups: [
+          {
+            id: 'SG6', trigger: 'LOC', segments: ['LOC', 'DTM'],
+            groups: [
+              reference('SG7'),
+              { id: 'SG8', trigger: 'CCI', segments: ['CCI', 'DTM'] },
+              {
+                id: 'SG9', trigger: 'LIN', segments: ['LIN', 'PIA', 'IMD', 'PRI', 'NAD', 'MOA'],
+                groups: [{ id: 'SG10', trigger: 'QTY', segments: ['QTY', 'DTM', 'STS'] }],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  APERAK: {
+    segments: ['BGM', 'DTM'],
+    groups: [
+      reference('SG2'),
+      { id: 'SG3', trigger: 'NAD', segments: ['NAD'], groups: [contact('SG4')] },
+      { id: 'SG5', trigger: 'ERC', segments: ['ERC', 'FTX'], groups: [{ id: 'SG6', trigger: 'RFF', segments: ['RFF', 'FTX'] }] },
+    ],
+  },
+  INVOIC: {
+    segments: ['BGM', 'DTM', 'FTX', 'UNS'],
+    groups: [
+      reference('SG1'),
+      { id: 'SG2', trigger: 'NAD', segments: ['NAD'], groups: [reference('SG3'), contact('SG5')] },
+      { id: 'SG6', trigger: 'TAX', segments: ['TAX'] },
+      { id: 'SG7', trigger: 'CUX', segments: ['CUX'] },
+      { id: 'SG8', trigger: 'PAT', segments: ['PAT', 'DTM'] },
+      {
+        id: 'SG26', trigger: 'LIN', segments: ['LIN', 'PIA', 'IMD', 'QTY', 'DTM'],
+        groups: [
+          { id: 'SG27', trigger: 'MOA', segments: ['MOA'] },
+          { id: 'SG29', trigger: 'PRI', segments: ['PRI'] },
+          reference('SG30'),
+          { id: 'SG34', trigger: 'TAX', segments: ['TAX', 'MOA'] },
+        ],
+      },
+      { id: 'SG50', trigger: 'MOA', segments: ['MOA'] },
+      { id: 'SG52', trigger: 'TAX', segments: ['TAX', 'MOA'] },
+    ],
+  },
+  REMADV: {
+    segments: ['BGM', 'DTM', 'UNS', 'MOA'],
+    groups: [
+      reference('SG1'),
+      { id: 'SG2', trigger: 'NAD', segments: ['NAD'], groups: [contact('SG3')] },
+      { id: 'SG4', trigger: 'DOC', segments: ['DOC', 'MOA', 'DTM'], groups: [{ id: 'SG5', trigger: 'RFF', segments: ['RFF'] }] },
+    ],
+  },
+  ORDERS: {
+    segments: ['BGM', 'DTM', 'IMD', 'FTX', 'UNS'],
+    groups: [
+      reference('SG1'),
+      { id: 'SG2', trigger: 'NAD', segments: ['NAD'], groups: [{ id: 'SG3', trigger: 'RFF', segments: ['RFF'] }, contact('SG5')] },
+      {
+        id: 'SG29', trigger: 'LIN', segments: ['LIN', 'PIA', 'IMD', 'QTY', 'DTM'],
+        groups: [{ id: 'SG30', trigger: 'RFF', segments: ['RFF'] }],
+      },
+    ],
+  },
+  CONTRL: {
+    segments: ['UCI'],
+    groups: [
+      { id: 'SG1', trigger: 'UCM', segments: ['UCM'], groups: [{ id: 'SG2', trigger: 'UCS', segments: ['UCS', 'UCD'] }] },
+    ],
+  },
+};
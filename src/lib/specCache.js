@@ -0,0 +1,99 @@
+import 'dotenv/config';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getVectorStore } from './vectorStore.js';
+
+// Versioned local cache for retrieved specs and synthesized segments, so repeated pipeline runs see
+// identical inputs and parser generation works without network. Entries live under
+// SPEC_CACHE_DIR (default .spec-cache/) as <FORMAT>/<version>/<collection fingerprint>/<name>.json.
+// SPEC_CACHE_MODE: readwrite (default; read, write through on miss), offline (cache only, never
+// touches the store or the LLM), refresh (always recompute and overwrite), off.
+
+const MODES = ['readwrite', 'offline', 'refresh', 'off'];
+const fingerprints = new Map();
+
+/** @returns {{ mode: 'readwrite'|'offline'|'refresh'|'off', dir: string, fingerprint: string|null }} */
+export function getSpecCacheConfig(env = process.env) {
+  const mode = (env.SPEC_CACHE_MODE || 'readwrite').toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown SPEC_CACHE_MODE "${mode}" (expected ${MODES.join(', ')})`);
+  return {
+    mode,
+    dir: path.resolve(process.cwd(), env.SPEC_CACHE_DIR || '.spec-cache'),
+    // Pins the collection fingerprint, e.g. to reuse a cache across Qdrant instances
+    fingerprint: env.SPEC_CACHE_FINGERPRINT || null,
+  };
+}
+
+/** Collection fingerprint of the configured store (computed once per process and collection). */
+async function collectionFingerprint(config) {
+  if (config.fingerprint) return config.fingerprint;
+  const store = getVectorStore();
+  const key = `${store.kind}:${store.collection}`;
+  if (!fingerprints.has(key)) fingerprints.set(key, await store.fingerprint());
+  return fingerprints.get(key);
+}
+
+function safe(part) {
+  return String(part).replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+function entryDir(config, format, version) {
+  return path.join(config.dir, safe(String(format).toUpperCase()), safe(version || 'any'));
+}
+
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/** Offline lookup: the pinned fingerprint, else the most recently written entry across fingerprints. */
+async function findOffline(config, format, version, name) {
+  const dir = entryDir(config, format, version);
+  if (config.fingerprint) return readEntry(path.join(dir, safe(config.fingerprint), `${safe(name)}.json`));
+  let fingerprintsOnDisk = [];
+  try { fingerprintsOnDisk = await fs.readdir(dir); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+  let latest = null;
+  for (const fp of fingerprintsOnDisk) {
+    const entry = await readEntry(path.join(dir, fp, `${safe(name)}.json`));
+    if (entry && (!latest || entry.createdAt > latest.createdAt)) latest = entry;
+  }
+  return latest;
+}
+
+/**
+ * Return the cached value for (format, version, collection fingerprint, name) or compute and store it.
+ * `compute` results for which `cacheable(value)` is false (e.g. "not found") are returned uncached.
+ * Offline mode throws SPEC_CACHE_MISS when no entry exists.
+ * @template T
+ * @param {{ format: string, version?: string|null, name: string }} key
+ * @param {() => Promise<T>} compute
+ * @param {{ cacheable?: (value: T) => boolean }} [options]
+ * @returns {Promise<T>}
+ */
+export async function withSpecCache({ format, version = null, name }, compute, { cacheable = () => true } = {}) {
+  const config = getSpecCacheConfig();
+  if (config.mode === 'off') return compute();
+  if (config.mode === 'offline') {
+    const entry = await findOffline(config, format, version, name);
+    if (!entry) throw new Error(`SPEC_CACHE_MISS: no cached ${name} for ${format} ${version || '(any version)'} in ${config.dir}`);
+    return entry.value;
+  }
+  const fingerprint = await collectionFingerprint(config);
+  const file = path.join(entryDir(config, format, version), safe(fingerprint), `${safe(name)}.json`);
+  if (config.mode === 'readwrite') {
+    const entry = await readEntry(file);
+    if (entry) return entry.value;
+  }
+  const value = await compute();
+  if (!cacheable(value)) return value;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const entry = { format: String(format).toUpperCase(), version, fingerprint, name, createdAt: new Date().toISOString(), value };
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(entry, null, 2), 'utf8');
+  await fs.rename(tmp, file);
+  return value;
+}
@@ -0,0 +1,325 @@
+// Parse MIG/AHB documents (PDF-extracted text, CSV, JSON) into a normalized segment model and chunk
+// it per segment group, segment and data element with payload metadata for the spec collection.
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+const FORMATS = ['UTILMD', 'MSCONS', 'APERAK', 'CONTRL', 'INVOIC', 'REMADV', 'ORDERS', 'ORDRSP', 'ORDCHG', 'IFTSTA',
+  'INSRPT', 'PRICAT', 'QUOTES', 'REQOTE', 'UTILTS', 'PARTIN', 'COMDIS'];
+// Letter boundaries instead of \b so names like UTILMD_MIG_5.2a.txt match
+const word = (alt) => new RegExp('(?<![A-Za-z])(' + alt + ')(?![A-Za-z])', 'i');
+const FORMAT_RE = word(FORMATS.join('|'));
+// Segment tags recognized as headings in extracted text (avoids treating German words as tags)
+const SEGMENT_TAGS = new Set(['UNA', 'UNB', 'UNH', 'BGM', 'DTM', 'NAD', 'RFF', 'IDE', 'LOC', 'CTA', 'COM', 'STS', 'SEQ',
+  'PIA', 'QTY', 'MOA', 'CCI', 'CAV', 'ERC', 'FTX', 'IMD', 'LIN', 'PRI', 'TAX', 'CUX', 'PAT', 'ALC', 'DOC', 'AJT', 'INP',
+  'FII', 'PCD', 'MEA', 'GEI', 'AGR', 'TDT', 'EQD', 'UCI', 'UCM', 'UCS', 'UCD', 'UNS', 'CNT', 'UNT', 'UNZ']);
+
+/** DD.MM.YYYY, YYYYMMDD or ISO → YYYY-MM-DD; anything else → null. */
+export function normalizeDate(value) {
+  const s = String(value ?? '').trim();
+  let m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(s);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  m = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(s);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/** Metadata from file name and document head, overridden by explicit options. */
+function detectMeta(name, content, options) {
+  const head = String(content).slice(0, 4000);
+  const base = path.basename(name);
+  const docType = (options.type || (word('AHB').test(base) ? 'AHB' : word('MIG').test(base) ? 'MIG'
+    : /Anwendungshandbuch|\bAHB\b/i.test(head) ? 'AHB' : 'MIG')).toUpperCase();
+  const format = (options.format || (FORMAT_RE.exec(base) || FORMAT_RE.exec(head) || [])[1] || '').toUpperCase() || null;
+  const version = options.version
+    || (/(?:Version|Vers\.|MIG|AHB)[\s_:-]*(\d+\.\d+[a-z]?)/i.exec(base) || /Version[\s:]*(\d+\.\d+[a-z]?)/i.exec(head) || /[_ -](\d+\.\d+[a-z]?)\.[a-z]+$/i.exec(base) || [])[1]
+    || null;
+  const validFrom = normalizeDate(options.validFrom || (/g(?:ü|ue)ltig ab[\s:]*(\d{1,2}\.\d{1,2}\.\d{4})/i.exec(head) || [])[1]);
+  const validTo = normalizeDate(options.validTo || (/g(?:ü|ue)ltig bis[\s:]*(\d{1,2}\.\d{1,2}\.\d{4})/i.exec(head) || [])[1]);
+  return { docType, format, version, validFrom, validTo };
+}
+
+// MIG status letters or AHB requirements, optionally with AHB conditions ("Muss [12] ∧ [3]")
+const STATUS = String.raw`(?:Muss|Soll|Kann|[MCRDONX])(?:\s+\[.*\])?`;
+
+function elementDetails(rest) {
+  // "Beteiligter, Qualifier M an..3" → name, status, format
+  const m = new RegExp(String.raw`^(.*?)\s+(${STATUS})\s+((?:an|a|n)(?:\.\.)?\d+)\s*$`).exec(rest);
+  return m ? { name: m[1].trim(), status: m[2], format: m[3] } : { name: rest.trim() || null, status: null, format: null };
+}
+
+function segmentDetails(rest) {
+  // "Referenz Muss" / "Referenz M" → name, status
+  const m = new RegExp(String.raw`^(.*?)\s+(${STATUS})\s*$`).exec(rest);
+  return m ? { name: m[1].trim() || null, status: m[2] } : { name: rest.trim() || null, status: null };
+}
+
+/** Heading-driven parser for PDF-extracted MIG/AHB text. */
+function parseText(content) {
+  const segments = [];
+  const groups = [];
+  let group = null;
+  let segment = null;
+  let element = null;
+  let pruefi = null;
+  const rawLines = String(content).split(/\r?\n/);
+  for (let n = 0; n < rawLines.length; n++) {
+    const line = rawLines[n].trim();
+    if (!line) continue;
+    let m = /^Pr(?:ü|ue)fidentifikator(?:en)?\s*:?\s*(\d{5})\b/i.exec(line);
+    if (m) { pruefi = m[1]; segment = null; element = null; continue; }
+    m = /^(SG\d{1,2})\b[\s:–-]*(.*)$/.exec(line);
+    if (m) {
+      group = { id: m[1], name: m[2].trim() || null, pruefidentifikator: pruefi, lines: [line] };
+      groups.push(group);
+      segment = null;
+      element = null;
+      continue;
+    }
+    m = /^(?:Segment\s*:?\s*)?([A-Z]{3})(?=$|[\s:–-])[\s:–-]*(.*)$/.exec(line);
+    if (m && SEGMENT_TAGS.has(m[1])) {
+      segment = { tag: m[1], ...segmentDetails(m[2]), group: group?.id || null, pruefidentifikator: pruefi, line: n + 1, lines: [line], elements: [] };
+      segments.push(segment);
+      group?.lines.push(line);
+      element = null;
+      continue;
+    }
+    m = /^([CS]\d{3}|\d{4})\b[\s:–-]*(.*)$/.exec(line);
+    if (m && segment) {
+      element = { id: m[1], ...elementDetails(m[2]), codes: [], line: n + 1, lines: [line] };
+      segment.elements.push(element);
+      segment.lines.push(line);
+      continue;
+    }
+    if (element) {
+      // Code lines below a data element: "MS Dokumentenersteller", "Z13 Prüfidentifikator"
+      const code = /^([A-Z0-9]{1,3})\s+(\S.*)$/.exec(line);
+      if (code && /^(?:Z\d{2}|[A-Z0-9]{1,3})$/.test(code[1])) element.codes.push({ code: code[1], meaning: code[2].trim() });
+      element.lines.push(line);
+    }
+    if (segment) segment.lines.push(line);
+    else if (group) group.lines.push(line);
+  }
+  return { segments, groups };
+}
+
+function parseCsv(content) {
+  const text = String(content).replace(/^﻿/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const sep = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cur = '';
+  let quoted = false;
+  // Physical line of the current row (quoted values may span lines), kept as AHB/MIG line reference
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cur += '"'; i++; } else if (ch === '"') quoted = false; else cur += ch;
+      if (ch === '\n') line++;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === sep) { row.push(cur); cur = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cur); rows.push({ cells: row, line: rowLine }); row = []; cur = '';
+      rowLine = ++line;
+    } else cur += ch;
+  }
+  if (cur || row.length) { row.push(cur); rows.push({ cells: row, line: rowLine }); }
+  const [header, ...body] = rows.filter(r => r.cells.some(c => c.trim()));
+  if (!header) return [];
+  const keys = header.cells.map(h => h.trim());
+  return body.map(r => ({ ...Object.fromEntries(keys.map((k, i) => [k, (r.cells[i] ?? '').trim()])), _line: r.line }));
+}
+
+// Column aliases (German/English) → normalized field
+const COLUMNS = {
+  group: ['segment_group', 'segmentgroup', 'sg', 'gruppe', 'segmentgruppe', 'group'],
+  tag: ['segment', 'tag', 'segment_tag', 'segmentkennung'],
+  id: ['data_element', 'dataelement', 'de', 'element', 'datenelement', 'id'],
+  name: ['name', 'bezeichnung', 'title'],
+  description: ['description', 'beschreibung', 'bemerkung', 'notes'],
+  status: ['status', 'ahb_status', 'mig_status', 'usage'],
+  format: ['format', 'datatype'],
+  codes: ['codes', 'code', 'qualifier', 'codeliste'],
+  pruefidentifikator: ['pruefidentifikator', 'prüfidentifikator', 'pi', 'pid'],
+  messageFormat: ['message_type', 'messagetype', 'nachrichtentyp', 'edifact_format'],
+  version: ['version', 'format_version'],
+  validFrom: ['valid_from', 'gueltig_ab', 'gültig_ab'],
+  validTo: ['valid_to', 'gueltig_bis', 'gültig_bis'],
+};
+
+function pick(row, field) {
+  const entries = Object.entries(row).map(([k, v]) => [k.toLowerCase().replace(/[\s-]+/g, '_'), v]);
+  for (const alias of COLUMNS[field]) {
+    const hit = entries.find(([k]) => k === alias);
+    if (hit && hit[1] !== '' && hit[1] != null) return hit[1];
+  }
+  return null;
+}
+
+function parseCodes(value) {
+  if (Array.isArray(value)) return value.map(c => (typeof c === 'object' ? c : { code: String(c), meaning: null }));
+  if (!value) return [];
+  return String(value).split(/[|,]/).map(s => s.trim()).filter(Boolean).map(s => {
+    const [code, ...rest] = s.split(/[=:]\s*|\s+/);
+    return { code, meaning: rest.join(' ') || null };
+  });
+}
+
+/** Rows (CSV or JSON array) → segments with data elements; also picks up per-row metadata. */
+function parseRows(rows, meta) {
+  const segments = [];
+  const groups = new Map();
+  const byKey = new Map();
+  for (const row of rows) {
+    const tag = (pick(row, 'tag') || '').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(tag)) continue;
+    meta.format = meta.format || (pick(row, 'messageFormat') || '').toUpperCase() || null;
+    meta.version = meta.version || pick(row, 'version');
+    meta.validFrom = meta.validFrom || normalizeDate(pick(row, 'validFrom'));
+    meta.validTo = meta.validTo || normalizeDate(pick(row, 'validTo'));
+    const group = pick(row, 'group');
+    const pruefidentifikator = pick(row, 'pruefidentifikator');
+    const key = [pruefidentifikator, group, tag].join('|');
+    let segment = byKey.get(key);
+    if (!segment) {
+      segment = { tag, name: null, group: group || null, pruefidentifikator: pruefidentifikator || null, status: null, line: row._line ?? null, lines: [], elements: [] };
+      byKey.set(key, segment);
+      segments.push(segment);
+      if (group && !groups.has(group)) groups.set(group, { id: group, name: null, pruefidentifikator: segment.pruefidentifikator, lines: [group] });
+    }
+    const id = pick(row, 'id');
+    const name = pick(row, 'name');
+    const description = pick(row, 'description');
+    if (!id) {
+      segment.name = segment.name || name;
+      segment.status = segment.status || pick(row, 'status');
+      segment.line = row._line ?? segment.line;
+      if (description) segment.lines.push(description);
+      continue;
+    }
+    const element = { id, name, status: pick(row, 'status'), format: pick(row, 'format'), codes: parseCodes(pick(row, 'codes')), line: row._line ?? null, lines: [] };
+    element.lines.push([id, name, element.status, element.format, description].filter(Boolean).join(' '));
+    element.lines.push(...element.codes.map(c => [c.code, c.meaning].filter(Boolean).join(' ')));
+    segment.elements.push(element);
+  }
+  for (const s of segments) {
+    s.lines.unshift([s.tag, s.name].filter(Boolean).join(' '));
+    s.lines.push(...s.elements.flatMap(e => e.lines));
+    if (s.group) groups.get(s.group).lines.push(s.lines[0]);
+  }
+  return { segments, groups: [...groups.values()] };
+}
+
+/** Normalized JSON ({ format, version, segments: [{ tag, group, name, elements: [...] }] }) or a row array. */
+function parseJson(content, meta) {
+  const doc = JSON.parse(content);
+  if (Array.isArray(doc)) return parseRows(doc, meta);
+  meta.format = meta.format || (doc.format || doc.message_type || '').toUpperCase() || null;
+  meta.version = meta.version || doc.version || doc.format_version || null;
+  meta.validFrom = meta.validFrom || normalizeDate(doc.validFrom || doc.valid_from);
+  meta.validTo = meta.validTo || normalizeDate(doc.validTo || doc.valid_to);
+  if (doc.type && !meta.typeFromOptions) meta.docType = String(doc.type).toUpperCase();
+  const rows = [];
+  for (const s of doc.segments || []) {
+    rows.push({ segment: s.tag, segment_group: s.group, name: s.name, description: s.description, status: s.status, pruefidentifikator: s.pruefidentifikator });
+    for (const e of s.elements || s.fields || []) {
+      rows.push({ segment: s.tag, segment_group: s.group, pruefidentifikator: s.pruefidentifikator, data_element: e.id || e.dataElement,
+        name: e.name, description: e.description, status: e.status, format: e.format, codes: e.codes });
+    }
+  }
+  return parseRows(rows, meta);
+}
+
+function uuidFrom(text) {
+  const h = crypto.createHash('sha256').update(text).digest('hex');
+  // Stable UUID-shaped id (Qdrant accepts UUIDs and unsigned integers only)
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${((parseInt(h[16], 16) & 3) | 8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * Parse one MIG/AHB document into chunks with normalized payloads and stable ids.
+ * @param {{ name: string, content: string, type?: 'MIG'|'AHB', format?: string, version?: string, validFrom?: string, validTo?: string }} doc
+ * @returns {{ sourceId: string, meta: object, chunks: Array<{ id: string, text: string, payload: object }> }}
+ */
+export function parseSpecDocument({ name, content, ...options }) {
+  const meta = { ...detectMeta(name, content, options), typeFromOptions: Boolean(options.type) };
+  const ext = path.extname(name).toLowerCase();
+  const model = ext === '.json' ? parseJson(content, meta) : ext === '.csv' ? parseRows(parseCsv(content), meta) : parseText(content);
+  delete meta.typeFromOptions;
+  if (!meta.format) throw new Error(`SPEC_FORMAT_UNKNOWN: cannot tell the message format of ${name}; pass --format`);
+  const sourceId = [meta.docType, meta.format, meta.version || 'unversioned', path.basename(name)].join(':');
+  const base = {
+    source: path.basename(name),
+    source_id: sourceId,
+    doc_type: meta.docType,
+    format: meta.format,
+    format_name: meta.format,
+    message_type: meta.format,
+    format_version: meta.version,
+    valid_from: meta.validFrom,
+    valid_to: meta.validTo,
+  };
+  const chunks = [];
+  const seen = new Map();
+  const add = (key, text, payload) => {
+    // Repeated keys (same segment in several places) get an occurrence suffix
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    const content_hash = crypto.createHash('sha256').update(text + JSON.stringify(payload)).digest('hex').slice(0, 16);
+    chunks.push({ id: uuidFrom(sourceId + '|' + key + '#' + n), text, payload: { ...base, ...payload, text, content_hash } });
+  };
+  for (const g of model.groups) {
+    add(['SG', g.pruefidentifikator, g.id].join('|'), `${meta.format} ${g.lines.join('\n')}`, {
+      chunk_type: 'segment_group', segment_group: g.id, name: g.name, pruefidentifikator: g.pruefidentifikator,
+    });
+  }
+  for (const s of model.segments) {
+    const fields = s.elements.map(e => ({ data_element: e.id, name: e.name, status: e.status, format: e.format, codes: e.codes, line: e.line ?? null }));
+    add(['SEG', s.pruefidentifikator, s.group, s.tag].join('|'), `${meta.format} ${s.lines.join('\n')}`, {
+      chunk_type: 'segment', segment_group: s.group, segment: s.tag, name: s.name, status: s.status ?? null, line: s.line ?? null,
+      pruefidentifikator: s.pruefidentifikator, fields,
+    });
+    for (const e of s.elements) {
+      add(['DE', s.pruefidentifikator, s.group, s.tag, e.id].join('|'), `${meta.format} ${s.tag} ${e.lines.join('\n')}`, {
+        chunk_type: 'data_element', segment_group: s.group, segment: s.tag, data_element: e.id, name: e.name,
+        status: e.status, element_format: e.format, codes: e.codes, pruefidentifikator: s.pruefidentifikator, line: e.line ?? null,
+      });
+    }
+  }
+  return { sourceId, meta, chunks };
+}
+
+/**
+ * Embed and upsert a parsed document. Unchanged chunks (same id and content hash) are skipped and
+ * chunks no longer produced for the same source are deleted, so re-runs are idempotent.
+ * @param {{ upsert: Function, scroll: Function, delete: Function }} store
+ * @param {{ embedDocuments: (texts: string[]) => Promise<number[][]> }} embeddings
+ * @param {{ sourceId: string, chunks: Array<{ id: string, text: string, payload: object }> }} parsed
+ * @param {{ batchSize?: number, dryRun?: boolean }} [options]
+ */
+export async function ingestSpecDocument(store, embeddings, parsed, { batchSize = 64, dryRun = false } = {}) {
+  const existing = new Map();
+  const filter = { must: [{ key: 'source_id', match: { value: parsed.sourceId } }] };
+  let offset = null;
+  do {
+    const page = await store.scroll({ filter, limit: 256, offset });
+    for (const p of page.points || []) existing.set(String(p.id), p.payload?.content_hash);
+    offset = page.next_page_offset ?? null;
+  } while (offset != null);
+  const changed = parsed.chunks.filter(c => existing.get(c.id) !== c.payload.content_hash);
+  const keep = new Set(parsed.chunks.map(c => c.id));
+  const stale = [...existing.keys()].filter(id => !keep.has(id));
+  const stats = { source: parsed.sourceId, chunks: parsed.chunks.length, upserted: changed.length, unchanged: parsed.chunks.length - changed.length, deleted: stale.length };
+  if (dryRun) return stats;
+  for (let i = 0; i < changed.length; i += batchSize) {
+    const batch = changed.slice(i, i + batchSize);
+    const vectors = await embeddings.embedDocuments(batch.map(c => c.text));
+    await store.upsert(batch.map((c, j) => ({ id: c.id, vector: vectors[j], payload: c.payload })));
+  }
+  if (stale.length) await store.delete(stale);
+  return stats;
+}
@@ -0,0 +1,357 @@
+import fs from 'node:fs/promises';
+import { z } from 'zod';
+import { DEFAULT_SEGMENT_GROUPS } from './segmentGroups.js';
+
+// Normalized MIG spec model (specVersion 1, JSON Schema in migSpec.schema.json): the message
+// branching diagram below UNH as `structure` (segments and nested segment groups with status and
+// repetition limits; a group's first segment is its trigger) plus `segments`, the segment
+// definitions keyed by tag (simple and composite data elements with status, format and codes).
+// Pipeline specs of any shape (retriever payloads, synthesized mappings, `segmentGroups`
+// overrides) are normalized into this model; the synthesizer, parser generator, baseline explain
+// and structure validator all read from it.
+
+export const SPEC_MODEL_VERSION = 1;
+const STATUSES = ['M', 'R', 'D', 'O', 'N', 'C'];
+const FORMAT_RE = /^(an|a|n)(\.\.)?\d+(\.\.\d+)?$/;
+
+const codeSchema = z.object({ code: z.string().min(1), meaning: z.string().nullable().optional() });
+const componentSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().nullable().optional(),
+  description: z.string().nullable().optional(),
+  status: z.enum(STATUSES).nullable().optional(),
+  format: z.string().regex(FORMAT_RE).nullable().optional(),
+  codes: z.array(codeSchema).optional(),
+});
+export const elementSchema = componentSchema.extend({ components: z.array(componentSchema).optional() });
+export const segmentDefinitionSchema = z.object({
+  name: z.string().nullable().optional(),
+  description: z.string().nullable().optional(),
+  elements: z.array(elementSchema),
+});
+const repeat = z.number().int().positive().nullable().optional();
+const nodeSchema = z.lazy(() => z.union([
+  z.object({ segment: z.string().regex(/^[A-Z][A-Z0-9]{2}$/), status: z.enum(STATUSES).nullable().optional(), maxRepeat: repeat }).strict(),
+  z.object({
+    group: z.string().regex(/^SG\d+$/),
+    status: z.enum(STATUSES).nullable().optional(),
+    maxRepeat: repeat,
+    structure: z.array(nodeSchema).min(1).refine(s => 'segment' in s[0], 'a segment group must start with its trigger segment'),
+  }).strict(),
+]));
+export const specModelSchema = z.object({
+  specVersion: z.literal(SPEC_MODEL_VERSION),
+  format: z.string().regex(/^[A-Z0-9]{3,6}$/),
+  version: z.string().nullable().optional(),
+  validFrom: z.string().nullable().optional(),
+  validTo: z.string().nullable().optional(),
+  // true when `structure` lists every permitted segment; undeclared segments are then reported
+  strict: z.boolean().default(false),
+  structure: z.array(nodeSchema),
+  segments: z.record(segmentDefinitionSchema),
+});
+
+const simple = (id, name, format, status = null, description = null) => ({ id, name, description, status, format });
+const composite = (id, name, components, status = null) => ({ id, name, status, components });
+
+// Generic (MIG-independent) definitions of service and common segments
+export const COMMON_SEGMENTS = {
+  UNB: { name: 'Interchange header', elements: [
+    composite('S001', 'Syntax identifier', [
+      simple('0001', 'Syntax identifier', 'a4', 'M', 'EDIFACT syntax identifier, e.g., UNOC'),
+      simple('0002', 'Syntax version number', 'n1', 'M', 'Version of the syntax, e.g., 3'),
+    ], 'M'),
+    composite('S002', 'Interchange sender', [
+      simple('0004', 'Sender identification', 'an..35', 'M', 'Interchange sender ID'),
+      simple('0007', 'Partner identification code qualifier', 'an..4', null, 'Qualifier for sender ID'),
+      simple('0008', 'Address for reverse routing', 'an..14'),
+    ], 'M'),
+    composite('S003', 'Interchange recipient', [
+      simple('0010', 'Recipient identification', 'an..35', 'M', 'Interchange recipient ID'),
+      simple('0007', 'Partner identification code qualifier', 'an..4', null, 'Qualifier for recipient ID'),
+      simple('0014', 'Routing address', 'an..14'),
+    ], 'M'),
+    composite('S004', 'Date and time of preparation', [
+      simple('0017', 'Date', 'n6..8', 'M', 'Date of preparation (YYMMDD or CCYYMMDD depending on use)'),
+      simple('0019', 'Time', 'n4', 'M', 'Time of preparation (HHMM)'),
+    ], 'M'),
+    simple('0020', 'Interchange control reference', 'an..14', 'M', 'Interchange control reference'),
+  ] },
+  UNH: { name: 'Message header', elements: [
+    simple('0062', 'Message reference number', 'an..14', 'M', 'Unique message reference assigned by the sender'),
+    composite('S009', 'Message identifier', [
+      simple('0065', 'Message type', 'an..6', 'M', 'Identifies the message type, e.g., APERAK'),
+      simple('0052', 'Version', 'an..3', 'M', 'Message version number'),
+      simple('0054', 'Release', 'an..3', 'M', 'Message release number'),
+      simple('0051', 'Controlling agency', 'an..3', 'M', 'Agency controlling the message, e.g., UN'),
+      simple('0057', 'Association assigned code', 'an..6', null, 'Code assigned by associations'),
+    ], 'M'),
+  ] },
+  BGM: { name: 'Beginning of message', elements: [
+    composite('C002', 'Document/message name', [
+      simple('1001', 'Document/message name, coded', 'an..3', null, 'Code identifying the document/message name'),
+    ]),
+    composite('C106', 'Document/message identification', [
+      simple('1004', 'Document/message number', 'an..35', null, 'Identifier for the document/message'),
+    ]),
+    simple('1225', 'Message function, coded', 'an..3', null, 'Code indicating the function of the message'),
+  ] },
+  DTM: { name: 'Date/time/period', elements: [
+    composite('C507', 'Date/time/period', [
+      simple('2005', 'Date/time/period qualifier', 'an..3', 'M', 'Qualifier specifying the type of date/time (e.g., 137=Document date/time, 171=Reference date/time)'),
+      simple('2380', 'Date/time/period', 'an..35', null, 'Date/time value formatted per 2379'),
+      simple('2379', 'Date/time/period format qualifier', 'an..3', null, 'Format qualifier for 2380 (e.g., 203=CCYYMMDDHHMM, 303=CCYYMMDDHHMMZZZ)'),
+    ], 'M'),
+  ] },
+  RFF: { name: 'Reference', elements: [
+    composite('C506', 'Reference', [
+      simple('1153', 'Reference qualifier', 'an..3', 'M', 'Specifies the type of reference (e.g., ON=Order, TN=Transaction, ACE=Account/Reference)'),
+      simple('1154', 'Reference number', 'an..70', null, 'Reference identifier value'),
+      simple('1156', 'Line number', 'an..6', null, 'Related line number, if applicable'),
+      simple('4000', 'Reference version identifier', 'an..35', null, 'Free-form reference description or version'),
+    ], 'M'),
+  ] },
+  NAD: { name: 'Name and address', elements: [
+    simple('3035', 'Party function code qualifier', 'an..3', 'M', 'Identifies the role of the party (e.g., MS=Message sender, MR=Message recipient)'),
+    composite('C082', 'Party identification details', [
+      simple('3039', 'Party id', 'an..35', null, 'Identifier of party'),
+      simple('1131', 'Code list qualifier', 'an..17', null, 'Code list reference, if any'),
+      simple('3055', 'Code list agency', 'an..3', null, 'Agency controlling the code list (e.g., 293)'),
+    ]),
+  ] },
+  UNT: { name: 'Message trailer', elements: [
+    simple('0074', 'Number of segments in a message', 'n..10', 'M', 'Segment count including UNH and UNT'),
+    simple('0062', 'Message reference number', 'an..14', 'M', 'Must match UNH reference number'),
+  ] },
+  UNZ: { name: 'Interchange trailer', elements: [
+    simple('0036', 'Interchange control count', 'n..6', 'M', 'Number of messages or functional groups'),
+    simple('0020', 'Interchange control reference', 'an..14', 'M', 'Must match UNB control reference'),
+  ] },
+};
+
+/** Legacy branching diagram ({ segments, groups: [{ id, trigger, segments, groups }] }) → model structure. */
+export function structureFromDiagram(diagram) {
+  const segmentNodes = (tags) => (tags || []).map(segment => ({ segment }));
+  const groupNode = (g) => {
+    const own = (g.segments || []).filter(t => t !== g.trigger);
+    return { group: g.id, structure: [{ segment: g.trigger }, ...segmentNodes(own), ...(g.groups || []).map(groupNode)] };
+  };
+  return [...segmentNodes(diagram?.segments), ...(diagram?.groups || []).map(groupNode)];
+}
+
+/** Model structure → branching diagram as consumed by buildInterchangeTree. */
+export function diagramFromModel(model) {
+  const split = (structure) => {
+    const segments = [];
+    const groups = [];
+    for (const n of structure) {
+      if (n.segment) { if (!segments.includes(n.segment)) segments.push(n.segment); }
+      else groups.push({ id: n.group, trigger: n.structure[0].segment, ...split(n.structure) });
+    }
+    return { segments, groups };
+  };
+  return split(model?.structure || []);
+}
+
+/**
+ * Validate a model against the schema.
+ * @returns {{ valid: boolean, errors: string[], model?: object }}
+ */
+export function validateSpecModel(model) {
+  const result = specModelSchema.safeParse(model);
+  if (result.success) return { valid: true, errors: [], model: result.data };
+  return { valid: false, errors: result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`) };
+}
+
+/** Built-in model for a format: default branching diagram plus the common segment definitions. */
+export function builtinSpecModel(format) {
+  const fmt = String(format || '').toUpperCase();
+  return {
+    specVersion: SPEC_MODEL_VERSION,
+    format: fmt || 'UNKNOWN',
+    version: null,
+    strict: false,
+    structure: structureFromDiagram(DEFAULT_SEGMENT_GROUPS[fmt]),
+    segments: structuredClone(COMMON_SEGMENTS),
+  };
+}
+
+const pathIndex = (p) => {
+  // "DTM/01/02", "DTM/1/2", "DTM/01" → [elementIndex, componentIndex|null]
+  const m = /^[A-Z0-9]{3}\/(\d+)(?:\/(\d+))?/.exec(String(p || ''));
+  return m ? [Number(m[1]) - 1, m[2] ? Number(m[2]) - 1 : null] : null;
+};
+
+/** Legacy `{ fields: [{ path, name, description, codes }] }` mapping → segment definition. */
+function definitionFromPathFields(mapping, base) {
+  const def = structuredClone(base || { elements: [] });
+  def.name = def.name || mapping.segmentDescription || mapping.notes || null;
+  for (const f of mapping.fields || []) {
+    const idx = pathIndex(f.path);
+    if (!idx) continue;
+    const [i, j] = idx;
+    while (def.elements.length <= i) def.elements.push({ id: `E${String(def.elements.length + 1).padStart(2, '0')}` });
+    const codes = Array.isArray(f.codes) ? f.codes.map(c => (typeof c === 'object' ? c : { code: String(c), meaning: null })) : undefined;
+    const info = {
+      name: f.name || null,
+      description: f.description || f.notes || null,
+      ...(f.required != null ? { status: f.required ? 'M' : 'C' } : {}),
+      ...(f.format && FORMAT_RE.test(f.format) ? { format: f.format } : {}),
+      ...(codes?.length ? { codes } : {}),
+    };
+    const element = def.elements[i];
+    if (j == null) { Object.assign(element, info); continue; }
+    element.components = element.components || [];
+    while (element.components.length <= j) element.components.push({ id: `${element.id}.${element.components.length + 1}` });
+    Object.assign(element.components[j], info);
+  }
+  return def;
+}
+
+/**
+ * Ingested segment payload `fields` ([{ data_element, name, status, format, codes }], document
+ * order) → elements. A composite id (Cnnn/Snnn) opens a composite that collects the following
+ * simple data elements; other simple data elements stand alone.
+ */
+function elementsFromIngestedFields(fields) {
+  const elements = [];
+  let open = null;
+  for (const f of fields || []) {
+    const id = String(f.data_element || f.id || '');
+    if (!id) continue;
+    const info = {
+      id,
+      name: f.name || null,
+      status: STATUSES.includes(f.status) ? f.status : null,
+      ...(f.format && FORMAT_RE.test(f.format) ? { format: f.format } : {}),
+      ...(Array.isArray(f.codes) && f.codes.length ? { codes: f.codes } : {}),
+    };
+    if (/^[CS]\d{3}$/.test(id)) { open = { ...info, components: [] }; elements.push(open); continue; }
+    if (open) open.components.push(info); else elements.push(info);
+  }
+  return elements;
+}
+
+function collectPayloads(spec) {
+  const out = [];
+  const visit = (v) => {
+    if (!v || typeof v !== 'object') return;
+    if (Array.isArray(v)) { v.forEach(visit); return; }
+    if (v.segment && Array.isArray(v.fields) && v.fields.some(f => f?.data_element)) out.push(v);
+  };
+  visit(spec);
+  visit(spec?.spec);
+  visit(spec?.pointsMeta);
+  return out;
+}
+
+/**
+ * Normalize any pipeline spec into the model: a model (or `{ model }`) is validated and returned;
+ * otherwise the built-in model for `format` is refined with `segmentGroups`, ingested segment
+ * payloads and `synthesized` mappings (model segment definitions or legacy path-based fields).
+ * @throws {Error} SPEC_MODEL_INVALID for a model that does not match the schema
+ */
+export function normalizeSpec(spec, format) {
+  const candidate = spec?.specVersion ? spec : spec?.model?.specVersion ? spec.model : null;
+  if (candidate) {
+    const { valid, errors, model } = validateSpecModel(candidate);
+    if (!valid) throw new Error(`SPEC_MODEL_INVALID: ${errors.slice(0, 5).join('; ')}`);
+    return model;
+  }
+  const fmt = String(format || spec?.format || spec?.spec?.format || '').toUpperCase();
+  const model = builtinSpecModel(fmt);
+  const overrides = spec?.segmentGroups;
+  const diagram = Array.isArray(overrides?.groups) ? overrides : overrides?.[fmt];
+  if (diagram && Array.isArray(diagram.groups)) model.structure = structureFromDiagram(diagram);
+  for (const p of collectPayloads(spec)) {
+    // AHB payloads restrict a Prüfidentifikator (see ahbValidator.js), they do not define segments
+    if (p.format && String(p.format).toUpperCase() !== fmt) continue;
+    if (p.doc_type === 'AHB') continue;
+    model.version = model.version || p.format_version || null;
+    model.validFrom = model.validFrom || p.valid_from || null;
+    model.validTo = model.validTo || p.valid_to || null;
+    const elements = elementsFromIngestedFields(p.fields);
+    if (elements.length) model.segments[p.segment] = { name: p.name || model.segments[p.segment]?.name || null, elements };
+  }
+  const synthesized = spec?.synthesized;
+  const entries = Array.isArray(synthesized)
+    ? synthesized.filter(s => s?.segment).map(s => [s.segment, s])
+    : Object.entries(synthesized && typeof synthesized === 'object' ? synthesized : {});
+  for (const [tag, mapping] of entries) {
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(tag) || !mapping || typeof mapping !== 'object') continue;
+    if (Array.isArray(mapping.elements) && mapping.elements.length) {
+      const parsed = segmentDefinitionSchema.safeParse(mapping);
+      if (parsed.success) model.segments[tag] = parsed.data;
+    } else if (Array.isArray(mapping.fields)) {
+      model.segments[tag] = definitionFromPathFields(mapping, model.segments[tag]);
+    }
+  }
+  return model;
+}
+
+/**
+ * Model for `format`: normalized from `spec` when given, the built-in model otherwise.
+ * @param {string} format
+ * @param {any} [spec]
+ */
+export function getSpecModel(format, spec) {
+  return spec ? normalizeSpec(spec, format) : builtinSpecModel(format);
+}
+
+/** Read and validate a model file (or a pipeline spec.json, which is normalized). */
+export async function loadSpecModel(file, format) {
+  return normalizeSpec(JSON.parse(await fs.readFile(file, 'utf8')), format);
+}
+
+/**
+ * Models for every known message type keyed by format, so interchanges bundling several message
+ * types can be checked. `spec` applies to `format` only.
+ */
+export function getAllSpecModels(format, spec) {
+  const out = {};
+  for (const fmt of Object.keys(DEFAULT_SEGMENT_GROUPS)) out[fmt] = builtinSpecModel(fmt);
+  if (format) out[String(format).toUpperCase()] = getSpecModel(format, spec);
+  return out;
+}
+
+/**
+ * Resolve the branching diagram for a format from its spec model.
+ * @param {string} format
+ * @param {any} [spec]
+ */
+export function getSegmentGroups(format, spec) {
+  return diagramFromModel(getSpecModel(format, spec));
+}
+
+/** Diagrams for every known message type keyed by format (see getAllSpecModels). */
+export function getAllSegmentGroups(format, spec) {
+  return Object.fromEntries(Object.entries(getAllSpecModels(format, spec)).map(([fmt, m]) => [fmt, diagramFromModel(m)]));
+}
+
+/**
+ * Per-segment field mapping for explanations: { TAG: { segmentDescription, fields: [{ path,
+ * dataElement, name, description, status, format, codes }] } } with paths like "DTM/01/02".
+ */
+export function fieldMappingFromModel(model) {
+  const pad = (n) => String(n + 1).padStart(2, '0');
+  const label = (e) => (e.name ? `${e.name} (${e.id})` : e.id);
+  const field = (tag, i, j, e) => ({
+    path: `${tag}/${pad(i)}/${pad(j)}`,
+    dataElement: e.id,
+    name: label(e),
+    description: e.description || null,
+    status: e.status || null,
+    format: e.format || null,
+    ...(e.codes?.length ? { codes: e.codes } : {}),
+  });
+  const out = {};
+  for (const [tag, def] of Object.entries(model?.segments || {})) {
+    const fields = [];
+    def.elements.forEach((e, i) => {
+      if (Array.isArray(e.components)) e.components.forEach((c, j) => fields.push(field(tag, i, j, c)));
+      else fields.push(field(tag, i, 0, e));
+    });
+    out[tag] = { segmentDescription: def.description || def.name || null, fields };
+  }
+  return out;
+}
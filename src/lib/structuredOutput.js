@@ -0,0 +1,80 @@
+// Schema-enforced JSON from chat models: extract JSON from fenced or chatty answers, validate it with
+// zod and re-prompt with the validation errors until it fits or the attempts run out.
+
+/** Text of a LangChain chat response (string content or content parts). */
+export function responseText(res) {
+  if (typeof res === 'string') return res;
+  if (Array.isArray(res?.content)) return res.content.map(c => (typeof c === 'string' ? c : c?.text || '')).join('');
+  if (typeof res?.content === 'string') return res.content;
+  return '';
+}
+
+/**
+ * Parse JSON from model output: plain JSON, a ```json fenced block, or the outermost object/array
+ * embedded in prose. Throws SyntaxError when nothing parses.
+ */
+export function extractJson(text) {
+  const trimmed = String(text ?? '').trim();
+  const candidates = [trimmed];
+  const fenced = /```(?:json|JSON)?\s*\n?([\s\S]*?)```/.exec(trimmed);
+  if (fenced) candidates.push(fenced[1].trim());
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = trimmed.indexOf(open);
+    const end = trimmed.lastIndexOf(close);
+    if (start >= 0 && end > start) candidates.push(trimmed.slice(start, end + 1));
+  }
+  let lastError = new SyntaxError('No JSON found in model output');
+  for (const c of candidates) {
+    try { return JSON.parse(c); } catch (e) { lastError = e; }
+  }
+  throw lastError;
+}
+
+/** Typed failure: the model did not produce schema-valid JSON within the allowed attempts. */
+export class StructuredOutputError extends Error {
+  constructor(label, attempts, issues, lastText) {
+    super(`STRUCTURED_OUTPUT_INVALID: ${label} failed after ${attempts} attempt(s): ${issues.slice(0, 5).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = 'STRUCTURED_OUTPUT_INVALID';
+    this.attempts = attempts;
+    this.issues = issues;
+    this.lastText = String(lastText ?? '').slice(0, 2000);
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, attempts: this.attempts, issues: this.issues };
+  }
+}
+
+function describeIssues(error) {
+  return error.issues.map(i => `${i.path.length ? i.path.join('.') : '(root)'}: ${i.message}`);
+}
+
+/**
+ * Invoke the model and return schema-validated data. Invalid output is sent back with the parse or
+ * validation errors up to `maxAttempts` times in total.
+ * @template T
+ * @param {{ invoke: Function }} llm
+ * @param {string} prompt
+ * @param {import('zod').ZodType<T>} schema
+ * @param {{ maxAttempts?: number, label?: string }} [options] maxAttempts defaults to LLM_JSON_MAX_ATTEMPTS or 3
+ * @returns {Promise<T>}
+ * @throws {StructuredOutputError}
+ */
+export async function invokeStructured(llm, prompt, schema, { maxAttempts = Number(process.env.LLM_JSON_MAX_ATTEMPTS) || 3, label = 'LLM output' } = {}) {
+  const messages = [['human', prompt]];
+  let issues = [];
+  let text = '';
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    text = responseText(await llm.invoke(attempt === 1 ? prompt : messages));
+    try {
+      const result = schema.safeParse(extractJson(text));
+      if (result.success) return result.data;
+      issues = describeIssues(result.error);
+    } catch (e) {
+      issues = [`invalid JSON: ${e.message}`];
+    }
+    messages.push(['ai', text], ['human', `Your answer could not be used:\n- ${issues.join('\n- ')}\nReturn only the corrected JSON, without code fences or commentary.`]);
+  }
+  throw new StructuredOutputError(label, maxAttempts, issues, text);
+}
@@ -0,0 +1,295 @@
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getQdrantClient, getMakoCollection, getCollectionVectorSize } from './qdrantClient.js';
+import { assertEmbeddingDimensions, assertEmbeddingProvider } from './embeddings.js';
+import { cosineSimilarity } from './retrieval.js';
+
+// Vector store abstraction with the operations the tools use: search (must/should/must_not payload
+// filters, also batched), scroll by payload, upsert, delete and a content fingerprint.
+// VECTOR_STORE=qdrant talks to Qdrant; VECTOR_STORE=local keeps the collection in a JSON file
+// (LOCAL_STORE_DIR, default .vector-store/) for laptops, CI and air-gapped sites. Without
+// VECTOR_STORE, Qdrant is used when QDRANT_URL is set.
+
+function payloadValues(payload, key) {
+  // Dotted keys walk nested objects; arrays fan out (Qdrant semantics)
+  let values = [payload];
+  for (const part of String(key).split('.')) {
+    const next = [];
+    for (const v of values) {
+      if (Array.isArray(v)) v.forEach(x => x != null && typeof x === 'object' && part in x && next.push(x[part]));
+      else if (v != null && typeof v === 'object' && part in v) next.push(v[part]);
+    }
+    values = next;
+  }
+  return values.flatMap(v => (Array.isArray(v) ? v : [v]));
+}
+
+function matchCondition(point, cond) {
+  if (!cond || typeof cond !== 'object') return true;
+  if (cond.must || cond.should || cond.must_not) return matchFilter(point, cond);
+  if (Array.isArray(cond.has_id)) return cond.has_id.map(String).includes(String(point.id));
+  const values = payloadValues(point.payload || {}, cond.key);
+  if (cond.is_empty) return values.length === 0 || values.every(v => v == null);
+  if (cond.is_null) return values.some(v => v === null);
+  if (cond.match) {
+    const m = cond.match;
+    if ('value' in m) return values.some(v => v === m.value);
+    if (Array.isArray(m.any)) return values.some(v => m.any.includes(v));
+    if (Array.isArray(m.except)) return values.every(v => !m.except.includes(v));
+    if (typeof m.text === 'string') return values.some(v => typeof v === 'string' && v.toLowerCase().includes(m.text.toLowerCase()));
+  }
+  if (cond.range) {
+    const { gt, gte, lt, lte } = cond.range;
+    return values.some(v => typeof v === 'number'
+      && (gt == null || v > gt) && (gte == null || v >= gte) && (lt == null || v < lt) && (lte == null || v <= lte));
+  }
+  return false;
+}
+
+/** Evaluate a Qdrant-style filter ({ must, should, must_not }) against a stored point. */
+export function matchFilter(point, filter) {
+  if (!filter) return true;
+  const list = (x) => (Array.isArray(x) ? x : x ? [x] : []);
+  const must = list(filter.must);
+  const should = list(filter.should);
+  const mustNot = list(filter.must_not);
+  if (!must.every(c => matchCondition(point, c))) return false;
+  if (should.length && !should.some(c => matchCondition(point, c))) return false;
+  return !mustNot.some(c => matchCondition(point, c));
+}
+
+export class LocalVectorStore {
+  constructor({ collection = getMakoCollection(), dir = process.env.LOCAL_STORE_DIR || '.vector-store' } = {}) {
+    this.kind = 'local';
+    this.collection = collection;
+    this.file = path.resolve(process.cwd(), dir, `${collection}.json`);
+    this.data = null;
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      this.data = { collection: this.collection, embedding: null, points: [] };
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    // Write-then-rename so a crash never leaves a truncated store behind
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.data), 'utf8');
+    await fs.rename(tmp, this.file);
+  }
+
+  async getVectorSize() {
+    return (await this.load()).embedding?.dimensions ?? null;
+  }
+
+  /** The local store records provider and model, so mismatches are caught even at equal dimension. */
+  async assertCompatible(info) {
+    const recorded = (await this.load()).embedding;
+    if (!recorded) return;
+    assertEmbeddingProvider(recorded, info, this.collection);
+    assertEmbeddingDimensions(info.dimensions, recorded.dimensions, info);
+  }
+
+  /** Content fingerprint: changes whenever a point is added, removed or its payload changes. */
+  async fingerprint() {
+    const { embedding, points } = await this.load();
+    const hash = crypto.createHash('sha256').update(JSON.stringify([this.collection, embedding]));
+    for (const p of [...points].sort((a, b) => String(a.id).localeCompare(String(b.id)))) {
+      hash.update(String(p.id) + ':' + (p.payload?.content_hash || JSON.stringify(p.payload)) + '\n');
+    }
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  async ensureCollection(info) {
+    const data = await this.load();
+    if (data.embedding) return this.assertCompatible(info);
+    data.embedding = { provider: info.provider, model: info.model, dimensions: info.dimensions };
+    await this.save();
+  }
+
+  async search({ vector, limit = 10, filter, scoreThreshold = null, withVector = false }) {
+    const { points } = await this.load();
+    return points
+      .filter(p => Array.isArray(p.vector) && matchFilter(p, filter))
+      .map(p => ({ id: p.id, score: cosineSimilarity(vector, p.vector), payload: p.payload, ...(withVector ? { vector: p.vector } : {}) }))
+      .filter(r => scoreThreshold == null || r.score >= scoreThreshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /** One result list per request, same order as `requests`. */
+  async searchBatch(requests) {
+    await this.load();
+    return Promise.all(requests.map(r => this.search(r)));
+  }
+
+  async scroll({ filter, limit = 10, offset = null } = {}) {
+    const matching = (await this.load()).points.filter(p => matchFilter(p, filter));
+    const start = offset == null ? 0 : Math.max(0, matching.findIndex(p => String(p.id) === String(offset)));
+    const page = matching.slice(start, start + limit);
+    const next = matching[start + limit];
+    return { points: page.map(p => ({ id: p.id, payload: p.payload })), next_page_offset: next ? next.id : null };
+  }
+
+  async upsert(points) {
+    const data = await this.load();
+    const index = new Map(data.points.map((p, i) => [String(p.id), i]));
+    for (const p of points) {
+      const entry = { id: p.id, vector: p.vector, payload: p.payload || {} };
+      if (index.has(String(p.id))) data.points[index.get(String(p.id))] = entry;
+      else { index.set(String(p.id), data.points.length); data.points.push(entry); }
+    }
+    await this.save();
+    return { status: 'completed', count: points.length };
+  }
+
+  async delete(ids) {
+    const data = await this.load();
+    const drop = new Set(ids.map(String));
+    data.points = data.points.filter(p => !drop.has(String(p.id)));
+    await this.save();
+    return { status: 'completed', count: drop.size };
+  }
+}
+
+// Embedding signatures per companion collection (read once per process)
+const embeddingSignatures = new Map();
+
+export class QdrantVectorStore {
+  constructor({ collection = getMakoCollection(), client = getQdrantClient() } = {}) {
+    this.kind = 'qdrant';
+    this.collection = collection;
+    this.client = client;
+  }
+
+  getVectorSize() {
+    return getCollectionVectorSize(this.client, this.collection);
+  }
+
+  /**
+   * Embedding signature ({ provider, model, dimensions }) recorded for the collection, or null.
+   * Qdrant collections carry no metadata, so it is kept as the single point of the companion
+   * collection `<collection>__embedding`.
+   */
+  async getEmbeddingSignature() {
+    const meta = `${this.collection}__embedding`;
+    if (!embeddingSignatures.has(meta)) {
+      const { exists } = await this.client.collectionExists(meta);
+      const [point] = exists ? await this.client.retrieve(meta, { ids: [1], with_payload: true }) : [];
+      embeddingSignatures.set(meta, point?.payload?.embedding ?? null);
+    }
+    return embeddingSignatures.get(meta);
+  }
+
+  async recordEmbeddingSignature(info) {
+    const meta = `${this.collection}__embedding`;
+    const { exists } = await this.client.collectionExists(meta);
+    if (!exists) await this.client.createCollection(meta, { vectors: { size: 1, distance: 'Dot' } });
+    const embedding = { provider: info.provider, model: info.model, dimensions: info.dimensions };
+    await this.client.upsert(meta, { wait: true, points: [{ id: 1, vector: [1], payload: { collection: this.collection, embedding } }] });
+    embeddingSignatures.set(meta, embedding);
+  }
+
+  /** Provider and model are compared with the recorded signature, the dimension with the vector config. */
+  async assertCompatible(info) {
+    assertEmbeddingProvider(await this.getEmbeddingSignature(), info, this.collection);
+    assertEmbeddingDimensions(info.dimensions, await this.getVectorSize(), info);
+  }
+
+  /**
+   * Qdrant exposes no content version; the fingerprint covers collection name, vector config and
+   * the id and content hash of every point (scrolled in id order), like the local store's.
+   */
+  async fingerprint() {
+    const info = await this.client.getCollection(this.collection);
+    const hash = crypto.createHash('sha256').update(JSON.stringify([this.collection, info?.config?.params?.vectors ?? null]));
+    let offset = null;
+    do {
+      const page = await this.client.scroll(this.collection, {
+        with_payload: true,
+        with_vector: false,
+        limit: 256,
+        ...(offset != null ? { offset } : {}),
+      });
+      for (const p of page.points || []) hash.update(String(p.id) + ':' + (p.payload?.content_hash || JSON.stringify(p.payload)) + '\n');
+      offset = page.next_page_offset ?? null;
+    } while (offset != null);
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  async ensureCollection(info) {
+    const { exists } = await this.client.collectionExists(this.collection);
+    if (!exists) {
+      if (!info.dimensions) throw new Error('EMBEDDING_DIMENSION_UNKNOWN: set EMBEDDING_DIMENSIONS to create the collection');
+      await this.client.createCollection(this.collection, { vectors: { size: info.dimensions, distance: 'Cosine' } });
+      await this.recordEmbeddingSignature(info);
+      return;
+    }
+    await this.assertCompatible(info);
+    // Collections created before signatures were recorded adopt the embeddings they are ingested with
+    if (!(await this.getEmbeddingSignature())) await this.recordEmbeddingSignature(info);
+  }
+
+  search({ vector, limit = 10, filter, scoreThreshold = null, withVector = false }) {
+    return this.client.search(this.collection, {
+      vector,
+      limit,
+      with_payload: true,
+      ...(withVector ? { with_vector: true } : {}),
+      ...(scoreThreshold != null ? { score_threshold: scoreThreshold } : {}),
+      filter,
+    });
+  }
+
+  /** Single round trip for several searches; one result list per request. */
+  searchBatch(requests) {
+    return this.client.searchBatch(this.collection, {
+      searches: requests.map(({ vector, limit = 10, filter, scoreThreshold = null, withVector = false }) => ({
+        vector,
+        limit,
+        with_payload: true,
+        ...(withVector ? { with_vector: true } : {}),
+        ...(scoreThreshold != null ? { score_threshold: scoreThreshold } : {}),
+        filter,
+      })),
+    });
+  }
+
+  scroll({ filter, limit = 10, offset = null } = {}) {
+    return this.client.scroll(this.collection, {
+      filter,
+      with_payload: true,
+      with_vector: false,
+      limit,
+      ...(offset != null ? { offset } : {}),
+    });
+  }
+
+  upsert(points) {
+    return this.client.upsert(this.collection, { wait: true, points });
+  }
+
+  delete(ids) {
+    return this.client.delete(this.collection, { wait: true, points: ids });
+  }
+}
+
+/**
+ * Store for the configured backend (VECTOR_STORE=qdrant|local).
+ * @param {{ collection?: string }} [options]
+ */
+export function getVectorStore(options = {}) {
+  const kind = (process.env.VECTOR_STORE || (process.env.QDRANT_URL ? 'qdrant' : 'local')).toLowerCase();
+  if (kind === 'local') return new LocalVectorStore(options);
+  if (kind === 'qdrant') return new QdrantVectorStore(options);
+  throw new Error(`Unknown VECTOR_STORE "${kind}" (expected qdrant or local)`);
+}
@@ -1,41 +1,71 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
-import fs from 'node:fs/promises';
-import os from 'node:os';
-import path from 'node:path';
+import { tokenizeEdifact } from '../lib/edifact.js';
+import { serializeEdifact } from '../lib/edifactSerializer.js';
+import { validateInterchange } from '../lib/edifactValidator.js';
+import { loadSandboxedParser } from '../lib/parserSandbox.js';
+import { loadGoldenSnapshot, compareGolden } from '../lib/goldenSnapshots.js';
+
+// Top frames of a stack trace from the sandbox, enough to point a repair attempt at the failing code
+const shortStack = (stack) => String(stack).split('\n').slice(0, 6).join('\n');
+
+/**
+ * Negative case for a sample: one segment tag is corrupted (UNH → UXH for the last message header,
+ * else the first segment) and the interchange is serialized again, so the mutation applies
+ * regardless of line layout. Returns null when the sample has no segments.
+ */
+export function mutateSample(text) {
+  const parsed = tokenizeEdifact(text);
+  const headers = parsed.segments.filter(s => s.tag === 'UNH');
+  const target = headers[headers.length - 1] || parsed.segments[0];
+  if (!target) return null;
+  target.tag = target.tag[0] + (target.tag[1] === 'X' ? 'Q' : 'X') + target.tag.slice(2);
+  return serializeEdifact(parsed, { recomputeCounts: false });
+}
 
 // Tool to run basic tests for a generated parser module with provided samples and adversarial cases.
 export function createEdifactTester() {
   return tool(
-    async ({ moduleCode, samples }) => {
+    async ({ moduleCode, samples, format }) => {
       const results = [];
       let mod;
       try {
-        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'edifact-parser-'));
-        const file = path.join(tmpDir, 'parser.mjs');
-        await fs.writeFile(file, moduleCode, 'utf8');
-        mod = await import(`file://${file}`);
+        // Generated code runs isolated (static import check, worker with time/memory limits)
+        mod = await loadSandboxedParser(moduleCode, { filename: 'parser.mjs' });
       } catch (e) {
-        return { success: false, error: `Module import failed: ${e.message}` };
+        return { success: false, error: e.message.startsWith('PARSER_REJECTED') ? e.message : `Module import failed: ${e.message}` };
       }
-      if (typeof mod.parseEdifactToJson !== 'function' || typeof mod.explain !== 'function') {
+      if (!mod.exports.includes('parseEdifactToJson') || !mod.exports.includes('explain')) {
+        await mod.close();
         return { success: false, error: 'Module does not export parseEdifactToJson and explain' };
       }
-      // Run each sample
+      // Run each sample; samples with a golden snapshot must also match it field by field
       for (const s of samples) {
         try {
+          const golden = await loadGoldenSnapshot(s.name, { text: s.text });
           const parsed = await mod.parseEdifactToJson(s.text);
           const explained = await mod.explain(parsed);
-          results.push({ name: s.name, ok: true, parsedSummary: Object.keys(parsed || {}).slice(0, 10) });
+          // Errors reported by the parser itself, plus envelope syntax findings on the sample
+          const errors = Array.isArray(parsed?.errors) ? parsed.errors.slice(0, 20) : [];
+          const syntaxErrors = validateInterchange(tokenizeEdifact(s.text)).slice(0, 20);
+          const result = { name: s.name, ok: true, parsedSummary: Object.keys(parsed || {}).slice(0, 10), errors, syntaxErrors };
+          if (golden) {
+            const cmp = compareGolden(golden, { parsed, explained });
+            result.golden = cmp;
+            result.score = cmp.score;
+            if (!cmp.ok) Object.assign(result, { ok: false, error: `GOLDEN_MISMATCH: ${cmp.checks - cmp.matched} of ${cmp.checks} checks differ from the snapshot` });
+          }
+          results.push(result);
         } catch (e) {
-          results.push({ name: s.name, ok: false, error: e.message });
+          results.push({ name: s.name, ok: false, error: e.message, ...(e.stack ? { stack: shortStack(e.stack) } : {}) });
         }
       }
       // Inject a few synthetic errors
-      const glitch = (s) => s.replace(/\+\+/g, '+?+').replace(/^UNH/gm, 'UXH');
       for (const s of samples.slice(0, 2)) {
+        const mutated = mutateSample(s.text);
+        if (!mutated) continue;
         try {
-          const res = await mod.parseEdifactToJson(glitch(s.text));
+          const res = await mod.parseEdifactToJson(mutated);
           // Treat explicit error reporting as a successful detection, not only thrown exceptions
           const errs = Array.isArray(res?.errors) ? res.errors : [];
           const detected = errs.some(e =>
@@ -47,19 +77,24 @@ export function createEdifactTester() {
             results.push({ name: s.name + ' (mutated)', ok: false, error: 'Parser did not detect malformed segment tag' });
           }
         } catch (e) {
-          // Thrown exceptions also count as successful detection
-          results.push({ name: s.name + ' (mutated)', ok: true });
+          // Thrown exceptions also count as successful detection, sandbox limits do not
+          const limit = /^PARSER_(TIMEOUT|MEMORY_LIMIT|CRASHED)/.test(e.message);
+          results.push({ name: s.name + ' (mutated)', ok: !limit, ...(limit ? { error: e.message } : {}) });
         }
       }
+      await mod.close();
       const success = results.every(r => r.ok);
-      return { success, results };
+      // Mean per-case score: share of matched snapshot checks, else 1 or 0 for pass/fail
+      const score = results.length ? results.reduce((sum, r) => sum + (r.score ?? (r.ok ? 1 : 0)), 0) / results.length : 0;
+      return { ...(format ? { format: String(format).toUpperCase() } : {}), success, score, results };
     },
     {
       name: 'test_edifact_parser_module',
-      description: 'Run smoke tests for a generated EDIFACT parser module using provided samples and simple mutated cases.',
+      description: 'Run tests for a generated EDIFACT parser module (executed in a sandbox) using provided samples, their golden snapshots and simple mutated cases. Returns a score per format.',
       schema: z.object({
         moduleCode: z.string(),
-        samples: z.array(z.object({ name: z.string(), text: z.string() }))
+        samples: z.array(z.object({ name: z.string(), text: z.string() })),
+        format: z.string().optional()
       })
     }
   );
@@ -20,12 +20,26 @@ export function createExplainedToMarkdownTool() {
           format: 'Format',
           segments: 'Segments',
           position: 'Position',
+          validation: 'Validation',
+          noErrors: 'No errors found.',
+          code: 'Code',
+          segment: 'Segment',
+          message: 'Message',
+          ahb: 'AHB check',
+          reference: 'AHB reference',
         },
         de: {
           overview: 'Überblick',
           format: 'Format',
           segments: 'Segmente',
           position: 'Position',
+          validation: 'Validierung',
+          noErrors: 'Keine Fehler gefunden.',
+          code: 'Code',
+          segment: 'Segment',
+          message: 'Meldung',
+          ahb: 'AHB-Prüfung',
+          reference: 'AHB-Fundstelle',
         }
       };
       const t = i18n[lang] || i18n.en;
@@ -49,6 +63,39 @@ export function createExplainedToMarkdownTool() {
   if (base?.segments?.length) lines.push(`- ${t.segments}: ${base.segments.length}`);
       lines.push('');
 
+      // Validation findings ({ code, message, segmentTag, position })
+      const errors = root?.errors || root?.explained?.errors;
+      if (Array.isArray(errors)) {
+        lines.push(`## ${t.validation}`);
+        if (!errors.length) {
+          lines.push(t.noErrors);
+        } else {
+          lines.push(`|${t.code}|${t.segment}|${t.position}|${t.message}|`);
+          lines.push('|---|---|---|---|');
+          for (const e of errors) {
+            lines.push('|' + [e?.code, e?.segmentTag, e?.position, e?.message].map(v => mdEscape(v ?? '')).join('|') + '|');
+          }
+        }
+        lines.push('');
+      }
+
+      // AHB findings for the Prüfidentifikator ({ pruefidentifikator, errors: [{ ..., severity, ahbReference }] })
+      const ahb = root?.ahb || root?.explained?.ahb;
+      if (ahb?.pruefidentifikator) {
+        lines.push(`## ${t.ahb} (${ahb.pruefidentifikator})`);
+        if (!ahb.errors?.length) {
+          lines.push(ahb.error || t.noErrors);
+        } else {
+          lines.push(`|${t.code}|${t.segment}|${t.position}|${t.message}|${t.reference}|`);
+          lines.push('|---|---|---|---|---|');
+          for (const e of ahb.errors) {
+            const ref = e?.ahbReference ? [e.ahbReference.source, e.ahbReference.line].filter(v => v != null).join(':') : '';
+            lines.push('|' + [e?.code, e?.segmentTag, e?.position, e?.message, ref].map(v => mdEscape(v ?? '')).join('|') + '|');
+          }
+        }
+        lines.push('');
+      }
+
       // Group by segment tag
       const groups = new Map();
       for (const s of segments) {
@@ -1,71 +1,29 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
-import fs from 'node:fs/promises';
 import path from 'node:path';
-import url from 'node:url';
+import { tokenizeEdifact, buildInterchangeTree } from '../lib/edifact.js';
+import { getAllSegmentGroups, getAllSpecModels, getSpecModel, loadSpecModel, diagramFromModel, fieldMappingFromModel } from '../lib/specModel.js';
+import { readMessages } from '../lib/edifactStream.js';
+import { serializeSingleMessage } from '../lib/edifactSerializer.js';
+import { validateInterchange, validateMessageStructure } from '../lib/edifactValidator.js';
+import { validateAhb, detectPruefidentifikator } from '../lib/ahbValidator.js';
+import { getCodeLists, loadCodeLists, describeCode } from '../lib/codeLists.js';
+import { normalizeSegmentValues } from '../lib/edifactValues.js';
+import { loadActiveParser } from '../lib/parserRegistry.js';
 
-function detectDelimsFromText(text) {
-  // Defaults
-  let componentSep = ':';
-  let dataSep = '+';
-  let releaseChar = '?';
-  let segTerm = "'";
-  if (text.startsWith('UNA')) {
-    const six = text.slice(3, 9);
-    if (six.length === 6) {
-      componentSep = six[0];
-      dataSep = six[1];
-      releaseChar = six[3];
-      segTerm = six[5];
-    }
-  }
-  return { componentSep, dataSep, releaseChar, segTerm };
-}
-
-function splitSegments(text, segTerm, releaseChar) {
-  const segments = [];
-  let cur = '';
-  let released = false;
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    if (released) { cur += ch; released = false; continue; }
-    if (ch === releaseChar) { released = true; continue; }
-    if (ch === segTerm) { const t = cur.trim(); if (t) segments.push(t); cur = ''; continue; }
-    cur += ch;
-  }
-  if (cur.trim()) segments.push(cur.trim());
-  return segments;
-}
-
-function splitElements(str, sep, releaseChar) {
-  const out = [];
-  let cur = '';
-  let released = false;
-  for (let i = 0; i < str.length; i++) {
-    const ch = str[i];
-    if (released) { cur += ch; released = false; continue; }
-    if (ch === releaseChar) { released = true; continue; }
-    if (ch === sep) { out.push(cur); cur = ''; continue; }
-    cur += ch;
-  }
-  out.push(cur);
-  return out;
+function baselineParseAndExplain(text, assumedFormat, model, codeLists) {
+  return baselineExplainSegments(tokenizeEdifact(text), assumedFormat, model, codeLists);
 }
 
-function baselineParseAndExplain(text, assumedFormat) {
-  const { componentSep, dataSep, releaseChar, segTerm } = detectDelimsFromText(text);
-  const segsRaw = splitSegments(text, segTerm, releaseChar).map(s => s.replace(/\r?\n/g, '').trim()).filter(Boolean);
-  const segments = [];
-  let pos = 0;
-  for (const raw of segsRaw) {
-    const tag = raw.slice(0, 3).toUpperCase();
-    const rest = raw.slice(3);
-    const elems = rest.startsWith(dataSep) ? rest.slice(1) : rest;
-    const data = splitElements(elems, dataSep, releaseChar).map(e => splitElements(e, componentSep, releaseChar));
-    segments.push({ tag, position: ++pos, elements: data });
-  }
-  const json = { delimiters: { componentSep, dataSep, releaseChar, segTerm }, segments };
-  const errors = [];
+function baselineExplainSegments({ delimiters, una, segments, unz = null }, assumedFormat, model, codeLists) {
+  // Built-in models for every message type; an artifact/spec model replaces the one for its format
+  const models = getAllSpecModels();
+  if (model?.format) models[model.format] = model;
+  const groups = Object.fromEntries(Object.entries(models).map(([f, m]) => [f, diagramFromModel(m)]));
+  const interchanges = buildInterchangeTree(segments, groups);
+  const json = { delimiters, una, segments, interchanges };
+  // `unz` closes a per-message slice for the envelope checks only, it is not explained
+  const errors = [...validateInterchange(unz ? { segments: [...segments, unz] } : json), ...validateMessageStructure(interchanges, models), ...normalizeSegmentValues(segments, delimiters)];
   // Find format from UNH if possible
   const firstUNH = segments.find(s => s.tag === 'UNH');
   let fmt = assumedFormat;
@@ -73,68 +31,14 @@ function baselineParseAndExplain(text, assumedFormat) {
     const type = (firstUNH.elements[1] || [])[0]; // Note: in baseline artifacts we had UNH: [ref],[type,ver,rel,...]
     if (type && /^[A-Z]{3,6}$/.test(String(type))) fmt = type.toUpperCase();
   }
-  // Minimal default mapping and qualifier hints
-  const defaultMap = {
-    UNH: { segmentDescription: 'Message header', fields: [
-      { path: 'UNH/01/01', name: 'Message reference number (0062)', description: 'Sender-assigned message reference' },
-      { path: 'UNH/02/01', name: 'Message type (0065)', description: 'Type, e.g., APERAK' },
-      { path: 'UNH/02/02', name: 'Version (0052)', description: 'Message version' },
-      { path: 'UNH/02/03', name: 'Release (0054)', description: 'Message release' },
-      { path: 'UNH/02/04', name: 'Controlling agency (0051)', description: 'UN or others' },
-      { path: 'UNH/02/05', name: 'Association assigned code (0057)', description: 'Association code' },
-    ]},
-    BGM: { segmentDescription: 'Beginning of message', fields: [
-      { path: 'BGM/01/01', name: 'Document/message name, coded (1001)', description: 'Identifies document/message' },
-      { path: 'BGM/02/01', name: 'Document/message number (1004)', description: 'Document identifier' },
-      { path: 'BGM/03/01', name: 'Message function, coded (1225)', description: 'Function of the message' },
-    ]},
-    DTM: { segmentDescription: 'Date/time/period', fields: [
-      { path: 'DTM/01/01', name: 'Date/time/period qualifier (2005)', description: '137=Doc date/time, 171=Reference date/time' },
-      { path: 'DTM/01/02', name: 'Date/time/period (2380)', description: 'Value per 2379' },
-      { path: 'DTM/01/03', name: 'Format qualifier (2379)', description: '203=CCYYMMDDHHMM, 303=YYMMDDHHMM' },
-    ]},
-    RFF: { segmentDescription: 'Reference', fields: [
-      { path: 'RFF/01/01', name: 'Reference qualifier (1153)', description: 'ON=Order, TN=Transaction, ACE=Account' },
-      { path: 'RFF/01/02', name: 'Reference number (1154)', description: 'Reference identifier' },
-      { path: 'RFF/01/03', name: 'Line number (1156)', description: 'Related line number' },
-    ]},
-    NAD: { segmentDescription: 'Name and address', fields: [
-      { path: 'NAD/01/01', name: 'Party function qualifier (3035)', description: 'MS=Sender, MR=Recipient' },
-      { path: 'NAD/02/01', name: 'Party id (3039)', description: 'Party identifier' },
-      { path: 'NAD/02/02', name: 'Code list qualifier (1131)', description: 'Qualifier for code list' },
-      { path: 'NAD/02/03', name: 'Code list agency (3055)', description: 'e.g., 293' },
-    ]},
-    UNB: { segmentDescription: 'Interchange header', fields: [
-      { path: 'UNB/01/01', name: 'Syntax id (0001)', description: 'UNOC etc.' },
-      { path: 'UNB/01/02', name: 'Syntax version (0002)', description: 'Version of syntax' },
-      { path: 'UNB/02/01', name: 'Sender id (0004)', description: 'Interchange sender' },
-      { path: 'UNB/02/02', name: 'Sender qualifier (0007)', description: 'Qualifier' },
-      { path: 'UNB/03/01', name: 'Recipient id (0010)', description: 'Interchange recipient' },
-      { path: 'UNB/03/02', name: 'Recipient qualifier (0007)', description: 'Qualifier' },
-      { path: 'UNB/04/01', name: 'Date (0017)', description: 'YYMMDD/CCYYMMDD' },
-      { path: 'UNB/04/02', name: 'Time (0019)', description: 'HHMM' },
-      { path: 'UNB/05/01', name: 'Interchange control ref (0020)', description: 'Control reference' },
-    ]},
-    UNT: { segmentDescription: 'Message trailer', fields: [
-      { path: 'UNT/01/01', name: 'Segment count (0074)', description: 'Count incl. UNH and UNT' },
-      { path: 'UNT/02/01', name: 'Message ref (0062)', description: 'Must match UNH ref' },
-    ]},
-    UNZ: { segmentDescription: 'Interchange trailer', fields: [
-      { path: 'UNZ/01/01', name: 'Message/group count (0036)', description: 'Number of messages/groups' },
-      { path: 'UNZ/02/01', name: 'Interchange control ref (0020)', description: 'Must match UNB control ref' },
-    ]},
-  };
-  const qualifiers = {
-    DTM: { '137': 'Document/message date/time', '171': 'Reference date/time' },
-    RFF: { 'ON': 'Order number', 'TN': 'Transaction/reference number', 'ACE': 'Reference (ACE)', 'AGO': 'Agreement/order reference' },
-  };
-  const mapping = defaultMap; // spec-derived mapping could override here if passed in future
+  // Field names and descriptions from the spec model, code meanings from the code lists
+  const mapping = fieldMappingFromModel(models[fmt] || getSpecModel(fmt));
+  const codes = codeLists || getCodeLists(models[fmt]);
   const segs = json.segments || [];
   const pad2 = (n) => String(n+1).padStart(2, '0');
   const getFieldMeta = (tag, i, j) => {
     const m = mapping[tag];
     if (!m || !Array.isArray(m.fields)) return null;
-    const p1 = tag + '/' + pad2(i);
     const p2 = tag + '/' + pad2(i) + '/' + pad2(j);
     return m.fields.find(f => f.path === p2) || null;
   };
@@ -149,20 +53,12 @@ function baselineParseAndExplain(text, assumedFormat) {
         const meta = getFieldMeta(s.tag, i, j);
         let name = (meta && meta.name) || ('Component ' + (i+1) + '.' + (j+1));
         let description = (meta && meta.description) || '';
-        if (s.tag === 'DTM' && j === 0) {
-          const q = String(val || '').trim();
-          const qDesc = qualifiers.DTM[q];
-          if (qDesc) description = description ? (description + ' (qualifier ' + q + ': ' + qDesc + ')') : ('Qualifier ' + q + ': ' + qDesc);
-        }
-        if (s.tag === 'RFF' && j === 0) {
-          const q = String(val || '').trim();
-          const qDesc = qualifiers.RFF[q];
-          if (qDesc) description = description ? (description + ' (qualifier ' + q + ': ' + qDesc + ')') : ('Qualifier ' + q + ': ' + qDesc);
-        }
-        fields.push({ path: (s.tag + '/' + pad2(i) + '/' + pad2(j)), name, description: description || null, value: val });
+        const meaning = meta?.dataElement ? describeCode(codes, meta.dataElement, String(val ?? '').trim()) : null;
+        if (meaning) description = description ? (description + ' (' + meaning.code + ': ' + meaning.text + ')') : (meaning.code + ': ' + meaning.text);
+        fields.push({ path: (s.tag + '/' + pad2(i) + '/' + pad2(j)), name, description: description || null, value: val, ...(meaning ? { meaning: { de: meaning.de, en: meaning.en } } : {}) });
       }
     }
-    return { segment: s.tag, position: s.position, description: segDesc, fields };
+    return { segment: s.tag, position: s.position, groupPath: s.groupPath || null, description: segDesc, fields, ...(s.normalized ? { normalized: s.normalized } : {}) };
   };
   const explanations = { segments: segs.map(explainSegment) };
   // Extract UNB sender/recipient for optional BDEW enrichment downstream
@@ -177,9 +73,27 @@ function baselineParseAndExplain(text, assumedFormat) {
   return { json, errors, explanations, format: fmt || assumedFormat, _context: context };
 }
 
+/**
+ * Streaming variant of the baseline: yields one explained result per message (UNH…UNT) read from
+ * a string, Buffer, Readable or async iterable of chunks, holding only the current message in memory.
+ * Envelope checks see each message as a one-message interchange, so UNZ count/reference errors of
+ * the whole interchange are not reported here.
+ * `model` is an optional spec model for `format` (see specModel.js), `codeLists` resolved code
+ * lists (see codeLists.js; built-in and model codes otherwise).
+ */
+export async function* explainEdifactStream(source, format, { encoding, model, codeLists } = {}) {
+  const groups = getAllSegmentGroups(format, model);
+  for await (const { delimiters, una, interchange, message } of readMessages(source, { encoding, groups })) {
+    const segments = [interchange?.header, message.header, ...message.segments, message.trailer].filter(Boolean);
+    // The interchange's UNZ follows the last message; close the slice as serializeSingleMessage does
+    const unz = interchange ? { tag: 'UNZ', position: null, elements: [['1'], [interchange.controlReference ?? '']] } : null;
+    yield baselineExplainSegments({ delimiters, una, segments, unz }, format, model, codeLists);
+  }
+}
+
 export function createParseAndExplainMessageTool() {
   return tool(
-    async ({ text, format }) => {
+    async ({ text, format, ahb = true }) => {
       const KNOWN = ['APERAK','INVOIC','ORDERS','UTILMD','MSCONS','REMADV','QUOTES','PARTIN','UTILTS','UITLTS'];
       const detectFromParsed = (parsed) => {
         if (!parsed) return null;
@@ -223,59 +137,118 @@ export function createParseAndExplainMessageTool() {
         }
         return null;
       };
-      // Try to load a prebuilt parser for the inferred/declared format
-      let fmt = format;
-      if (!fmt) {
-        const m = /UNH[^']*/.exec(text);
-        if (m) {
-          const part = m[0];
-          const pieces = part.split('+');
-          if (pieces[2]) fmt = pieces[2].split(':')[0].toUpperCase();
-        }
-      }
-      if (fmt) {
-        const parserPath = path.resolve(process.cwd(), 'artifacts', fmt, 'parser.js');
+      // Active per-format parsers from the parser registry, loaded once per call into a sandbox
+      const parsers = new Map();
+      const loadParser = async (fmt) => {
+        if (!fmt) return null;
+        if (parsers.has(fmt)) return parsers.get(fmt);
+        let mod = null;
         try {
-          await fs.access(parserPath);
-          const mod = await import(url.pathToFileURL(parserPath).href);
-          if (typeof mod.parseEdifactToJson === 'function' && typeof mod.explain === 'function') {
-            const parsed = await mod.parseEdifactToJson(text);
+          const loaded = await loadActiveParser(fmt);
+          if (loaded && loaded.exports.includes('parseEdifactToJson') && loaded.exports.includes('explain')) mod = loaded;
+          else await loaded?.close();
+        } catch {}
+        parsers.set(fmt, mod);
+        return mod;
+      };
+      // Spec models persisted by the pipeline (artifacts/<FMT>/spec-model.json) for the baseline
+      const models = new Map();
+      const loadModel = async (fmt) => {
+        if (!fmt) return null;
+        if (!models.has(fmt)) {
+          const modelPath = path.resolve(process.cwd(), 'artifacts', fmt, 'spec-model.json');
+          models.set(fmt, await loadSpecModel(modelPath, fmt).catch(() => null));
+        }
+        return models.get(fmt);
+      };
+      // Code lists per format release (built-in, spec model, spec store, CODE_LIST_DIR files)
+      const codeLists = new Map();
+      const loadCodes = async (fmt, model) => {
+        if (!codeLists.has(fmt)) codeLists.set(fmt, await loadCodeLists({ format: fmt, version: model?.version, model }));
+        return codeLists.get(fmt);
+      };
+      const explainOne = async (msgText, fmt) => {
+        const mod = await loadParser(fmt);
+        if (mod) {
+          try {
+            const parsed = await mod.parseEdifactToJson(msgText);
             const explained = await mod.explain(parsed);
-            const fmt2 = detectFromParsed(parsed) || detectFromParsed(explained) || fmt;
-            // Try to read sender/recipient from explained.json if available
-            let context = {};
-            try {
-              const segs = explained?.json?.segments || [];
-              const unb = segs.find(s => (s.tag || '').toUpperCase() === 'UNB');
-              if (unb) {
-                context.senderId = unb.elements?.[1]?.[0];
-                context.recipientId = unb.elements?.[2]?.[0];
-              }
-            } catch {}
-            return { explained: { ...explained, _context: context }, format: fmt2 || 'UNKNOWN' };
+            return { explained, format: detectFromParsed(parsed) || detectFromParsed(explained) || fmt };
+          } catch {
+            // fall through to baseline
           }
-        } catch {
-          // fall through to baseline
         }
+        const model = await loadModel(fmt);
+        const explained = baselineParseAndExplain(msgText, fmt, model, fmt ? await loadCodes(fmt, model) : undefined);
+        return { explained, format: explained.format || fmt };
+      };
+      // Split the interchange into its UNH…UNT messages; each is explained as a standalone
+      // interchange (original UNB + message + UNZ) by the parser for its own message type.
+      const { delimiters, una, segments } = tokenizeEdifact(text);
+      const interchanges = buildInterchangeTree(segments);
+      const envelope = interchanges.find(ic => ic.header);
+      const context = {};
+      if (envelope) {
+        context.senderId = envelope.senderId; // UNB/02/01 Sender id (0004)
+        context.recipientId = envelope.recipientId; // UNB/03/01 Recipient id (0010)
+        context.interchangeRef = envelope.controlReference;
       }
-      // Try derive fmt from text if unknown
-      if (!fmt) {
-        const m = /UNH[^']*/.exec(text);
-        if (m) {
-          const part = m[0];
-          const cand = (part.split('+')[2] || '').split(':')[0];
-          if (cand) fmt = cand.toUpperCase();
+      const messages = [];
+      try {
+        for (const interchange of interchanges) {
+          for (const message of interchange.messages) {
+            const fmt = message.type || (format ? format.toUpperCase() : undefined);
+            const msgText = serializeSingleMessage({ delimiters, una, interchange, message });
+            const res = await explainOne(msgText, fmt);
+            // AHB rules of the message's Prüfidentifikator (RFF+Z13) from the spec store
+            let ahbResult;
+            const pruefidentifikator = detectPruefidentifikator(message);
+            if (ahb && pruefidentifikator) {
+              try {
+                // Segment groups per the message's spec model, as AHB rules are scoped to groups
+                const model = fmt ? await loadModel(fmt) : null;
+                const grouped = buildInterchangeTree([message.header, ...message.segments, message.trailer].filter(Boolean), getAllSegmentGroups(fmt, model));
+                const errors = await validateAhb(grouped, { models: model ? { [model.format]: model } : {} });
+                ahbResult = { pruefidentifikator, errors };
+              } catch (e) {
+                ahbResult = { pruefidentifikator, errors: [], error: e.message };
+              }
+            }
+            messages.push({
+              reference: message.reference,
+              format: String(res.format || 'UNKNOWN').toUpperCase(),
+              explained: { ...res.explained, ...(ahbResult ? { ahb: ahbResult } : {}), _context: context },
+            });
+          }
         }
+      } finally {
+        // Each sandboxed parser holds a worker thread
+        await Promise.all([...parsers.values()].filter(Boolean).map(p => p.close()));
+      }
+      if (!messages.length) {
+        // No UNH found: explain whatever segments there are with the baseline
+        const explained = baselineParseAndExplain(text, format ? format.toUpperCase() : undefined);
+        return { explained, format: explained.format || 'UNKNOWN', formats: [], messages: [], _context: explained._context };
       }
-  const explained = baselineParseAndExplain(text, fmt);
-  return { explained, format: explained.format || fmt || 'UNKNOWN' };
+      context.messageCount = messages.length;
+      // `explained`/`format` mirror the first message for callers expecting a single result;
+      // `errors` holds envelope validation of the whole interchange (UNZ counts, references)
+      return {
+        explained: messages[0].explained,
+        format: messages[0].format,
+        formats: [...new Set(messages.map(m => m.format))],
+        messages,
+        errors: validateInterchange({ segments }),
+        _context: context,
+      };
     },
     {
       name: 'parse_and_explain_message',
-      description: 'Parse an EDIFACT message and produce an explained JSON, using existing parser if available or a baseline fallback.',
+      description: 'Parse an EDIFACT interchange, split it into its messages and explain each one with the parser for its message type (or a baseline fallback). Messages with a Prüfidentifikator (RFF+Z13) are checked against its AHB rules (explained.ahb). Returns { explained, format, formats, messages, _context }.',
       schema: z.object({
         text: z.string(),
-        format: z.string().optional(),
+        format: z.string().optional().describe('Fallback format for messages whose UNH message type cannot be read'),
+        ahb: z.boolean().optional().describe('Check messages against the AHB rules of their Prüfidentifikator from the spec store (default true)'),
       })
     }
   );
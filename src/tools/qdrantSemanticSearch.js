@@ -1,52 +1,90 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
-import { getQdrantClient, getMakoCollection } from '../lib/qdrantClient.js';
-import { getEmbeddings } from '../lib/embeddings.js';
+import { getVectorStore } from '../lib/vectorStore.js';
+import { getEmbeddings, getEmbeddingsInfo, assertEmbeddingDimensions } from '../lib/embeddings.js';
+import { getLexicalIndex, tokenize, payloadText } from '../lib/lexicalIndex.js';
+import { cosineSimilarity, fuseByNormalizedScore, reciprocalRankFusion, maximalMarginalRelevance } from '../lib/retrieval.js';
 
-// Advanced semantic search over Qdrant, supports:
-// - multi-query expansion
+// Candidates fetched per query and source; MMR picks topK from the fused pool
+const MAX_CANDIDATES = 50;
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / ((a.size + b.size - shared) || 1);
+}
+
+// Advanced semantic search over the spec store (Qdrant or local), supports:
+// - multi-query expansion, executed as one batched search request
 // - field-scoped payload filtering
-// - reranking by cosine with local embedding
+// - per-query min-max score normalization before merging (raw scores of different queries are not comparable)
+// - mode "hybrid": BM25 over payload text fused with the dense ranking (reciprocal rank fusion),
+//   mode "lexical": BM25 only (no embeddings needed)
+// - MMR diversification of the top-K (vector similarity, token overlap without vectors)
+// Each result lists the planned queries that retrieved it (matchedQueries).
 export function createQdrantSemanticSearch() {
   return tool(
-    async ({ queries, mustFilters = [], shouldFilters = [], topK = 10 }) => {
-      const client = getQdrantClient();
-      const embeddings = getEmbeddings();
-      const collection = getMakoCollection();
+    async ({ queries, mustFilters = [], shouldFilters = [], topK = 10, mode = 'dense', diversify = true, mmrLambda = 0.7 }) => {
+      const store = getVectorStore();
+      const filter = { must: mustFilters, should: shouldFilters };
+      const limit = diversify ? Math.min(topK * 3, MAX_CANDIDATES) : topK;
+      const lists = [];
 
-      // Embed queries and search; merge/rerank
-      const vectors = await embeddings.embedDocuments(queries);
-      const all = [];
-      for (let i = 0; i < vectors.length; i++) {
-        const vec = vectors[i];
-        const filter = { must: mustFilters, should: shouldFilters };
-        const res = await client.search(collection, {
-          vector: vec,
-          limit: Math.min(topK, 25),
-          with_payload: true,
-          score_threshold: 0.0,
-          filter,
-        });
-        for (const p of res) {
-          all.push({ payload: p.payload, score: p.score, id: p.id });
-        }
+      if (mode !== 'lexical') {
+        const info = getEmbeddingsInfo();
+        // Never query a collection with vectors from a different embedding space
+        await store.assertCompatible(info);
+        const expected = await store.getVectorSize();
+        const embeddings = getEmbeddings();
+
+        const vectors = await embeddings.embedDocuments(queries);
+        for (const v of vectors) assertEmbeddingDimensions(v.length, expected, info);
+        const batch = await store.searchBatch(vectors.map(vector => ({ vector, limit, scoreThreshold: 0.0, filter, withVector: diversify })));
+        batch.forEach((res, i) => lists.push({ source: 'dense', query: queries[i], results: res }));
+      }
+      if (mode !== 'dense') {
+        const index = await getLexicalIndex(store);
+        for (const query of queries) lists.push({ source: 'lexical', query, results: index.search(query, { limit, filter }) });
       }
-      // Simple rerank: dedupe by id, keep best score
-      const best = new Map();
-      for (const r of all) {
-        const prev = best.get(r.id);
-        if (!prev || r.score > prev.score) best.set(r.id, r);
+
+      const fused = mode === 'hybrid' ? reciprocalRankFusion(lists) : fuseByNormalizedScore(lists);
+      let top = fused.slice(0, topK);
+      if (diversify) {
+        const tokens = new Map();
+        const tokensOf = (r) => {
+          if (!tokens.has(r)) tokens.set(r, new Set(tokenize(payloadText(r.payload))));
+          return tokens.get(r);
+        };
+        const similarity = (a, b) => (Array.isArray(a.vector) && Array.isArray(b.vector)
+          ? cosineSimilarity(a.vector, b.vector)
+          : jaccard(tokensOf(a), tokensOf(b)));
+        top = maximalMarginalRelevance(fused, { limit: topK, lambda: mmrLambda, similarity });
       }
-      return { results: Array.from(best.values()).sort((a, b) => b.score - a.score).slice(0, topK) };
+      return {
+        mode,
+        results: top.map(r => ({
+          id: r.id,
+          payload: r.payload,
+          score: r.score,
+          scores: { dense: r.scores.dense ?? null, lexical: r.scores.lexical ?? null },
+          ranks: { dense: r.ranks.dense ?? null, lexical: r.ranks.lexical ?? null },
+          matchedQueries: [...new Set(r.hits.map(h => h.query))],
+          hits: r.hits,
+        })),
+      };
     },
     {
       name: 'qdrant_semantic_search',
-      description: 'Run multi-query semantic search in Qdrant using Gemini embeddings with optional payload filters.',
+      description: 'Run multi-query semantic search in the spec store (Qdrant or local) using the configured embeddings with optional payload filters; mode "hybrid" adds keyword (BM25) matching for exact tokens and reports per-source scores. Results are diversified (MMR) and list the queries that matched them.',
       schema: z.object({
         queries: z.array(z.string()).min(1).describe('Alternate phrasings or sub-questions to retrieve specific spec parts'),
         mustFilters: z.array(z.any()).optional(),
         shouldFilters: z.array(z.any()).optional(),
-        topK: z.number().int().positive().max(50).default(10)
+        topK: z.number().int().positive().max(50).default(10),
+        mode: z.enum(['dense', 'hybrid', 'lexical']).default('dense')
+          .describe('dense: vector search; hybrid: vector + BM25 keyword ranking fused by reciprocal rank (best for segment tags, data element ids, qualifiers, Prüfidentifikatoren); lexical: BM25 only'),
+        diversify: z.boolean().default(true).describe('Apply MMR so the top-K is not dominated by near-duplicate chunks'),
+        mmrLambda: z.number().min(0).max(1).default(0.7).describe('MMR trade-off: 1 = relevance only, 0 = diversity only')
       })
     }
   );
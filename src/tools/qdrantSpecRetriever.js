@@ -1,44 +1,49 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
-import { getQdrantClient, getMakoCollection } from '../lib/qdrantClient.js';
+import { getVectorStore } from '../lib/vectorStore.js';
+import { withSpecCache } from '../lib/specCache.js';
 
 // Tool: retrieve_spec_by_format
-// Input: { format: string }
+// Input: { format: string, version?: string }
 // Output: { spec: object, pointsMeta: array }
 export function createQdrantSpecRetriever() {
   return tool(
-    async ({ format }) => {
-      const client = getQdrantClient();
-      const collection = getMakoCollection();
-      // Search by exact match in metadata.format or payload.format_name
-      const filter = {
-        must: [
-          { key: 'format', match: { value: format } },
-        ],
-        should: [
-          { key: 'format_name', match: { value: format } },
-          { key: 'message_type', match: { value: format } }
-        ]
+    async ({ format, version }) => {
+      const retrieve = async () => {
+        const store = getVectorStore();
+        // Search by exact match in metadata.format or payload.format_name
+        const filter = {
+          must: [
+            { key: 'format', match: { value: format } },
+            ...(version ? [{ key: 'format_version', match: { value: version } }] : []),
+          ],
+          should: [
+            { key: 'format_name', match: { value: format } },
+            { key: 'message_type', match: { value: format } }
+          ]
+        };
+        const res = await store.scroll({ filter, limit: 50 });
+        const points = res.points || [];
+        if (!points.length) {
+          return { spec: null, pointsMeta: [], message: `No spec found for ${format}` };
+        }
+        // Prefer first detailed spec-like payload
+        const primary = points.find(p => p.payload && (p.payload.schema || p.payload.structure || p.payload.fields)) || points[0];
+        return { spec: primary.payload, pointsMeta: points.map(p => p.payload) };
       };
-      const res = await client.scroll(collection, {
-        filter,
-        with_payload: true,
-        with_vector: false,
-        limit: 50,
-      });
-      const points = res.points || [];
-      if (!points.length) {
-        return { spec: null, pointsMeta: [], message: `No spec found for ${format}` };
+      try {
+        return await withSpecCache({ format, version, name: 'spec' }, retrieve, { cacheable: r => r.spec != null });
+      } catch (e) {
+        if (!String(e.message).startsWith('SPEC_CACHE_MISS')) throw e;
+        return { spec: null, pointsMeta: [], message: e.message };
       }
-      // Prefer first detailed spec-like payload
-      const primary = points.find(p => p.payload && (p.payload.schema || p.payload.structure || p.payload.fields)) || points[0];
-      return { spec: primary.payload, pointsMeta: points.map(p => p.payload) };
     },
     {
       name: 'retrieve_spec_by_format',
-      description: 'Fetch the EDIFACT format specification from Qdrant by format name (e.g., INVOIC, ORDERS, UTILMD). Returns structured payload and related metadata.',
+      description: 'Fetch the EDIFACT format specification from the spec store (Qdrant or local) by format name (e.g., INVOIC, ORDERS, UTILMD) and optional version, served from the local spec cache when available. Returns structured payload and related metadata.',
       schema: z.object({
-        format: z.string().describe('EDIFACT message type, like INVOIC, ORDERS, UTILMD, MSCONS, APERAK, etc.')
+        format: z.string().describe('EDIFACT message type, like INVOIC, ORDERS, UTILMD, MSCONS, APERAK, etc.'),
+        version: z.string().optional().describe('Format version (MIG/AHB), e.g. 5.2a; omit for any version')
       })
     }
   );
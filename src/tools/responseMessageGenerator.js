@@ -0,0 +1,60 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { tokenizeEdifact, buildInterchangeTree } from '../lib/edifact.js';
+import { validateInterchange } from '../lib/edifactValidator.js';
+import { buildContrl, buildAperak } from '../lib/edifactResponses.js';
+import { serializeEdifact, serializeEdifactBuffer } from '../lib/edifactSerializer.js';
+
+// Tool: generate_response_message
+// Input: { text? | parsed?, errors?, type?, errorCode?, outFile? }
+// Output: { type, edifact, json, errors, outFile? }
+export function createResponseMessageTool() {
+  return tool(
+    async ({ text, parsed, errors, type, errorCode, controlReference, outFile }) => {
+      // Accept raw EDIFACT or the parsed/explained structure from parse_and_explain_message
+      let json = parsed?.json || parsed?.explained?.json || null;
+      if (typeof text === 'string' && text.trim()) {
+        const tokens = tokenizeEdifact(text);
+        json = { ...tokens, interchanges: buildInterchangeTree(tokens.segments) };
+      }
+      if (!json || !Array.isArray(json.segments)) {
+        return { error: 'Provide the received interchange as text or parsed JSON ({ json: { segments } })' };
+      }
+      const errs = Array.isArray(errors) ? errors : validateInterchange(json);
+      const kind = (type || 'CONTRL').toUpperCase();
+      try {
+        const out = kind === 'APERAK'
+          ? buildAperak(json, errs, { errorCode, controlReference })
+          : buildContrl(json, errs, { controlReference });
+        out.delimiters = json.delimiters;
+        const options = { una: 'auto', recomputeCounts: true, trimTrailing: true };
+        const edifact = serializeEdifact(out, options);
+        if (outFile) {
+          // Written in the character set of the response's syntax level (UNB 0001)
+          const abs = path.resolve(process.cwd(), outFile);
+          await fs.mkdir(path.dirname(abs), { recursive: true });
+          await fs.writeFile(abs, serializeEdifactBuffer(out, options));
+          return { type: kind, edifact, json: out, errors: errs, outFile: abs };
+        }
+        return { type: kind, edifact, json: out, errors: errs };
+      } catch (e) {
+        return { type: kind, error: e.message, errors: errs };
+      }
+    },
+    {
+      name: 'generate_response_message',
+      description: 'Generate the response to a received interchange: CONTRL (syntax acknowledgement/rejection with UCI/UCM/UCS/UCD) or APERAK (application errors with ERC/FTX/RFF). Sender and recipient are swapped from the received UNB.',
+      schema: z.object({
+        text: z.string().optional().describe('Received EDIFACT interchange'),
+        parsed: z.any().optional().describe('Parsed/explained result from parse_and_explain_message (alternative to text)'),
+        errors: z.array(z.any()).optional().describe('Validation errors { code, message, segmentTag, position }; syntax validation is run when omitted'),
+        type: z.enum(['CONTRL', 'APERAK']).optional(),
+        errorCode: z.string().optional().describe('Default APERAK error code (ERC 7061) for errors without errorCode'),
+        controlReference: z.string().optional(),
+        outFile: z.string().optional().describe('Write the response to this file, encoded per its syntax identifier'),
+      })
+    }
+  );
+}
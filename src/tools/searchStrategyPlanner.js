@@ -1,5 +1,12 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
+import { invokeStructured, StructuredOutputError } from '../lib/structuredOutput.js';
+
+export const searchPlanSchema = z.object({
+  queries: z.array(z.string().min(1)).min(1),
+  mustFilters: z.array(z.any()).default([]),
+  shouldFilters: z.array(z.any()).default([]),
+});
 
 // LLM-planned strategy for multi-step Qdrant search for a specific segment/field.
 export function createSearchStrategyPlanner(llm) {
@@ -12,16 +19,11 @@ If goal is to find a specific segment or field mapping, design a short plan with
 - payload filters (must/should) by field keys if useful
 - expected signals in payload (e.g., segment tag, composite positions, data element IDs, requirements)
 Return JSON: { queries: string[], mustFilters: any[], shouldFilters: any[] }`;
-      const res = await llm.invoke(prompt);
-      let txt = '';
-      if (typeof res === 'string') txt = res; else if (res?.content) {
-        if (Array.isArray(res.content)) txt = res.content.find(c => c.text)?.text || '';
-        else if (typeof res.content === 'string') txt = res.content;
-      }
       try {
-        return JSON.parse(txt);
-      } catch {
-        return { queries: [task], mustFilters: [], shouldFilters: [] };
+        return await invokeStructured(llm, prompt, searchPlanSchema, { label: 'plan_qdrant_search_strategy' });
+      } catch (e) {
+        if (!(e instanceof StructuredOutputError)) throw e;
+        return { error: e.toJSON() };
       }
     },
     {
@@ -1,32 +1,53 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
+import { withSpecCache } from '../lib/specCache.js';
+import { invokeStructured, StructuredOutputError } from '../lib/structuredOutput.js';
+import { getSpecModel, segmentDefinitionSchema } from '../lib/specModel.js';
 
-// Fuse multiple payloads into a normalized segment/field mapping
+// A segment definition of the spec model (see specModel.js) plus free-form validation notes
+export const segmentMappingSchema = segmentDefinitionSchema.extend({
+  segment: z.string(),
+  validations: z.array(z.object({ rule: z.string(), level: z.enum(['error', 'warn']) }).passthrough()).default([]),
+});
+
+// Fuse multiple payloads into a normalized segment definition of the spec model
 export function createSpecSegmentSynthesizer(llm) {
   return tool(
-    async ({ format, segment, results }) => {
-      const prompt = `Synthesize a concise, normalized mapping for EDIFACT ${format} segment ${segment} from multiple heterogeneous payloads. Return JSON with shape:
+    async ({ format, version, segment, results }) => {
+      const synthesize = async () => {
+        // The built-in definition (if any) is the starting point the payloads refine
+        const base = getSpecModel(format).segments[segment] || null;
+        const prompt = `Synthesize a concise, normalized mapping for EDIFACT ${format} segment ${segment} from multiple heterogeneous payloads. Return JSON with shape:
 {
   "segment": "${segment}",
-  "fields": [
-    { "path": "<segment>/<position>/<component?>", "name": "...", "description": "...", "required": true|false, "datatype": "string|number|date|code", "codes?": ["..."], "notes?": "..." }
+  "name": "...",
+  "description": "...",
+  "elements": [
+    { "id": "<data element, e.g. 1004>", "name": "...", "description": "...", "status": "M|R|D|O|N|C", "format": "an..35|n..15|a3|...", "codes": [ { "code": "...", "meaning": "..." } ] },
+    { "id": "<composite, e.g. C507>", "name": "...", "status": "M|R|D|O|N|C", "components": [ { "id": "2005", "name": "...", "status": "...", "format": "...", "codes": [] } ] }
   ],
   "validations": [ { "rule": "...", "level": "error|warn" } ]
 }
+Elements are listed in segment order (position 1, 2, ...); omit unknown properties instead of guessing.
+Current definition (may be incomplete):\n${JSON.stringify(base)}
 Input payloads (array, truncated if large):\n${JSON.stringify(results).slice(0, 30000)}\nOnly return JSON.`;
-      const res = await llm.invoke(prompt);
-      let txt = '';
-      if (typeof res === 'string') txt = res; else if (res?.content) {
-        if (Array.isArray(res.content)) txt = res.content.find(c => c.text)?.text || '';
-        else if (typeof res.content === 'string') txt = res.content;
+        return invokeStructured(llm, prompt, segmentMappingSchema, { label: `synthesize_spec_segment ${format} ${segment}` });
+      };
+      try {
+        return await withSpecCache({ format, version, name: `segment-${segment}` }, synthesize);
+      } catch (e) {
+        // Invalid LLM output is reported (and not cached) instead of an empty mapping
+        if (e instanceof StructuredOutputError) return { segment, error: e.toJSON() };
+        if (!String(e.message).startsWith('SPEC_CACHE_MISS')) throw e;
+        return { segment, elements: [], validations: [], error: e.message };
       }
-      try { return JSON.parse(txt); } catch { return { segment, fields: [], validations: [], raw: results }; }
     },
     {
       name: 'synthesize_spec_segment',
-      description: 'Merge multiple Qdrant payloads into a unified mapping for a specific EDIFACT segment/field.',
+      description: 'Merge multiple Qdrant payloads into a spec model segment definition (data elements with status, format and codes) for a specific EDIFACT segment. Results are cached per format, version and collection fingerprint.',
       schema: z.object({
         format: z.string(),
+        version: z.string().optional(),
         segment: z.string(),
         results: z.array(z.any())
       })
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact, buildInterchangeTree } from '../src/lib/edifact.js';
+import { getAllSegmentGroups } from '../src/lib/specModel.js';
+import {
+  UNKNOWN, parseAhbExpression, conditionIds, AhbConditionRegistry, createConditionContext,
+  evaluateAhbCondition, defaultConditionRegistry,
+} from '../src/lib/ahbConditions.js';
+
+// Compact infix form of an AST
+const show = (ast) => (ast.type === 'ref' ? ast.id : ast.type === 'not' ? `¬${show(ast.operand)}` : `(${show(ast.left)} ${ast.type} ${show(ast.right)})`);
+
+test('parseAhbExpression: precedence ¬ > and > xor > or, letter operators and implicit and', () => {
+  assert.equal(show(parseAhbExpression('[1] ∨ [2] ∧ [3]')), '(1 or (2 and 3))');
+  assert.equal(show(parseAhbExpression('[1] X [2] O [3] U ¬[4]')), '((1 xor 2) or (3 and ¬4))');
+  assert.equal(show(parseAhbExpression('[931][494]')), '(931 and 494)');
+  assert.equal(show(parseAhbExpression('[12] ∧ ([2] ∨ [UB1])')), '(12 and (2 or UB1))');
+  assert.deepEqual(conditionIds(parseAhbExpression('[1] ∧ ([2] ∨ [1])')), ['1', '2']);
+});
+
+test('parseAhbExpression rejects malformed expressions', () => {
+  for (const text of ['', '[1] ∧', '([1]', '[a b]', '[1] ∨ ∨ [2]', '[1] [2])', '[1] & [2]']) {
+    assert.throws(() => parseAhbExpression(text), /^Error: AHB_EXPRESSION_INVALID/, text);
+  }
+});
+
+test('evaluateAhbCondition uses Kleene logic for undecided conditions', () => {
+  const registry = new AhbConditionRegistry()
+    .register(1, () => true)
+    .register(2, () => false)
+    .register(3, () => null)
+    .register(4, () => { throw new Error('boom'); });
+  const value = (expr) => evaluateAhbCondition(expr, {}, registry).value;
+  assert.equal(value('[1] ∧ [3]'), UNKNOWN);
+  assert.equal(value('[2] ∧ [3]'), false);
+  assert.equal(value('[1] ∨ [3]'), true);
+  assert.equal(value('[2] ∨ [4]'), UNKNOWN);
+  assert.equal(value('[1] ⊻ [2]'), true);
+  assert.equal(value('[1] ⊻ [3]'), UNKNOWN);
+  assert.equal(value('¬[2]'), true);
+  assert.equal(value('¬[3]'), UNKNOWN);
+  const res = evaluateAhbCondition('[1] ∧ ([3] ∨ [99])', {}, registry);
+  assert.deepEqual(res, { value: UNKNOWN, unknown: ['3', '99'], evaluated: { 1: true, 3: UNKNOWN, 99: UNKNOWN } });
+});
+
+test('format-specific predicates take precedence over shared ones', () => {
+  const registry = new AhbConditionRegistry()
+    .register('5', () => false)
+    .register('5', () => true, { format: 'utilmd', description: 'UTILMD only' });
+  assert.equal(registry.get('5', 'UTILMD').description, 'UTILMD only');
+  assert.equal(evaluateAhbCondition('[5]', { format: 'UTILMD' }, registry).value, true);
+  assert.equal(evaluateAhbCondition('[5]', { format: 'MSCONS' }, registry).value, false);
+  const copy = registry.clone().register('6', () => true);
+  assert.equal(registry.get('6'), null);
+  assert.equal(copy.get('5', 'UTILMD').description, 'UTILMD only');
+  assert.throws(() => registry.register('7', 'yes'), /^Error: AHB_CONDITION_INVALID/);
+});
+
+test('condition context lookups and the shared format condition [931]', () => {
+  const text = "UNH+1+UTILMD:D:11A:UN:5.2e'BGM+E01+X'RFF+Z13:55001'NAD+MS+1::293'NAD+MR+2::293'IDE+24+T'DTM+92:202501010000?+01:303'UNT+8+1'";
+  const [ic] = buildInterchangeTree(tokenizeEdifact(text).segments, getAllSegmentGroups('UTILMD'));
+  const message = ic.messages[0];
+  const dtm = message.segments.find(s => s.tag === 'DTM');
+  const ctx = createConditionContext({ message, segment: dtm, value: '202501010000+01' });
+  assert.equal(ctx.format, 'UTILMD');
+  assert.equal(ctx.has('RFF', 'Z13'), true);
+  assert.equal(ctx.has('RFF', 'Z14'), false);
+  assert.equal(ctx.segments('NAD').length, 2);
+  assert.deepEqual(ctx.sameGroup('IDE').map(s => s.tag), ['IDE']);
+  assert.equal(ctx.valueOf(ctx.segments('NAD', 'MR')[0], 1, 2), '293');
+  assert.equal(evaluateAhbCondition('[931]', ctx).value, false);
+  assert.equal(evaluateAhbCondition('[931]', { ...ctx, value: '202501010000+00' }).value, true);
+  assert.equal(evaluateAhbCondition('[931]', { ...ctx, segment: message.segments[0] }).value, UNKNOWN);
+  assert.equal(defaultConditionRegistry.get('931', 'APERAK').description, 'Format: ZZZ = +00');
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact, buildInterchangeTree } from '../src/lib/edifact.js';
+import { getAllSegmentGroups } from '../src/lib/specModel.js';
+import { defaultConditionRegistry } from '../src/lib/ahbConditions.js';
+import { parseAhbStatus, detectPruefidentifikator, buildAhbRuleSet, validateAhbMessage, validateAhb } from '../src/lib/ahbValidator.js';
+
+const BODY = "BGM+E01+DOC1'DTM+137:202501010000?+00:303'RFF+Z13:55001'NAD+MS+9900000000001::293'IDE+24+TX1'";
+const interchanges = (...bodies) => buildInterchangeTree(tokenizeEdifact(
+  bodies.map((body, i) => `UNH+${i + 1}+UTILMD:D:11A:UN:5.2e'${body}UNT+9+${i + 1}'`).join('')
+).segments, getAllSegmentGroups('UTILMD'));
+const message = (body = BODY) => interchanges(body)[0].messages[0];
+
+// Ingested AHB payloads (doc_type AHB, chunk_type segment) of Prüfidentifikator 55001
+const rule = (segment, status, fields = [], group = null) => ({
+  chunk_type: 'segment', pruefidentifikator: '55001', format_version: 'FV2504', source: 'UTILMD_AHB.pdf',
+  line: 10, segment, segment_group: group, status, fields,
+});
+const field = (data_element, status, codes = []) => ({ data_element, status, codes: codes.map(code => ({ code })) });
+const codes = (errors) => errors.map(e => [e.code, e.severity, e.segmentTag, e.field ?? null]);
+
+test('parseAhbStatus maps AHB status words and letters to requirements', () => {
+  assert.deepEqual(parseAhbStatus('Muss'), { requirement: 'Muss', condition: null });
+  assert.deepEqual(parseAhbStatus('X [12] ∧ [3]'), { requirement: 'Muss', condition: '[12] ∧ [3]' });
+  assert.deepEqual(parseAhbStatus('soll'), { requirement: 'Soll', condition: null });
+  assert.deepEqual(parseAhbStatus('D'), { requirement: 'Kann', condition: null });
+  assert.deepEqual(parseAhbStatus('N'), { requirement: 'N', condition: null });
+  assert.equal(parseAhbStatus('Pflicht'), null);
+});
+
+test('detectPruefidentifikator reads RFF+Z13', () => {
+  assert.equal(detectPruefidentifikator(message()), '55001');
+  assert.equal(detectPruefidentifikator(message("BGM+E01+DOC1'RFF+Z01:55001'")), null);
+});
+
+test('buildAhbRuleSet keeps the segment rules of one Prüfidentifikator', () => {
+  const payloads = [
+    rule('BGM', 'Muss', [field('1001', 'Muss', ['E01']), { name: 'no data element' }]),
+    { ...rule('NAD', 'Muss'), pruefidentifikator: '55002' },
+    { ...rule('RFF', 'Muss'), chunk_type: 'text' },
+  ];
+  const ruleSet = buildAhbRuleSet(payloads, { format: 'utilmd', pruefidentifikator: 55001 });
+  assert.equal(ruleSet.format, 'UTILMD');
+  assert.equal(ruleSet.version, 'FV2504');
+  assert.deepEqual(ruleSet.segments.map(s => s.segment), ['BGM']);
+  assert.deepEqual(ruleSet.segments[0].elements.map(e => [e.id, e.codes]), [['1001', [{ code: 'E01' }]]]);
+  assert.equal(buildAhbRuleSet(payloads, { format: 'UTILMD', pruefidentifikator: '99999' }), null);
+});
+
+test('validateAhbMessage checks segment and data element requirements and codes', () => {
+  const ruleSet = buildAhbRuleSet([
+    rule('BGM', 'Muss', [field('1001', 'Muss', ['E03'])]),
+    rule('RFF', 'Muss', [field('1154', 'Muss')]),
+    rule('NAD', 'Muss', [field('3035', 'Muss', ['MS']), field('1131', 'Soll')], 'SG2'),
+    rule('FTX', 'Soll'),
+    rule('CUX', 'Muss'),
+    rule('LOC', 'Muss', [], 'SG5'),
+    rule('IDE', 'N', [], 'SG4'),
+  ], { format: 'UTILMD', pruefidentifikator: '55001' });
+  const errors = validateAhbMessage(message(), ruleSet);
+  assert.deepEqual(codes(errors), [
+    ['AHB_CODE_NOT_ALLOWED', 'error', 'BGM', 'BGM/01/01'],
+    ['AHB_ELEMENT_RECOMMENDED', 'warning', 'NAD', 'NAD/02/02'],
+    ['AHB_SEGMENT_RECOMMENDED', 'warning', 'FTX', null],
+    ['AHB_SEGMENT_MISSING', 'error', 'CUX', null],
+    ['AHB_SEGMENT_NOT_ALLOWED', 'error', 'IDE', null],
+  ]);
+  assert.deepEqual(errors[0].ahbReference, { pruefidentifikator: '55001', version: 'FV2504', source: 'UTILMD_AHB.pdf', line: 10, status: 'Muss' });
+  assert.equal(errors[1].groupPath, 'SG2[1]');
+});
+
+test('validateAhb loads each rule set once and reports Prüfidentifikatoren without rules', async () => {
+  const keys = [];
+  const loadRuleSet = async (key) => {
+    keys.push(key);
+    return key.pruefidentifikator === '55001' ? buildAhbRuleSet([rule('CUX', 'Muss')], key) : null;
+  };
+  const errors = await validateAhb(interchanges(BODY, BODY, "BGM+E01+X'RFF+Z13:55003'", "BGM+E01+X'"), { loadRuleSet });
+  assert.deepEqual(keys.map(k => k.pruefidentifikator), ['55001', '55003']);
+  assert.deepEqual(errors.map(e => [e.code, e.messageReference]), [
+    ['AHB_SEGMENT_MISSING', '1'],
+    ['AHB_SEGMENT_MISSING', '2'],
+    ['AHB_RULESET_NOT_FOUND', '3'],
+  ]);
+});
+
+test('conditional requirements follow the condition registry', () => {
+  // Shared format conditions ([931]) plus two message conditions
+  const conditions = defaultConditionRegistry.clone()
+    .register('1', (ctx) => ctx.has('NAD', 'MS'))
+    .register('2', () => false);
+  const ruleSet = buildAhbRuleSet([
+    rule('CUX', 'Muss [1]'),
+    rule('IDE', 'Kann [2]', [], 'SG4'),
+    rule('FTX', 'Muss [3]'),
+    rule('RFF', 'Muss [1] ∧ [3]'),
+    rule('LOC', 'Muss [1 ∧'),
+    rule('DTM', 'Muss', [field('2380', 'X [931]')]),
+  ], { format: 'UTILMD', pruefidentifikator: '55001' });
+  const errors = validateAhbMessage(message(BODY.replace('?+00', '?+01')), ruleSet, undefined, { conditions });
+  assert.deepEqual(codes(errors), [
+    ['AHB_SEGMENT_MISSING', 'error', 'CUX', null],
+    ['AHB_SEGMENT_NOT_ALLOWED', 'error', 'IDE', null],
+    ['AHB_CONDITION_UNKNOWN', 'info', 'FTX', null],
+    ['AHB_CONDITION_UNKNOWN', 'info', 'RFF', null],
+    ['AHB_CONDITION_INVALID', 'warning', 'LOC', null],
+    ['AHB_FORMAT_CONDITION_FAILED', 'error', 'DTM', 'DTM/01/02'],
+  ]);
+  assert.deepEqual(errors[2].unknownConditions, ['3']);
+  assert.deepEqual(errors[5].failedConditions, ['931']);
+  assert.match(errors[1].message, /condition \[2\] not met/);
+});
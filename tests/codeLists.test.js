@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BUILTIN_CODE_LISTS, getCodeLists, loadCodeLists, describeCode } from '../src/lib/codeLists.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-codelists-'));
+process.env.SPEC_CACHE_MODE = 'off';
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const writeList = (dir, file, content) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(content));
+};
+const MODEL = {
+  segments: {
+    NAD: { elements: [{ id: '3035', codes: [{ code: 'Z09', meaning: 'Kunde des Lieferanten' }, { code: 'MS', meaning: 'Absender laut MIG' }] }] },
+    DTM: { elements: [{ id: 'C507', components: [{ id: '2005', codes: [{ code: '92', meaning: 'Beginn' }] }] }] },
+  },
+};
+// Spec store with ingested data elements of two releases
+const fakeStore = rows => ({
+  scroll: async () => ({ points: rows.map(([version, dataElement, codes]) => ({ payload: { format_version: version, data_element: dataElement, codes } })), next_page_offset: null }),
+});
+
+test('built-in lists resolve to German and English meanings', () => {
+  const lists = getCodeLists();
+  assert.deepEqual(lists['2005']['137'], { de: 'Dokumenten-/Nachrichtendatum/-zeit', en: 'Document/message date/time' });
+  assert.deepEqual(Object.keys(lists).sort(), Object.keys(BUILTIN_CODE_LISTS).sort());
+  assert.deepEqual(describeCode(lists, '3035', 'MS'), { code: 'MS', de: 'Nachrichtenabsender', en: 'Message sender', text: 'Message sender' });
+  assert.equal(describeCode(lists, '3035', 'MS', 'de').text, 'Nachrichtenabsender');
+});
+
+test('codes of the spec model are merged into the built-in lists', () => {
+  const lists = getCodeLists(MODEL);
+  assert.deepEqual(lists['3035'].Z09, { de: 'Kunde des Lieferanten', en: null });
+  // The German meaning is overridden, the built-in English one kept
+  assert.deepEqual(lists['3035'].MS, { de: 'Absender laut MIG', en: 'Message sender' });
+  assert.equal(lists['2005']['92'].de, 'Beginn');
+  assert.equal(describeCode(lists, '3035', 'Z09').text, 'Kunde des Lieferanten');
+});
+
+test('CODE_LIST_DIR files override per format and version', async () => {
+  const dir = path.join(scratch, 'lists');
+  writeList(dir, 'common.json', { 3035: { MS: { de: 'Absender', en: 'Sender' }, Z01: 'Allgemein' } });
+  writeList(dir, 'UTILMD.json', { codeLists: { 3035: { Z01: 'UTILMD allgemein' } } });
+  writeList(dir, 'UTILMD_5.2a.json', { 3035: { Z01: { de: 'Nur 5.2a' } } });
+  process.env.CODE_LIST_DIR = dir;
+  try {
+    const current = await loadCodeLists({ format: 'utilmd', version: '5.2a', useStore: false });
+    assert.deepEqual(current['3035'].MS, { de: 'Absender', en: 'Sender' });
+    assert.equal(current['3035'].Z01.de, 'Nur 5.2a');
+    const older = await loadCodeLists({ format: 'UTILMD', version: '5.1', useStore: false });
+    assert.equal(older['3035'].Z01.de, 'UTILMD allgemein');
+    const other = await loadCodeLists({ format: 'MSCONS', version: '5.2a', useStore: false });
+    assert.equal(other['3035'].Z01.de, 'Allgemein');
+  } finally {
+    delete process.env.CODE_LIST_DIR;
+  }
+  // Missing files are skipped, unreadable ones are errors
+  assert.equal((await loadCodeLists({ dir: path.join(scratch, 'missing') }))['3035'].MS.de, 'Nachrichtenabsender');
+  fs.mkdirSync(path.join(scratch, 'bad'));
+  fs.writeFileSync(path.join(scratch, 'bad', 'common.json'), '{');
+  await assert.rejects(loadCodeLists({ dir: path.join(scratch, 'bad') }), /^Error: CODE_LIST_INVALID: .*common\.json/);
+});
+
+test('store codes of the requested release win over other releases and lose to local files', async () => {
+  const dir = path.join(scratch, 'store-lists');
+  writeList(dir, 'UTILMD.json', { 1153: { Z13: 'Lokal' } });
+  const store = fakeStore([
+    ['5.2a', '3035', [{ code: 'Z09', meaning: 'Kunde (5.2a)' }]],
+    ['5.1', '3035', [{ code: 'Z09', meaning: 'Kunde (5.1)' }, { code: 'Z10', meaning: 'Nur 5.1' }]],
+    ['5.2a', '1153', [{ code: 'Z13', meaning: 'Prüfi aus dem Store' }]],
+  ]);
+  const lists = await loadCodeLists({ format: 'UTILMD', version: '5.2a', dir, store, model: MODEL });
+  assert.equal(lists['3035'].Z09.de, 'Kunde (5.2a)');
+  assert.equal(lists['3035'].Z10.de, 'Nur 5.1');
+  assert.deepEqual(lists['1153'].Z13, { de: 'Lokal', en: 'Check identifier (Prüfidentifikator)' });
+});
+
+test('unknown data elements and codes describe to null', () => {
+  const lists = getCodeLists(MODEL);
+  assert.equal(describeCode(lists, '3035', 'XX'), null);
+  assert.equal(describeCode(lists, '9999', 'MS'), null);
+  assert.equal(describeCode(null, '3035', 'MS'), null);
+  // Entries without any meaning are not descriptions either
+  assert.equal(describeCode({ 3035: { Z99: { de: null, en: null } } }, '3035', 'Z99'), null);
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact, buildInterchangeTree } from '../src/lib/edifact.js';
+import { DEFAULT_SEGMENT_GROUPS } from '../src/lib/segmentGroups.js';
+import { validateMessageStructure } from '../src/lib/edifactValidator.js';
+import { getAllSpecModels, getAllSegmentGroups } from '../src/lib/specModel.js';
+
+const MSCONS = [
+  "UNA:+.? '",
+  "UNB+UNOC:3+9900000000005:500+9900000000006:500+250103:0800+MSC1'",
+  "UNH+1+MSCONS:D:04B:UN:2.4c'",
+  "BGM+7+MSC-DOC-1+9'",
+  "DTM+137:202501030800?+00:303'",
+  "NAD+MS+9900000000005::293'",
+  "NAD+MR+9900000000006::293'",
+  "UNS+D'",
+  "NAD+DP'",
+  "LOC+172+DE0001234567890123456789012345678'",
+  "DTM+163:202501010000?+01:303'",
+  "DTM+164:202502010000?+01:303'",
+  "LIN+1'",
+  "PIA+5+1-1?:1.8.0:SRW'",
+  "QTY+220:1234.5'",
+  "DTM+163:202501010000?+01:303'",
+  "UNT+15+1'",
+  "UNZ+1+MSC1'",
+].join('\n');
+const INVOIC = [
+  "UNA:+.? '",
+  "UNB+UNOC:3+9900000000007:500+9900000000008:500+250104:0900+INV1'",
+  "UNH+1+INVOIC:D:06A:UN:2.8a'",
+  "BGM+380+INV-2025-1'",
+  "DTM+137:20250104:102'",
+  "NAD+SU+9900000000007::293'",
+  "NAD+BY+9900000000008::293'",
+  "TAX+7+VAT+++:::19+S'",
+  "CUX+2:EUR:4'",
+  "LIN+1++9990001000053:Z09'",
+  "QTY+47:100.5:KWH'",
+  "MOA+203:25.13'",
+  "PRI+CAL:0.25'",
+  "TAX+7+VAT+++:::19+S'",
+  "UNS+S'",
+  "MOA+77:29.90'",
+  "TAX+7+VAT+++:::19+S'",
+  "MOA+150:4.77'",
+  "UNT+17+1'",
+  "UNZ+1+INV1'",
+].join('\n');
+
+// tag → groupPath per body segment, in document order
+const paths = (text) => {
+  const { segments } = tokenizeEdifact(text);
+  const [ic] = buildInterchangeTree(segments, DEFAULT_SEGMENT_GROUPS);
+  return ic.messages[0].segments.map(s => [s.tag, s.groupPath || '']);
+};
+
+test('tokenizeEdifact honours UNA delimiters and release characters', () => {
+  const { delimiters, una, segments } = tokenizeEdifact("UNA:+.? 'UNB+UNOC:3+A:500+B:500+250101:0101+R'NAD+DP++++Stra?+e?'s ?:x??'UNZ+0+R'");
+  assert.equal(una, "UNA:+.? '");
+  assert.equal(delimiters.decimalMark, '.');
+  const nad = segments.find(s => s.tag === 'NAD');
+  assert.equal(nad.elements[4][0], "Stra+e's :x?");
+});
+
+test('buildInterchangeTree splits interchanges and messages', () => {
+  const text = "UNB+UNOC:3+A:500+B:500+250101:0101+R'UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'UNT+3+1'"
+    + "UNH+2+APERAK:D:07B:UN:2.1i'BGM+313+Y'UNT+3+2'UNZ+2+R'";
+  const [ic] = buildInterchangeTree(tokenizeEdifact(text).segments, DEFAULT_SEGMENT_GROUPS);
+  assert.equal(ic.controlReference, 'R');
+  assert.deepEqual(ic.messages.map(m => [m.type, m.reference, m.segments.length]), [['APERAK', '1', 1], ['APERAK', '2', 1]]);
+  assert.equal(ic.trailer.tag, 'UNZ');
+});
+
+test('MSCONS: NAD after UNS opens SG5, not the header party group SG2', () => {
+  assert.deepEqual(paths(MSCONS), [
+    ['BGM', ''],
+    ['DTM', ''],
+    ['NAD', 'SG2[1]'],
+    ['NAD', 'SG2[2]'],
+    ['UNS', ''],
+    ['NAD', 'SG5[1]'],
+    ['LOC', 'SG5[1]/SG6[1]'],
+    ['DTM', 'SG5[1]/SG6[1]'],
+    ['DTM', 'SG5[1]/SG6[1]'],
+    ['LIN', 'SG5[1]/SG6[1]/SG9[1]'],
+    ['PIA', 'SG5[1]/SG6[1]/SG9[1]'],
+    ['QTY', 'SG5[1]/SG6[1]/SG9[1]/SG10[1]'],
+    ['DTM', 'SG5[1]/SG6[1]/SG9[1]/SG10[1]'],
+  ]);
+});
+
+test('INVOIC: TAX opens SG6 in the header, SG34 in a line item and SG52 in the summary', () => {
+  assert.deepEqual(paths(INVOIC), [
+    ['BGM', ''],
+    ['DTM', ''],
+    ['NAD', 'SG2[1]'],
+    ['NAD', 'SG2[2]'],
+    ['TAX', 'SG6[1]'],
+    ['CUX', 'SG7[1]'],
+    ['LIN', 'SG26[1]'],
+    ['QTY', 'SG26[1]'],
+    ['MOA', 'SG26[1]/SG27[1]'],
+    ['PRI', 'SG26[1]/SG29[1]'],
+    ['TAX', 'SG26[1]/SG34[1]'],
+    ['UNS', ''],
+    ['MOA', 'SG50[1]'],
+    ['TAX', 'SG52[1]'],
+    ['MOA', 'SG52[1]'],
+  ]);
+});
+
+test('the MSCONS and INVOIC messages pass structure validation against the built-in models', () => {
+  for (const [format, text] of [['MSCONS', MSCONS], ['INVOIC', INVOIC]]) {
+    const interchanges = buildInterchangeTree(tokenizeEdifact(text).segments, getAllSegmentGroups(format));
+    assert.deepEqual(validateMessageStructure(interchanges, getAllSpecModels(format)), [], format);
+  }
+});
+
+test('a repeated trigger reopens the same group with the next repetition', () => {
+  const text = "UNH+1+MSCONS:D:04B:UN:2.4c'NAD+MS'NAD+MR'UNS+D'NAD+DP'LOC+172+A'NAD+DP'LOC+172+B'UNT+8+1'";
+  assert.deepEqual(paths(text).filter(([tag]) => tag === 'NAD' || tag === 'LOC'), [
+    ['NAD', 'SG2[1]'],
+    ['NAD', 'SG2[2]'],
+    ['NAD', 'SG5[1]'],
+    ['LOC', 'SG5[1]/SG6[1]'],
+    ['NAD', 'SG5[2]'],
+    ['LOC', 'SG5[2]/SG6[1]'],
+  ]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  syntaxEncoding, detectSyntaxIdentifier, decodeEdifact, createCharsetCheck, encodeEdifact,
+} from '../src/lib/edifactCharset.js';
+import { readSegments } from '../src/lib/edifactStream.js';
+import { validateInterchange } from '../src/lib/edifactValidator.js';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+
+const unb = (sid) => `UNA:+.? 'UNB+${sid}:3+A:500+B:500+250101:0101+R'`;
+const bytes = (...parts) => Buffer.concat(parts.map(p => (typeof p === 'string' ? Buffer.from(p, 'latin1') : Buffer.from(p))));
+
+test('syntaxEncoding maps syntax levels to encoding labels', () => {
+  assert.equal(syntaxEncoding('UNOA'), 'us-ascii');
+  assert.equal(syntaxEncoding('UNOC'), 'iso-8859-1');
+  assert.equal(syntaxEncoding('UNOE'), 'iso-8859-5');
+  assert.equal(syntaxEncoding('UNOY'), 'utf-8');
+  assert.equal(syntaxEncoding('UNOX'), null);
+  assert.equal(syntaxEncoding(null), null);
+});
+
+test('detectSyntaxIdentifier reads UNB 0001 from text and bytes, with or without UNA', () => {
+  assert.equal(detectSyntaxIdentifier(unb('UNOC')), 'UNOC');
+  assert.equal(detectSyntaxIdentifier(Buffer.from("UNB*UNOW:3*A*B*250101:0101*R'")), 'UNOW');
+  assert.equal(detectSyntaxIdentifier("UNH+1+APERAK:D:07B:UN:2.1i'"), null);
+});
+
+test('decodeEdifact decodes per declared level; a BOM and an explicit encoding override it', () => {
+  assert.deepEqual(decodeEdifact(bytes(unb('UNOC'), "FTX+AAO+++Stra\xDFe'")), { text: unb('UNOC') + "FTX+AAO+++Straße'", syntaxIdentifier: 'UNOC', encoding: 'iso-8859-1' });
+  assert.equal(decodeEdifact(bytes(unb('UNOE'), "FTX+AAO+++\xB0'")).text.at(-2), 'А');
+  assert.equal(decodeEdifact(Buffer.from(unb('UNOW') + "FTX+AAO+++€'")).text.at(-2), '€');
+  const bom = decodeEdifact(bytes([0xEF, 0xBB, 0xBF], Buffer.from(unb('UNOC') + "FTX+AAO+++ä'")));
+  assert.equal(bom.encoding, 'utf-8');
+  assert.equal(bom.text.at(-2), 'ä');
+  assert.equal(decodeEdifact(Buffer.from("UNH+1+X'FTX+ä'")).encoding, 'utf-8');
+  assert.equal(decodeEdifact(bytes("UNH+1+X'FTX+\xE4'"), { encoding: 'latin1' }).text, "UNH+1+X'FTX+ä'");
+  assert.deepEqual(decodeEdifact('text'), { text: 'text', syntaxIdentifier: null, encoding: null });
+});
+
+// TextDecoder maps iso-8859-1 and us-ascii to windows-1252 (0x80 → "€", 0x9F → "Ÿ")
+test('UNOC and UNOA decode byte for byte instead of as windows-1252', () => {
+  const unoc = decodeEdifact(bytes(unb('UNOC'), "FTX+AAO+++a", [0x80, 0x9F], "b'"));
+  assert.equal(unoc.text.slice(-5, -1), 'a\u0080\u009Fb');
+  const unoa = decodeEdifact(bytes(unb('UNOA'), "FTX+AAO+++", [0x80, 0xE4], "'"));
+  assert.equal(unoa.text.slice(-3, -1), '\u0080ä');
+  // The validator reports the actual bytes
+  const errors = validateInterchange(tokenizeEdifact(unoc.text)).filter(e => e.code === 'CHARACTER_NOT_IN_SYNTAX_LEVEL');
+  assert.deepEqual(errors.map(e => e.message.match(/U\+[0-9A-F]{4}/)[0]), ['U+0080']);
+});
+
+test('the streaming decoder matches decodeEdifact for single-byte levels', async () => {
+  const input = bytes(unb('UNOC'), "FTX+AAO+++", [0x80, 0xE4], "'");
+  const segs = [];
+  for await (const seg of readSegments([input.subarray(0, 20), input.subarray(20)])) segs.push(seg);
+  assert.deepEqual(segs.at(-1).elements[3], ['\u0080ä']);
+});
+
+test('createCharsetCheck allows the repertoire of the syntax level only', () => {
+  const unoa = createCharsetCheck('UNOA');
+  assert.deepEqual(['A', '9', ' ', '?', 'a', 'ä', '@'].map(unoa), [true, true, true, true, false, false, false]);
+  const unob = createCharsetCheck('UNOB');
+  assert.deepEqual(['a', '@', '~', 'ä'].map(unob), [true, true, true, false]);
+  const unoc = createCharsetCheck('UNOC');
+  assert.deepEqual(['ä', 'ß', ' ', '€', '\u0080', 'Ā'].map(unoc), [true, true, true, false, false, false]);
+  assert.equal(createCharsetCheck('UNOD')('Ł'), true);
+  assert.equal(createCharsetCheck('UNOW'), null);
+  assert.equal(createCharsetCheck('UNOX'), null);
+});
+
+test('encodeEdifact writes the declared character set and refuses characters outside it', () => {
+  assert.deepEqual([...encodeEdifact(unb('UNOC') + "FTX+ä'").subarray(-3)], [0x2B, 0xE4, 0x27]);
+  assert.deepEqual([...encodeEdifact("FTX+Ł'", 'UNOD').subarray(-2, -1)], [0xA3]);
+  assert.equal(encodeEdifact(unb('UNOW') + "FTX+€'").toString('utf8').at(-2), '€');
+  assert.throws(() => encodeEdifact(unb('UNOC') + "FTX+€'"), /^Error: CHARSET_ENCODE_FAILED: character "€" \(U\+20AC\) cannot be encoded in UNOC/);
+  assert.throws(() => encodeEdifact("FTX+ä'", 'UNOA'), /^Error: CHARSET_ENCODE_FAILED: .*U\+00E4/);
+  // C1 controls have no graphic character to write
+  assert.throws(() => encodeEdifact('\u0080', 'UNOC'), /^Error: CHARSET_ENCODE_FAILED/);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { buildContrl, buildAperak } from '../src/lib/edifactResponses.js';
+
+const UNB = "UNB+UNOC:3+9900000000001:500+9900000000002:500+250101:0101+REF1'";
+const MESSAGE = (ref) => `UNH+${ref}+UTILMD:D:11A:UN:5.2e'BGM+E01+DOC-${ref}'DTM+137:202501010000?+00:303'UNT+4+${ref}'`;
+const parse = (text) => tokenizeEdifact(text);
+const NOW = new Date(Date.UTC(2025, 0, 2, 13, 45));
+const options = { now: NOW, controlReference: 'CTRL1' };
+const tags = (out) => out.segments.map(s => s.tag);
+const find = (out, tag) => out.segments.filter(s => s.tag === tag);
+
+test('a clean interchange is acknowledged with UCI action 7 and no message detail', () => {
+  const out = buildContrl(parse(UNB + MESSAGE('1') + "UNZ+1+REF1'"), undefined, options);
+  assert.deepEqual(tags(out), ['UNB', 'UNH', 'UCI', 'UNT', 'UNZ']);
+  assert.deepEqual(find(out, 'UCI')[0].elements, [['REF1'], ['9900000000001', '500'], ['9900000000002', '500'], ['7']]);
+  // Sender and recipient swapped, syntax level of the received interchange
+  assert.deepEqual(out.segments[0].elements, [['UNOC', '3'], ['9900000000002', '500'], ['9900000000001', '500'], ['250102', '1345'], ['CTRL1']]);
+  assert.deepEqual(out.segments.at(-1).elements, [['1'], ['CTRL1']]);
+});
+
+test('an envelope error rejects the interchange at UCI level and reports the message per UCM', () => {
+  const out = buildContrl(parse(UNB + MESSAGE('1') + "UNZ+1+REF2'"), undefined, options);
+  assert.deepEqual(find(out, 'UCI')[0].elements.slice(3), [['4'], ['28'], ['UNZ'], ['2', '1']]);
+  assert.deepEqual(find(out, 'UCM').map(s => s.elements), [[['1'], ['UTILMD', 'D', '11A', 'UN', '5.2e'], ['7']]]);
+  assert.equal(find(out, 'UCS').length, 0);
+});
+
+test('a message-only error keeps UCI action 7 and rejects the message with UCS/UCD detail', () => {
+  const json = parse(UNB + MESSAGE('1') + MESSAGE('2') + "UNZ+2+REF1'");
+  const errors = [{ code: 'ELEMENT_TOO_LONG', segmentTag: 'BGM', position: 7, field: 'BGM/01/01' }];
+  const out = buildContrl(json, errors, options);
+  assert.deepEqual(tags(out), ['UNB', 'UNH', 'UCI', 'UCM', 'UCM', 'UCS', 'UCD', 'UNT', 'UNZ']);
+  assert.deepEqual(find(out, 'UCI')[0].elements[3], ['7']);
+  assert.deepEqual(find(out, 'UCM').map(s => [s.elements[0][0], s.elements[2][0]]), [['1', '7'], ['2', '4']]);
+  // Segment position counted from UNH = 1
+  assert.deepEqual(find(out, 'UCS')[0].elements, [['2'], ['']]);
+  assert.deepEqual(find(out, 'UCD')[0].elements, [['39'], ['1', '1']]);
+});
+
+test('UNT errors are reported on the UCM itself', () => {
+  const out = buildContrl(parse(UNB + MESSAGE('1').replace('UNT+4', 'UNT+3') + "UNZ+1+REF1'"), undefined, options);
+  assert.deepEqual(find(out, 'UCI')[0].elements[3], ['7']);
+  assert.deepEqual(find(out, 'UCM')[0].elements.slice(2), [['4'], ['29'], ['UNT']]);
+  assert.equal(find(out, 'UCS').length, 0);
+});
+
+test('buildAperak references the erroneous message and carries its error codes', () => {
+  const json = parse(UNB + MESSAGE('1') + MESSAGE('2') + "UNZ+2+REF1'");
+  const out = buildAperak(json, [
+    { messageReference: '2', errorCode: 'Z29', message: 'Marktlokation unbekannt' },
+    { messageReference: '2', message: 'Zählpunkt fehlt' },
+  ], { ...options, errorCode: 'Z10' });
+  assert.deepEqual(tags(out), ['UNB', 'UNH', 'BGM', 'DTM', 'RFF', 'DTM', 'NAD', 'NAD', 'ERC', 'FTX', 'RFF', 'ERC', 'FTX', 'RFF', 'UNT', 'UNZ']);
+  assert.deepEqual(find(out, 'UNH')[0].elements, [['1'], ['APERAK', 'D', '07B', 'UN', '2.1i']]);
+  assert.deepEqual(find(out, 'BGM')[0].elements, [['313'], ['CTRL11']]);
+  // Document date of the referenced message as DTM+171
+  assert.deepEqual(find(out, 'DTM').map(s => s.elements), [[['137', '202501021345+00', '303']], [['171', '202501010000+00', '303']]]);
+  assert.deepEqual(find(out, 'RFF').map(s => s.elements[0]), [['ACE', 'DOC-2'], ['ACW', '2'], ['ACW', '2']]);
+  assert.deepEqual(find(out, 'NAD').map(s => s.elements), [[['MR'], ['9900000000001', '', '293']], [['MS'], ['9900000000002', '', '293']]]);
+  assert.deepEqual(find(out, 'ERC').map(s => s.elements[0][0]), ['Z29', 'Z10']);
+  assert.deepEqual(find(out, 'FTX')[0].elements, [['AAO'], [''], [''], ['Marktlokation unbekannt']]);
+});
+
+test('buildAperak assigns errors by position and splits long texts into FTX components', () => {
+  const json = parse(UNB + MESSAGE('1') + "UNZ+1+REF1'");
+  const out = buildAperak(json, [{ position: 3, code: 'X', message: 'x'.repeat(3000) }], options);
+  assert.deepEqual(find(out, 'FTX')[0].elements[3].map(p => p.length), [512, 512, 512, 512, 512]);
+  assert.deepEqual(find(out, 'RFF')[1].elements[0], ['ACW', '1']);
+  assert.throws(() => buildAperak(json, [], options), /^Error: APERAK_NO_ERRORS/);
+  assert.throws(() => buildAperak(json, [{ messageReference: '9' }], options), /^Error: APERAK_NO_MESSAGE/);
+});
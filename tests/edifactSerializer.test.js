@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { escapeValue, serializeSegment, serializeEdifact } from '../src/lib/edifactSerializer.js';
+
+const MESSAGE = "UNB+UNOC:3+A:500+B:500+250101:0101+R'UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'FTX+ABO+++a?+b'UNT+4+1'UNZ+1+R'";
+
+test('escapeValue releases separators and the release character', () => {
+  assert.equal(escapeValue("a+b:c'd?e"), "a?+b?:c?'d??e");
+});
+
+test('serializeSegment keeps empty elements unless trimTrailing is set', () => {
+  const seg = { tag: 'NAD', elements: [['MS'], ['99', '', '293'], [''], ['']] };
+  assert.equal(serializeSegment(seg), "NAD+MS+99::293++'");
+  assert.equal(serializeSegment(seg, undefined, { trimTrailing: true }), "NAD+MS+99::293'");
+});
+
+test('serializeEdifact reproduces a tokenized interchange', () => {
+  assert.equal(serializeEdifact(tokenizeEdifact(MESSAGE), { recomputeCounts: false }), MESSAGE);
+});
+
+test('serializeEdifact recomputes UNT and UNZ counts', () => {
+  const parsed = tokenizeEdifact(MESSAGE);
+  parsed.segments = parsed.segments.filter(s => s.tag !== 'FTX');
+  const out = serializeEdifact(parsed);
+  assert.match(out, /UNT\+3\+1'/);
+  assert.match(out, /UNZ\+1\+R'$/);
+});
+
+test('serializeEdifact rejects input without segments', () => {
+  assert.throws(() => serializeEdifact({}), /^Error: SERIALIZE_INPUT_INVALID/);
+});
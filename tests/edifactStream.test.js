@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { readSegments, readMessages } from '../src/lib/edifactStream.js';
+
+const TEXT = "UNA:+.? 'UNB+UNOC:3+A:500+B:500+250101:0101+R'UNH+1+UTILMD:D:11A:UN:5.2e'NAD+DP++++a?'b?+c'UNT+3+1'"
+  + "UNH+2+UTILMD:D:11A:UN:5.2e'BGM+E01+X'UNT+3+2'UNZ+2+R'";
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+// Every possible chunk size, so delimiters, UNA and release characters get split across chunks
+test('readSegments matches tokenizeEdifact for any chunking', async () => {
+  const expected = tokenizeEdifact(TEXT).segments;
+  for (let size = 1; size <= 12; size++) {
+    const chunks = [];
+    for (let i = 0; i < TEXT.length; i += size) chunks.push(TEXT.slice(i, i + size));
+    assert.deepEqual(await collect(readSegments(chunks)), expected, `chunk size ${size}`);
+  }
+});
+
+test('readSegments decodes byte input per the UNB syntax identifier', async () => {
+  const bytes = Buffer.from("UNB+UNOC:3+A:500+B:500+250101:0101+R'NAD+DP++++Stra\xDFe'UNZ+0+R'", 'latin1');
+  const stream = Readable.from([bytes.subarray(0, 45), bytes.subarray(45)]);
+  const segs = await collect(readSegments(stream));
+  assert.equal(segs[1].elements[4][0], 'Straße');
+});
+
+test('readMessages yields one tree-built message at a time with its interchange', async () => {
+  const messages = await collect(readMessages(TEXT));
+  assert.deepEqual(messages.map(m => m.message.reference), ['1', '2']);
+  assert.equal(messages[0].interchange.controlReference, 'R');
+  assert.equal(messages[0].una, "UNA:+.? '");
+  assert.equal(messages[0].message.segments[0].elements[4][0], "a'b+c");
+  assert.equal(messages[1].message.trailer.tag, 'UNT');
+});
+
+test('readMessages hands out an unterminated last message', async () => {
+  const messages = await collect(readMessages("UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'"));
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].message.trailer, null);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+import { createEdifactParserGenerator } from '../src/tools/edifactParserGenerator.js';
+import { createEdifactTester, mutateSample } from '../src/tools/edifactTester.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-tester-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const fixturesDir = new URL('./fixtures/', import.meta.url);
+const samples = (format) => fs.readdirSync(fixturesDir)
+  .filter(f => f.startsWith(format + '_'))
+  .map(f => ({ name: f, text: preprocessSample(fs.readFileSync(new URL(f, fixturesDir))).text }));
+
+test('mutateSample corrupts a segment tag of single-line samples', () => {
+  for (const { name, text } of samples('')) {
+    assert.equal(text.includes('\n'), false, name);
+    const mutated = mutateSample(text);
+    assert.notEqual(mutated, text, name);
+    assert.match(mutated, /'UXH\+/, name);
+  }
+});
+
+test('mutateSample targets the last UNH of a multi-message interchange', () => {
+  const text = "UNB+UNOC:3+A:500+B:500+250101:0101+R'UNH+1+APERAK:D:07B:UN:2.1i'BGM+313'UNT+3+1'UNH+2+APERAK:D:07B:UN:2.1i'BGM+313'UNT+3+2'UNZ+2+R'";
+  assert.equal(mutateSample(text), text.replace("UNH+2", "UXH+2"));
+});
+
+test('the baseline parser passes the tester on every fixture format', async () => {
+  const previous = process.env.BASELINE_PARSER;
+  process.env.BASELINE_PARSER = 'true';
+  try {
+    for (const format of ['APERAK', 'MSCONS', 'INVOIC', 'UTILMD']) {
+      const { moduleCode } = await createEdifactParserGenerator(null).invoke({ format, spec: '' });
+      const res = await createEdifactTester().invoke({ moduleCode, samples: samples(format), format });
+      assert.equal(res.success, true, `${format}: ${JSON.stringify(res.results?.filter(r => !r.ok))}`);
+      assert.equal(res.score, 1);
+      assert.ok(res.results.some(r => r.name.endsWith('(mutated)') && r.ok), format);
+      // Compared field by field against the checked-in snapshot in tests/golden
+      assert.equal(res.results.find(r => r.name === `${format}_1.md`).golden?.ok, true, format);
+    }
+  } finally {
+    if (previous === undefined) delete process.env.BASELINE_PARSER; else process.env.BASELINE_PARSER = previous;
+  }
+});
+
+test('a parser that returns nothing fails the golden snapshot and the mutated case', async () => {
+  const moduleCode = 'export async function parseEdifactToJson() { return {}; }\nexport async function explain(p) { return p; }\n';
+  const res = await createEdifactTester().invoke({ moduleCode, samples: samples('APERAK') });
+  assert.equal(res.success, false);
+  assert.deepEqual(res.results.filter(r => !r.ok).map(r => r.name), ['APERAK_1.md', 'APERAK_1.md (mutated)']);
+  assert.match(res.results[0].error, /^GOLDEN_MISMATCH/);
+});
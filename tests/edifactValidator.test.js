@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact, buildInterchangeTree } from '../src/lib/edifact.js';
+import { validateInterchange, validateMessageStructure } from '../src/lib/edifactValidator.js';
+
+const UNB = "UNB+UNOC:3+A:500+B:500+250101:0101+R'";
+const codes = (errors) => errors.map(e => [e.code, e.segmentTag, e.field ?? null]);
+const envelope = (text) => codes(validateInterchange(tokenizeEdifact(text)));
+
+test('a well-formed interchange has no envelope findings', () => {
+  assert.deepEqual(envelope(UNB + "UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'UNT+3+1'UNZ+1+R'"), []);
+});
+
+test('control counts and references of UNT and UNZ are checked', () => {
+  assert.deepEqual(envelope(UNB + "UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'UNT+5+2'UNZ+2+Q'"), [
+    ['UNT_SEGMENT_COUNT_MISMATCH', 'UNT', 'UNT/01/01'],
+    ['UNT_REFERENCE_MISMATCH', 'UNT', 'UNT/02/01'],
+    ['UNZ_MESSAGE_COUNT_MISMATCH', 'UNZ', 'UNZ/01/01'],
+    ['UNZ_REFERENCE_MISMATCH', 'UNZ', 'UNZ/02/01'],
+  ]);
+});
+
+test('missing UNB, invalid tags and segments outside UNH…UNT are reported', () => {
+  assert.deepEqual(envelope("UNH+1+APERAK:D:07B:UN:2.1i'B!M+313'UNT+3+1'"), [
+    ['UNB_MISSING', 'UNH', null],
+    ['INVALID_SEGMENT_TAG', 'B!M', null],
+  ]);
+  assert.deepEqual(envelope(UNB + "BGM+313'UNH+1+APERAK:D:07B:UN:2.1i'UNT+2+1'UNZ+1+R'"), [['SEGMENT_OUT_OF_MESSAGE_SCOPE', 'BGM', null]]);
+});
+
+test('element lengths and the syntax level repertoire are enforced', () => {
+  assert.deepEqual(envelope("UNB+UNOC:3+A:500+B:500+250101:0101+R123456789012345'UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'UNT+3+1'UNZ+1+R123456789012345'"), [
+    ['ELEMENT_TOO_LONG', 'UNB', 'UNB/05/01'],
+    ['ELEMENT_TOO_LONG', 'UNZ', 'UNZ/02/01'],
+  ]);
+  // UNOA has no lower-case letters
+  assert.deepEqual(envelope("UNB+UNOA:3+A:500+B:500+250101:0101+R'UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+x'UNT+3+1'UNZ+1+R'"), [
+    ['CHARACTER_NOT_IN_SYNTAX_LEVEL', 'UNH', 'UNH/02/05'],
+    ['CHARACTER_NOT_IN_SYNTAX_LEVEL', 'BGM', 'BGM/02/01'],
+  ]);
+});
+
+const MODEL = {
+  specVersion: 1,
+  format: 'APERAK',
+  strict: true,
+  structure: [
+    { segment: 'BGM', status: 'M', maxRepeat: 1 },
+    { segment: 'DTM', status: 'C', maxRepeat: 1 },
+    { group: 'SG2', status: 'M', maxRepeat: 1, structure: [{ segment: 'RFF', status: 'M' }] },
+  ],
+  segments: {
+    BGM: { elements: [{ id: 'C002', status: 'M', components: [{ id: '1001', status: 'M', format: 'an..3', codes: [{ code: '313' }] }] }] },
+  },
+};
+const GROUPS = { groups: [{ id: 'SG2', trigger: 'RFF', segments: ['RFF'] }] };
+const structure = (body) => codes(validateMessageStructure(
+  buildInterchangeTree(tokenizeEdifact("UNH+1+APERAK:D:07B:UN:2.1i'" + body + "UNT+9+1'").segments, GROUPS),
+  { APERAK: MODEL },
+));
+
+test('message structure: status, repetitions, codes and undeclared segments', () => {
+  assert.deepEqual(structure("BGM+313'RFF+ACE:1'"), []);
+  assert.deepEqual(structure("DTM+137:20250101:102'DTM+137:20250101:102'FTX+AAO'"), [
+    ['SEGMENT_MISSING', 'UNH', null],
+    ['SEGMENT_REPEAT_EXCEEDED', 'DTM', null],
+    ['GROUP_MISSING', 'UNH', null],
+    ['SEGMENT_UNEXPECTED', 'FTX', null],
+  ]);
+  assert.deepEqual(structure("BGM+999'RFF+ACE:1'RFF+ACW:2'"), [
+    ['GROUP_REPEAT_EXCEEDED', 'RFF', null],
+    ['CODE_NOT_ALLOWED', 'BGM', 'BGM/01/01'],
+  ]);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { normalizeDateTime, parseDecimal, normalizeSegmentValues } from '../src/lib/edifactValues.js';
+
+test('normalizeDateTime converts DTM values to ISO-8601 per format qualifier', () => {
+  assert.deepEqual(normalizeDateTime('20250131', '102'), { type: 'date', value: '2025-01-31' });
+  assert.deepEqual(normalizeDateTime('202501312359', '203'), { type: 'datetime', value: '2025-01-31T23:59' });
+  assert.deepEqual(normalizeDateTime('202501010000+00', '303'), { type: 'datetime', value: '2025-01-01T00:00+00:00' });
+  assert.deepEqual(normalizeDateTime('202507010000-02', '303'), { type: 'datetime', value: '2025-07-01T00:00-02:00' });
+  assert.deepEqual(normalizeDateTime('2025', '602'), { type: 'date', value: '2025' });
+  assert.deepEqual(normalizeDateTime('202502', '610'), { type: 'date', value: '2025-02' });
+  assert.deepEqual(normalizeDateTime('20250101-20251231', '718'), { type: 'period', value: '2025-01-01/2025-12-31', start: '2025-01-01', end: '2025-12-31' });
+  assert.equal(normalizeDateTime('202501010000-202502010000', '719').value, '2025-01-01T00:00/2025-02-01T00:00');
+  assert.deepEqual(normalizeDateTime('3', '802'), { type: 'duration', value: 'P3M' });
+  assert.deepEqual(normalizeDateTime('015', '805'), { type: 'duration', value: 'PT15H' });
+  assert.equal(normalizeDateTime('20250101', '999'), null);
+});
+
+test('normalizeDateTime rejects values that are not valid calendar dates', () => {
+  assert.deepEqual(normalizeDateTime('20250229', '102'), { error: 'CCYYMMDD' });
+  assert.deepEqual(normalizeDateTime('202501012460', '203'), { error: 'CCYYMMDDHHMM' });
+  assert.deepEqual(normalizeDateTime('202501010000', '303'), { error: 'CCYYMMDDHHMMZZZ' });
+  assert.deepEqual(normalizeDateTime('202501010000+15', '303'), { error: 'CCYYMMDDHHMMZZZ' });
+  assert.deepEqual(normalizeDateTime('202513', '610'), { error: 'CCYYMM' });
+  assert.deepEqual(normalizeDateTime('20250101-20250230', '718'), { error: 'CCYYMMDD-CCYYMMDD' });
+  assert.deepEqual(normalizeDateTime('3M', '802'), { error: 'n..3' });
+});
+
+test('parseDecimal keeps the digits and honours the declared decimal mark', () => {
+  assert.equal(parseDecimal('1234.50'), '1234.50');
+  assert.equal(parseDecimal('-1234,50', ','), '-1234.50');
+  assert.equal(parseDecimal('0.1', '.'), '0.1');
+  assert.equal(parseDecimal('1234,50'), null);
+  assert.equal(parseDecimal('1.234,50', ','), null);
+  assert.equal(parseDecimal('12.', '.'), null);
+  assert.equal(parseDecimal('+5'), null);
+});
+
+test('normalizeSegmentValues attaches typed values and reports invalid ones', () => {
+  const { segments, delimiters } = tokenizeEdifact(
+    "UNA:+,? 'DTM+137:202501010000?+00:303'DTM+163:20250230:102'DTM+Z01:1:999'QTY+220:1234,5:KWH'MOA+77:12.3:EUR'PRI+CAL:0,25:::1:KWH'"
+  );
+  const errors = normalizeSegmentValues(segments, delimiters);
+  assert.deepEqual(errors.map(e => [e.code, e.segmentTag, e.field, e.value]), [
+    ['DATE_FORMAT_INVALID', 'DTM', 'DTM/01/02', '20250230'],
+    ['DECIMAL_FORMAT_INVALID', 'MOA', 'MOA/01/02', '12.3'],
+  ]);
+  assert.deepEqual(segments[0].normalized, { type: 'datetime', value: '2025-01-01T00:00+00:00', qualifier: '137', format: '303' });
+  assert.equal(segments[2].normalized, undefined);
+  assert.deepEqual(segments[3].normalized, { type: 'quantity', qualifier: '220', value: '1234.5', unit: 'KWH' });
+  assert.equal(segments[4].normalized, undefined);
+  assert.deepEqual(segments[5].normalized, { type: 'price', qualifier: 'CAL', value: '0.25', unit: 'KWH' });
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HashedNgramEmbeddings, getEmbeddingsInfo, getEmbeddings, assertEmbeddingDimensions, assertEmbeddingProvider,
+} from '../src/lib/embeddings.js';
+
+// Dot product; hashed n-gram vectors are L2-normalized
+const cosineSimilarity = (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0);
+
+const withEnv = (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  for (const [k, v] of Object.entries(vars)) if (v == null) delete process.env[k]; else process.env[k] = v;
+  try { return fn(); } finally {
+    for (const [k, v] of Object.entries(saved)) if (v == null) delete process.env[k]; else process.env[k] = v;
+  }
+};
+
+test('hashed n-gram vectors are deterministic, L2-normalized and of the configured dimension', async () => {
+  const embeddings = new HashedNgramEmbeddings({ dimensions: 128 });
+  const [a, b] = await embeddings.embedDocuments(['NAD Name und Adresse', 'NAD Name und Adresse']);
+  assert.equal(a.length, 128);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+  assert.deepEqual(await embeddings.embedQuery('NAD Name und Adresse'), a);
+  assert.deepEqual([embeddings.provider, embeddings.model], ['local', 'hashed-ngram-3']);
+  // Empty text has no features and stays a zero vector
+  assert.ok((await embeddings.embedQuery('')).every(v => v === 0));
+});
+
+test('similarity follows shared words and character n-grams, case-insensitively', async () => {
+  const embeddings = new HashedNgramEmbeddings();
+  const [query, close, far] = await embeddings.embedDocuments(['Datenelement 3035 Beteiligter', 'DATENELEMENT 3035 beteiligter Qualifier', 'Zeitraum Messwert Lastgang']);
+  assert.ok(cosineSimilarity(query, close) > 0.6);
+  assert.ok(cosineSimilarity(query, close) > cosineSimilarity(query, far) + 0.4);
+  assert.deepEqual(embeddings.features('Ab c'), ['w:ab', 'c:<ab', 'c:ab>', 'w:c', 'b:ab c', 'c:<c>']);
+});
+
+test('getEmbeddingsInfo reports provider, model and dimension from the environment', () => {
+  withEnv({ EMBEDDING_PROVIDER: 'local', EMBEDDING_DIMENSIONS: null, LOCAL_EMBED_NGRAM: '4' }, () => {
+    assert.deepEqual(getEmbeddingsInfo(), { provider: 'local', model: 'hashed-ngram-4', dimensions: 512 });
+    const embeddings = getEmbeddings();
+    assert.ok(embeddings instanceof HashedNgramEmbeddings);
+    assert.deepEqual([embeddings.model, embeddings.dimensions], ['hashed-ngram-4', 512]);
+  });
+  withEnv({ EMBEDDING_PROVIDER: null, GEMINI_EMBED_MODEL: 'gemini-embedding-001', EMBEDDING_DIMENSIONS: null }, () => {
+    assert.deepEqual(getEmbeddingsInfo(), { provider: 'gemini', model: 'gemini-embedding-001', dimensions: 3072 });
+  });
+  withEnv({ EMBEDDING_PROVIDER: 'gemini', GEMINI_EMBED_MODEL: 'custom', EMBEDDING_DIMENSIONS: '256' }, () => {
+    assert.equal(getEmbeddingsInfo().dimensions, 256);
+  });
+  withEnv({ EMBEDDING_PROVIDER: 'gemini', GEMINI_API_KEY: null, GOOGLE_AI_API_KEY: null }, () => {
+    assert.throws(() => getEmbeddings(), /GEMINI_API_KEY\/GOOGLE_AI_API_KEY missing/);
+  });
+  withEnv({ EMBEDDING_PROVIDER: 'openai' }, () => {
+    assert.throws(() => getEmbeddingsInfo(), /Unknown EMBEDDING_PROVIDER "openai"/);
+  });
+});
+
+test('the dimension check only fails for two known, different dimensions', () => {
+  const info = { provider: 'local', model: 'hashed-ngram-3' };
+  assert.doesNotThrow(() => assertEmbeddingDimensions(512, 512, info));
+  assert.doesNotThrow(() => assertEmbeddingDimensions(512, null, info));
+  assert.doesNotThrow(() => assertEmbeddingDimensions(null, 768, info));
+  assert.throws(() => assertEmbeddingDimensions(512, 768, info), /^Error: EMBEDDING_DIMENSION_MISMATCH: collection expects 768-dimensional vectors, local\/hashed-ngram-3 produces 512/);
+});
+
+test('the provider check compares provider and model with the recorded signature', () => {
+  const info = { provider: 'local', model: 'hashed-ngram-3', dimensions: 768 };
+  assert.doesNotThrow(() => assertEmbeddingProvider(null, info, 'specs'));
+  assert.doesNotThrow(() => assertEmbeddingProvider({ provider: 'local', model: 'hashed-ngram-3', dimensions: 512 }, info, 'specs'));
+  assert.throws(
+    () => assertEmbeddingProvider({ provider: 'gemini', model: 'text-embedding-004' }, info, 'specs'),
+    /^Error: EMBEDDING_PROVIDER_MISMATCH: collection specs was built with gemini\/text-embedding-004, configured embeddings are local\/hashed-ngram-3/,
+  );
+  assert.throws(() => assertEmbeddingProvider({ provider: 'local', model: 'hashed-ngram-4' }, info, 'specs'), /EMBEDDING_PROVIDER_MISMATCH/);
+});
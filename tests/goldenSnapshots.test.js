@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  getGoldenDir, goldenFileFor, loadGoldenSnapshot, saveGoldenSnapshot, createGoldenSnapshot, compareGolden,
+} from '../src/lib/goldenSnapshots.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-golden-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const parsed = {
+  json: {
+    segments: [
+      { tag: 'BGM', elements: [['313'], ['DOC-1']] },
+      { tag: 'DTM', elements: [['137', '202501010000+00', '303']] },
+      { tag: 'DTM', elements: [['171', '', '102']] },
+    ],
+  },
+};
+const explained = {
+  explanations: {
+    segments: [
+      { segment: 'BGM', fields: [{ path: 'BGM/01/01', name: 'Document name' }, { path: 'BGM/02/01', name: 'Document number' }] },
+      { segment: 'DTM', fields: [{ path: 'DTM/01/01', name: 'Qualifier' }] },
+    ],
+  },
+};
+
+test('snapshots are checked in below tests/golden unless GOLDEN_DIR is set', () => {
+  assert.equal(getGoldenDir({}), path.resolve('tests', 'golden'));
+  assert.equal(getGoldenDir({ GOLDEN_DIR: dir }), dir);
+  assert.equal(goldenFileFor('MAKO_SAMPLES/APERAK_1.md', dir), path.join(dir, 'APERAK_1.json'));
+});
+
+test('createGoldenSnapshot records segments, non-empty fields and their explanation names', () => {
+  const snapshot = createGoldenSnapshot({ sample: 'x/APERAK_9.md', text: 'BGM', format: 'aperak', parsed, explained });
+  assert.equal(snapshot.sample, 'APERAK_9.md');
+  assert.equal(snapshot.format, 'APERAK');
+  assert.match(snapshot.sampleHash, /^sha256:[0-9a-f]{64}$/);
+  assert.deepEqual(snapshot.segments, ['BGM', 'DTM', 'DTM']);
+  assert.deepEqual(snapshot.fields, {
+    'BGM[0]/01/01': '313',
+    'BGM[0]/02/01': 'DOC-1',
+    'DTM[0]/01/01': '137',
+    'DTM[0]/01/02': '202501010000+00',
+    'DTM[0]/01/03': '303',
+    'DTM[1]/01/01': '171',
+    'DTM[1]/01/03': '102',
+  });
+  assert.deepEqual(snapshot.explanations, { 'BGM[0]/01/01': 'Document name', 'BGM[0]/02/01': 'Document number', 'DTM[0]/01/01': 'Qualifier' });
+  assert.deepEqual(compareGolden(snapshot, { parsed, explained }), { ok: true, checks: 14, matched: 14, score: 1, diffs: [] });
+});
+
+test('compareGolden reports every differing check and the share that matched', () => {
+  const expected = { segments: ['BGM', 'DTM'], fields: { 'BGM[0]/02/01': 'DOC-2', 'DTM[1]/01/01': '171' }, explanations: { 'BGM[0]/01/01': 'Name' } };
+  const res = compareGolden(expected, { parsed, explained });
+  assert.deepEqual(res.diffs, [
+    { path: 'segments.length', expected: 2, actual: 3 },
+    { path: 'fields.BGM[0]/02/01', expected: 'DOC-2', actual: 'DOC-1' },
+    { path: 'explanations.BGM[0]/01/01', expected: 'Name', actual: 'Document name' },
+  ]);
+  assert.equal(res.checks, 6);
+  assert.equal(res.score, 0.5);
+  assert.equal(compareGolden(expected, { parsed: null }).matched, 0);
+});
+
+test('a snapshot only applies to the sample content it was recorded from', async () => {
+  await saveGoldenSnapshot(createGoldenSnapshot({ sample: 'APERAK_9.md', text: 'BGM', parsed, explained }), { dir });
+  assert.equal((await loadGoldenSnapshot('APERAK_9.md', { dir, text: 'BGM' })).sample, 'APERAK_9.md');
+  assert.equal(await loadGoldenSnapshot('APERAK_9.md', { dir, text: 'other sample' }), null);
+  assert.ok(await loadGoldenSnapshot('APERAK_9.md', { dir }));
+  assert.equal(await loadGoldenSnapshot('APERAK_8.md', { dir }), null);
+  fs.writeFileSync(goldenFileFor('APERAK_7.md', dir), '{');
+  await assert.rejects(loadGoldenSnapshot('APERAK_7.md', { dir }), /^Error: GOLDEN_INVALID/);
+});
+
+test('the checked-in snapshots belong to the checked-in fixtures', () => {
+  const golden = new URL('./golden/', import.meta.url);
+  const files = fs.readdirSync(golden).filter(f => f.endsWith('.json'));
+  assert.ok(files.length > 0);
+  for (const f of files) {
+    const snapshot = JSON.parse(fs.readFileSync(new URL(f, golden), 'utf8'));
+    assert.ok(fs.existsSync(new URL(`./fixtures/${snapshot.sample}`, import.meta.url)), f);
+  }
+});
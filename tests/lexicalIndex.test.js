@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, payloadText, Bm25Index, getLexicalIndex } from '../src/lib/lexicalIndex.js';
+
+const DOCS = [
+  ['nad-3035', { segment: 'NAD', data_element: '3035', text: 'NAD 3035 Beteiligter, Qualifier MS MR' }],
+  ['nad-3039', { segment: 'NAD', data_element: '3039', text: 'NAD 3039 MP-ID des Beteiligten' }],
+  ['dtm-2005', { segment: 'DTM', data_element: '2005', text: 'DTM 2005 Datums- oder Uhrzeits- oder Zeitspannen-Funktion, Qualifier 137' }],
+  ['rff-1153', { segment: 'RFF', data_element: '1153', text: 'RFF 1153 Referenz, Qualifier Z13 Prüfidentifikator 11042' }],
+];
+const index = () => {
+  const bm25 = new Bm25Index();
+  for (const [id, payload] of DOCS) bm25.add(id, payload);
+  return bm25;
+};
+
+test('tokenize keeps segment tags, data element ids and qualifier codes whole', () => {
+  assert.deepEqual(tokenize("SG4 ERC+Z13:2005 Prüfidentifikator 11042, DTM'"), ['sg4', 'erc', 'z13', '2005', 'prüfidentifikator', '11042', 'dtm']);
+  assert.deepEqual(tokenize('ＵＮＨ'), ['unh']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('payloadText joins string and number leaves without keys', () => {
+  assert.equal(payloadText({ segment: 'NAD', line: 12, codes: [{ code: 'MS', meaning: 'Dokumentenersteller' }], empty: null, flag: true }), 'NAD 12 MS Dokumentenersteller');
+});
+
+test('BM25 returns only documents containing an exact data element id or qualifier', () => {
+  const bm25 = index();
+  assert.deepEqual(bm25.search('3035').map(h => h.id), ['nad-3035']);
+  assert.deepEqual(bm25.search('Z13').map(h => h.id), ['rff-1153']);
+  assert.deepEqual(bm25.search('11042').map(h => h.id), ['rff-1153']);
+  // Different ids with shared digits do not match
+  assert.deepEqual(bm25.search('3036'), []);
+  assert.deepEqual(bm25.search('  '), []);
+  assert.deepEqual(new Bm25Index().search('NAD'), []);
+});
+
+test('BM25 weighs rare terms above common ones and prefers shorter documents', () => {
+  const bm25 = index();
+  // "qualifier" occurs in three documents, "3039" in one
+  const hits = bm25.search('Qualifier 3039');
+  assert.equal(hits[0].id, 'nad-3039');
+  assert.deepEqual(hits.slice(1).map(h => h.id), ['nad-3035', 'rff-1153', 'dtm-2005']);
+  assert.ok(hits[0].score > hits[1].score);
+  assert.deepEqual(bm25.search('NAD').map(h => h.id).sort(), ['nad-3035', 'nad-3039']);
+  assert.equal(hits[0].payload.data_element, '3039');
+});
+
+test('BM25 search applies payload filters and the limit', () => {
+  const bm25 = index();
+  const filter = { must: [{ key: 'segment', match: { value: 'NAD' } }] };
+  assert.deepEqual(bm25.search('Qualifier', { filter }).map(h => h.id), ['nad-3035']);
+  assert.equal(bm25.search('Qualifier', { limit: 2 }).length, 2);
+});
+
+test('getLexicalIndex scrolls the store once per fingerprint', async () => {
+  let fingerprint = 'v1';
+  let scrolls = 0;
+  const points = DOCS.map(([id, payload]) => ({ id, payload }));
+  const store = {
+    kind: 'fake',
+    collection: 'lexical',
+    fingerprint: async () => fingerprint,
+    scroll: async ({ offset }) => {
+      scrolls++;
+      const start = offset ?? 0;
+      return { points: points.slice(start, start + 3), next_page_offset: start + 3 < points.length ? start + 3 : null };
+    },
+  };
+  const first = await getLexicalIndex(store);
+  assert.equal(first.docs.length, 4);
+  assert.equal(scrolls, 2);
+  assert.equal(await getLexicalIndex(store), first);
+  assert.equal(scrolls, 2);
+  fingerprint = 'v2';
+  points.pop();
+  const rebuilt = await getLexicalIndex(store);
+  assert.notEqual(rebuilt, first);
+  assert.deepEqual(rebuilt.search('11042'), []);
+});
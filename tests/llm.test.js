@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { getLlmConfig, OpenAICompatibleChatModel } from '../src/lib/llm.js';
+
+test('getLlmConfig selects the stub only when asked for explicitly', () => {
+  assert.equal(getLlmConfig({ LLM_PROVIDER: 'stub' }).provider, 'stub');
+  assert.equal(getLlmConfig({ MOCK_LLM: 'true' }).provider, 'stub');
+  assert.deepEqual(getLlmConfig({ GEMINI_API_KEY: 'k' }), { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: 'k' });
+  assert.equal(getLlmConfig({ LLM_PROVIDER: 'google', GOOGLE_AI_API_KEY: 'k' }).provider, 'gemini');
+});
+
+test('getLlmConfig rejects a missing Gemini key instead of falling back to the stub', () => {
+  assert.throws(() => getLlmConfig({}), /^Error: LLM_CONFIG_MISSING/);
+  assert.throws(() => getLlmConfig({ LLM_PROVIDER: 'gemini', MOCK_LLM: 'true' }), /^Error: LLM_CONFIG_MISSING/);
+  assert.throws(() => getLlmConfig({ LLM_PROVIDER: 'claude' }), /Unknown LLM_PROVIDER "claude"/);
+});
+
+test('getLlmConfig normalizes the OpenAI-compatible base URL', () => {
+  const config = getLlmConfig({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:8000/v1/' });
+  assert.equal(config.baseUrl, 'http://localhost:8000/v1');
+  assert.equal(config.model, 'gpt-4o-mini');
+});
+
+test('the request timeout still applies when the caller passes its own signal', async () => {
+  // Accepts the request but never answers
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const model = new OpenAICompatibleChatModel({ model: 'm', baseUrl: `http://127.0.0.1:${server.address().port}`, timeoutMs: 100 });
+    await assert.rejects(model.invoke('hi', { signal: new AbortController().signal }), /abort/i);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
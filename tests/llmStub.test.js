@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { StubChatModel } from '../src/lib/llmStub.js';
+import { createEdifactTester } from '../src/tools/edifactTester.js';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-stub-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+// Same interchange as the APERAK fixture under another control reference, so no golden snapshot applies
+const SAMPLE = fs.readFileSync(new URL('./fixtures/APERAK_1.md', import.meta.url), 'utf8').replaceAll('APK1', 'APK2');
+
+test('the stub answers parser generation with a module that passes the tester', async () => {
+  const prompt = 'You are a senior EDI/EDIFACT engineer. Given an EDIFACT message format APERAK and a specification payload, generate a robust JavaScript module that can parse EDIFACT text';
+  const { content: moduleCode } = await new StubChatModel().invoke(prompt);
+  const res = await createEdifactTester().invoke({ moduleCode, samples: [{ name: 'APERAK_9.md', text: preprocessSample(SAMPLE).text }], format: 'APERAK' });
+  assert.equal(res.success, true, JSON.stringify(res.results));
+  assert.deepEqual(res.results.map(r => r.name), ['APERAK_9.md', 'APERAK_9.md (mutated)']);
+});
+
+test('a stubbed pipeline run promotes the generated parser', async () => {
+  fs.mkdirSync(path.join(scratch, 'MAKO_SAMPLES'));
+  fs.writeFileSync(path.join(scratch, 'MAKO_SAMPLES', 'APERAK_1.md'), SAMPLE);
+  const env = { ...process.env, LLM_PROVIDER: 'stub', VECTOR_STORE: 'local', EMBEDDING_PROVIDER: 'local', KAIBAN_TELEMETRY_OPT_OUT: 'true', ONLY_FORMATS: 'APERAK' };
+  for (const key of ['LOCAL_STORE_DIR', 'SPEC_CACHE_DIR', 'PARSER_REGISTRY_DIR', 'GOLDEN_DIR', 'BASELINE_PARSER', 'MOCK_LLM', 'REPAIR_ATTEMPTS']) delete env[key];
+  const { stdout } = await promisify(execFile)(process.execPath, [path.join(root, 'src', 'index.js')], { cwd: scratch, env, timeout: 120000, maxBuffer: 64 * 1024 * 1024 });
+  assert.match(stdout, /Parser APERAK v1 passed its tests and is now active/);
+  assert.doesNotMatch(stdout, /Repair APERAK attempt/);
+  const registry = JSON.parse(fs.readFileSync(path.join(scratch, 'artifacts', 'APERAK', 'registry.json'), 'utf8'));
+  assert.equal(registry.active, 1);
+  // The planner got the task and format instead of empty inputs
+  const plan = JSON.parse(fs.readFileSync(path.join(scratch, 'artifacts', 'APERAK', 'search-plan.json'), 'utf8'));
+  assert.equal(plan.error, undefined);
+  assert.match(plan.queries[1], /^APERAK /);
+});
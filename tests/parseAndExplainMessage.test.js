@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { createParseAndExplainMessageTool, explainEdifactStream } from '../src/tools/parseAndExplainMessage.js';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+
+// Baseline explanations only: empty parser registry and local spec store in a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-explain-'));
+process.env.PARSER_REGISTRY_DIR = path.join(scratch, 'artifacts');
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const INTERCHANGE = "UNB+UNOC:3+9900000000001:500+9900000000002:500+250101:0101+R'"
+  + "UNH+1+APERAK:D:07B:UN:2.1i'BGM+313+X'UNT+3+1'"
+  + "UNH+2+UTILMD:D:11A:UN:5.2e'BGM+E01+Y'DTM+137:202501010101?+00:303'UNT+4+2'"
+  + "UNZ+2+R'";
+
+test('each message of an interchange is explained on its own with its message type', async () => {
+  const res = await createParseAndExplainMessageTool().invoke({ text: INTERCHANGE, ahb: false });
+  assert.deepEqual(res.messages.map(m => [m.reference, m.format]), [['1', 'APERAK'], ['2', 'UTILMD']]);
+  // Standalone interchange per message: original UNB, the message, UNZ
+  const tags = res.messages[1].explained.explanations.segments.map(s => s.segment);
+  assert.deepEqual(tags, ['UNB', 'UNH', 'BGM', 'DTM', 'UNT', 'UNZ']);
+  assert.equal(res.messages[0].explained._context.senderId, '9900000000001');
+  assert.equal(res.messages[0].explained._context.messageCount, 2);
+  assert.equal(res.format, 'APERAK');
+  assert.deepEqual(res.errors, []);
+});
+
+test('the stream explains every message without envelope errors of its slice', async () => {
+  const { text } = preprocessSample(fs.readFileSync(new URL('./fixtures/MSCONS_1.md', import.meta.url), 'utf8'));
+  const results = [];
+  for await (const res of explainEdifactStream(Readable.from([Buffer.from(text, 'latin1')]), 'MSCONS')) results.push(res);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].format, 'MSCONS');
+  assert.deepEqual(results[0].errors, []);
+  // The UNZ closing the slice is only validated, not explained
+  assert.deepEqual(results[0].explanations.segments.map(s => s.segment).slice(0, 2), ['UNB', 'UNH']);
+  assert.equal(results[0].explanations.segments.at(-1).segment, 'UNT');
+});
+
+test('the stream still reports message errors of a slice', async () => {
+  const results = [];
+  for await (const res of explainEdifactStream(INTERCHANGE.replace("UNT+4+2'", "UNT+5+2'"), 'UTILMD')) results.push(res);
+  assert.deepEqual(results.map(r => r.errors.map(e => e.code)), [[], ['UNT_SEGMENT_COUNT_MISMATCH']]);
+});
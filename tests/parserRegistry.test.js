@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  registerParser, activateParser, rollbackParser, resolveParser, loadActiveParser,
+  getParserRegistry, listRegisteredFormats, contentHash,
+} from '../src/lib/parserRegistry.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-registry-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PASSED = { success: true, score: 1, results: [{ ok: true }, { ok: true }] };
+const FAILED = { success: false, score: 0.5, results: [{ ok: true }, { ok: false }] };
+const parser = (n) => `export function parseEdifactToJson() { return ${n}; }\n`;
+
+// Every test works on its own format so the registries do not interfere
+test('only versions whose tests passed become active', async () => {
+  const v1 = await registerParser({ format: 'aperak', code: parser(1), formatVersion: '2.1i', spec: { a: 1 }, tests: PASSED }, { dir });
+  assert.equal(v1.promoted, true);
+  assert.deepEqual(v1.entry.tests, { success: true, score: 1, passed: 2, failed: 0, file: 'parsers/v1.tests.json' });
+  assert.equal(v1.entry.specHash, contentHash({ a: 1 }));
+
+  const v2 = await registerParser({ format: 'APERAK', code: parser(2), tests: FAILED }, { dir });
+  assert.equal(v2.promoted, false);
+  assert.equal(v2.entry.version, 2);
+  assert.equal(v2.registry.active, 1);
+  await assert.rejects(activateParser('APERAK', 2, { dir }), /^Error: PARSER_NOT_VALIDATED: APERAK v2/);
+  await assert.rejects(activateParser('APERAK', 9, { dir }), /^Error: PARSER_VERSION_NOT_FOUND: APERAK v9/);
+
+  // Identical code updates the existing version instead of adding one
+  const again = await registerParser({ format: 'APERAK', code: parser(2), tests: PASSED }, { dir });
+  assert.equal(again.entry.version, 2);
+  assert.equal(again.registry.versions.length, 2);
+  assert.equal((await getParserRegistry('APERAK', { dir })).active, 2);
+  assert.deepEqual(await listRegisteredFormats({ dir }), ['APERAK']);
+});
+
+test('a failing re-test of the active version falls back to the newest validated one', async () => {
+  await registerParser({ format: 'MSCONS', code: parser(1), tests: PASSED }, { dir });
+  await registerParser({ format: 'MSCONS', code: parser(2), tests: PASSED }, { dir });
+  const { registry } = await registerParser({ format: 'MSCONS', code: parser(2), tests: FAILED }, { dir });
+  assert.equal(registry.active, 1);
+});
+
+test('rollbackParser re-activates the previous validated version', async () => {
+  await assert.rejects(rollbackParser('INVOIC', { dir }), /^Error: PARSER_NO_ROLLBACK/);
+  await registerParser({ format: 'INVOIC', code: parser(1), tests: PASSED }, { dir });
+  await registerParser({ format: 'INVOIC', code: parser(2), tests: FAILED }, { dir });
+  await registerParser({ format: 'INVOIC', code: parser(3), tests: PASSED }, { dir });
+  assert.equal((await rollbackParser('INVOIC', { dir })).version, 1);
+  await assert.rejects(rollbackParser('INVOIC', { dir }), /^Error: PARSER_NO_ROLLBACK: no validated version of INVOIC before v1/);
+});
+
+test('resolveParser refuses a module modified after registration', async () => {
+  assert.equal(await resolveParser('UTILMD', { dir }), null);
+  await registerParser({ format: 'UTILMD', code: parser(7), tests: PASSED }, { dir });
+  const resolved = await resolveParser('UTILMD', { dir });
+  assert.equal(resolved.path, path.join(dir, 'UTILMD', 'parsers', 'v1.mjs'));
+
+  const mod = await loadActiveParser('UTILMD', { dir });
+  try {
+    assert.equal(await mod.parseEdifactToJson(''), 7);
+    assert.equal(mod.entry.version, 1);
+  } finally {
+    await mod.close();
+  }
+
+  fs.appendFileSync(resolved.path, '// patched\n');
+  await assert.rejects(resolveParser('UTILMD', { dir }), /^Error: PARSER_HASH_MISMATCH: UTILMD v1/);
+});
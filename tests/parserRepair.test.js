@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getRepairAttempts, testScore, failureFeedback, repairParser } from '../src/lib/parserRepair.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-repair-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const SAMPLES = [{ name: 'APERAK_1.md', text: "UNH+1+APERAK:D:07B:UN:2.1i'", attributes: {} }];
+
+// Tester result with `passed` of 4 cases ok
+const result = (passed) => ({
+  success: passed === 4,
+  score: passed / 4,
+  results: [0, 1, 2, 3].map(i => (i < passed ? { name: `case ${i}`, ok: true } : { name: `case ${i}`, ok: false, error: 'boom' })),
+});
+// Modules are "v<n> <passed>"; the fake tester reads the number of passed cases from the code
+const fakes = (codes) => {
+  const calls = { generator: [], tester: [] };
+  const queue = [...codes];
+  return {
+    calls,
+    generator: { invoke: async (input) => { calls.generator.push(input); const next = queue.shift(); if (next instanceof Error) throw next; return { moduleCode: next ?? '' }; } },
+    tester: { invoke: async (input) => { calls.tester.push(input); return result(Number(input.moduleCode.split(' ')[1])); } },
+  };
+};
+const run = (code, f, options) => repairParser(
+  { format: 'APERAK', spec: {}, sample: SAMPLES[0].text, samples: SAMPLES, code },
+  { generator: f.generator, tester: f.tester, dir: fs.mkdtempSync(path.join(scratch, 'a-')), ...options },
+);
+
+test('getRepairAttempts reads REPAIR_ATTEMPTS with a default of 3', () => {
+  assert.equal(getRepairAttempts({}), 3);
+  assert.equal(getRepairAttempts({ REPAIR_ATTEMPTS: '0' }), 0);
+  assert.equal(getRepairAttempts({ REPAIR_ATTEMPTS: '2.7' }), 2);
+  assert.equal(getRepairAttempts({ REPAIR_ATTEMPTS: '-1' }), 3);
+  assert.equal(getRepairAttempts({ REPAIR_ATTEMPTS: 'many' }), 3);
+});
+
+test('testScore prefers success, then the tester score, then the share of passed cases', () => {
+  assert.equal(testScore({ success: true, score: 0.2 }), 1);
+  assert.equal(testScore(JSON.stringify({ success: false, score: 0.25 })), 0.25);
+  assert.equal(testScore({ results: [{ ok: true }, { ok: false }] }), 0.5);
+  assert.equal(testScore('not json'), 0);
+  assert.equal(testScore(null), 0);
+});
+
+test('failureFeedback lists module errors and failed cases with diffs and stacks', () => {
+  assert.deepEqual(failureFeedback(null), [{ name: 'tester', error: 'No test result' }]);
+  const diffs = [{ path: 'fields.BGM[0]/01/01', expected: '313', actual: null }];
+  assert.deepEqual(failureFeedback({
+    error: 'Module does not export explain',
+    results: [{ name: 'a', ok: true }, { name: 'b', ok: false, error: 'GOLDEN_MISMATCH', golden: { diffs } }, { name: 'c', ok: false, error: 'x', stack: 'at y' }],
+  }), [
+    { name: 'module', error: 'Module does not export explain' },
+    { name: 'b', error: 'GOLDEN_MISMATCH ' + JSON.stringify(diffs) },
+    { name: 'c', error: 'x', stack: 'at y' },
+  ]);
+});
+
+test('attempt 1 is scored on a test run of the incoming code', async () => {
+  const f = fakes([]);
+  const { best, attempts } = await run('v1 4', f);
+  assert.deepEqual(f.calls.tester.map(c => [c.moduleCode, c.format, c.samples]), [['v1 4', 'APERAK', [{ name: 'APERAK_1.md', text: SAMPLES[0].text }]]]);
+  assert.equal(f.calls.generator.length, 0);
+  assert.deepEqual([best.attempt, best.score], [1, 1]);
+  assert.equal(attempts.length, 1);
+});
+
+test('the best attempt is kept, earlier attempts win ties, and every attempt is written', async () => {
+  const f = fakes(['v2 1', new Error('quota'), 'v4 3', 'v5 3']);
+  const dir = fs.mkdtempSync(path.join(scratch, 'files-'));
+  const lines = [];
+  const { best, attempts } = await run('v1 2', f, { maxAttempts: 4, dir, log: (l) => lines.push(l) });
+  assert.deepEqual([best.attempt, best.code, best.score], [4, 'v4 3', 0.75]);
+  assert.deepEqual(attempts.map(a => [a.attempt, a.score, a.failures]), [[1, 0.5, 2], [2, 0.25, 3], [4, 0.75, 1], [5, 0.75, 1]]);
+  // Each generation gets the previous tested code and its failures
+  assert.deepEqual(f.calls.generator.map(c => [c.previousCode, c.feedback.length]), [['v1 2', 2], ['v2 1', 3], ['v2 1', 3], ['v4 3', 1]]);
+  assert.ok(lines.includes('APERAK attempt 3: generation failed (quota)'));
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    'attempt-1.mjs', 'attempt-1.tests.json', 'attempt-2.mjs', 'attempt-2.tests.json',
+    'attempt-4.mjs', 'attempt-4.tests.json', 'attempt-5.mjs', 'attempt-5.tests.json', 'attempts.json',
+  ]);
+  assert.equal(fs.readFileSync(path.join(dir, 'attempt-4.mjs'), 'utf8'), 'v4 3');
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'attempt-4.tests.json'), 'utf8')).score, 0.75);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'attempts.json'), 'utf8')).length, 4);
+});
+
+test('repair stops at the first passing attempt', async () => {
+  const f = fakes(['', 'v3 4', 'v4 4']);
+  const { best, attempts } = await run('v1 0', f);
+  assert.deepEqual([best.attempt, best.score], [3, 1]);
+  assert.deepEqual(attempts.map(a => a.attempt), [1, 3]);
+  assert.equal(f.calls.generator.length, 2);
+});
+
+test('REPAIR_ATTEMPTS=0 only records the incoming module', async () => {
+  const f = fakes(['v2 4']);
+  const { best, attempts } = await run('v1 1', f, { maxAttempts: getRepairAttempts({ REPAIR_ATTEMPTS: '0' }) });
+  assert.deepEqual([best.attempt, best.score], [1, 0.25]);
+  assert.equal(attempts.length, 1);
+  assert.equal(f.calls.generator.length, 0);
+});
+
+test('a tester that throws scores the attempt 0 instead of aborting the loop', async () => {
+  const f = fakes(['v2 4']);
+  const tester = { invoke: async (input) => { if (input.moduleCode === 'broken') throw new Error('sandbox down'); return f.tester.invoke(input); } };
+  const { best, attempts } = await run('broken', f, { tester });
+  assert.deepEqual(attempts.map(a => a.score), [0, 1]);
+  assert.equal(best.attempt, 2);
+  assert.deepEqual(f.calls.generator[0].feedback, [{ name: 'module', error: 'sandbox down' }]);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createEdifactParserGenerator } from '../src/tools/edifactParserGenerator.js';
+import { checkParserSource, loadSandboxedParser } from '../src/lib/parserSandbox.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-sandbox-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+test('checkParserSource flags built-in imports, import() and require()', () => {
+  const code = "import fs from 'node:fs';\nexport { x } from 'child_process';\nimport { a } from './lib.js';\n"
+    + "const m = await import('x');\nconst r = require('y');\n";
+  assert.deepEqual(checkParserSource(code).map(v => [v.code, v.line, v.specifier ?? null]), [
+    ['BUILTIN_IMPORT', 1, 'node:fs'],
+    ['BUILTIN_IMPORT', 2, 'child_process'],
+    ['DYNAMIC_IMPORT', 4, null],
+    ['REQUIRE', 5, null],
+  ]);
+  assert.deepEqual(checkParserSource('export function parseEdifactToJson() {}'), []);
+});
+
+test('loadSandboxedParser rejects code that fails the static check', async () => {
+  await assert.rejects(loadSandboxedParser("import fs from 'fs';\nexport const x = 1;"), (e) => {
+    assert.match(e.message, /^PARSER_REJECTED: parser\.mjs/);
+    assert.equal(e.violations[0].code, 'BUILTIN_IMPORT');
+    return true;
+  });
+});
+
+test('the baseline parser decodes Buffer input inside the sandbox', async () => {
+  const previous = process.env.BASELINE_PARSER;
+  process.env.BASELINE_PARSER = 'true';
+  let mod;
+  try {
+    const { moduleCode } = await createEdifactParserGenerator(null).invoke({ format: 'UTILMD', spec: '' });
+    mod = await loadSandboxedParser(moduleCode);
+    const bytes = Buffer.from("UNB+UNOC:3+A:500+B:500+250101:0101+R'UNH+1+UTILMD:D:11A:UN:5.2e'NAD+DP++++Stra\xDFe'UNT+3+1'UNZ+1+R'", 'latin1');
+    const parsed = await mod.parseEdifactToJson(bytes);
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.json.segments.find(s => s.tag === 'NAD').elements[4][0], 'Straße');
+    assert.deepEqual(await mod.parseEdifactToJson(new Uint8Array(bytes)), parsed);
+  } finally {
+    await mod?.close();
+    if (previous === undefined) delete process.env.BASELINE_PARSER; else process.env.BASELINE_PARSER = previous;
+  }
+});
+
+test('the module sees no Node globals and cannot import modules', async () => {
+  const mod = await loadSandboxedParser('export function parseEdifactToJson() { return [typeof process, typeof Buffer, typeof require]; }');
+  try {
+    assert.deepEqual(await mod.parseEdifactToJson(''), ['undefined', 'undefined', 'undefined']);
+  } finally {
+    await mod.close();
+  }
+  await assert.rejects(loadSandboxedParser("import { x } from './other.mjs';\nexport const y = x;"), /^Error: PARSER_LOAD_FAILED/);
+});
+
+test('a call that runs too long is terminated and the worker replaced', async () => {
+  const code = 'export function parseEdifactToJson(t) { if (t === "loop") for (;;); return t; }';
+  const mod = await loadSandboxedParser(code, { timeoutMs: 500 });
+  try {
+    await assert.rejects(mod.parseEdifactToJson('loop'), /^Error: PARSER_TIMEOUT: parser\.mjs: parseEdifactToJson exceeded 500 ms/);
+    assert.equal(await mod.parseEdifactToJson('ok'), 'ok');
+  } finally {
+    await mod.close();
+  }
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalVectorStore } from '../src/lib/vectorStore.js';
+import { HashedNgramEmbeddings } from '../src/lib/embeddings.js';
+import { createQdrantSemanticSearch } from '../src/tools/qdrantSemanticSearch.js';
+
+// Local store with local embeddings in a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-search-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = scratch;
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.EMBEDDING_DIMENSIONS = '256';
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const embeddings = new HashedNgramEmbeddings({ dimensions: 256 });
+const mix = (...parts) => {
+  const v = new Array(256).fill(0);
+  for (const [weight, vector] of parts) vector.forEach((x, i) => { v[i] += weight * x; });
+  const norm = Math.hypot(...v) || 1;
+  return v.map(x => x / norm);
+};
+const search = createQdrantSemanticSearch();
+
+async function seed(collection, points) {
+  process.env.QDRANT_COLLECTION = collection;
+  const store = new LocalVectorStore({ collection });
+  await store.ensureCollection({ provider: 'local', model: 'hashed-ngram-3', dimensions: 256 });
+  await store.upsert(points);
+}
+
+test('hybrid mode ranks an exact data element id above a pure vector hit', async () => {
+  const query = 'Datenelement 3035 Beteiligter';
+  const q = await embeddings.embedQuery(query);
+  const other = await embeddings.embedQuery('Name und Anschrift des Marktpartners');
+  await seed('hybrid', [
+    // Closest vector, but about another data element
+    { id: 'vector-only', vector: q, payload: { segment: 'NAD', data_element: '3039', text: 'MP-ID des Beteiligten' } },
+    { id: 'exact', vector: mix([0.4, q], [1, other]), payload: { segment: 'NAD', data_element: '3035', text: 'Beteiligter, Qualifier' } },
+    { id: 'filler', vector: mix([0.2, q], [1, other]), payload: { segment: 'NAD', data_element: 'C080', text: 'Name des Beteiligten' } },
+  ]);
+  const dense = await search.invoke({ queries: [query], mode: 'dense', diversify: false, topK: 3 });
+  assert.equal(dense.results[0].id, 'vector-only');
+  const hybrid = await search.invoke({ queries: [query], mode: 'hybrid', diversify: false, topK: 3 });
+  assert.deepEqual(hybrid.results.map(r => r.id).slice(0, 2), ['exact', 'vector-only']);
+  const exact = hybrid.results[0];
+  assert.deepEqual(exact.ranks, { dense: 2, lexical: 1 });
+  assert.ok(exact.scores.lexical > 0);
+  assert.deepEqual(exact.matchedQueries, [query]);
+  const lexical = await search.invoke({ queries: ['3035'], mode: 'lexical', diversify: false });
+  assert.deepEqual(lexical.results.map(r => [r.id, r.scores.dense]), [['exact', null]]);
+});
+
+test('hybrid mode lifts an exact segment tag the vector ranking puts last', async () => {
+  const q = await embeddings.embedQuery('Segment UNS Abschnitts-Kontrollsegment');
+  await seed('tags', [
+    { id: 'uns', vector: mix([0.5, q], [1, await embeddings.embedQuery('Trennung Kopf Positionsteil')]), payload: { segment: 'UNS', text: 'Abschnitts-Kontrolle' } },
+    { id: 'unh', vector: q, payload: { segment: 'UNH', text: 'Nachrichten-Kopfsegment' } },
+    { id: 'unt', vector: mix([0.9, q], [0.2, await embeddings.embedQuery('Ende')]), payload: { segment: 'UNT', text: 'Nachrichten-Endsegment' } },
+  ]);
+  const dense = await search.invoke({ queries: ['UNS'], mode: 'dense', diversify: false, topK: 3 });
+  assert.deepEqual(dense.results.map(r => r.id), ['unh', 'unt', 'uns']);
+  const hybrid = await search.invoke({ queries: ['UNS'], mode: 'hybrid', diversify: false, topK: 3 });
+  assert.equal(hybrid.results[0].id, 'uns');
+  assert.deepEqual(hybrid.results[0].ranks, { dense: 3, lexical: 1 });
+});
+
+test('several queries run as one batched search and are normalized per query', async () => {
+  const nad = await embeddings.embedQuery('NAD Name und Adresse');
+  const dtm = await embeddings.embedQuery('DTM Datum Uhrzeit');
+  await seed('batch', [
+    { id: 'nad', vector: nad, payload: { segment: 'NAD' } },
+    { id: 'nad-near', vector: mix([1, nad], [0.5, dtm]), payload: { segment: 'NAD' } },
+    { id: 'dtm', vector: dtm, payload: { segment: 'DTM' } },
+  ]);
+  const batches = [];
+  const original = LocalVectorStore.prototype.searchBatch;
+  LocalVectorStore.prototype.searchBatch = function (requests) {
+    batches.push(requests.map(r => [r.limit, r.withVector]));
+    return original.call(this, requests);
+  };
+  try {
+    const res = await search.invoke({ queries: ['NAD Name und Adresse', 'DTM Datum Uhrzeit'], diversify: false, topK: 3 });
+    assert.deepEqual(batches, [[[3, false], [3, false]]]);
+    // Each query's best hit scores 1 after normalization
+    assert.deepEqual(res.results.slice(0, 2).map(r => [r.id, r.score]).sort(), [['dtm', 1], ['nad', 1]]);
+    assert.deepEqual(res.results.find(r => r.id === 'nad').matchedQueries, ['NAD Name und Adresse', 'DTM Datum Uhrzeit']);
+    await search.invoke({ queries: ['NAD'], topK: 2 });
+    // Diversification fetches three times topK candidates with their vectors
+    assert.deepEqual(batches[1], [[6, true]]);
+  } finally {
+    LocalVectorStore.prototype.searchBatch = original;
+  }
+});
+
+test('MMR compares lexical-only hits by token overlap and vector hits by cosine', async () => {
+  const query = 'Datenelement 3035 Beteiligter';
+  const q = await embeddings.embedQuery(query);
+  await seed('mmr', [
+    { id: 'a', vector: q, payload: { text: '3035 Beteiligter Qualifier' } },
+    // Opposite vector: never a dense hit, so it enters the pool without a vector
+    { id: 'dup', vector: q.map(x => -x), payload: { text: '3035 3035 Beteiligter Qualifier' } },
+    { id: 'c', vector: mix([0.8, q], [1, await embeddings.embedQuery('Marktpartner Anschrift')]), payload: { text: 'Name des Marktpartners' } },
+  ]);
+  const plain = await search.invoke({ queries: [query], mode: 'hybrid', diversify: false, topK: 2 });
+  assert.deepEqual(plain.results.map(r => [r.id, r.ranks.dense]), [['a', 1], ['dup', null]]);
+  const diverse = await search.invoke({ queries: [query], mode: 'hybrid', topK: 2 });
+  assert.deepEqual(diverse.results.map(r => r.id), ['a', 'c']);
+  // Lexical mode has no vectors at all; the duplicate text is still recognized
+  const lexical = await search.invoke({ queries: ['3035 Marktpartners'], mode: 'lexical', topK: 2, mmrLambda: 0.3 });
+  assert.deepEqual(lexical.results.map(r => r.id).sort(), ['c', 'dup']);
+});
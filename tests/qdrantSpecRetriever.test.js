@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalVectorStore } from '../src/lib/vectorStore.js';
+import { createQdrantSpecRetriever } from '../src/tools/qdrantSpecRetriever.js';
+
+// Local store and spec cache in a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-retriever-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+process.env.SPEC_CACHE_DIR = path.join(scratch, 'cache');
+process.env.SPEC_CACHE_MODE = 'readwrite';
+delete process.env.SPEC_CACHE_FINGERPRINT;
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const point = (id, payload) => ({ id, vector: [1, 0, 0], payload });
+await new LocalVectorStore().upsert([
+  point('1', { format: 'UTILMD', format_version: '5.2a', message_type: 'UTILMD', text: 'Anmeldung' }),
+  point('2', { format: 'UTILMD', format_version: '5.2a', message_type: 'UTILMD', structure: [{ tag: 'UNH' }] }),
+  point('3', { format: 'UTILMD', format_version: '5.2b', format_name: 'UTILMD', fields: [{ path: 'BGM/01/01' }] }),
+  point('4', { format: 'MSCONS', message_type: 'MSCONS', text: 'Lastgang' }),
+]);
+const retriever = createQdrantSpecRetriever();
+
+test('the retriever prefers a structured payload and lists all points of the format', async () => {
+  const res = await retriever.invoke({ format: 'UTILMD' });
+  assert.deepEqual(res.spec, { format: 'UTILMD', format_version: '5.2a', message_type: 'UTILMD', structure: [{ tag: 'UNH' }] });
+  assert.deepEqual(res.pointsMeta.map(p => p.format_version), ['5.2a', '5.2a', '5.2b']);
+});
+
+test('a version narrows the points to that version', async () => {
+  const res = await retriever.invoke({ format: 'UTILMD', version: '5.2b' });
+  assert.equal(res.pointsMeta.length, 1);
+  assert.deepEqual(res.spec.fields, [{ path: 'BGM/01/01' }]);
+});
+
+test('results are served from the spec cache; misses are not cached', async () => {
+  assert.equal((await retriever.invoke({ format: 'MSCONS' })).spec.text, 'Lastgang');
+  const missing = await retriever.invoke({ format: 'INVOIC' });
+  assert.deepEqual(missing, { spec: null, pointsMeta: [], message: 'No spec found for INVOIC' });
+  assert.deepEqual(fs.readdirSync(process.env.SPEC_CACHE_DIR).sort(), ['MSCONS', 'UTILMD']);
+  // Offline, only cached formats resolve; misses come back as a message instead of an error
+  process.env.SPEC_CACHE_MODE = 'offline';
+  try {
+    assert.equal((await retriever.invoke({ format: 'MSCONS' })).spec.text, 'Lastgang');
+    const offline = await retriever.invoke({ format: 'INVOIC' });
+    assert.equal(offline.spec, null);
+    assert.match(offline.message, /^SPEC_CACHE_MISS: no cached spec for INVOIC/);
+  } finally {
+    process.env.SPEC_CACHE_MODE = 'readwrite';
+  }
+});
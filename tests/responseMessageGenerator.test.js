@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { createResponseMessageTool } from '../src/tools/responseMessageGenerator.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-response-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const TEXT = "UNB+UNOC:3+9900000000001:500+9900000000002:500+250101:0101+REF1'"
+  + "UNH+1+UTILMD:D:11A:UN:5.2e'BGM+E01+DOC-1'UNT+3+1'UNZ+1+REF1'";
+const tool = createResponseMessageTool();
+
+test('CONTRL is the default response and validates the interchange itself', async () => {
+  const res = await tool.invoke({ text: TEXT, controlReference: 'C1' });
+  assert.equal(res.type, 'CONTRL');
+  assert.deepEqual(res.errors, []);
+  assert.match(res.edifact, /^UNB\+UNOC:3\+9900000000002:500\+9900000000001:500\+\d{6}:\d{4}\+C1'UNH\+1\+CONTRL:D:3:UN:2\.0b'/);
+  assert.match(res.edifact, /UCI\+REF1\+9900000000001:500\+9900000000002:500\+7'UNT\+3\+1'UNZ\+1\+C1'$/);
+});
+
+test('envelope errors from the validator reject the interchange', async () => {
+  const res = await tool.invoke({ text: TEXT.replace("UNZ+1+REF1'", "UNZ+1+REF9'"), controlReference: 'C1' });
+  assert.deepEqual(res.errors.map(e => e.code), ['UNZ_REFERENCE_MISMATCH']);
+  assert.match(res.edifact, /UCI\+REF1\+9900000000001:500\+9900000000002:500\+4\+28\+UNZ\+2:1'UCM\+1\+UTILMD:D:11A:UN:5\.2e\+7'/);
+});
+
+test('APERAK uses the default error code, accepts parsed input and writes outFile', async () => {
+  const outFile = path.join(scratch, 'out', 'aperak.edi');
+  const res = await tool.invoke({
+    parsed: { json: tokenizeEdifact(TEXT) },
+    type: 'APERAK',
+    errors: [{ messageReference: '1', message: 'Marktlokation unbekannt' }],
+    errorCode: 'Z29',
+    controlReference: 'A1',
+    outFile,
+  });
+  assert.equal(res.type, 'APERAK');
+  assert.match(res.edifact, /RFF\+ACE:DOC-1'/);
+  assert.match(res.edifact, /ERC\+Z29'FTX\+AAO\+\+\+Marktlokation unbekannt'RFF\+ACW:1'UNT\+10\+1'UNZ\+1\+A1'$/);
+  assert.equal(res.outFile, outFile);
+  assert.equal(fs.readFileSync(outFile, 'latin1'), res.edifact);
+});
+
+test('missing input and builder errors come back as error results', async () => {
+  assert.match((await tool.invoke({})).error, /Provide the received interchange/);
+  const res = await tool.invoke({ text: TEXT, type: 'APERAK', errors: [] });
+  assert.match(res.error, /^APERAK_NO_ERRORS/);
+});
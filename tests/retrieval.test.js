@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cosineSimilarity, normalizeScores, fuseByNormalizedScore, reciprocalRankFusion, maximalMarginalRelevance } from '../src/lib/retrieval.js';
+
+const list = (source, query, ids) => ({ source, query, results: ids.map((id, i) => ({ id, score: 1 - i / 10, payload: { id } })) });
+
+test('cosineSimilarity is scale invariant and 0 for zero vectors', () => {
+  assert.equal(cosineSimilarity([1, 0], [3, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 2]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+});
+
+test('normalizeScores maps a list to [0, 1] and equal scores to 1', () => {
+  assert.deepEqual(normalizeScores([{ score: 4 }, { score: 3 }, { score: 2 }]).map(r => r.normalizedScore), [1, 0.5, 0]);
+  assert.deepEqual(normalizeScores([{ score: 0.2 }, { score: 0.2 }]).map(r => r.normalizedScore), [1, 1]);
+  assert.deepEqual(normalizeScores([]), []);
+});
+
+test('reciprocal rank fusion sums 1 / (k + rank) over all lists', () => {
+  const fused = reciprocalRankFusion([list('dense', 'q1', ['a', 'b', 'c']), list('lexical', 'q1', ['c', 'a'])]);
+  assert.deepEqual(fused.map(r => r.id), ['a', 'c', 'b']);
+  assert.equal(fused[0].score, 1 / 61 + 1 / 62);
+  assert.equal(fused[1].score, 1 / 63 + 1 / 61);
+  assert.equal(fused[2].score, 1 / 62);
+  assert.deepEqual(reciprocalRankFusion([list('dense', 'q', ['a', 'b'])], { k: 0 }).map(r => r.score), [1, 1 / 2]);
+});
+
+test('fused entries keep per-source best scores and ranks and every hit', () => {
+  const fused = reciprocalRankFusion([
+    list('dense', 'q1', ['x', 'a']),
+    list('dense', 'q2', ['a']),
+    list('lexical', 'q1', ['b', 'c', 'a']),
+  ]);
+  const a = fused.find(r => r.id === 'a');
+  assert.deepEqual(a.scores, { dense: 1, lexical: 0.8 });
+  assert.deepEqual(a.ranks, { dense: 1, lexical: 3 });
+  assert.deepEqual(a.hits.map(h => [h.source, h.query, h.rank]), [['dense', 'q1', 2], ['dense', 'q2', 1], ['lexical', 'q1', 3]]);
+  assert.deepEqual(a.payload, { id: 'a' });
+  // Documents found by several lists beat single-list top hits
+  assert.equal(fused[0].id, 'a');
+});
+
+test('ids are merged across types and the first vector is kept', () => {
+  const fused = reciprocalRankFusion([
+    { source: 'dense', results: [{ id: 7, score: 0.9, vector: [1, 0] }] },
+    { source: 'lexical', results: [{ id: '7', score: 3 }] },
+  ]);
+  assert.equal(fused.length, 1);
+  assert.deepEqual(fused[0].vector, [1, 0]);
+});
+
+test('fuseByNormalizedScore normalizes each query list before taking the best score per document', () => {
+  const fused = fuseByNormalizedScore([
+    { source: 'dense', query: 'q1', results: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }, { id: 'c', score: 0.7 }] },
+    // Low raw scores of another query still yield 1 for its best hit
+    { source: 'dense', query: 'q2', results: [{ id: 'd', score: 0.3 }, { id: 'b', score: 0.2 }] },
+  ]);
+  assert.deepEqual(fused.map(r => [r.id, Number(r.score.toFixed(2))]), [['a', 1], ['d', 1], ['b', 0.5], ['c', 0]]);
+  const b = fused.find(r => r.id === 'b');
+  assert.deepEqual(b.hits.map(h => [h.query, h.rank, h.score]), [['q1', 2, 0.8], ['q2', 2, 0.2]]);
+  assert.deepEqual([b.scores, b.ranks], [{ dense: 0.8 }, { dense: 2 }]);
+  assert.deepEqual(fuseByNormalizedScore([{ source: 'lexical', results: [{ id: 'x', score: 7 }] }]).map(r => r.score), [1]);
+});
+
+test('MMR keeps the relevance order at lambda 1 and skips near-duplicates otherwise', () => {
+  const candidates = [
+    { id: 'a', score: 1, group: 1 },
+    { id: 'a2', score: 0.95, group: 1 },
+    { id: 'b', score: 0.8, group: 2 },
+    { id: 'c', score: 0.6, group: 3 },
+  ];
+  const similarity = (x, y) => (x.group === y.group ? 1 : 0);
+  assert.deepEqual(maximalMarginalRelevance(candidates, { limit: 3, lambda: 1, similarity }).map(c => c.id), ['a', 'a2', 'b']);
+  assert.deepEqual(maximalMarginalRelevance(candidates, { limit: 3, similarity }).map(c => c.id), ['a', 'b', 'c']);
+  // Scores are scaled by the best one, so the trade-off does not depend on the score range
+  const scaled = candidates.map(c => ({ ...c, score: c.score / 100 }));
+  assert.deepEqual(maximalMarginalRelevance(scaled, { limit: 3, similarity }).map(c => c.id), ['a', 'b', 'c']);
+  assert.deepEqual(maximalMarginalRelevance(candidates, { limit: 10, lambda: 0, similarity }).map(c => c.id), ['a', 'b', 'c', 'a2']);
+  assert.deepEqual(maximalMarginalRelevance([], { limit: 3, similarity }), []);
+});
@@ -0,0 +1,43 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { tokenizeEdifact } from '../src/lib/edifact.js';
+import { serializeEdifact } from '../src/lib/edifactSerializer.js';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+
+// Round-trip check: parse → serialize must reproduce every sample byte-identically (modulo whitespace).
+// Runs on the committed fixtures plus the local MAKO_SAMPLES when present.
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const samplesDir = path.resolve(process.cwd(), 'MAKO_SAMPLES');
+const files = [fixturesDir, samplesDir]
+  .filter(dir => fs.existsSync(dir))
+  .flatMap(dir => fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.md')).sort().map(f => path.join(dir, f)));
+
+const normalize = (s) => s.replace(/\s+/g, '');
+
+let failed = 0;
+let checked = 0;
+for (const file of files) {
+  const f = path.relative(process.cwd(), file);
+  const { text: payload } = preprocessSample(fs.readFileSync(file));
+  if (!payload) continue;
+  checked++;
+  const out = serializeEdifact(tokenizeEdifact(payload), { recomputeCounts: false });
+  if (normalize(out) !== normalize(payload)) {
+    failed++;
+    const a = normalize(payload);
+    const b = normalize(out);
+    let i = 0;
+    while (i < a.length && a[i] === b[i]) i++;
+    console.error(`ROUNDTRIP: ${f} differs at offset ${i}: expected "${a.slice(i, i + 40)}", got "${b.slice(i, i + 40)}"`);
+  }
+}
+if (!checked) {
+  console.error('ROUNDTRIP: no samples found');
+  process.exit(1);
+}
+if (failed) {
+  console.error(`ROUNDTRIP: ${failed}/${checked} samples failed`);
+  process.exit(1);
+}
+console.log(`ROUNDTRIP: ${checked} samples identical`);
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { preprocessSample } from '../src/lib/samplePreprocessor.js';
+
+test('code fence payload and attributes are extracted from Markdown', () => {
+  const { text, attributes, extracted } = preprocessSample(fs.readFileSync(new URL('./fixtures/APERAK_1.md', import.meta.url)));
+  assert.equal(extracted, true);
+  assert.ok(text.startsWith("UNA:+.? 'UNB+UNOC:3+"));
+  assert.ok(text.endsWith("UNZ+1+APK1'"));
+  assert.equal(attributes.title, 'APERAK – Ablehnung einer Marktlokation');
+  assert.equal(attributes.pruefidentifikator, '92001');
+  assert.equal(attributes.format, 'APERAK');
+});
+
+test('one segment per line without terminators gets terminators, escaped ones are kept', () => {
+  const md = "Notiz\n\n> UNH+1+APERAK:D:07B:UN:2.1i\n> FTX+ABO+++a?'\n> BGM+313\n";
+  assert.equal(preprocessSample(md).text, "UNH+1+APERAK:D:07B:UN:2.1i'FTX+ABO+++a?''BGM+313'");
+});
+
+test('raw EDIFACT is returned unchanged', () => {
+  const raw = "UNB+UNOC:3+A:500+B:500+250101:0101+R'UNZ+0+R'";
+  assert.deepEqual([preprocessSample(raw).text, preprocessSample(raw).extracted], [raw, false]);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchStrategyPlanner } from '../src/tools/searchStrategyPlanner.js';
+
+// Chat model answering with the scripted replies in order and recording every input
+function scriptedLlm(...replies) {
+  const llm = { inputs: [], invoke: async input => { llm.inputs.push(input); return { content: replies.shift() }; } };
+  return llm;
+}
+const INPUT = { task: 'Find UTILMD NAD segment and component meanings', format: 'UTILMD' };
+
+test('the planner returns a valid first plan with default filters', async () => {
+  const llm = scriptedLlm('{"queries":["UTILMD NAD Name und Adresse","NAD 3035 Qualifier"]}');
+  const plan = await createSearchStrategyPlanner(llm).invoke(INPUT);
+  assert.deepEqual(plan, { queries: ['UTILMD NAD Name und Adresse', 'NAD 3035 Qualifier'], mustFilters: [], shouldFilters: [] });
+  assert.match(llm.inputs[0], /Task: Find UTILMD NAD segment and component meanings\nFormat: UTILMD/);
+});
+
+test('the planner repairs a plan without queries on retry', async () => {
+  const llm = scriptedLlm('{"mustFilters":[]}', '{"queries":["NAD"],"mustFilters":[{"key":"segment","match":{"value":"NAD"}}]}');
+  const plan = await createSearchStrategyPlanner(llm).invoke(INPUT);
+  assert.deepEqual(plan.mustFilters, [{ key: 'segment', match: { value: 'NAD' } }]);
+  assert.match(llm.inputs[1].at(-1)[1], /- queries: Required/);
+});
+
+test('the planner reports STRUCTURED_OUTPUT_INVALID instead of an empty plan', async () => {
+  const llm = scriptedLlm('no plan', 'still no plan', '{"queries":[]}');
+  const plan = await createSearchStrategyPlanner(llm).invoke(INPUT);
+  assert.equal(llm.inputs.length, 3);
+  assert.deepEqual(Object.keys(plan), ['error']);
+  assert.equal(plan.error.code, 'STRUCTURED_OUTPUT_INVALID');
+  assert.match(plan.error.message, /plan_qdrant_search_strategy failed after 3 attempt\(s\)/);
+});
@@ -1,10 +1,11 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 
-// Simple smoke check to ensure workspace structure exists
-const samplesDir = path.resolve(process.cwd(), 'MAKO_SAMPLES');
-if (!fs.existsSync(samplesDir)) {
-  console.error('MAKO_SAMPLES directory missing');
+// Simple smoke check to ensure workspace structure exists: committed fixtures, local MAKO_SAMPLES optional
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+if (!fs.existsSync(fixturesDir) || !fs.readdirSync(fixturesDir).some(f => f.endsWith('.md'))) {
+  console.error('tests/fixtures has no sample messages');
   process.exit(1);
 }
-console.log('SMOKE: Samples dir present');
+console.log(`SMOKE: Fixtures present${fs.existsSync(path.resolve(process.cwd(), 'MAKO_SAMPLES')) ? ', MAKO_SAMPLES present' : ''}`);
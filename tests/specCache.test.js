@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getSpecCacheConfig, withSpecCache } from '../src/lib/specCache.js';
+import { LocalVectorStore } from '../src/lib/vectorStore.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-spec-cache-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+let n = 0;
+// Fresh cache directory per test; returns a compute function counting its calls
+function setup(mode, fingerprint) {
+  process.env.SPEC_CACHE_DIR = path.join(scratch, `cache-${++n}`);
+  process.env.SPEC_CACHE_MODE = mode;
+  if (fingerprint) process.env.SPEC_CACHE_FINGERPRINT = fingerprint;
+  else delete process.env.SPEC_CACHE_FINGERPRINT;
+  const compute = async () => ({ run: ++compute.calls });
+  compute.calls = 0;
+  return compute;
+}
+const KEY = { format: 'utilmd', version: '5.2a', name: 'spec' };
+
+test('getSpecCacheConfig reads mode, directory and pinned fingerprint', () => {
+  assert.deepEqual(getSpecCacheConfig({}), { mode: 'readwrite', dir: path.resolve('.spec-cache'), fingerprint: null });
+  assert.deepEqual(getSpecCacheConfig({ SPEC_CACHE_MODE: 'Offline', SPEC_CACHE_DIR: scratch, SPEC_CACHE_FINGERPRINT: 'fp' }), { mode: 'offline', dir: scratch, fingerprint: 'fp' });
+  assert.throws(() => getSpecCacheConfig({ SPEC_CACHE_MODE: 'sometimes' }), /Unknown SPEC_CACHE_MODE "sometimes"/);
+});
+
+test('readwrite computes once and stores the entry under format, version and store fingerprint', async () => {
+  const compute = setup('readwrite');
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 1 });
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 1 });
+  assert.equal(compute.calls, 1);
+  const fingerprint = await new LocalVectorStore().fingerprint();
+  const entry = JSON.parse(fs.readFileSync(path.join(process.env.SPEC_CACHE_DIR, 'UTILMD', '5.2a', fingerprint, 'spec.json'), 'utf8'));
+  assert.deepEqual([entry.format, entry.version, entry.fingerprint, entry.name, entry.value], ['UTILMD', '5.2a', fingerprint, 'spec', { run: 1 }]);
+  // Other names and versions are separate entries
+  assert.deepEqual(await withSpecCache({ ...KEY, name: 'segment-BGM' }, compute), { run: 2 });
+  assert.deepEqual(await withSpecCache({ ...KEY, version: null }, compute), { run: 3 });
+  assert.ok(fs.existsSync(path.join(process.env.SPEC_CACHE_DIR, 'UTILMD', 'any', fingerprint, 'spec.json')));
+});
+
+test('values rejected by cacheable are returned but not stored', async () => {
+  const compute = setup('readwrite');
+  const cacheable = (v) => v.run > 1;
+  assert.deepEqual(await withSpecCache(KEY, compute, { cacheable }), { run: 1 });
+  assert.deepEqual(await withSpecCache(KEY, compute, { cacheable }), { run: 2 });
+  assert.deepEqual(await withSpecCache(KEY, compute, { cacheable }), { run: 2 });
+});
+
+test('refresh always recomputes and overwrites; off bypasses the cache', async () => {
+  const compute = setup('refresh', 'pinned');
+  await withSpecCache(KEY, compute);
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 2 });
+  process.env.SPEC_CACHE_MODE = 'readwrite';
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 2 });
+  process.env.SPEC_CACHE_MODE = 'off';
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 3 });
+  assert.deepEqual(await withSpecCache(KEY, compute), { run: 4 });
+});
+
+test('offline serves the newest entry across fingerprints and throws SPEC_CACHE_MISS otherwise', async () => {
+  const compute = setup('readwrite', 'old');
+  await withSpecCache(KEY, compute);
+  process.env.SPEC_CACHE_FINGERPRINT = 'new';
+  await new Promise(r => setTimeout(r, 5));
+  await withSpecCache(KEY, compute);
+  delete process.env.SPEC_CACHE_FINGERPRINT;
+  process.env.SPEC_CACHE_MODE = 'offline';
+  const never = async () => assert.fail('offline mode must not compute');
+  assert.deepEqual(await withSpecCache(KEY, never), { run: 2 });
+  // A pinned fingerprint selects its own entry
+  process.env.SPEC_CACHE_FINGERPRINT = 'old';
+  assert.deepEqual(await withSpecCache(KEY, never), { run: 1 });
+  await assert.rejects(withSpecCache({ ...KEY, version: '9.9' }, never), /^Error: SPEC_CACHE_MISS: no cached spec for utilmd 9.9/);
+  delete process.env.SPEC_CACHE_FINGERPRINT;
+  await assert.rejects(withSpecCache({ ...KEY, format: 'MSCONS', version: null }, never), /SPEC_CACHE_MISS: .*\(any version\)/);
+});
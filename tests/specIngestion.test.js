@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { normalizeDate, parseSpecDocument, ingestSpecDocument } from '../src/lib/specIngestion.js';
+import { LocalVectorStore } from '../src/lib/vectorStore.js';
+import { HashedNgramEmbeddings } from '../src/lib/embeddings.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-ingest-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const MIG_FILE = new URL('./fixtures/specs/UTILMD_MIG_5.2a.txt', import.meta.url);
+const MIG = { name: 'UTILMD_MIG_5.2a.txt', content: fs.readFileSync(MIG_FILE, 'utf8') };
+const summary = (chunk) => [chunk.payload.chunk_type, chunk.payload.segment_group ?? null, chunk.payload.segment ?? null, chunk.payload.data_element ?? null];
+
+test('normalizeDate accepts German, compact and ISO dates', () => {
+  assert.equal(normalizeDate('1.4.2025'), '2025-04-01');
+  assert.equal(normalizeDate('20250401'), '2025-04-01');
+  assert.equal(normalizeDate('2025-04-01T00:00:00Z'), '2025-04-01');
+  assert.equal(normalizeDate('April'), null);
+});
+
+test('extracted MIG text is chunked per segment group, segment and data element', () => {
+  const { sourceId, meta, chunks } = parseSpecDocument(MIG);
+  assert.equal(sourceId, 'MIG:UTILMD:5.2a:UTILMD_MIG_5.2a.txt');
+  assert.deepEqual(meta, { docType: 'MIG', format: 'UTILMD', version: '5.2a', validFrom: '2025-04-01', validTo: '2025-09-30' });
+  assert.deepEqual(chunks.map(summary), [
+    ['segment_group', 'SG2', null, null],
+    ['segment_group', 'SG6', null, null],
+    ['segment', null, 'BGM', null],
+    ['data_element', null, 'BGM', '1001'],
+    ['segment', 'SG2', 'NAD', null],
+    ['data_element', 'SG2', 'NAD', '3035'],
+    ['data_element', 'SG2', 'NAD', 'C082'],
+    ['data_element', 'SG2', 'NAD', '3039'],
+    ['segment', 'SG6', 'RFF', null],
+    ['data_element', 'SG6', 'RFF', '1153'],
+  ]);
+  const de3035 = chunks[5].payload;
+  assert.deepEqual([de3035.name, de3035.status, de3035.element_format, de3035.line], ['Beteiligter, Qualifier', 'M', 'an..3', 12]);
+  assert.deepEqual(de3035.codes, [{ code: 'MS', meaning: 'Dokumentenersteller' }, { code: 'MR', meaning: 'Nachrichtenempfänger' }]);
+  assert.deepEqual([chunks[8].payload.name, chunks[8].payload.status], ['Referenz', 'Muss']);
+  assert.deepEqual(chunks[4].payload.fields.map(f => f.data_element), ['3035', 'C082', '3039']);
+  // Every chunk carries the document metadata, a stable UUID and a content hash
+  for (const c of chunks) {
+    assert.equal(c.payload.source_id, sourceId);
+    assert.equal(c.payload.format_version, '5.2a');
+    assert.match(c.id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.match(c.payload.content_hash, /^[0-9a-f]{16}$/);
+  }
+  assert.deepEqual(parseSpecDocument(MIG).chunks.map(c => c.id), chunks.map(c => c.id));
+});
+
+test('AHB text keeps Prüfidentifikatoren and conditions', () => {
+  const content = 'Anwendungshandbuch MSCONS\nPrüfidentifikator: 13002\nSG6 Referenz\nRFF Referenz Muss [12] ∧ [3]\n1153 Qualifier Muss an..3\nZ13 Prüfidentifikator\n';
+  const { meta, chunks } = parseSpecDocument({ name: 'mscons-spec.txt', content });
+  assert.deepEqual([meta.docType, meta.format, meta.version], ['AHB', 'MSCONS', null]);
+  assert.ok(chunks.every(c => c.payload.pruefidentifikator === '13002'));
+  assert.equal(chunks.find(c => c.payload.chunk_type === 'segment').payload.status, 'Muss [12] ∧ [3]');
+});
+
+test('CSV rows with German headers become segments and data elements', () => {
+  const content = [
+    'Nachrichtentyp;Version;Segmentgruppe;Segment;Datenelement;Bezeichnung;Status;Format;Codeliste;Gültig ab',
+    'APERAK;2.1i;;BGM;;Beginn der Nachricht;M;;;01.10.2024',
+    'APERAK;2.1i;;BGM;1001;Dokumentenname;M;an..3;313=Bestätigung|Z01;',
+    'APERAK;2.1i;SG4;ERC;9321;"Fehlercode; Anwendung";M;an..8;;',
+  ].join('\r\n');
+  const { meta, chunks } = parseSpecDocument({ name: 'aperak.csv', content });
+  assert.deepEqual(meta, { docType: 'MIG', format: 'APERAK', version: '2.1i', validFrom: '2024-10-01', validTo: null });
+  assert.deepEqual(chunks.map(summary), [
+    ['segment_group', 'SG4', null, null],
+    ['segment', null, 'BGM', null],
+    ['data_element', null, 'BGM', '1001'],
+    ['segment', 'SG4', 'ERC', null],
+    ['data_element', 'SG4', 'ERC', '9321'],
+  ]);
+  assert.deepEqual(chunks[2].payload.codes, [{ code: '313', meaning: 'Bestätigung' }, { code: 'Z01', meaning: null }]);
+  assert.deepEqual([chunks[4].payload.name, chunks[4].payload.line], ['Fehlercode; Anwendung', 4]);
+});
+
+test('normalized JSON documents set type and metadata; options override detection', () => {
+  const doc = { type: 'ahb', format: 'invoic', version: '2.8', valid_to: '2025-03-31', segments: [{ tag: 'MOA', group: 'SG50', status: 'M', elements: [{ id: '5025', name: 'Betrag, Qualifier', codes: ['77'] }] }] };
+  const parsed = parseSpecDocument({ name: 'spec.json', content: JSON.stringify(doc) });
+  assert.deepEqual(parsed.meta, { docType: 'AHB', format: 'INVOIC', version: '2.8', validFrom: null, validTo: '2025-03-31' });
+  assert.deepEqual(parsed.chunks.map(summary).at(-1), ['data_element', 'SG50', 'MOA', '5025']);
+  assert.deepEqual(parsed.chunks.at(-1).payload.codes, [{ code: '77', meaning: null }]);
+  const overridden = parseSpecDocument({ name: 'spec.json', content: JSON.stringify(doc), type: 'MIG', version: '2.9' });
+  assert.deepEqual([overridden.meta.docType, overridden.meta.version], ['MIG', '2.9']);
+});
+
+test('documents without a recognizable message format are rejected', () => {
+  assert.throws(() => parseSpecDocument({ name: 'notes.txt', content: 'BGM Beginn der Nachricht M' }), /^Error: SPEC_FORMAT_UNKNOWN: .*notes\.txt; pass --format/);
+  assert.equal(parseSpecDocument({ name: 'notes.txt', content: 'BGM Beginn der Nachricht M', format: 'utilmd' }).meta.format, 'UTILMD');
+});
+
+test('re-ingesting an unchanged document writes nothing; changes only touch their chunks', async () => {
+  const store = new LocalVectorStore({ collection: 'specs', dir: scratch });
+  const embeddings = new HashedNgramEmbeddings({ dimensions: 64 });
+  const first = await ingestSpecDocument(store, embeddings, parseSpecDocument(MIG));
+  assert.deepEqual(first, { source: 'MIG:UTILMD:5.2a:UTILMD_MIG_5.2a.txt', chunks: 10, upserted: 10, unchanged: 0, deleted: 0 });
+  const fingerprint = await store.fingerprint();
+  // A fresh store instance reads the persisted collection
+  const again = new LocalVectorStore({ collection: 'specs', dir: scratch });
+  assert.deepEqual(await ingestSpecDocument(again, embeddings, parseSpecDocument(MIG)), { ...first, upserted: 0, unchanged: 10 });
+  assert.equal(await again.fingerprint(), fingerprint);
+
+  const edited = { ...MIG, content: MIG.content.replace('3039 MP-ID M an..35', '3039 MP-ID M an..13') };
+  const dry = await ingestSpecDocument(again, embeddings, parseSpecDocument(edited), { dryRun: true });
+  // The data element and its segment (which lists the element formats)
+  assert.deepEqual([dry.upserted, dry.deleted], [2, 0]);
+  assert.equal(await again.fingerprint(), fingerprint);
+  const shorter = { ...MIG, content: MIG.content.replace(/^SG6[\s\S]*$/m, '') };
+  const res = await ingestSpecDocument(again, embeddings, parseSpecDocument(shorter));
+  assert.deepEqual([res.chunks, res.upserted, res.deleted], [7, 0, 3]);
+  assert.equal((await again.scroll({ limit: 100 })).points.length, 7);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSpecSegmentSynthesizer } from '../src/tools/specSegmentSynthesizer.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-synthesizer-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_STORE_DIR = path.join(scratch, 'store');
+process.env.SPEC_CACHE_MODE = 'readwrite';
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+let n = 0;
+// Chat model answering with the scripted replies in order, in a fresh spec cache
+function scriptedLlm(...replies) {
+  process.env.SPEC_CACHE_DIR = path.join(scratch, `cache-${++n}`);
+  const llm = { inputs: [], invoke: async input => { llm.inputs.push(input); return { content: replies.shift() }; } };
+  return llm;
+}
+const NAD = {
+  segment: 'NAD',
+  name: 'Name und Adresse',
+  elements: [{ id: '3035', name: 'Beteiligter, Qualifier', status: 'M', format: 'an..3', codes: [{ code: 'MS', meaning: 'Dokumentenersteller' }] }],
+};
+const INPUT = { format: 'UTILMD', version: '5.2a', segment: 'NAD', results: [{ payload: { segment: 'NAD', data_element: '3035' } }] };
+
+test('a valid mapping is returned, cached and the built-in definition is part of the prompt', async () => {
+  const llm = scriptedLlm(JSON.stringify(NAD));
+  const synthesizer = createSpecSegmentSynthesizer(llm);
+  const mapping = await synthesizer.invoke(INPUT);
+  assert.deepEqual(mapping, { ...NAD, validations: [] });
+  assert.match(llm.inputs[0], /Current definition \(may be incomplete\):\n\{"name":"Name and address"/);
+  assert.match(llm.inputs[0], /"data_element":"3035"/);
+  assert.deepEqual(await synthesizer.invoke(INPUT), mapping);
+  assert.equal(llm.inputs.length, 1);
+});
+
+test('an element with an invalid status is repaired on retry', async () => {
+  const broken = { ...NAD, elements: [{ ...NAD.elements[0], status: 'Muss' }] };
+  const llm = scriptedLlm(JSON.stringify(broken), JSON.stringify(NAD));
+  const mapping = await createSpecSegmentSynthesizer(llm).invoke(INPUT);
+  assert.equal(mapping.elements[0].status, 'M');
+  assert.match(llm.inputs[1].at(-1)[1], /- elements\.0\.status: Invalid enum value/);
+});
+
+test('STRUCTURED_OUTPUT_INVALID is reported and not cached', async () => {
+  const llm = scriptedLlm('{}', '{}', '{}', JSON.stringify(NAD));
+  const synthesizer = createSpecSegmentSynthesizer(llm);
+  const failed = await synthesizer.invoke(INPUT);
+  assert.deepEqual(Object.keys(failed), ['segment', 'error']);
+  assert.equal(failed.error.code, 'STRUCTURED_OUTPUT_INVALID');
+  assert.match(failed.error.message, /synthesize_spec_segment UTILMD NAD failed after 3 attempt\(s\): elements: Required; segment: Required/);
+  // The next call asks the model again instead of returning the failure from the cache
+  assert.deepEqual((await synthesizer.invoke(INPUT)).elements, NAD.elements);
+  assert.equal(llm.inputs.length, 4);
+});
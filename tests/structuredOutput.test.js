@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { responseText, extractJson, invokeStructured, StructuredOutputError } from '../src/lib/structuredOutput.js';
+
+// Chat model answering with the scripted replies in order and recording every input
+function scriptedLlm(...replies) {
+  const llm = { inputs: [], invoke: async input => { llm.inputs.push(input); return { content: replies.shift() }; } };
+  return llm;
+}
+const schema = z.object({ queries: z.array(z.string()).min(1), limit: z.number().default(5) });
+
+test('responseText reads string content and content parts', () => {
+  assert.equal(responseText('plain'), 'plain');
+  assert.equal(responseText({ content: [{ type: 'text', text: '{"a":' }, '1}'] }), '{"a":1}');
+  assert.equal(responseText({ content: null }), '');
+});
+
+test('extractJson accepts plain, fenced and embedded JSON', () => {
+  assert.deepEqual(extractJson(' {"a":1} '), { a: 1 });
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a":2}\n```\nDone.'), { a: 2 });
+  assert.deepEqual(extractJson('The plan is {"a":{"b":3}} as requested'), { a: { b: 3 } });
+  assert.deepEqual(extractJson('Queries: ["NAD", "DTM"]'), ['NAD', 'DTM']);
+  assert.throws(() => extractJson('no json here'), SyntaxError);
+});
+
+test('a valid first answer is returned after one call with schema defaults applied', async () => {
+  const llm = scriptedLlm('```json\n{"queries":["NAD Name und Adresse"]}\n```');
+  assert.deepEqual(await invokeStructured(llm, 'plan', schema), { queries: ['NAD Name und Adresse'], limit: 5 });
+  assert.deepEqual(llm.inputs, ['plan']);
+});
+
+test('an invalid answer is repaired on retry with the validation errors in the conversation', async () => {
+  const llm = scriptedLlm('{"queries":[]}', 'Sorry: {"queries":["NAD"],"limit":3}');
+  assert.deepEqual(await invokeStructured(llm, 'plan', schema), { queries: ['NAD'], limit: 3 });
+  assert.equal(llm.inputs.length, 2);
+  const [first, answer, feedback] = llm.inputs[1];
+  assert.deepEqual([first, answer], [['human', 'plan'], ['ai', '{"queries":[]}']]);
+  assert.equal(feedback[0], 'human');
+  assert.match(feedback[1], /^Your answer could not be used:\n- queries: Array must contain at least 1 element/);
+});
+
+test('STRUCTURED_OUTPUT_INVALID is thrown once the attempts run out', async () => {
+  const llm = scriptedLlm('not json', '{"queries":"NAD"}');
+  await assert.rejects(invokeStructured(llm, 'plan', schema, { maxAttempts: 2, label: 'plan_test' }), e => {
+    assert.ok(e instanceof StructuredOutputError);
+    assert.equal(e.code, 'STRUCTURED_OUTPUT_INVALID');
+    assert.match(e.message, /^STRUCTURED_OUTPUT_INVALID: plan_test failed after 2 attempt\(s\): queries: Expected array, received string/);
+    assert.deepEqual(e.toJSON(), { code: e.code, message: e.message, attempts: 2, issues: ['queries: Expected array, received string'] });
+    assert.equal(e.lastText, '{"queries":"NAD"}');
+    return true;
+  });
+  // The second prompt reported the JSON syntax error of the first answer
+  assert.match(llm.inputs[1][2][1], /- invalid JSON: /);
+});
+
+test('LLM_JSON_MAX_ATTEMPTS sets the default number of attempts', async () => {
+  process.env.LLM_JSON_MAX_ATTEMPTS = '1';
+  try {
+    const llm = scriptedLlm('{}', '{"queries":["NAD"]}');
+    await assert.rejects(invokeStructured(llm, 'plan', schema), /failed after 1 attempt/);
+    assert.equal(llm.inputs.length, 1);
+  } finally {
+    delete process.env.LLM_JSON_MAX_ATTEMPTS;
+  }
+});
@@ -0,0 +1,182 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalVectorStore, QdrantVectorStore, matchFilter, getVectorStore } from '../src/lib/vectorStore.js';
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'willi-store-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const LOCAL = { provider: 'local', model: 'hashed-ngram-3', dimensions: 3 };
+
+const POINT = { id: 'p1', payload: { format: 'UTILMD', segment: 'NAD', codes: [{ code: 'MS' }, { code: 'MR' }], meta: { version: '5.2a' }, line: 12, note: null } };
+
+test('matchFilter evaluates must, should and must_not with Qdrant condition semantics', () => {
+  const key = (k, match) => ({ key: k, match });
+  assert.equal(matchFilter(POINT, null), true);
+  assert.equal(matchFilter(POINT, { must: [key('format', { value: 'UTILMD' }), key('meta.version', { value: '5.2a' })] }), true);
+  assert.equal(matchFilter(POINT, { must: [key('format', { value: 'UTILMD' }), key('segment', { value: 'BGM' })] }), false);
+  // should needs one match, an empty should list none
+  assert.equal(matchFilter(POINT, { should: [key('segment', { value: 'BGM' }), key('segment', { value: 'NAD' })] }), true);
+  assert.equal(matchFilter(POINT, { should: [key('segment', { value: 'BGM' })] }), false);
+  assert.equal(matchFilter(POINT, { must: [], should: [] }), true);
+  assert.equal(matchFilter(POINT, { must_not: key('segment', { any: ['NAD', 'BGM'] }) }), false);
+  // Arrays of objects fan out on dotted keys
+  assert.equal(matchFilter(POINT, { must: [key('codes.code', { value: 'MR' })] }), true);
+  assert.equal(matchFilter(POINT, { must: [key('codes.code', { except: ['MS'] })] }), false);
+  assert.equal(matchFilter(POINT, { must: [key('segment', { text: 'na' })] }), true);
+  assert.equal(matchFilter(POINT, { must: [{ key: 'line', range: { gte: 10, lt: 12 } }] }), false);
+  assert.equal(matchFilter(POINT, { must: [{ key: 'line', range: { gt: 11 } }] }), true);
+  assert.equal(matchFilter(POINT, { must: [{ has_id: ['p1'] }, { key: 'missing', is_empty: true }, { key: 'note', is_null: true }] }), true);
+  // Nested filters as conditions
+  assert.equal(matchFilter(POINT, { must: [{ should: [key('format', { value: 'MSCONS' }), key('meta.version', { value: '5.2a' })] }] }), true);
+});
+
+test('the local store upserts, searches, scrolls and deletes points', async () => {
+  const store = new LocalVectorStore({ collection: 'crud', dir: scratch });
+  await store.upsert([
+    { id: 'a', vector: [1, 0, 0], payload: { format: 'UTILMD', segment: 'NAD' } },
+    { id: 'b', vector: [0, 1, 0], payload: { format: 'UTILMD', segment: 'BGM' } },
+    { id: 'c', vector: [0.8, 0.6, 0], payload: { format: 'MSCONS', segment: 'NAD' } },
+  ]);
+  // Upserting an existing id replaces the point in place
+  await store.upsert([{ id: 'b', vector: [0, 1, 0], payload: { format: 'UTILMD', segment: 'DTM' } }]);
+  const hits = await store.search({ vector: [1, 0, 0], limit: 2 });
+  assert.deepEqual(hits.map(h => [h.id, Number(h.score.toFixed(2))]), [['a', 1], ['c', 0.8]]);
+  assert.equal(hits[0].vector, undefined);
+  assert.deepEqual((await store.search({ vector: [1, 0, 0], filter: { must: [{ key: 'format', match: { value: 'MSCONS' } }] }, withVector: true }))[0].vector, [0.8, 0.6, 0]);
+  assert.deepEqual((await store.search({ vector: [1, 0, 0], scoreThreshold: 0.9 })).map(h => h.id), ['a']);
+  const batch = await store.searchBatch([{ vector: [0, 1, 0], limit: 1 }, { vector: [1, 0, 0], limit: 1 }]);
+  assert.deepEqual(batch.map(list => list.map(h => h.id)), [['b'], ['a']]);
+
+  const first = await store.scroll({ limit: 2 });
+  assert.deepEqual([first.points.map(p => p.id), first.next_page_offset], [['a', 'b'], 'c']);
+  assert.deepEqual(first.points[1].payload, { format: 'UTILMD', segment: 'DTM' });
+  const second = await store.scroll({ limit: 2, offset: first.next_page_offset });
+  assert.deepEqual([second.points.map(p => p.id), second.next_page_offset], [['c'], null]);
+  assert.deepEqual((await store.scroll({ filter: { must: [{ key: 'segment', match: { value: 'NAD' } }] } })).points.map(p => p.id), ['a', 'c']);
+
+  assert.deepEqual(await store.delete(['a']), { status: 'completed', count: 1 });
+  assert.deepEqual((await store.scroll({ limit: 10 })).points.map(p => p.id), ['b', 'c']);
+});
+
+test('the local store persists to <dir>/<collection>.json and records the embedding signature', async () => {
+  const store = new LocalVectorStore({ collection: 'persisted', dir: scratch });
+  const info = { provider: 'local', model: 'hashed-ngram-3', dimensions: 3 };
+  assert.equal(await store.getVectorSize(), null);
+  await store.ensureCollection(info);
+  await store.upsert([{ id: 1, vector: [0, 0, 1], payload: { content_hash: 'h1' } }]);
+  const file = path.join(scratch, 'persisted.json');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { collection: 'persisted', embedding: info, points: [{ id: 1, vector: [0, 0, 1], payload: { content_hash: 'h1' } }] });
+  assert.deepEqual(fs.readdirSync(scratch).filter(f => f.startsWith('persisted')), ['persisted.json']);
+
+  const reopened = new LocalVectorStore({ collection: 'persisted', dir: scratch });
+  assert.equal(await reopened.getVectorSize(), 3);
+  assert.equal(await reopened.fingerprint(), await store.fingerprint());
+  await reopened.ensureCollection(info);
+  await assert.rejects(reopened.ensureCollection({ ...info, model: 'hashed-ngram-4' }), /^Error: EMBEDDING_PROVIDER_MISMATCH: collection persisted/);
+  await assert.rejects(reopened.assertCompatible({ ...info, dimensions: 512 }), /^Error: EMBEDDING_DIMENSION_MISMATCH/);
+  await reopened.upsert([{ id: 2, vector: [0, 1, 0], payload: { content_hash: 'h2' } }]);
+  assert.notEqual(await reopened.fingerprint(), await store.fingerprint());
+});
+
+test('getVectorStore picks the backend from VECTOR_STORE', () => {
+  const saved = process.env.VECTOR_STORE;
+  try {
+    process.env.VECTOR_STORE = 'local';
+    assert.ok(getVectorStore({ collection: 'x' }) instanceof LocalVectorStore);
+    process.env.VECTOR_STORE = 'redis';
+    assert.throws(() => getVectorStore(), /Unknown VECTOR_STORE "redis"/);
+  } finally {
+    if (saved == null) delete process.env.VECTOR_STORE; else process.env.VECTOR_STORE = saved;
+  }
+});
+
+// In-memory stand-in for the Qdrant client calls the store makes; `points` are those of the main collection
+function fakeQdrant(points, pageSize = 2, { size = 3, collections = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    points,
+    collections,
+    getCollection: async () => ({ points_count: points.length, config: { params: { vectors: { size, distance: 'Cosine' } } } }),
+    collectionExists: async (name) => ({ exists: name in collections }),
+    createCollection: async (name, config) => { collections[name] = { config, points: [] }; return true; },
+    retrieve: async (name, { ids }) => collections[name].points.filter(p => ids.includes(p.id)),
+    upsert: async (name, { points: upserted }) => {
+      const list = collections[name].points;
+      for (const p of upserted) {
+        const i = list.findIndex(x => x.id === p.id);
+        if (i >= 0) list[i] = p; else list.push(p);
+      }
+      return { status: 'completed' };
+    },
+    scroll: async (collection, options) => {
+      calls.push(options);
+      const sorted = [...points].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+      const start = options.offset == null ? 0 : sorted.findIndex(p => p.id === options.offset);
+      const limit = Math.min(options.limit, pageSize);
+      const next = sorted[start + limit];
+      return { points: sorted.slice(start, start + limit).map(({ id, payload }) => ({ id, payload })), next_page_offset: next ? next.id : null };
+    },
+  };
+}
+
+const POINTS = [
+  { id: 'a', payload: { text: 'UNH', content_hash: 'h1' } },
+  { id: 'b', payload: { text: 'BGM', content_hash: 'h2' } },
+  { id: 'c', payload: { text: 'DTM', content_hash: 'h3' } },
+];
+const fingerprintOf = (points) => new QdrantVectorStore({ collection: 'specs', client: fakeQdrant(points) }).fingerprint();
+
+test('the Qdrant fingerprint pages through all points and is stable for the same content', async () => {
+  const client = fakeQdrant(POINTS);
+  const fp = await new QdrantVectorStore({ collection: 'specs', client }).fingerprint();
+  assert.match(fp, /^[0-9a-f]{16}$/);
+  assert.deepEqual(client.calls.map(c => c.offset ?? null), [null, 'c']);
+  assert.equal(await fingerprintOf([...POINTS].reverse()), fp);
+});
+
+test('the Qdrant fingerprint changes with point content at the same point count', async () => {
+  const fp = await fingerprintOf(POINTS);
+  const changed = POINTS.map(p => (p.id === 'b' ? { id: 'b', payload: { text: 'BGM+E01', content_hash: 'h2b' } } : p));
+  assert.notEqual(await fingerprintOf(changed), fp);
+  // Points without a content hash are fingerprinted by their payload
+  const plain = POINTS.map(({ id, payload }) => ({ id, payload: { text: payload.text } }));
+  const edited = plain.map(p => (p.id === 'c' ? { id: 'c', payload: { text: 'DTM+137' } } : p));
+  assert.notEqual(await fingerprintOf(edited), await fingerprintOf(plain));
+  assert.notEqual(await new QdrantVectorStore({ collection: 'other', client: fakeQdrant(POINTS) }).fingerprint(), fp);
+});
+
+test('a new Qdrant collection records its embedding signature in the companion collection', async () => {
+  const client = fakeQdrant([]);
+  const store = new QdrantVectorStore({ collection: 'signed', client });
+  await store.ensureCollection(LOCAL);
+  assert.deepEqual(client.collections.signed.config, { vectors: { size: 3, distance: 'Cosine' } });
+  assert.deepEqual(client.collections.signed__embedding.points, [{ id: 1, vector: [1], payload: { collection: 'signed', embedding: LOCAL } }]);
+  assert.deepEqual(await store.getEmbeddingSignature(), LOCAL);
+  await store.assertCompatible(LOCAL);
+  await assert.rejects(store.assertCompatible({ ...LOCAL, model: 'hashed-ngram-4' }), /^Error: EMBEDDING_PROVIDER_MISMATCH: collection signed was built with local\/hashed-ngram-3/);
+  await assert.rejects(new QdrantVectorStore({ collection: 'unsized', client }).ensureCollection({ ...LOCAL, dimensions: null }), /^Error: EMBEDDING_DIMENSION_UNKNOWN/);
+});
+
+test('an existing Qdrant collection is checked by signature at equal dimension', async () => {
+  const signature = { provider: 'gemini', model: 'text-embedding-004', dimensions: 3 };
+  const collections = { built: {}, built__embedding: { points: [{ id: 1, vector: [1], payload: { collection: 'built', embedding: signature } }] } };
+  const store = new QdrantVectorStore({ collection: 'built', client: fakeQdrant([], 2, { collections }) });
+  await assert.rejects(store.ensureCollection(LOCAL), /^Error: EMBEDDING_PROVIDER_MISMATCH: collection built was built with gemini\/text-embedding-004, configured embeddings are local\/hashed-ngram-3/);
+  await store.assertCompatible({ ...signature });
+  await assert.rejects(store.assertCompatible({ ...signature, dimensions: 768 }), /^Error: EMBEDDING_DIMENSION_MISMATCH/);
+});
+
+test('an unsigned Qdrant collection is checked by dimension and adopts the ingesting embeddings', async () => {
+  const client = fakeQdrant([], 2, { size: 768, collections: { legacy: {} } });
+  const store = new QdrantVectorStore({ collection: 'legacy', client });
+  assert.equal(await store.getEmbeddingSignature(), null);
+  await assert.rejects(store.ensureCollection(LOCAL), /^Error: EMBEDDING_DIMENSION_MISMATCH/);
+  const info = { ...LOCAL, dimensions: 768 };
+  await store.ensureCollection(info);
+  assert.deepEqual(client.collections.legacy__embedding.points[0].payload.embedding, info);
+  await assert.rejects(store.assertCompatible({ ...info, provider: 'gemini' }), /EMBEDDING_PROVIDER_MISMATCH/);
+});